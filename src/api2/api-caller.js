@@ -3,8 +3,12 @@ import axios from 'axios'
 import { Network, TransactionBuilder, Transaction } from '../base'
 import { Wallet } from '../wallet'
 import middlewares from './middlewares'
+import { RetryPolicy } from './retry-policy'
+import { RequestWatcher } from './request-watcher'
+import { V3Resources } from './resources'
 import { toCamelCaseDeep } from '../utils/case_converter'
-import { isEmpty } from 'lodash'
+import { TransactionError } from '../errors'
+import { chunk, get, isEmpty } from 'lodash'
 
 /**
  * @typedef {import('../base/operations/base_operation').BaseOperation} BaseOperation
@@ -12,6 +16,17 @@ import { isEmpty } from 'lodash'
  */
 
 const SUBMIT_TRANSACTION_TIMEOUT = 60 * 10000
+const MAX_OPERATIONS_PER_TX = 100
+
+/**
+ * Statuses of the operations reported by
+ * {@link ApiCaller#postOperationsBatched}.
+ */
+export const BATCH_OPERATION_STATUSES = Object.freeze({
+  success: 'success',
+  failed: 'failed',
+  notSubmitted: 'not_submitted'
+})
 
 const methods = Object.freeze({
   PATCH: 'PATCH',
@@ -39,6 +54,8 @@ export class ApiCaller {
    * signing requests and transactions
    * @param {string} [opts.passphrase] - the passphrase of current TokenD
    * network (is used internally when signing transactions)
+   * @param {RetryPolicy|object} [opts.retryPolicy] - retry policy or its
+   * options, see {@link RetryPolicy}. Requests are not retried by default
    */
   constructor (opts = {}) {
     this._axios = axios.create()
@@ -50,6 +67,9 @@ export class ApiCaller {
     this._networkDetails = {}
     this._customTimeout = null
     this._clockDiff = 0
+    this._retryPolicy = null
+    this._middlewares = []
+    this._v3 = null
 
     if (opts.wallet) {
       this.useWallet(opts.wallet)
@@ -58,6 +78,10 @@ export class ApiCaller {
     if (opts.passphrase) {
       this.usePassphrase(opts.passphrase)
     }
+
+    if (opts.retryPolicy) {
+      this.useRetryPolicy(opts.retryPolicy)
+    }
   }
 
   /**
@@ -134,6 +158,27 @@ export class ApiCaller {
     return this._wallet
   }
 
+  /**
+   * Typed access to the Horizon v3 resources.
+   *
+   * @example
+   * const { data: account } = await api.v3.accounts.get(accountId, {
+   *   include: ['balances']
+   * })
+   *
+   * @see {@link V3Resources}
+   * @returns {V3Resources}
+   */
+  get v3 () {
+    // the copies made by `withWallet` must not reuse the resources bound to
+    // the original instance
+    if (!this._v3 || this._v3.apiCaller !== this) {
+      this._v3 = new V3Resources(this)
+    }
+
+    return this._v3
+  }
+
   /**
    * Makes a `GET` to a target `endpoint` with the provided `query` params.
    * Signing can be enabled with `needSign` argument. Parses the response in
@@ -187,6 +232,102 @@ export class ApiCaller {
     return this.get(endpoint, query, true)
   }
 
+  /**
+   * Iterates over all the records of a JsonApi collection, following the
+   * `next` links of the responses. Stops on an empty page or when the
+   * response has no `next` link. Signed requests keep being signed for every
+   * following page.
+   *
+   * @example
+   * for await (const balance of api.paginate('/v3/balances', query)) {
+   *   console.log(balance.id)
+   * }
+   *
+   * @param {string} endpoint - target endpoint _with_ starting slash
+   * @param {object} [query] - query params. query parameters should not
+   * contain no more than 1 level of nesting.
+   * @param {object} [opts]
+   * @param {boolean} [opts.needSign=false] - set `true` to sign the requests
+   * @param {number} [opts.maxPages] - maximum number of pages to fetch
+   * @param {number} [opts.pageSize] - page size, sets `page[limit]` param
+   * @returns {AsyncIterableIterator<Object>} - iterator over the records
+   */
+  async * paginate (endpoint, query, opts = {}) {
+    for await (const page of this.paginatePages(endpoint, query, opts)) {
+      yield * page.data
+    }
+  }
+
+  /**
+   * Iterates over the pages of a JsonApi collection, following the `next`
+   * links of the responses. Accepts the same arguments as `.paginate()`.
+   *
+   * @param {string} endpoint - target endpoint _with_ starting slash
+   * @param {object} [query] - query params.
+   * @param {object} [opts]
+   * @param {boolean} [opts.needSign=false] - set `true` to sign the requests
+   * @param {number} [opts.maxPages] - maximum number of pages to fetch
+   * @param {number} [opts.pageSize] - page size, sets `page[limit]` param
+   * @returns {AsyncIterableIterator<JsonapiResponse>} - iterator over the
+   * parsed responses
+   */
+  async * paginatePages (endpoint, query = {}, opts = {}) {
+    const { needSign = false, maxPages = Infinity, pageSize } = opts
+
+    if (pageSize) {
+      query = { ...query, page: { ...query.page, limit: pageSize } }
+    }
+
+    let response = await this.get(endpoint, query, needSign)
+    for (let fetched = 1; ; fetched++) {
+      if (isEmpty(response.data)) {
+        return
+      }
+
+      yield response
+
+      if (fetched >= maxPages || !response.fetchNext) {
+        return
+      }
+      response = await response.fetchNext()
+    }
+  }
+
+  /**
+   * Creates a watcher polling the reviewable request until it is reviewed.
+   * Subscribe to its events and call `.wait()` to start polling.
+   *
+   * @param {string} requestId - ID of the request
+   * @param {object} [opts] - see {@link RequestWatcher}
+   * @returns {RequestWatcher} - the watcher emitting `approved`, `rejected`,
+   * `permanentlyRejected`, `cancelled` and `tasksChanged` events
+   */
+  watchRequest (requestId, opts = {}) {
+    return new RequestWatcher(this, requestId, opts)
+  }
+
+  /**
+   * Waits until the reviewable request is reviewed.
+   *
+   * @example
+   * const request = await api.waitForRequest(requestId, { timeout: 60000 })
+   * if (request.stateI !== REQUEST_STATES.approved) {
+   *   console.log('Rejected:', request.rejectReason)
+   * }
+   *
+   * @param {string} requestId - ID of the request
+   * @param {object} [opts]
+   * @param {number} [opts.interval=5000] - delay between the requests, in ms
+   * @param {number} [opts.timeout] - time to wait, in ms
+   * @param {AbortSignal} [opts.signal] - signal to stop waiting
+   * @returns {Promise<object>} - the reviewed request record
+   * @throws {TimeoutError} - the request is still pending after the timeout
+   * @throws {AbortError} - the signal is aborted
+   */
+  waitForRequest (requestId, opts = {}) {
+    return this.watchRequest(requestId, opts).wait()
+  }
+
   /**
    * Makes a `POST` to a target `endpoint` with the provided `data` as body.
    * Signing can be enabled with `needSign` argument. Parses the response in
@@ -330,9 +471,88 @@ export class ApiCaller {
       throw new Error('No wallet found to sign the transaction')
     }
 
-    return this.postTxEnvelope(
-      this.getTransaction(...operations)
-    )
+    return Promise.resolve(this.getTransaction(...operations))
+      .then(envelope => this.postTxEnvelope(envelope))
+  }
+
+  /**
+   * Splits the operations into transactions within the core limit of
+   * operations per transaction and submits them.
+   *
+   * Transactions are atomic: if one of the operations fails, none of the
+   * operations of its transaction is applied, and they all are reported as
+   * `failed` with their own result codes (`op_success` for the ones that
+   * were not the cause).
+   *
+   * @example
+   * const report = await api.postOperationsBatched(payments, {
+   *   concurrency: 4
+   * })
+   * const failed = report.filter(item => item.status === 'failed')
+   *
+   * @param {BaseOperation[]} operations - operations to submit
+   * @param {object} [opts]
+   * @param {number} [opts.maxOpsPerTx=100] - max operations in a transaction
+   * @param {number} [opts.concurrency=1] - number of transactions submitted
+   * at the same time
+   * @param {boolean} [opts.stopOnError=false] - do not submit the rest of the
+   * transactions after a failed one
+   * @returns {Promise<object[]>} - report in the order of the operations:
+   * `status` (see {@link BATCH_OPERATION_STATUSES}), `txIndex` of the
+   * transaction and, for the failed ones, `resultCode`, `message` and the
+   * `error`
+   */
+  async postOperationsBatched (operations, opts = {}) {
+    const {
+      maxOpsPerTx = MAX_OPERATIONS_PER_TX,
+      concurrency = 1,
+      stopOnError = false
+    } = opts
+
+    if (!this._wallet) {
+      throw new Error('No wallet found to sign the transaction')
+    }
+    if (!(maxOpsPerTx >= 1 && maxOpsPerTx <= MAX_OPERATIONS_PER_TX)) {
+      throw new RangeError(
+        `maxOpsPerTx must be from 1 to ${MAX_OPERATIONS_PER_TX}, got ${maxOpsPerTx}`
+      )
+    }
+
+    const report = operations.map(() => ({
+      status: BATCH_OPERATION_STATUSES.notSubmitted
+    }))
+    const transactions = chunk(operations.map((op, i) => i), maxOpsPerTx)
+    let nextTxIndex = 0
+    let isStopped = false
+
+    const submitNext = async () => {
+      while (nextTxIndex < transactions.length && !isStopped) {
+        const txIndex = nextTxIndex++
+        const indexes = transactions[txIndex]
+
+        try {
+          await this.postOperations(...indexes.map(i => operations[i]))
+          indexes.forEach(i => {
+            report[i] = { status: BATCH_OPERATION_STATUSES.success, txIndex }
+          })
+        } catch (error) {
+          indexes.forEach((i, opIndex) => {
+            report[i] = {
+              status: BATCH_OPERATION_STATUSES.failed,
+              txIndex,
+              ...getResultCode(error, opIndex),
+              error
+            }
+          })
+          isStopped = stopOnError
+        }
+      }
+    }
+
+    const workers = Math.max(1, Math.min(concurrency, transactions.length))
+    await Promise.all(Array.from({ length: workers }, submitNext))
+
+    return report
   }
 
   postOperationsToSpecificEndpoint (endpoint, ...operations) {
@@ -340,27 +560,29 @@ export class ApiCaller {
       throw new Error('No wallet found to sign the transaction')
     }
 
-    return this.postTxEnvelope(
-      this.getTransaction(...operations),
-      true,
-      endpoint
-    )
+    return Promise.resolve(this.getTransaction(...operations))
+      .then(envelope => this.postTxEnvelope(envelope, true, endpoint))
   }
 
+  /**
+   * Builds the transaction signed by the wallet.
+   *
+   * @param {...BaseOperation} operations - operations to be included.
+   * @returns {string|Promise<string>} - base64 encoded envelope, a promise of
+   * it if the wallet has an asynchronous signer
+   */
   getTransaction (...operations) {
-    return new TransactionBuilder(this._wallet.accountId)
-      .addOperations(operations)
-      .addSigner(this._wallet.keypair)
-      .build()
-      .toEnvelope()
-      .toXDR()
-      .toString('base64')
+    const tx = this.getBuildedTransaction(operations)
+
+    return tx instanceof Transaction
+      ? toBase64Envelope(tx)
+      : tx.then(toBase64Envelope)
   }
 
   getBuildedTransaction (operations, opts = {}) {
     return new TransactionBuilder(this._wallet.accountId, opts)
       .addOperations(operations)
-      .addSigner(this._wallet.keypair)
+      .addSigner(this._wallet.signer)
       .build()
   }
 
@@ -370,13 +592,9 @@ export class ApiCaller {
     }
 
     const transaction = new Transaction(tx)
-    transaction.sign(this._wallet.keypair)
-    const envelopeTx = transaction
-      .toEnvelope()
-      .toXDR()
-      .toString('base64')
 
-    return this.postTxEnvelope(envelopeTx)
+    return Promise.resolve(transaction.sign(this._wallet.signer))
+      .then(() => this.postTxEnvelope(toBase64Envelope(transaction)))
   }
 
   /**
@@ -387,8 +605,8 @@ export class ApiCaller {
    * does not do any other actions on the response
    */
   async postTxEnvelope (envelope, waitForIngest = true, endpoint = `/v3/transactions`) {
-    // using raw axios because we don't need most of middleware, but need custom
-    // request timeout here
+    // not using `_call` because we don't need most of JsonApi middlewares,
+    // but need custom request timeout here
     let config = {
       timeout: SUBMIT_TRANSACTION_TIMEOUT,
       data: {
@@ -400,12 +618,10 @@ export class ApiCaller {
     }
     config.headers = middlewares.setJsonapiHeaders(config)
 
-    let response
-    try {
-      response = await this._axios(config)
-    } catch (e) {
-      throw middlewares.parseJsonapiError(e)
-    }
+    const response = await this._withRetries(
+      () => this._runMiddlewares(config, { endpoint, isTransaction: true }),
+      { method: config.method, isTransaction: true }
+    )
 
     return {
       // the response is not in JSON API format, but the error is
@@ -463,18 +679,10 @@ export class ApiCaller {
       config.timeout = this._customTimeout
     }
 
-    if (opts.needSign) {
-      config.headers = middlewares.signRequest(config, this._wallet.keypair,
-        this._wallet.accountId)
-    }
-
-    let response
-
-    try {
-      response = await this._axios(config)
-    } catch (e) {
-      throw middlewares.parseJsonapiError(e, this._axios)
-    }
+    let response = await this._withRetries(
+      () => this._runMiddlewares(config, opts),
+      { method: config.method }
+    )
 
     if (!opts.needRaw) {
       response = middlewares.parseJsonapiResponse(response)
@@ -493,6 +701,123 @@ export class ApiCaller {
     return response
   }
 
+  /**
+   * Passes the request config through the middlewares registered with
+   * `.use()` and performs the request. The request is signed after all the
+   * middlewares, so every attempt gets its own signature of the final config.
+   *
+   * @param {object} config - axios request config
+   * @param {object} opts - request options, see {@link ApiCaller#_call}
+   * @returns {Promise<object>} - raw axios response
+   *
+   * @private
+   */
+  _runMiddlewares (config, opts) {
+    const context = { api: this, opts }
+
+    const dispatch = (index, currentConfig) => {
+      const middleware = this._middlewares[index]
+      if (!middleware) {
+        return this._performRequest(currentConfig, opts)
+      }
+
+      const next = (nextConfig = currentConfig) => dispatch(index + 1, nextConfig)
+      return Promise.resolve(middleware(copyConfig(currentConfig), next, context))
+    }
+
+    return dispatch(0, config)
+  }
+
+  async _performRequest (config, opts) {
+    if (opts.needSign) {
+      config = {
+        ...config,
+        headers: await middlewares.signRequest(config, this._wallet.signer,
+          this._wallet.accountId)
+      }
+    }
+
+    try {
+      return await this._axios(config)
+    } catch (e) {
+      throw middlewares.parseJsonapiError(
+        e, opts.isTransaction ? undefined : this._axios
+      )
+    }
+  }
+
+  /**
+   * Adds a middleware to the request pipeline. Middlewares are called in the
+   * order they were added, after the JsonApi query and headers are prepared
+   * and before the request is signed. Each middleware receives a copy of the
+   * axios request config and the `next` function, which passes the config
+   * further and resolves with the raw axios response. A middleware can
+   * modify the config, the response, or handle the error thrown by `next`.
+   *
+   * @example
+   * api.use(async (config, next, { opts }) => {
+   *   config.headers['X-Request-Id'] = generateRequestId()
+   *   const startedAt = Date.now()
+   *   const response = await next(config)
+   *   metrics.observe(opts.endpoint, Date.now() - startedAt)
+   *   return response
+   * })
+   *
+   * @param {Function} middleware - `(config, next, context) => Promise`,
+   * where `context` contains the `api` instance and the request `opts`
+   * @returns {ApiCaller} - the same instance to chain the calls
+   */
+  use (middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('A middleware function expected.')
+    }
+
+    // copy to not affect the instances created by `withWallet()` and others
+    this._middlewares = [...this._middlewares, middleware]
+    return this
+  }
+
+  /**
+   * Removes a middleware added with `.use()`.
+   *
+   * @param {Function} middleware - the middleware to remove
+   * @returns {ApiCaller} - the same instance to chain the calls
+   */
+  eject (middleware) {
+    this._middlewares = this._middlewares.filter(item => item !== middleware)
+    return this
+  }
+
+  /**
+   * Performs the request with the retry policy, if any.
+   *
+   * @param {Function} attemptFn - async function performing the request
+   * @param {object} opts - request options, see {@link RetryPolicy#run}
+   *
+   * @private
+   */
+  _withRetries (attemptFn, opts) {
+    if (!this._retryPolicy) {
+      return attemptFn(1)
+    }
+
+    return this._retryPolicy.run(attemptFn, opts)
+  }
+
+  /**
+   * Use a retry policy for the requests and transaction submissions.
+   *
+   * @param {RetryPolicy|object|null} retryPolicy - retry policy or its
+   * options, see {@link RetryPolicy}. Pass `null` to disable retries
+   */
+  useRetryPolicy (retryPolicy) {
+    if (!retryPolicy || retryPolicy instanceof RetryPolicy) {
+      this._retryPolicy = retryPolicy || null
+    } else {
+      this._retryPolicy = new RetryPolicy(retryPolicy)
+    }
+  }
+
   /**
    * Use a wallet to sign requests and transactions.
    *
@@ -538,3 +863,40 @@ export class ApiCaller {
     this.usePassphrase(networkDetails.networkPassphrase)
   }
 }
+
+function getResultCode (error, opIndex) {
+  if (!(error instanceof TransactionError)) {
+    return {}
+  }
+
+  // `errorResults` skips the successful operations, so the codes are matched
+  // to the operations by the index in `resultCodes`. The response may have
+  // no operation codes, or no result codes at all, when the transaction
+  // failed as a whole
+  const resultCodes = error.resultCodes || {}
+  const operationCode = get(resultCodes, `operations[${opIndex}]`)
+  if (operationCode) {
+    return {
+      resultCode: operationCode,
+      message: get(resultCodes, `messages[${opIndex}]`, '')
+    }
+  }
+
+  return { resultCode: resultCodes.transaction, message: '' }
+}
+
+// Copies the nested objects a middleware usually mutates, so the changes
+// made during one attempt do not leak into the retries
+function copyConfig (config) {
+  const copy = { ...config }
+  if (config.headers) copy.headers = { ...config.headers }
+  if (config.params) copy.params = { ...config.params }
+  return copy
+}
+
+function toBase64Envelope (transaction) {
+  return transaction
+    .toEnvelope()
+    .toXDR()
+    .toString('base64')
+}
@@ -1,7 +1,8 @@
 import sinon from 'sinon'
-import { Keypair } from '../base'
+import { Keypair, Operation, RemoteSigner, Transaction } from '../base'
 import { Wallet } from '../wallet'
-import { ApiCaller } from './api-caller'
+import { ApiCaller, BATCH_OPERATION_STATUSES } from './api-caller'
+import { TransactionError } from '../errors'
 
 import middlewares from './middlewares'
 
@@ -42,5 +43,416 @@ describe('api-caller unit test', () => {
       expect(middlewares.setJsonapiHeaders).to.have.been
         .calledBefore(middlewares.signRequest)
     })
+
+    it('should sign every retry attempt anew', async () => {
+      api._wallet = new Wallet(
+        'qqq123@mail.com',
+        Keypair.random(),
+        Keypair.random().accountId(),
+        'anyRandomStringWeDoNotCareNow'
+      )
+      api.useRetryPolicy({ maxAttempts: 2, minDelay: 0 })
+      middlewares.parseJsonapiResponse.returns([])
+      api._axios.onFirstCall().rejects({
+        message: 'Request failed',
+        response: { status: 503, headers: {}, data: { errors: [{}] } }
+      })
+      api._axios.onSecondCall().resolves({})
+
+      await api._call({ endpoint: '/foo/bar', method: 'GET', needSign: true })
+
+      expect(api._axios).to.have.been.calledTwice
+      expect(middlewares.signRequest).to.have.been.calledTwice
+    })
+  })
+
+  describe('.use method', () => {
+    let sandbox
+    let api
+
+    beforeEach(() => {
+      api = ApiCaller.getInstance('http://black.hole')
+      sandbox = sinon.createSandbox()
+
+      sandbox.stub(api, '_axios').resolves({ status: 200, data: {} })
+      sandbox.stub(middlewares, 'parseJsonapiResponse').returns({ links: {} })
+    })
+
+    afterEach(() => {
+      sandbox.restore()
+    })
+
+    it('should call middlewares in the order they were added', async () => {
+      const calls = []
+      api
+        .use(async (config, next) => {
+          calls.push('first')
+          const response = await next(config)
+          calls.push('first response')
+          return response
+        })
+        .use(async (config, next) => {
+          calls.push('second')
+          const response = await next(config)
+          calls.push('second response')
+          return response
+        })
+
+      await api.get('/foo/bar')
+
+      expect(calls).to.deep.equal([
+        'first', 'second', 'second response', 'first response'
+      ])
+    })
+
+    it('should pass the modified config to the request', async () => {
+      api.use((config, next) => {
+        config.headers['X-Trace-Id'] = 'trace-id'
+        return next(config)
+      })
+
+      await api.get('/foo/bar')
+
+      expect(api._axios.firstCall.args[0].headers)
+        .to.have.property('X-Trace-Id', 'trace-id')
+    })
+
+    it('should pass the original config to the middlewares on every retry', async () => {
+      const retriedHeaders = []
+      api.useRetryPolicy({ maxAttempts: 2, minDelay: 0 })
+      api._axios.onFirstCall().rejects({
+        message: 'Request failed',
+        response: { status: 503, headers: {}, data: { errors: [{}] } }
+      })
+      api.use((config, next) => {
+        retriedHeaders.push(config.headers['X-Retried'])
+        config.headers['X-Retried'] = 'true'
+        config.params.attempt = retriedHeaders.length
+        return next(config)
+      })
+
+      await api.get('/foo/bar')
+
+      expect(retriedHeaders).to.deep.equal([undefined, undefined])
+      expect(api._axios.firstCall.args[0].params).to.deep.equal({ attempt: 1 })
+      expect(api._axios.secondCall.args[0].params).to.deep.equal({ attempt: 2 })
+    })
+
+    it('should pass the modified response to the parser', async () => {
+      api.use(async (config, next) => {
+        const response = await next(config)
+        return { ...response, data: { modified: true } }
+      })
+
+      await api.get('/foo/bar')
+
+      expect(middlewares.parseJsonapiResponse).to.have.been
+        .calledOnceWithExactly({ status: 200, data: { modified: true } })
+    })
+
+    it('should sign the request after the middlewares', async () => {
+      sandbox.stub(middlewares, 'signRequest').returns({ signature: 'sig' })
+      api._wallet = new Wallet(
+        'qqq123@mail.com',
+        Keypair.random(),
+        Keypair.random().accountId(),
+        'anyRandomStringWeDoNotCareNow'
+      )
+      api.use((config, next) => {
+        config.url = '/modified'
+        return next(config)
+      })
+
+      await api.getWithSignature('/foo/bar')
+
+      expect(middlewares.signRequest.firstCall.args[0])
+        .to.have.property('url', '/modified')
+      expect(api._axios.firstCall.args[0].headers)
+        .to.deep.equal({ signature: 'sig' })
+    })
+
+    it('should sign the request with the signer of the wallet', async () => {
+      const keypair = Keypair.random()
+      const signer = new RemoteSigner(
+        keypair.accountId(),
+        async data => keypair.sign(data)
+      )
+      api._wallet = new Wallet(
+        'qqq123@mail.com',
+        signer,
+        keypair.accountId(),
+        'anyRandomStringWeDoNotCareNow'
+      )
+
+      await api.getWithSignature('/foo/bar')
+
+      expect(api._axios.firstCall.args[0].headers.signature)
+        .to.include(`keyId="${keypair.accountId()}"`)
+    })
+
+    it('should not call ejected middlewares', async () => {
+      const middleware = sinon.stub().callsFake((config, next) => next())
+      api.use(middleware).eject(middleware)
+
+      await api.get('/foo/bar')
+
+      expect(middleware).to.not.have.been.called
+    })
+
+    it('should not affect the original instance when used on a copy', () => {
+      const copy = api.withBaseURL('http://another.hole')
+      copy.use((config, next) => next())
+
+      expect(api._middlewares).to.be.empty
+    })
+  })
+
+  describe('.paginate method', () => {
+    let sandbox
+    let api
+
+    function makePage (data, next) {
+      return next ? { data, fetchNext: next } : { data }
+    }
+
+    beforeEach(() => {
+      api = ApiCaller.getInstance('http://black.hole')
+      sandbox = sinon.createSandbox()
+    })
+
+    afterEach(() => {
+      sandbox.restore()
+    })
+
+    async function collect (iterator) {
+      const result = []
+      for await (const item of iterator) {
+        result.push(item)
+      }
+      return result
+    }
+
+    it('should iterate over records of all the pages till an empty one', async () => {
+      const lastPage = makePage([], sinon.stub().rejects())
+      const secondPage = makePage([{ id: '3' }], sinon.stub().resolves(lastPage))
+      const firstPage = makePage(
+        [{ id: '1' }, { id: '2' }],
+        sinon.stub().resolves(secondPage)
+      )
+      sandbox.stub(api, 'get').resolves(firstPage)
+
+      const records = await collect(api.paginate('/v3/balances', {}, {
+        needSign: true
+      }))
+
+      expect(records).to.deep.equal([{ id: '1' }, { id: '2' }, { id: '3' }])
+      expect(api.get).to.have.been
+        .calledOnceWithExactly('/v3/balances', {}, true)
+      expect(lastPage.fetchNext).to.not.have.been.called
+    })
+
+    it('should stop when the response has no next link', async () => {
+      sandbox.stub(api, 'get').resolves(makePage([{ id: '1' }]))
+
+      const records = await collect(api.paginate('/v3/balances'))
+
+      expect(records).to.deep.equal([{ id: '1' }])
+    })
+
+    it('should not fetch more pages than maxPages', async () => {
+      const secondPage = makePage([{ id: '2' }], sinon.stub().rejects())
+      const firstPage = makePage([{ id: '1' }], sinon.stub().resolves(secondPage))
+      sandbox.stub(api, 'get').resolves(firstPage)
+
+      const pages = await collect(api.paginatePages('/v3/balances', {}, {
+        maxPages: 2
+      }))
+
+      expect(pages).to.have.ordered.members([firstPage, secondPage])
+      expect(secondPage.fetchNext).to.not.have.been.called
+    })
+
+    it('should set page limit from pageSize', async () => {
+      sandbox.stub(api, 'get').resolves(makePage([]))
+
+      await collect(api.paginate('/v3/balances', {
+        filter: { asset: 'BTC' },
+        page: { order: 'desc' }
+      }, { pageSize: 50 }))
+
+      expect(api.get).to.have.been.calledOnceWithExactly('/v3/balances', {
+        filter: { asset: 'BTC' },
+        page: { order: 'desc', limit: 50 }
+      }, false)
+    })
+  })
+
+  describe('.postOperations method', () => {
+    let sandbox
+    let api
+
+    beforeEach(() => {
+      sandbox = sinon.createSandbox()
+      api = ApiCaller.getInstance('http://black.hole')
+      sandbox.stub(api, 'postTxEnvelope').resolves({ data: {} })
+    })
+
+    afterEach(() => {
+      sandbox.restore()
+    })
+
+    it('should sign the transaction with the signer of the wallet', async () => {
+      const keypair = Keypair.random()
+      api.useWallet(new Wallet(
+        'foo@bar.com',
+        new RemoteSigner(keypair.accountId(), async data => keypair.sign(data)),
+        keypair.accountId()
+      ))
+      const operation = Operation.payment({
+        amount: '10',
+        subject: 'test',
+        sourceBalanceId: Keypair.random().balanceId(),
+        destinationBalanceId: Keypair.random().balanceId(),
+        feeData: {
+          sourceFee: { percent: '0', fixed: '0' },
+          destinationFee: { percent: '0', fixed: '0' },
+          sourcePaysForDest: true
+        }
+      })
+
+      await api.postOperations(operation)
+
+      const tx = new Transaction(api.postTxEnvelope.firstCall.args[0])
+      expect(tx.signatures).to.have.lengthOf(1)
+      expect(keypair.verify(tx.hash(), tx.signatures[0].signature())).to.be.true
+    })
+  })
+
+  describe('.postOperationsBatched method', () => {
+    const { success, failed, notSubmitted } = BATCH_OPERATION_STATUSES
+
+    let sandbox
+    let api
+    let operations
+
+    function makeTransactionError (resultCodes) {
+      return new TransactionError({
+        response: {
+          status: 400,
+          data: { errors: [{ meta: { result_codes: resultCodes } }] }
+        }
+      })
+    }
+
+    beforeEach(() => {
+      sandbox = sinon.createSandbox()
+      api = ApiCaller.getInstance('http://black.hole')
+      api.useWallet(new Wallet('foo@bar.com', Keypair.random(), Keypair.random().accountId()))
+      operations = Array.from({ length: 5 }, (_, i) => ({ id: i }))
+      sandbox.stub(api, 'postOperations').resolves({ data: {} })
+    })
+
+    afterEach(() => {
+      sandbox.restore()
+    })
+
+    it('should split the operations into transactions', async () => {
+      const report = await api.postOperationsBatched(operations, {
+        maxOpsPerTx: 2
+      })
+
+      expect(api.postOperations).to.have.been.calledThrice
+      expect(api.postOperations.firstCall.args).to.deep.equal(operations.slice(0, 2))
+      expect(api.postOperations.thirdCall.args).to.deep.equal(operations.slice(4))
+      expect(report.map(item => item.status)).to.deep.equal(Array(5).fill(success))
+      expect(report.map(item => item.txIndex)).to.deep.equal([0, 0, 1, 1, 2])
+    })
+
+    it('should report the result codes of the failed transaction', async () => {
+      api.postOperations.onSecondCall().rejects(makeTransactionError({
+        transaction: 'tx_failed',
+        operations: ['op_success', 'op_underfunded'],
+        messages: ['', 'Not enough funds']
+      }))
+
+      const report = await api.postOperationsBatched(operations, {
+        maxOpsPerTx: 2
+      })
+
+      expect(report.map(item => item.status))
+        .to.deep.equal([success, success, failed, failed, success])
+      expect(report[2].resultCode).to.equal('op_success')
+      expect(report[3].resultCode).to.equal('op_underfunded')
+      expect(report[3].message).to.equal('Not enough funds')
+      expect(report[3].error).to.be.instanceOf(TransactionError)
+    })
+
+    it('should report the transaction result code', async () => {
+      api.postOperations.rejects(makeTransactionError({
+        transaction: 'tx_bad_auth_extra'
+      }))
+
+      const report = await api.postOperationsBatched(operations.slice(0, 1))
+
+      expect(report[0].resultCode).to.equal('tx_bad_auth_extra')
+    })
+
+    it('should report the transaction failure without operation codes', async () => {
+      api.postOperations.onFirstCall().rejects(makeTransactionError({
+        transaction: 'tx_failed',
+        operations: []
+      }))
+      api.postOperations.onSecondCall().rejects(makeTransactionError())
+
+      const report = await api.postOperationsBatched(operations.slice(0, 2), {
+        maxOpsPerTx: 1
+      })
+
+      expect(report.map(item => item.status)).to.deep.equal([failed, failed])
+      expect(report[0]).to.include({ resultCode: 'tx_failed', message: '' })
+      expect(report[1]).to.include({ resultCode: undefined, message: '' })
+    })
+
+    it('should not submit the rest of the transactions on error', async () => {
+      api.postOperations.onFirstCall().rejects(new Error('Network Error'))
+
+      const report = await api.postOperationsBatched(operations, {
+        maxOpsPerTx: 2,
+        stopOnError: true
+      })
+
+      expect(api.postOperations).to.have.been.calledOnce
+      expect(report.map(item => item.status)).to.deep.equal([
+        failed, failed, notSubmitted, notSubmitted, notSubmitted
+      ])
+      expect(report[0].resultCode).to.be.undefined
+    })
+
+    it('should submit the transactions concurrently', async () => {
+      const resolvers = []
+      api.postOperations.callsFake(() => new Promise(resolve => {
+        resolvers.push(resolve)
+      }))
+
+      const promise = api.postOperationsBatched(operations, {
+        maxOpsPerTx: 2,
+        concurrency: 2
+      })
+      await Promise.resolve()
+
+      expect(api.postOperations).to.have.been.calledTwice
+      resolvers.forEach(resolve => resolve({ data: {} }))
+      await new Promise(resolve => setTimeout(resolve, 0))
+      resolvers[2]({ data: {} })
+
+      const report = await promise
+      expect(api.postOperations).to.have.been.calledThrice
+      expect(report.map(item => item.status)).to.deep.equal(Array(5).fill(success))
+    })
+
+    it('should validate maxOpsPerTx', async () => {
+      await expect(api.postOperationsBatched(operations, { maxOpsPerTx: 101 }))
+        .to.be.rejectedWith(RangeError, 'maxOpsPerTx must be from 1 to 100, got 101')
+    })
   })
 })
@@ -1,10 +1,28 @@
-export { ApiCaller } from './api-caller'
+export { ApiCaller, BATCH_OPERATION_STATUSES } from './api-caller'
+export { RetryPolicy } from './retry-policy'
+export { RequestWatcher } from './request-watcher'
+export { V3Resources, Resource } from './resources'
 export {
   VerificationManager,
   DocumentsManager,
   FactorsManager,
   SignersManager,
+  SIGNERS_THRESHOLD,
+  SIGNER_CHANGE_ACTIONS,
   WalletsManager,
+  PreflightManager,
+  PREFLIGHT_FAILURE_CODES,
+  MultisigSession,
+  FeesManager,
+  SwapsManager,
+  MemorySecretStorage,
+  PollsManager,
+  SalesManager,
+  DeferredPaymentsManager,
+  ReviewsManager,
+  REVIEW_OUTCOMES,
+  IssuanceManager,
+  AssetsManager,
   Signer
 } from './managers'
 export { JsonapiResponse } from './middlewares/parse-jsonapi-response'
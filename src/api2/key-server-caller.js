@@ -36,9 +36,9 @@ export class KeyServerCaller {
     return this
   }
 
-  post (urlSegment, data) {
+  async post (urlSegment, data) {
     this._appendUrlSegment(urlSegment)
-    let config = this._getRequestConfig({
+    let config = await this._getRequestConfig({
       method: 'post',
       data,
       url: this._getUrl()
@@ -47,10 +47,10 @@ export class KeyServerCaller {
     return this._axios(config)
   }
 
-  postWithSignature (urlSegment, data, wallet) {
+  async postWithSignature (urlSegment, data, wallet) {
     this._appendUrlSegment(urlSegment)
     this.addWallet(wallet)
-    let config = this._getRequestConfig({
+    let config = await this._getRequestConfig({
       method: 'post',
       data,
       url: this._getUrl()
@@ -59,9 +59,9 @@ export class KeyServerCaller {
     return this._axios(config)
   }
 
-  get (urlSegment, query) {
+  async get (urlSegment, query) {
     this._appendUrlSegment(urlSegment)
-    let config = this._getRequestConfig({
+    let config = await this._getRequestConfig({
       method: 'get',
       params: query,
       url: this._getUrl()
@@ -69,10 +69,10 @@ export class KeyServerCaller {
     return this._axios(config)
   }
 
-  getWithSignature (urlSegment, query, wallet) {
+  async getWithSignature (urlSegment, query, wallet) {
     this._appendUrlSegment(urlSegment)
     this.addWallet(wallet)
-    let config = this._getRequestConfig({
+    let config = await this._getRequestConfig({
       method: 'get',
       params: query,
       url: this._getUrl()
@@ -80,9 +80,9 @@ export class KeyServerCaller {
     return this._axios(config)
   }
 
-  patch (urlSegment, data) {
+  async patch (urlSegment, data) {
     this._appendUrlSegment(urlSegment)
-    let config = this._getRequestConfig({
+    let config = await this._getRequestConfig({
       method: 'patch',
       data
     }, false)
@@ -90,10 +90,10 @@ export class KeyServerCaller {
     return this._axios(config)
   }
 
-  patchWithSignature (urlSegment, data, wallet) {
+  async patchWithSignature (urlSegment, data, wallet) {
     this._appendUrlSegment(urlSegment)
     this.addWallet(wallet)
-    let config = this._getRequestConfig({
+    let config = await this._getRequestConfig({
       method: 'patch',
       data,
       url: this._getUrl()
@@ -102,28 +102,28 @@ export class KeyServerCaller {
     return this._axios(config)
   }
 
-  delete (urlSegment) {
+  async delete (urlSegment) {
     this._appendUrlSegment(urlSegment)
-    let config = this._getRequestConfig({
+    let config = await this._getRequestConfig({
       method: 'delete',
       url: this._getUrl()
     }, false)
     return this._axios(config)
   }
 
-  deleteWithSignature (urlSegment, wallet) {
+  async deleteWithSignature (urlSegment, wallet) {
     this._appendUrlSegment(urlSegment)
     this.addWallet(wallet)
-    let config = this._getRequestConfig({
+    let config = await this._getRequestConfig({
       method: 'delete',
       url: this._getUrl()
     }, true)
     return this._axios(config)
   }
 
-  _getRequestConfig (config, needSign = false) {
+  async _getRequestConfig (config, needSign = false) {
     if (this._wallet) {
-      this._signRequestLegacy(config)
+      await this._signRequestLegacy(config)
     }
 
     config.headers = config.headers || {}
@@ -133,7 +133,7 @@ export class KeyServerCaller {
     return config
   }
 
-  _signRequestLegacy (config) {
+  async _signRequestLegacy (config) {
     let validUntil = Math
       .floor(this._getTimestamp() + SIGNATURE_VALID_SEC)
       .toString()
@@ -141,12 +141,13 @@ export class KeyServerCaller {
     let fullUrl = this._getFullUrl(config)
     let signatureBase = `{ uri: '${fullUrl}', valid_untill: '${validUntil.toString()}'}`
     let data = hash(signatureBase)
-    let signature = this._wallet.keypair.signDecorated(data)
+    let signer = this._wallet.signer
+    let signature = await signer.signDecorated(data)
 
     Object.assign(config, {
       headers: {
         'X-AuthValidUnTillTimestamp': validUntil.toString(),
-        'X-AuthPublicKey': this._wallet.keypair.accountId(),
+        'X-AuthPublicKey': signer.accountId(),
         'X-AuthSignature': signature.toXDR('base64')
       }
     })
@@ -0,0 +1,74 @@
+import sinon from 'sinon'
+
+import { KeyServerCaller } from './key-server-caller'
+
+import { Keypair, RemoteSigner, hash, xdr } from '../base'
+import { Wallet } from '../wallet'
+
+describe('KeyServerCaller', () => {
+  const keypair = Keypair.random()
+
+  let axios
+  let caller
+
+  function getSignedHeaders () {
+    const { url, params, headers } = axios.firstCall.args[0]
+    const query = new URLSearchParams(params).toString()
+    const validUntil = headers['X-AuthValidUnTillTimestamp']
+    const data = hash(
+      `{ uri: '${url}?${query}', valid_untill: '${validUntil}'}`
+    )
+    const signature = xdr.DecoratedSignature
+      .fromXDR(headers['X-AuthSignature'], 'base64')
+
+    return {
+      publicKey: headers['X-AuthPublicKey'],
+      isValid: keypair.verify(data, signature.signature())
+    }
+  }
+
+  beforeEach(() => {
+    axios = sinon.stub().resolves({ data: {} })
+    caller = new KeyServerCaller({ axios, sdk: { clockDiff: 0 } })
+  })
+
+  describe('.getWithSignature', () => {
+    it('should sign the request with the keypair of the wallet', async () => {
+      const wallet = new Wallet('foo@bar.com', keypair, keypair.accountId())
+
+      await caller.getWithSignature('/wallets/kdf', { email: 'foo' }, wallet)
+
+      expect(getSignedHeaders()).to.deep.equal({
+        publicKey: keypair.accountId(),
+        isValid: true
+      })
+    })
+
+    it('should sign the request with the asynchronous signer of the wallet', async () => {
+      const signer = new RemoteSigner(
+        keypair.accountId(),
+        async data => keypair.sign(data)
+      )
+      const wallet = new Wallet('foo@bar.com', signer, keypair.accountId())
+
+      await caller.getWithSignature('/wallets/kdf', { email: 'foo' }, wallet)
+
+      expect(getSignedHeaders()).to.deep.equal({
+        publicKey: keypair.accountId(),
+        isValid: true
+      })
+    })
+
+    it('should not send the request if the signer fails', async () => {
+      const signer = new RemoteSigner(
+        keypair.accountId(),
+        async () => { throw new Error('KMS is unavailable') }
+      )
+      const wallet = new Wallet('foo@bar.com', signer, keypair.accountId())
+
+      await expect(caller.getWithSignature('/wallets/kdf', {}, wallet))
+        .to.be.rejectedWith('KMS is unavailable')
+      expect(axios).to.not.have.been.called
+    })
+  })
+})
@@ -0,0 +1,278 @@
+import _get from 'lodash/get'
+import _isPlainObject from 'lodash/isPlainObject'
+
+import { ManageAssetBuilder } from '../../base/operations/manage_asset_builder'
+import { Document } from '../../utils/document'
+import { validateString } from '../../utils/validators'
+import { ApiCaller } from '../api-caller'
+
+import { ASSET_POLICIES, encodeFlags, decodeFlags } from '../../const'
+
+const DEFAULT_TRAILING_DIGITS_COUNT = 6
+const MAX_ASSET_NAME_LENGTH = 255
+
+/**
+ * AssetsManager creates and updates the assets with the policies passed as
+ * named flags and the details checked against the asset details schema.
+ *
+ * The details of the asset:
+ * - `name` - human-readable name, required;
+ * - `logo` - {@link Document} with the picture of the asset;
+ * - `terms` - {@link Document} with the terms of the asset;
+ * - `documents` - array of other {@link Document}s of the asset;
+ * - any other snake_cased fields, submitted as is.
+ *
+ * The documents not uploaded yet are uploaded to the storage before the
+ * submission, so the {@link Document} class has to be set up with a
+ * documents manager, see {@link Document.useDocumentsManager}.
+ *
+ * @example
+ * const manager = new AssetsManager(api)
+ * await manager.createAsset({
+ *   code: 'BTC',
+ *   preIssuanceSigner: accountId,
+ *   maxIssuanceAmount: '21000000',
+ *   assetType: '1',
+ *   policies: ['transferable', 'withdrawable'],
+ *   details: {
+ *     name: 'Bitcoin',
+ *     logo: new Document({ file, mimeType: 'image/png' }, 'asset_logo')
+ *   }
+ * })
+ * const asset = await manager.getAsset('BTC')
+ * console.log(asset.policyFlags) // ['transferable', 'withdrawable']
+ */
+export class AssetsManager {
+  /**
+   * AssetsManager constructor.
+   *
+   * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
+   */
+  constructor (apiCaller) {
+    if (apiCaller) {
+      this.useApi(apiCaller)
+    }
+  }
+
+  useApi (api) {
+    if (!(api instanceof ApiCaller)) {
+      throw new Error('Is not ApiCaller')
+    }
+    this._apiCaller = api
+  }
+
+  /**
+   * Packs the named policies into the bitmask.
+   *
+   * @param {string[]} policies Names of the policies, see
+   * {@link ASSET_POLICIES}.
+   *
+   * @return {number} Policies bitmask.
+   */
+  static encodePolicies (policies = []) {
+    return encodeFlags(ASSET_POLICIES, policies)
+  }
+
+  /**
+   * Unpacks the policies bitmask into the names of the policies.
+   *
+   * @param {number} mask Policies bitmask.
+   *
+   * @return {string[]} Names of the policies, see {@link ASSET_POLICIES}.
+   */
+  static decodePolicies (mask = 0) {
+    return decodeFlags(ASSET_POLICIES, mask)
+  }
+
+  /**
+   * Checks the details against the asset details schema.
+   *
+   * @param {object} details Details of the asset, see {@link AssetsManager}.
+   *
+   * @throws {TypeError} Details do not match the schema.
+   */
+  static validateDetails (details) {
+    if (!_isPlainObject(details)) {
+      throw new TypeError('details must be an object')
+    }
+
+    validateString({
+      value: details.name,
+      fieldName: 'details.name',
+      minLength: 1,
+      maxLength: MAX_ASSET_NAME_LENGTH
+    })
+
+    for (const field of ['logo', 'terms']) {
+      if (details[field] && !isDocument(details[field])) {
+        throw new TypeError(`details.${field} must be a Document`)
+      }
+    }
+
+    const documents = details.documents || []
+    if (!Array.isArray(documents) || !documents.every(isDocument)) {
+      throw new TypeError('details.documents must be an array of Documents')
+    }
+  }
+
+  /**
+   * Fetches the asset with the policies decoded.
+   *
+   * @param {string} code Code of the asset.
+   *
+   * @return {Promise.<object>} Asset record with the `policyFlags`.
+   */
+  async getAsset (code) {
+    const { data } = await this._apiCaller.v3.assets.get(code)
+    return withPolicyFlags(data)
+  }
+
+  /**
+   * Fetches all the assets matching the filter with the policies decoded.
+   *
+   * @param {object} [filter] Filter of the assets, e.g. `{ owner }`.
+   *
+   * @return {Promise.<object[]>} Asset records with the `policyFlags`.
+   */
+  async getAssets (filter = {}) {
+    const assets = []
+    for await (const asset of this._apiCaller.paginate('/v3/assets', {
+      filter
+    })) {
+      assets.push(withPolicyFlags(asset))
+    }
+
+    return assets
+  }
+
+  /**
+   * Submits the asset creation request.
+   *
+   * @param {object} opts
+   * @param {string} opts.code Code of the asset.
+   * @param {string} opts.preIssuanceSigner Account ID of the pre-issuance
+   * signer.
+   * @param {string} opts.maxIssuanceAmount Max amount to issue.
+   * @param {string} opts.assetType Type of the asset.
+   * @param {string[]} [opts.policies=[]] Names of the policies.
+   * @param {object} opts.details Details of the asset, see
+   * {@link AssetsManager}.
+   * @param {string} [opts.initialPreissuedAmount='0'] Amount available for
+   * issuance right after the creation.
+   * @param {number} [opts.trailingDigitsCount=6] Digits after the point.
+   * @param {number} [opts.allTasks] Tasks of the request.
+   * @param {string} [opts.requestId='0'] ID of the request to update.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  async createAsset (opts) {
+    const creatorDetails = await this._prepareDetails(opts.details)
+
+    return this._apiCaller.postOperations(
+      ManageAssetBuilder.assetCreationRequest({
+        requestID: opts.requestId || '0',
+        code: opts.code,
+        preissuedAssetSigner: opts.preIssuanceSigner,
+        maxIssuanceAmount: opts.maxIssuanceAmount,
+        initialPreissuedAmount: opts.initialPreissuedAmount,
+        assetType: String(opts.assetType),
+        policies: AssetsManager.encodePolicies(opts.policies),
+        trailingDigitsCount: opts.trailingDigitsCount === undefined
+          ? DEFAULT_TRAILING_DIGITS_COUNT
+          : opts.trailingDigitsCount,
+        allTasks: opts.allTasks,
+        creatorDetails
+      })
+    )
+  }
+
+  /**
+   * Submits the asset update request.
+   *
+   * @param {string} code Code of the asset.
+   * @param {object} opts
+   * @param {string[]} [opts.policies=[]] Names of the policies.
+   * @param {object} opts.details Details of the asset, see
+   * {@link AssetsManager}.
+   * @param {number} [opts.allTasks] Tasks of the request.
+   * @param {string} [opts.requestId='0'] ID of the request to update.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  async updateAsset (code, opts) {
+    const creatorDetails = await this._prepareDetails(opts.details)
+
+    return this._apiCaller.postOperations(
+      ManageAssetBuilder.assetUpdateRequest({
+        requestID: opts.requestId || '0',
+        code,
+        policies: AssetsManager.encodePolicies(opts.policies),
+        allTasks: opts.allTasks,
+        creatorDetails
+      })
+    )
+  }
+
+  /**
+   * Cancels the asset creation or update request.
+   *
+   * @param {string} requestId ID of the request.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  cancelAssetRequest (requestId) {
+    return this._apiCaller.postOperations(
+      ManageAssetBuilder.cancelAssetRequest({ requestID: requestId })
+    )
+  }
+
+  /**
+   * Passes the pre-issuance rights of the asset to another account.
+   *
+   * @param {string} code Code of the asset.
+   * @param {string} accountId Account ID of the new pre-issuance signer.
+   * @param {Keypair} signerKeypair Keypair of the current pre-issuance
+   * signer.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  changePreIssuanceSigner (code, accountId, signerKeypair) {
+    return this._apiCaller.postOperations(
+      ManageAssetBuilder.changeAssetPreIssuer({
+        code,
+        accountID: accountId,
+        keyPair: signerKeypair
+      })
+    )
+  }
+
+  async _prepareDetails (details) {
+    AssetsManager.validateDetails(details)
+
+    const { logo, terms, documents = [], ...rest } = details
+    await Document.uploadDocuments([logo, terms, ...documents])
+
+    return {
+      ...rest,
+      name: details.name,
+      logo: logo ? { key: logo.key, type: logo.mimeType } : {},
+      terms: terms ? serializeDocument(terms) : {},
+      ...(documents.length ? { documents: documents.map(serializeDocument) } : {})
+    }
+  }
+}
+
+function isDocument (value) {
+  return value instanceof Document
+}
+
+function serializeDocument (document) {
+  return { key: document.key, type: document.mimeType, name: document.name }
+}
+
+function withPolicyFlags (asset) {
+  return {
+    ...asset,
+    policyFlags: AssetsManager.decodePolicies(_get(asset, 'policies.value', 0))
+  }
+}
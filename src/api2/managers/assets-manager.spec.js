@@ -0,0 +1,161 @@
+import sinon from 'sinon'
+
+import { AssetsManager } from './assets-manager'
+import { ApiCaller } from '../api-caller'
+
+import { Keypair } from '../../base'
+import { Operation } from '../../base/operation'
+import { Document } from '../../utils/document'
+import { Wallet } from '../../wallet'
+import { ASSET_POLICIES } from '../../const'
+
+describe('Assets manager', () => {
+  const accountId = 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S'
+
+  let sandbox
+  let api
+  let manager
+
+  function makeDocument (opts) {
+    const document = new Document({ file: 'content', ...opts })
+    sandbox.stub(document, 'uploadSelf').callsFake(async () => {
+      return document.setKey(`key-${opts.name}`)
+    })
+    return document
+  }
+
+  function getPostedOperation () {
+    return Operation.operationToObject(api.postOperations.firstCall.args[0])
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    api = ApiCaller.getInstance('https://api.test.com')
+    api.useWallet(new Wallet('foo@bar.com', Keypair.random(), accountId))
+    manager = new AssetsManager(api)
+
+    sandbox.stub(api, 'postOperations').resolves({ data: {} })
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('.encodePolicies', () => {
+    it('should pack the named policies into the bitmask', () => {
+      expect(AssetsManager.encodePolicies(['transferable', 'withdrawable']))
+        .to.equal(ASSET_POLICIES.transferable | ASSET_POLICIES.withdrawable)
+      expect(AssetsManager.encodePolicies([])).to.equal(0)
+    })
+
+    it('should throw on an unknown policy', () => {
+      expect(() => AssetsManager.encodePolicies(['transferable', 'flying']))
+        .to.throw(TypeError, 'Unknown flag "flying"')
+    })
+  })
+
+  describe('.decodePolicies', () => {
+    it('should unpack the bitmask into the named policies', () => {
+      expect(AssetsManager.decodePolicies(
+        ASSET_POLICIES.baseAsset | ASSET_POLICIES.swappable
+      )).to.deep.equal(['baseAsset', 'swappable'])
+    })
+  })
+
+  describe('.validateDetails', () => {
+    it('should require the name', () => {
+      expect(() => AssetsManager.validateDetails({ logo: new Document() }))
+        .to.throw(TypeError, 'details.name must be a valid string')
+    })
+
+    it('should require the logo and terms to be documents', () => {
+      expect(() => AssetsManager.validateDetails({
+        name: 'Bitcoin',
+        terms: { key: 'foo' }
+      })).to.throw(TypeError, 'details.terms must be a Document')
+    })
+  })
+
+  describe('.getAssets', () => {
+    it('should decode the policies of the fetched assets', async () => {
+      sandbox.stub(api, 'get').resolves({
+        data: [{ id: 'BTC', policies: { value: 9 } }],
+        fetchNext: async () => ({ data: [{ id: 'USD', policies: { value: 0 } }] })
+      })
+
+      const assets = await manager.getAssets({ owner: accountId })
+
+      expect(assets.map(a => a.policyFlags)).to.deep.equal([
+        ['transferable', 'withdrawable'],
+        []
+      ])
+      expect(api.get).to.have.been
+        .calledOnceWith('/v3/assets', { filter: { owner: accountId } })
+    })
+
+    it('should skip the policies unknown to the SDK', async () => {
+      sandbox.stub(api, 'get').resolves({
+        data: [{ id: 'BTC', policies: { value: (1 << 20) | 1 } }]
+      })
+
+      const [asset] = await manager.getAssets()
+
+      expect(asset.policyFlags).to.deep.equal(['transferable'])
+    })
+  })
+
+  describe('.createAsset', () => {
+    it('should upload the documents and submit the creation request', async () => {
+      const logo = makeDocument({ name: 'logo.png', mimeType: 'image/png' })
+      const terms = makeDocument({ name: 'terms.pdf', mimeType: 'application/pdf' })
+
+      await manager.createAsset({
+        code: 'BTC',
+        preIssuanceSigner: accountId,
+        maxIssuanceAmount: '1000',
+        assetType: '1',
+        policies: ['transferable', 'baseAsset'],
+        details: { name: 'Bitcoin', logo, terms, external_id: '42' }
+      })
+
+      expect(logo.uploadSelf).to.have.been.calledOnce
+      expect(terms.uploadSelf).to.have.been.calledOnce
+
+      const op = getPostedOperation()
+      expect(op.requestType).to.equal('createAssetCreationRequest')
+      expect(op.code).to.equal('BTC')
+      expect(op.policies).to.equal(3)
+      expect(op.creatorDetails).to.deep.equal({
+        name: 'Bitcoin',
+        external_id: '42',
+        logo: { key: 'key-logo.png', type: 'image/png' },
+        terms: { key: 'key-terms.pdf', type: 'application/pdf', name: 'terms.pdf' }
+      })
+    })
+
+    it('should not submit the request with invalid details', async () => {
+      await expect(manager.createAsset({
+        code: 'BTC',
+        preIssuanceSigner: accountId,
+        maxIssuanceAmount: '1000',
+        assetType: '1',
+        details: { name: '' }
+      })).to.be.rejectedWith(TypeError)
+      expect(api.postOperations).to.not.have.been.called
+    })
+  })
+
+  describe('.updateAsset', () => {
+    it('should submit the update request with the encoded policies', async () => {
+      await manager.updateAsset('BTC', {
+        policies: ['withdrawable'],
+        details: { name: 'Bitcoin' }
+      })
+
+      const op = getPostedOperation()
+      expect(op.requestType).to.equal('createAssetUpdateRequest')
+      expect(op.policies).to.equal(ASSET_POLICIES.withdrawable)
+    })
+  })
+})
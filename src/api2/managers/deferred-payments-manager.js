@@ -0,0 +1,258 @@
+import BigNumber from 'bignumber.js'
+import _get from 'lodash/get'
+
+import { CreateDeferredPaymentCreationRequestBuilder } from '../../base/operations/create_deferred_payment_creation_request'
+import { CreateCloseDeferredPaymentRequestBuilder } from '../../base/operations/create_close_deferred_payment_request'
+import { ApiCaller } from '../api-caller'
+
+import { REQUEST_STATES, REQUEST_TYPES } from '../../const'
+
+/**
+ * DeferredPaymentsManager creates the deferred payments of the wallet
+ * account and closes them to the destinations.
+ *
+ * A deferred payment locks the amount on the source balance until it is
+ * closed, fully or by parts, with the close requests. The `amount` of the
+ * deferred payment record is the amount left after the approved closes, the
+ * manager adds the `availableAmount` that also excludes the pending closes of
+ * the wallet account.
+ *
+ * Both creations and closes are reviewable requests, use
+ * {@link #getRequestState} to track them.
+ *
+ * @example
+ * const manager = new DeferredPaymentsManager(api)
+ * await manager.create({ sourceBalanceId, destination, amount: '100' })
+ * const [payment] = await manager.getDeferredPayments()
+ * await manager.close(payment.id, { destination: receiverId, amount: '40' })
+ */
+export class DeferredPaymentsManager {
+  /**
+   * DeferredPaymentsManager constructor.
+   *
+   * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
+   */
+  constructor (apiCaller) {
+    if (apiCaller) {
+      this.useApi(apiCaller)
+    }
+  }
+
+  useApi (api) {
+    if (!(api instanceof ApiCaller)) {
+      throw new Error('Is not ApiCaller')
+    }
+    this._apiCaller = api
+  }
+
+  /**
+   * Submits the deferred payment creation request.
+   *
+   * @param {object} opts
+   * @param {string} opts.sourceBalanceId Balance ID to lock the amount on.
+   * @param {string} opts.destination Account ID of the receiver.
+   * @param {string} opts.amount Amount of the payment.
+   * @param {object} [opts.creatorDetails={}] Details of the payment.
+   * @param {number} [opts.allTasks] Tasks of the request.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  create (opts) {
+    return this._apiCaller.postOperations(
+      CreateDeferredPaymentCreationRequestBuilder
+        .createDeferredPaymentCreationRequest({
+          requestID: '0',
+          creatorDetails: {},
+          ...opts
+        })
+    )
+  }
+
+  /**
+   * Cancels the pending deferred payment creation request.
+   *
+   * @param {string} requestId ID of the request.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  cancelCreation (requestId) {
+    return this._apiCaller.postOperations(
+      CreateDeferredPaymentCreationRequestBuilder
+        .cancelDeferredPaymentCreationRequest({ requestID: String(requestId) })
+    )
+  }
+
+  /**
+   * Fetches the deferred payment.
+   *
+   * @param {string} deferredPaymentId ID of the deferred payment.
+   *
+   * @return {Promise.<object>} Deferred payment record with the
+   * `availableAmount`.
+   */
+  async getDeferredPayment (deferredPaymentId) {
+    const [{ data }, pendingAmounts] = await Promise.all([
+      this._apiCaller.v3.deferredPayments.get(deferredPaymentId),
+      this._getPendingCloseAmounts()
+    ])
+    return withAvailableAmount(data, pendingAmounts)
+  }
+
+  /**
+   * Fetches all the deferred payments matching the filter.
+   *
+   * @param {object} [filter] Filters of the records, the ones created by the
+   * wallet account by default.
+   * @param {string} [filter.source] Account ID of the creator.
+   * @param {string} [filter.destination] Account ID of the receiver.
+   *
+   * @return {Promise.<object[]>} Deferred payment records with the
+   * `availableAmount`.
+   */
+  async getDeferredPayments (filter) {
+    const payments = []
+    for await (const payment of this._apiCaller.paginate(
+      '/v3/deferred_payments',
+      { filter: filter || { source: this._apiCaller.wallet.accountId } },
+      { needSign: true }
+    )) {
+      payments.push(payment)
+    }
+
+    const pendingAmounts = await this._getPendingCloseAmounts()
+    return payments.map(payment => withAvailableAmount(payment, pendingAmounts))
+  }
+
+  /**
+   * Submits the request to close the deferred payment to the destination.
+   *
+   * @param {string} deferredPaymentId ID of the deferred payment.
+   * @param {object} opts
+   * @param {string} opts.destination Account ID or balance ID to send the
+   * amount to.
+   * @param {string} [opts.amount] Amount to close, the whole available amount
+   * by default.
+   * @param {object} [opts.creatorDetails={}] Details of the request.
+   * @param {number} [opts.allTasks] Tasks of the request.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  async close (deferredPaymentId, opts) {
+    const payment = await this.getDeferredPayment(deferredPaymentId)
+    const amount = opts.amount || payment.availableAmount
+
+    if (new BigNumber(payment.availableAmount).lt(amount)) {
+      throw new Error(
+        `Deferred payment ${deferredPaymentId} has only ` +
+        `${payment.availableAmount} left`
+      )
+    }
+
+    return this._apiCaller.postOperations(
+      CreateCloseDeferredPaymentRequestBuilder
+        .createCloseDeferredPaymentRequest({
+          requestID: '0',
+          creatorDetails: {},
+          ...opts,
+          deferredPaymentID: String(deferredPaymentId),
+          amount
+        })
+    )
+  }
+
+  /**
+   * Cancels the pending close request.
+   *
+   * @param {string} requestId ID of the request.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  cancelClose (requestId) {
+    return this._apiCaller.postOperations(
+      CreateCloseDeferredPaymentRequestBuilder
+        .cancelCloseDeferredPaymentRequest({ requestID: String(requestId) })
+    )
+  }
+
+  /**
+   * Fetches all the creation requests of the wallet account.
+   *
+   * @param {object} [filter]
+   * @param {number} [filter.state] State of the requests, see
+   * {@link REQUEST_STATES}.
+   *
+   * @return {Promise.<object[]>} Request records.
+   */
+  getCreationRequests (filter = {}) {
+    return this._getRequests(REQUEST_TYPES.createDeferredPayment, filter)
+  }
+
+  /**
+   * Fetches all the close requests of the wallet account.
+   *
+   * @param {object} [filter]
+   * @param {number} [filter.state] State of the requests, see
+   * {@link REQUEST_STATES}.
+   *
+   * @return {Promise.<object[]>} Request records.
+   */
+  getCloseRequests (filter = {}) {
+    return this._getRequests(REQUEST_TYPES.closeDeferredPayment, filter)
+  }
+
+  /**
+   * Fetches the state of the creation or close request.
+   *
+   * @param {string} requestId ID of the request.
+   *
+   * @return {Promise.<number>} State of the request, see
+   * {@link REQUEST_STATES}.
+   */
+  async getRequestState (requestId) {
+    const { data } = await this._apiCaller.v3.requests.get(requestId)
+    return Number(_get(data, 'stateI'))
+  }
+
+  async _getRequests (type, filter, query = {}) {
+    const requests = []
+    for await (const request of this._apiCaller.paginate('/v3/requests', {
+      filter: {
+        requestor: this._apiCaller.wallet.accountId,
+        type,
+        ...filter
+      },
+      ...query
+    }, { needSign: true })) {
+      requests.push(request)
+    }
+
+    return requests
+  }
+
+  /**
+   * @return {Promise.<object>} Amounts of the pending close requests summed
+   * by the deferred payment ID.
+   */
+  async _getPendingCloseAmounts () {
+    const requests = await this._getRequests(
+      REQUEST_TYPES.closeDeferredPayment,
+      { state: REQUEST_STATES.pending },
+      { include: 'request_details' }
+    )
+
+    return requests.reduce((amounts, request) => {
+      const id = _get(request, 'requestDetails.deferredPayment.id')
+      amounts[id] = new BigNumber(amounts[id] || 0)
+        .plus(_get(request, 'requestDetails.amount'))
+      return amounts
+    }, {})
+  }
+}
+
+function withAvailableAmount (payment, pendingAmounts) {
+  const pending = pendingAmounts[payment.id] || 0
+  return {
+    ...payment,
+    availableAmount: new BigNumber(payment.amount).minus(pending).toString()
+  }
+}
@@ -0,0 +1,180 @@
+import sinon from 'sinon'
+
+import { DeferredPaymentsManager } from './deferred-payments-manager'
+import { ApiCaller } from '../api-caller'
+
+import { Keypair } from '../../base'
+import { Operation } from '../../base/operation'
+import { Wallet } from '../../wallet'
+import { REQUEST_STATES, REQUEST_TYPES } from '../../const'
+
+describe('Deferred payments manager', () => {
+  const accountId = 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S'
+  const sourceBalanceId = Keypair.random().balanceId()
+  const receiverId = Keypair.random().accountId()
+
+  let sandbox
+  let api
+  let manager
+
+  function makeCloseRequest (deferredPaymentId, amount) {
+    return {
+      type: 'requests',
+      requestDetails: { amount, deferredPayment: { id: deferredPaymentId } }
+    }
+  }
+
+  function getPostedOperation () {
+    return Operation.operationToObject(api.postOperations.firstCall.args[0])
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    api = ApiCaller.getInstance('https://api.test.com')
+    api.useWallet(new Wallet('foo@bar.com', Keypair.random(), accountId))
+    manager = new DeferredPaymentsManager(api)
+
+    sandbox.stub(api, 'postOperations').resolves({ data: {} })
+    sandbox.stub(api.v3.deferredPayments, 'get')
+      .resolves({ data: { id: '5', amount: '60' } })
+    sandbox.stub(api, 'get')
+      .withArgs('/v3/requests').resolves({ data: [] })
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('.create', () => {
+    it('should submit the creation request', async () => {
+      await manager.create({
+        sourceBalanceId,
+        destination: receiverId,
+        amount: '100'
+      })
+
+      const op = getPostedOperation()
+      expect(op.type).to.equal('createDeferredPaymentCreationRequest')
+      expect(op.requestID).to.equal('0')
+      expect(op.sourceBalanceId).to.equal(sourceBalanceId)
+      expect(op.destination).to.equal(receiverId)
+      expect(op.amount).to.equal('100')
+      expect(op.creatorDetails).to.deep.equal({})
+    })
+  })
+
+  describe('.close', () => {
+    it('should close the remaining amount by default', async () => {
+      await manager.close('5', { destination: receiverId })
+
+      const op = getPostedOperation()
+      expect(op.type).to.equal('createCloseDeferredPaymentRequest')
+      expect(op.deferredPaymentID).to.equal('5')
+      expect(op.destination).to.equal(receiverId)
+      expect(op.amount).to.equal('60')
+    })
+
+    it('should close a part of the amount', async () => {
+      await manager.close('5', { destination: receiverId, amount: '20.5' })
+
+      expect(getPostedOperation().amount).to.equal('20.5')
+    })
+
+    it('should throw if the amount exceeds the remaining one', async () => {
+      await expect(manager.close('5', { destination: receiverId, amount: '61' }))
+        .to.be.rejectedWith('Deferred payment 5 has only 60 left')
+      expect(api.postOperations).to.not.have.been.called
+    })
+
+    it('should not close the amount of the pending close requests', async () => {
+      api.get.withArgs('/v3/requests').resolves({
+        data: [makeCloseRequest('5', '20'), makeCloseRequest('6', '50')]
+      })
+
+      await expect(manager.close('5', { destination: receiverId, amount: '41' }))
+        .to.be.rejectedWith('Deferred payment 5 has only 40 left')
+      await manager.close('5', { destination: receiverId })
+
+      expect(getPostedOperation().amount).to.equal('40')
+      expect(api.get).to.have.been.calledWith('/v3/requests', {
+        filter: {
+          requestor: accountId,
+          type: REQUEST_TYPES.closeDeferredPayment,
+          state: REQUEST_STATES.pending
+        },
+        include: 'request_details'
+      }, true)
+    })
+  })
+
+  describe('.cancelCreation and .cancelClose', () => {
+    it('should submit the cancellations', async () => {
+      await manager.cancelCreation('11')
+      await manager.cancelClose('12')
+
+      const [creation, close] = api.postOperations.args
+        .map(([op]) => Operation.operationToObject(op))
+      expect(creation.type).to.equal('cancelDeferredPaymentCreationRequest')
+      expect(creation.requestID).to.equal('11')
+      expect(close.type).to.equal('cancelCloseDeferredPaymentRequest')
+      expect(close.requestID).to.equal('12')
+    })
+  })
+
+  describe('.getDeferredPayments', () => {
+    it('should fetch the payments of the wallet account from all the pages', async () => {
+      api.get.withArgs('/v3/deferred_payments').resolves({
+        data: [{ id: '1', amount: '10' }],
+        fetchNext: async () => ({ data: [{ id: '2', amount: '0.5' }] })
+      })
+
+      const payments = await manager.getDeferredPayments()
+
+      expect(payments.map(p => p.amount)).to.deep.equal(['10', '0.5'])
+      expect(api.get).to.have.been.calledWith(
+        '/v3/deferred_payments', { filter: { source: accountId } }, true
+      )
+    })
+
+    it('should subtract the pending close requests from the available amount', async () => {
+      api.get.withArgs('/v3/deferred_payments').resolves({
+        data: [{ id: '1', amount: '10' }, { id: '2', amount: '0.5' }]
+      })
+      api.get.withArgs('/v3/requests').resolves({
+        data: [makeCloseRequest('1', '2.5'), makeCloseRequest('1', '1')]
+      })
+
+      const payments = await manager.getDeferredPayments()
+
+      expect(payments).to.deep.equal([
+        { id: '1', amount: '10', availableAmount: '6.5' },
+        { id: '2', amount: '0.5', availableAmount: '0.5' }
+      ])
+    })
+  })
+
+  describe('.getCloseRequests', () => {
+    it('should filter the requests by type and state', async () => {
+      await manager.getCloseRequests({ state: REQUEST_STATES.pending })
+
+      expect(api.get).to.have.been.calledOnceWith('/v3/requests', {
+        filter: {
+          requestor: accountId,
+          type: REQUEST_TYPES.closeDeferredPayment,
+          state: REQUEST_STATES.pending
+        }
+      }, true)
+    })
+  })
+
+  describe('.getRequestState', () => {
+    it('should return the state of the request', async () => {
+      sandbox.stub(api.v3.requests, 'get')
+        .resolves({ data: { id: '11', stateI: 3, state: 'approved' } })
+
+      expect(await manager.getRequestState('11'))
+        .to.equal(REQUEST_STATES.approved)
+    })
+  })
+})
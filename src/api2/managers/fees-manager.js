@@ -0,0 +1,177 @@
+import BigNumber from 'bignumber.js'
+
+import { Keypair } from '../../base/keypair'
+import { ApiCaller } from '../api-caller'
+
+import { FEE_TYPES, PAYMENT_FEE_SUBTYPES } from '../../const'
+
+const AMOUNT_DECIMAL_PLACES = 6
+
+/**
+ * FeesManager looks up the fees an account has to pay and returns them in
+ * the shape the operation builders expect.
+ *
+ * The fees are calculated by Horizon for the exact account, so the most
+ * specific fee applies: the one set for the account, then the one set for
+ * its role, then the global one. Fee ranges (`lowerBound`/`upperBound`) are
+ * matched against the amount.
+ *
+ * @example
+ * const feesManager = new FeesManager(api)
+ * const feeData = await feesManager.getPaymentFeeData({
+ *   asset: 'BTC',
+ *   amount: '10',
+ *   destination: receiverAccountId
+ * })
+ * const op = PaymentBuilder.payment({ ..., amount: '10', feeData })
+ */
+export class FeesManager {
+  /**
+   * FeesManager constructor.
+   *
+   * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
+   */
+  constructor (apiCaller) {
+    if (apiCaller) {
+      this.useApi(apiCaller)
+    }
+  }
+
+  useApi (api) {
+    if (!(api instanceof ApiCaller)) {
+      throw new Error('Is not ApiCaller')
+    }
+    this._apiCaller = api
+  }
+
+  /**
+   * Fetches the fee the account pays for an operation.
+   *
+   * @param {object} opts
+   * @param {string} opts.asset Asset code of the fee.
+   * @param {number} opts.feeType Fee type, see {@link FEE_TYPES}.
+   * @param {number} [opts.subtype=0] Fee subtype, e.g.
+   * {@link PAYMENT_FEE_SUBTYPES}.
+   * @param {string} opts.amount Amount of the operation.
+   * @param {string} [opts.accountId] Account paying the fee, the account of
+   * the API caller's wallet by default.
+   *
+   * @return {Promise.<object>} Fee with `fixed` and `percent` amounts, ready
+   * to be passed as `fee` to the operation builders.
+   */
+  async getFee ({ asset, feeType, subtype = 0, amount, accountId }) {
+    const { data: fee } = await this._apiCaller.v3.accounts.getCalculatedFees(
+      accountId || this._apiCaller.wallet.accountId,
+      { asset, feeType, subtype, amount }
+    )
+
+    return {
+      fixed: fee.fixed,
+      percent: fee.calculatedPercent
+    }
+  }
+
+  /**
+   * Fetches the fees of a payment for the sender and the receiver.
+   *
+   * @param {object} opts
+   * @param {string} opts.asset Asset code of the payment.
+   * @param {string} opts.amount Amount of the payment.
+   * @param {string} opts.destination Account ID or balance ID of the
+   * receiver.
+   * @param {boolean} [opts.sourcePaysForDest=false] Set `true` if the sender
+   * pays the receiver's fee.
+   * @param {string} [opts.accountId] Account of the sender, the account of
+   * the API caller's wallet by default.
+   *
+   * @return {Promise.<object>} `feeData` for {@link PaymentBuilder.payment}.
+   */
+  async getPaymentFeeData ({
+    asset,
+    amount,
+    destination,
+    sourcePaysForDest = false,
+    accountId
+  }) {
+    const destinationAccountId = await this._getAccountId(destination)
+
+    const [sourceFee, destinationFee] = await Promise.all([
+      this.getFee({
+        asset,
+        amount,
+        accountId,
+        feeType: FEE_TYPES.paymentFee,
+        subtype: PAYMENT_FEE_SUBTYPES.outgoing
+      }),
+      this.getFee({
+        asset,
+        amount,
+        accountId: destinationAccountId,
+        feeType: FEE_TYPES.paymentFee,
+        subtype: PAYMENT_FEE_SUBTYPES.incoming
+      })
+    ])
+
+    return { sourceFee, destinationFee, sourcePaysForDest }
+  }
+
+  /**
+   * Fetches the fee of a withdrawal.
+   *
+   * @param {object} opts
+   * @param {string} opts.asset Asset code to withdraw.
+   * @param {string} opts.amount Amount to withdraw.
+   * @param {string} [opts.accountId] Account withdrawing the asset, the
+   * account of the API caller's wallet by default.
+   *
+   * @return {Promise.<object>} `fee` for
+   * {@link CreateWithdrawRequestBuilder.createWithdrawWithAutoConversion}.
+   */
+  getWithdrawalFee ({ asset, amount, accountId }) {
+    return this.getFee({
+      asset,
+      amount,
+      accountId,
+      feeType: FEE_TYPES.withdrawalFee
+    })
+  }
+
+  /**
+   * Fetches the fee of an offer. The fee is charged in the quote asset and
+   * calculated for the quote amount of the offer.
+   *
+   * @param {object} opts
+   * @param {string} opts.quoteAsset Quote asset code of the offer.
+   * @param {string} opts.amount Base amount of the offer.
+   * @param {string} opts.price Price of the offer.
+   * @param {string} [opts.accountId] Account creating the offer, the account
+   * of the API caller's wallet by default.
+   *
+   * @return {Promise.<string>} `fee` for {@link ManageOfferBuilder.manageOffer}.
+   */
+  async getOfferFee ({ quoteAsset, amount, price, accountId }) {
+    const quoteAmount = new BigNumber(amount)
+      .times(price)
+      .round(AMOUNT_DECIMAL_PLACES, BigNumber.ROUND_UP)
+      .toString()
+
+    const fee = await this.getFee({
+      accountId,
+      asset: quoteAsset,
+      amount: quoteAmount,
+      feeType: FEE_TYPES.offerFee
+    })
+
+    return new BigNumber(fee.fixed).plus(fee.percent).toString()
+  }
+
+  async _getAccountId (destination) {
+    if (!Keypair.isValidBalanceKey(destination)) {
+      return destination
+    }
+
+    const { data: balance } = await this._apiCaller.v3.balances
+      .get(destination)
+    return balance.owner.id
+  }
+}
@@ -0,0 +1,134 @@
+import sinon from 'sinon'
+
+import { FeesManager } from './fees-manager'
+import { ApiCaller } from '../api-caller'
+
+import { Keypair } from '../../base'
+import { PaymentBuilder } from '../../base/operations/payment_builder'
+import { ManageOfferBuilder } from '../../base/operations/manage_offer_builder'
+import { Wallet } from '../../wallet'
+
+describe('Fees manager', () => {
+  const accountId = 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S'
+  const receiverId = Keypair.random().accountId()
+
+  let sandbox
+  let api
+  let manager
+
+  function stubFees (fees) {
+    sandbox.stub(api.v3.accounts, 'getCalculatedFees')
+      .callsFake(async (id, { subtype }) => ({
+        data: fees[`${id}:${subtype}`] || { fixed: '0', calculatedPercent: '0' }
+      }))
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    api = ApiCaller.getInstance('https://api.test.com')
+    api.useWallet(new Wallet('foo@bar.com', Keypair.random(), accountId))
+    manager = new FeesManager(api)
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  it('should fetch the fee calculated for the wallet account', async () => {
+    stubFees({ [`${accountId}:0`]: { fixed: '1', calculatedPercent: '0.5' } })
+
+    const fee = await manager.getWithdrawalFee({ asset: 'BTC', amount: '10' })
+
+    expect(fee).to.deep.equal({ fixed: '1', percent: '0.5' })
+    expect(api.v3.accounts.getCalculatedFees).to.have.been
+      .calledOnceWithExactly(accountId, {
+        asset: 'BTC',
+        feeType: 2,
+        subtype: 0,
+        amount: '10'
+      })
+  })
+
+  it('should build the payment fee data usable by the builder', async () => {
+    stubFees({
+      [`${accountId}:1`]: { fixed: '0.1', calculatedPercent: '0.2' },
+      [`${receiverId}:2`]: { fixed: '0.3', calculatedPercent: '0' }
+    })
+
+    const feeData = await manager.getPaymentFeeData({
+      asset: 'BTC',
+      amount: '10',
+      destination: receiverId,
+      sourcePaysForDest: true
+    })
+
+    expect(feeData).to.deep.equal({
+      sourceFee: { fixed: '0.1', percent: '0.2' },
+      destinationFee: { fixed: '0.3', percent: '0' },
+      sourcePaysForDest: true
+    })
+    expect(() => PaymentBuilder.payment({
+      sourceBalanceId: Keypair.random().balanceId(),
+      destination: receiverId,
+      amount: '10',
+      feeData,
+      subject: '',
+      reference: ''
+    })).to.not.throw()
+  })
+
+  it('should resolve the owner of the destination balance', async () => {
+    const balanceId = Keypair.random().balanceId()
+    stubFees({ [`${receiverId}:2`]: { fixed: '0.3', calculatedPercent: '0' } })
+    sandbox.stub(api.v3.balances, 'get')
+      .resolves({ data: { id: balanceId, owner: { id: receiverId } } })
+
+    const feeData = await manager.getPaymentFeeData({
+      asset: 'BTC',
+      amount: '10',
+      destination: balanceId
+    })
+
+    expect(api.v3.balances.get).to.have.been.calledOnceWithExactly(balanceId)
+    expect(feeData.destinationFee).to.deep.equal({ fixed: '0.3', percent: '0' })
+    expect(feeData.sourcePaysForDest).to.be.false
+  })
+
+  it('should calculate the offer fee for the quote amount', async () => {
+    stubFees({ [`${accountId}:0`]: { fixed: '0.1', calculatedPercent: '0.25' } })
+
+    const fee = await manager.getOfferFee({
+      quoteAsset: 'USD',
+      amount: '2.5',
+      price: '0.3333333'
+    })
+
+    expect(fee).to.equal('0.35')
+    expect(api.v3.accounts.getCalculatedFees).to.have.been
+      .calledWithMatch(accountId, { asset: 'USD', feeType: 1, amount: '0.833334' })
+    expect(() => ManageOfferBuilder.manageOffer({
+      baseBalance: Keypair.random().balanceId(),
+      quoteBalance: Keypair.random().balanceId(),
+      isBuy: true,
+      amount: '2.5',
+      price: '0.333333',
+      fee,
+      orderBookID: '0'
+    })).to.not.throw()
+  })
+
+  it('should use the provided account', async () => {
+    stubFees({})
+
+    await manager.getFee({
+      asset: 'BTC',
+      amount: '1',
+      feeType: 6,
+      accountId: receiverId
+    })
+
+    expect(api.v3.accounts.getCalculatedFees).to.have.been
+      .calledOnceWith(receiverId)
+  })
+})
@@ -1,6 +1,20 @@
 export { DocumentsManager } from './documents-manager'
 export { FactorsManager } from './factors-manager'
-export { SignersManager } from './signers-manager'
+export {
+  SignersManager,
+  SIGNERS_THRESHOLD,
+  SIGNER_CHANGE_ACTIONS
+} from './signers-manager'
 export { WalletsManager } from './wallets-manager'
 export { Signer } from './signer'
 export { VerificationManager } from './verification-manager'
+export { PreflightManager, PREFLIGHT_FAILURE_CODES } from './preflight-manager'
+export { MultisigSession } from './multisig-session'
+export { FeesManager } from './fees-manager'
+export { SwapsManager, MemorySecretStorage } from './swaps-manager'
+export { PollsManager } from './polls-manager'
+export { SalesManager } from './sales-manager'
+export { DeferredPaymentsManager } from './deferred-payments-manager'
+export { ReviewsManager, REVIEW_OUTCOMES } from './reviews-manager'
+export { IssuanceManager } from './issuance-manager'
+export { AssetsManager } from './assets-manager'
@@ -0,0 +1,207 @@
+import BigNumber from 'bignumber.js'
+import _get from 'lodash/get'
+import _uniq from 'lodash/uniq'
+
+import xdr from '../../base/generated/xdr_generated'
+import { PreIssuanceRequest } from '../../base/pre_issuance_request'
+import { PreIssuanceRequestOpBuilder } from '../../base/operations/pre_issuance_request_op_builder'
+import { CreateIssuanceRequestBuilder } from '../../base/operations/create_issuance_request_builder'
+import { randomBytes } from '../../wallet/crypto'
+import { ApiCaller } from '../api-caller'
+
+const REFERENCE_LENGTH = 16 // bytes, 32 hex chars
+
+/**
+ * IssuanceManager uploads the pre-issued amounts of the assets and issues
+ * them to the balances.
+ *
+ * Every issuance and pre-issuance gets a random reference unless one is
+ * provided, so retried calls never collide with the previous ones. The
+ * amounts are checked against the asset limits before the submission.
+ *
+ * @example
+ * const manager = new IssuanceManager(api)
+ * await manager.preIssue([{ asset: 'BTC', amount: '1000' }], preIssuerKeypair)
+ * const { requestId } = await manager.issue({
+ *   asset: 'BTC',
+ *   amount: '10',
+ *   receiver: balanceId
+ * })
+ * const request = await manager.waitForIssuance(requestId)
+ */
+export class IssuanceManager {
+  /**
+   * IssuanceManager constructor.
+   *
+   * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
+   */
+  constructor (apiCaller) {
+    if (apiCaller) {
+      this.useApi(apiCaller)
+    }
+  }
+
+  useApi (api) {
+    if (!(api instanceof ApiCaller)) {
+      throw new Error('Is not ApiCaller')
+    }
+    this._apiCaller = api
+  }
+
+  /**
+   * Generates a random reference for the issuance or pre-issuance.
+   *
+   * @return {string} Hex-encoded reference.
+   */
+  static generateReference () {
+    return randomBytes(REFERENCE_LENGTH).toString('hex')
+  }
+
+  /**
+   * Fetches the asset.
+   *
+   * @param {string} code Code of the asset.
+   *
+   * @return {Promise.<object>} Asset record.
+   */
+  async getAsset (code) {
+    const { data } = await this._apiCaller.v3.assets.get(code)
+    return data
+  }
+
+  /**
+   * Checks the amount can be issued.
+   *
+   * @param {string} code Code of the asset.
+   * @param {string} amount Amount to issue.
+   *
+   * @return {Promise.<object>} Asset record.
+   */
+  async checkIssuance (code, amount) {
+    const asset = await this.getAsset(code)
+
+    const exceedsMax = new BigNumber(asset.issued || 0)
+      .plus(amount)
+      .gt(asset.maxIssuanceAmount)
+    if (exceedsMax) {
+      throw new Error(
+        `Issuing ${amount} ${code} exceeds the max issuance amount of ${asset.maxIssuanceAmount}`
+      )
+    }
+
+    if (new BigNumber(asset.availableForIssuance).lt(amount)) {
+      throw new Error(
+        `Only ${asset.availableForIssuance} ${code} is available for issuance`
+      )
+    }
+
+    return asset
+  }
+
+  /**
+   * Checks the asset limits and submits the issuance request.
+   *
+   * @param {object} opts
+   * @param {string} opts.asset Code of the asset.
+   * @param {string} opts.amount Amount to issue.
+   * @param {string} opts.receiver Balance ID of the receiver.
+   * @param {string} [opts.reference] Unique reference, a random one by
+   * default.
+   * @param {object} [opts.creatorDetails={}] Details of the request.
+   *
+   * @return {Promise.<object>} `requestId`, `reference`, `fulfilled` flag
+   * set if the request needs no review and the `response` of the
+   * transaction submission.
+   */
+  async issue (opts) {
+    await this.checkIssuance(opts.asset, opts.amount)
+
+    const reference = opts.reference || IssuanceManager.generateReference()
+    const response = await this._apiCaller.postOperations(
+      CreateIssuanceRequestBuilder.createIssuanceRequest({
+        creatorDetails: {},
+        ...opts,
+        reference
+      })
+    )
+
+    return { ...getIssuanceResult(response), reference, response }
+  }
+
+  /**
+   * Signs the pre-issuances with the pre-issuer key and uploads them, many
+   * per transaction.
+   *
+   * @param {object[]} items Pre-issuances.
+   * @param {string} items[].asset Code of the asset.
+   * @param {string} items[].amount Amount to pre-issue.
+   * @param {string} [items[].reference] Unique reference, a random one by
+   * default.
+   * @param {object} [items[].creatorDetails={}] Details of the request.
+   * @param {Keypair} preIssuerKeypair Keypair of the pre-issuance signer of
+   * the assets.
+   * @param {object} [opts] Options of {@link ApiCaller#postOperationsBatched}.
+   *
+   * @return {Promise.<object[]>} Report of
+   * {@link ApiCaller#postOperationsBatched} with the `reference` of every
+   * pre-issuance.
+   */
+  async preIssue (items, preIssuerKeypair, opts = {}) {
+    const codes = _uniq(items.map(item => item.asset))
+    const assets = await Promise.all(codes.map(code => this.getAsset(code)))
+    for (const asset of assets) {
+      if (asset.preIssuanceAssetSigner !== preIssuerKeypair.accountId()) {
+        throw new Error(
+          `${preIssuerKeypair.accountId()} is not the pre-issuance signer of ${asset.id}`
+        )
+      }
+    }
+
+    const references = items.map(item => {
+      return item.reference || IssuanceManager.generateReference()
+    })
+    const operations = items.map((item, i) => {
+      return PreIssuanceRequestOpBuilder.createPreIssuanceRequestOp({
+        request: PreIssuanceRequest.build({
+          asset: item.asset,
+          amount: item.amount,
+          reference: references[i],
+          creatorDetails: item.creatorDetails || {},
+          keyPair: preIssuerKeypair
+        })
+      })
+    })
+
+    const report = await this._apiCaller
+      .postOperationsBatched(operations, opts)
+    return report.map((item, i) => ({ ...item, reference: references[i] }))
+  }
+
+  /**
+   * Waits until the issuance request is reviewed.
+   *
+   * @param {string} requestId ID of the issuance request.
+   * @param {object} [opts] Options of {@link ApiCaller#waitForRequest}.
+   *
+   * @return {Promise.<object>} Reviewed request record.
+   */
+  waitForIssuance (requestId, opts = {}) {
+    return this._apiCaller.waitForRequest(requestId, opts)
+  }
+}
+
+function getIssuanceResult (response) {
+  const resultXdr = _get(response, 'data.data.attributes.resultXdr')
+  if (!resultXdr) {
+    return { requestId: null, fulfilled: null }
+  }
+
+  const result = xdr.TransactionResult.fromXDR(Buffer.from(resultXdr, 'base64'))
+  const success = result.result().results()[0].tr()
+    .createIssuanceRequestResult().success()
+
+  return {
+    requestId: success.requestId().toString(),
+    fulfilled: success.fulfilled()
+  }
+}
@@ -0,0 +1,154 @@
+import sinon from 'sinon'
+
+import { IssuanceManager } from './issuance-manager'
+import { ApiCaller, BATCH_OPERATION_STATUSES } from '../api-caller'
+
+import { Keypair } from '../../base'
+import xdr from '../../base/generated/xdr_generated'
+import { Operation } from '../../base/operation'
+import { Wallet } from '../../wallet'
+
+describe('Issuance manager', () => {
+  const accountId = 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S'
+  const receiver = Keypair.random().balanceId()
+  const preIssuer = Keypair.random()
+
+  let sandbox
+  let api
+  let manager
+  let asset
+
+  function makeIssuanceResult (requestId, fulfilled) {
+    const success = new xdr.CreateIssuanceRequestSuccess({
+      requestId: xdr.Uint64.fromString(requestId),
+      receiver: Keypair.fromAccountId(accountId).xdrAccountId(),
+      fulfilled,
+      fee: new xdr.Fee({
+        fixed: xdr.Uint64.fromString('0'),
+        percent: xdr.Uint64.fromString('0'),
+        ext: new xdr.FeeExt(xdr.LedgerVersion.emptyVersion())
+      }),
+      ext: new xdr.CreateIssuanceRequestSuccessExt(xdr.LedgerVersion.emptyVersion())
+    })
+
+    return new xdr.TransactionResult({
+      feeCharged: xdr.Int64.fromString('0'),
+      result: xdr.TransactionResultResult.txSuccess([
+        xdr.OperationResult.opInner(xdr.OperationResultTr.createIssuanceRequest(
+          xdr.CreateIssuanceRequestResult.success(success)
+        ))
+      ]),
+      ext: new xdr.TransactionResultExt(xdr.LedgerVersion.emptyVersion())
+    }).toXDR().toString('base64')
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    api = ApiCaller.getInstance('https://api.test.com')
+    api.useWallet(new Wallet('foo@bar.com', Keypair.random(), accountId))
+    manager = new IssuanceManager(api)
+
+    asset = {
+      id: 'BTC',
+      issued: '100',
+      maxIssuanceAmount: '1000',
+      availableForIssuance: '50',
+      preIssuanceAssetSigner: preIssuer.accountId()
+    }
+    sandbox.stub(api.v3.assets, 'get').callsFake(async () => ({ data: asset }))
+    sandbox.stub(api, 'postOperations').resolves({
+      data: { data: { attributes: { resultXdr: makeIssuanceResult('77', false) } } }
+    })
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('.generateReference', () => {
+    it('should generate unique references', () => {
+      const reference = IssuanceManager.generateReference()
+
+      expect(reference).to.match(/^[0-9a-f]{32}$/)
+      expect(IssuanceManager.generateReference()).to.not.equal(reference)
+    })
+  })
+
+  describe('.issue', () => {
+    it('should submit the issuance request with a random reference', async () => {
+      const result = await manager.issue({
+        asset: 'BTC',
+        amount: '10',
+        receiver
+      })
+
+      expect(result.requestId).to.equal('77')
+      expect(result.fulfilled).to.be.false
+
+      const op = Operation.operationToObject(api.postOperations.firstCall.args[0])
+      expect(op.type).to.equal('createIssuanceRequest')
+      expect(op.asset).to.equal('BTC')
+      expect(op.amount).to.equal('10')
+      expect(op.reference).to.equal(result.reference)
+      expect(op.reference).to.match(/^[0-9a-f]{32}$/)
+    })
+
+    it('should throw if the amount is not available for issuance', async () => {
+      await expect(manager.issue({ asset: 'BTC', amount: '50.1', receiver }))
+        .to.be.rejectedWith('Only 50 BTC is available for issuance')
+      expect(api.postOperations).to.not.have.been.called
+    })
+
+    it('should throw if the amount exceeds the max issuance amount', async () => {
+      asset.availableForIssuance = '10000'
+
+      await expect(manager.issue({ asset: 'BTC', amount: '900.5', receiver }))
+        .to.be.rejectedWith(
+          'Issuing 900.5 BTC exceeds the max issuance amount of 1000'
+        )
+    })
+  })
+
+  describe('.preIssue', () => {
+    it('should upload the signed pre-issuances in batches', async () => {
+      sandbox.stub(api, 'postOperationsBatched').callsFake(async ops => {
+        return ops.map(() => ({ status: BATCH_OPERATION_STATUSES.success }))
+      })
+
+      const report = await manager.preIssue([
+        { asset: 'BTC', amount: '100', reference: 'first-upload' },
+        { asset: 'BTC', amount: '200' }
+      ], preIssuer, { maxOpsPerTx: 50 })
+
+      const [operations, opts] = api.postOperationsBatched.firstCall.args
+      const op = Operation.operationToObject(operations[0])
+      expect(op.type).to.equal('createPreissuanceRequest')
+      expect(op.request.amount).to.equal('100')
+      expect(op.request.reference).to.equal('first-upload')
+      expect(opts).to.deep.equal({ maxOpsPerTx: 50 })
+      expect(report[0].reference).to.equal('first-upload')
+      expect(report[1].reference).to.match(/^[0-9a-f]{32}$/)
+    })
+
+    it('should refuse to sign with another key', async () => {
+      const stranger = Keypair.random()
+
+      await expect(manager.preIssue([{ asset: 'BTC', amount: '1' }], stranger))
+        .to.be.rejectedWith(
+          `${stranger.accountId()} is not the pre-issuance signer of BTC`
+        )
+    })
+  })
+
+  describe('.waitForIssuance', () => {
+    it('should wait for the review of the request', async () => {
+      sandbox.stub(api, 'waitForRequest').resolves({ id: '77', stateI: 3 })
+
+      await manager.waitForIssuance('77', { timeout: 1000 })
+
+      expect(api.waitForRequest).to.have.been
+        .calledOnceWithExactly('77', { timeout: 1000 })
+    })
+  })
+})
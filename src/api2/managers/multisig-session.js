@@ -0,0 +1,233 @@
+import { Keypair } from '../../base/keypair'
+import { isSyncSigner } from '../../base/signers'
+import { Transaction } from '../../base/transaction'
+import { TransactionBuilder } from '../../base/transaction_builder'
+
+import { SignersManager, SIGNERS_THRESHOLD } from './signers-manager'
+import { ApiCaller } from '../api-caller'
+
+/**
+ * @class MultisigSession
+ *
+ * Coordinates signing of a transaction by several signers of the same
+ * account. The partially signed envelope can be passed between the signers
+ * as a base64 string, the signatures of different copies can be merged.
+ *
+ * Signers with the same identity are treated as one: only the biggest weight
+ * among them counts towards the threshold, the same way the core does it.
+ *
+ * --- USAGE: ---
+ *
+ * const session = MultisigSession.fromOperations(api, [operation])
+ * session.sign(firstKeypair)
+ * const envelope = session.toEnvelope() // send it to the other signer
+ *
+ * const otherSession = MultisigSession.fromEnvelope(api, envelope)
+ * await otherSession.sign(remoteSigner) // asynchronous signers return promises
+ *
+ * await session.merge(otherSession.toEnvelope())
+ * const { isReady } = await session.getStatus()
+ * if (isReady) await session.submit()
+ */
+export class MultisigSession {
+  /**
+   * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
+   * @param {Transaction|string} transaction Transaction or base64-encoded
+   * envelope to coordinate.
+   * @param {object} [opts]
+   * @param {number} [opts.threshold=1000] Weight required to submit the
+   * transaction.
+   */
+  constructor (apiCaller, transaction, opts = {}) {
+    if (!(apiCaller instanceof ApiCaller)) {
+      throw new Error('Is not ApiCaller')
+    }
+
+    this._apiCaller = apiCaller
+    this._signersManager = new SignersManager(apiCaller)
+    this._transaction = transaction instanceof Transaction
+      ? transaction
+      : new Transaction(transaction)
+    this._threshold = opts.threshold || SIGNERS_THRESHOLD
+  }
+
+  /**
+   * Builds a new unsigned transaction with the provided operations.
+   *
+   * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
+   * @param {xdr.Operation[]} operations Operations to include.
+   * @param {object} [opts]
+   * @param {string} [opts.sourceAccount] Transaction source account ID,
+   * the account of the API caller's wallet by default.
+   * @param {number} [opts.threshold=1000] Weight required to submit the
+   * transaction.
+   *
+   * @return {MultisigSession}
+   */
+  static fromOperations (apiCaller, operations, opts = {}) {
+    const sourceAccount = opts.sourceAccount || apiCaller.wallet.accountId
+    const transaction = new TransactionBuilder(sourceAccount)
+      .addOperations(operations)
+      .build()
+
+    return new MultisigSession(apiCaller, transaction, opts)
+  }
+
+  /**
+   * Restores a session from a (partially) signed envelope.
+   *
+   * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
+   * @param {string} envelope Base64-encoded transaction envelope.
+   * @param {object} [opts] See {@link MultisigSession.fromOperations}.
+   *
+   * @return {MultisigSession}
+   */
+  static fromEnvelope (apiCaller, envelope, opts = {}) {
+    return new MultisigSession(apiCaller, envelope, opts)
+  }
+
+  /**
+   * The coordinated transaction.
+   */
+  get transaction () {
+    return this._transaction
+  }
+
+  /**
+   * Signs the transaction. Does nothing if the signer has already signed it.
+   *
+   * @param {Keypair|BaseSigner} signer Signer's keypair or asynchronous
+   * signer.
+   *
+   * @return {MultisigSession|Promise.<MultisigSession>} The same session to
+   * chain the calls, wrapped in a promise if the signer is asynchronous.
+   */
+  sign (signer) {
+    const isSync = isSyncSigner(signer)
+
+    if (this._isSignedBy(signer.accountId())) {
+      return isSync ? this : Promise.resolve(this)
+    }
+
+    const signed = this._transaction.sign(signer)
+    return isSync ? this : signed.then(() => this)
+  }
+
+  /**
+   * Adds the signatures from other copies of the same transaction. Every
+   * signature is verified against the transaction hash with the public key
+   * of the account signer its hint points to, nothing is merged if any of
+   * them does not verify.
+   *
+   * @param {...string} envelopes Base64-encoded envelopes of the transaction.
+   *
+   * @return {Promise.<MultisigSession>} The same session to chain the calls.
+   */
+  async merge (...envelopes) {
+    const txHash = this._transaction.hash()
+    const copies = envelopes.map(envelope => new Transaction(envelope))
+
+    if (copies.some(copy => !copy.hash().equals(txHash))) {
+      throw new Error('Cannot merge signatures of a different transaction')
+    }
+
+    const signers = await this._signersManager
+      .getSigners(this._transaction.source)
+    const keypairs = signers.map(signer => Keypair.fromAccountId(signer.id))
+    const signatures = [].concat(...copies.map(copy => copy.signatures))
+
+    const isValid = signature => keypairs.some(keypair => {
+      return signature.hint().equals(keypair.signatureHint()) &&
+        keypair.verify(txHash, signature.signature())
+    })
+    if (!signatures.every(isValid)) {
+      throw new Error('Cannot merge a signature not made by a signer of the account')
+    }
+
+    for (const signature of signatures) {
+      if (!this._hasSignature(signature)) {
+        this._transaction.signatures.push(signature)
+      }
+    }
+
+    return this
+  }
+
+  /**
+   * Fetches the signers of the source account and checks which of them have
+   * signed the transaction.
+   *
+   * @return {Promise.<object>} Status: `signers` with `hasSigned` flag,
+   * `signedWeight`, `threshold` and `isReady` flag.
+   */
+  async getStatus () {
+    const signers = await this._signersManager
+      .getSigners(this._transaction.source)
+
+    const signersStatus = signers.map(signer => ({
+      id: signer.id,
+      weight: Number(signer.weight),
+      identity: Number(signer.identity),
+      roleId: signer.role ? String(signer.role.id) : '',
+      hasSigned: this._isSignedBy(signer.id)
+    }))
+
+    const signedWeight = SignersManager.calculateWeight(
+      signersStatus.filter(signer => signer.hasSigned)
+    )
+
+    return {
+      signers: signersStatus,
+      signedWeight,
+      threshold: this._threshold,
+      isReady: signedWeight >= this._threshold
+    }
+  }
+
+  /**
+   * Submits the transaction if the threshold is reached.
+   *
+   * @param {object} [opts]
+   * @param {boolean} [opts.force=false] Submit without checking the threshold.
+   *
+   * @return {Promise} Response of {@link ApiCaller#postTxEnvelope}.
+   */
+  async submit ({ force = false } = {}) {
+    if (!force) {
+      const { isReady, signedWeight, threshold } = await this.getStatus()
+      if (!isReady) {
+        throw new Error(
+          `Signed weight ${signedWeight} does not reach the threshold ${threshold}`
+        )
+      }
+    }
+
+    return this._apiCaller.postTxEnvelope(this.toEnvelope())
+  }
+
+  /**
+   * @return {string} Base64-encoded transaction envelope.
+   */
+  toEnvelope () {
+    return this._transaction
+      .toEnvelope()
+      .toXDR()
+      .toString('base64')
+  }
+
+  _isSignedBy (publicKey) {
+    const keypair = Keypair.fromAccountId(publicKey)
+    const hint = keypair.signatureHint()
+    const txHash = this._transaction.hash()
+
+    return this._transaction.signatures.some(signature => {
+      return signature.hint().equals(hint) &&
+        keypair.verify(txHash, signature.signature())
+    })
+  }
+
+  _hasSignature (signature) {
+    return this._transaction.signatures
+      .some(item => item.signature().equals(signature.signature()))
+  }
+}
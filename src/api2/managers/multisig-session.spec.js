@@ -0,0 +1,175 @@
+import sinon from 'sinon'
+
+import { MultisigSession } from './multisig-session'
+import { ApiCaller } from '../api-caller'
+
+import { Keypair, RemoteSigner } from '../../base'
+import { ManageKeyValueBuilder } from '../../base/operations/manage_key_value_builder'
+import { Wallet } from '../../wallet'
+
+describe('MultisigSession', () => {
+  const masterKp = Keypair.random()
+  const firstKp = Keypair.random()
+  const secondKp = Keypair.random()
+  const thirdKp = Keypair.random()
+
+  let sandbox
+  let api
+
+  function makeSession (key = 'foo') {
+    return MultisigSession.fromOperations(api, [
+      ManageKeyValueBuilder.deleteKeyValue({ key })
+    ])
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    api = ApiCaller.getInstance('https://api.test.com')
+    api.useWallet(new Wallet('foo@bar.com', masterKp, masterKp.accountId()))
+
+    sandbox.stub(api, 'get')
+      .withArgs(`/v3/accounts/${masterKp.accountId()}/signers`)
+      .resolves({
+        data: [
+          { id: firstKp.accountId(), weight: 500, identity: 1, role: { id: '2' } },
+          { id: secondKp.accountId(), weight: 500, identity: 2, role: { id: '2' } },
+          { id: thirdKp.accountId(), weight: 700, identity: 1, role: { id: '2' } }
+        ]
+      })
+    sandbox.stub(api, 'postTxEnvelope').resolves({ data: {} })
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('sign', () => {
+    it('should not add the same signer twice', () => {
+      const session = makeSession()
+
+      session.sign(firstKp).sign(firstKp)
+
+      expect(session.transaction.signatures).to.have.lengthOf(1)
+    })
+
+    it('should sign with an asynchronous signer', async () => {
+      const signFn = sinon.stub().callsFake(async data => firstKp.sign(data))
+      const signer = new RemoteSigner(firstKp.accountId(), signFn)
+      const session = makeSession()
+
+      expect(await session.sign(signer)).to.equal(session)
+      expect(await session.sign(signer)).to.equal(session)
+
+      expect(signFn).to.have.been.calledOnce
+      expect(session.transaction.signatures).to.have.lengthOf(1)
+      expect((await session.getStatus()).signers[0].hasSigned).to.be.true
+    })
+
+    it('should reject if the asynchronous signer fails', async () => {
+      const signer = new RemoteSigner(
+        firstKp.accountId(),
+        async () => { throw new Error('KMS is unavailable') }
+      )
+      const session = makeSession()
+
+      await expect(session.sign(signer)).to.be.rejectedWith('KMS is unavailable')
+      expect(session.transaction.signatures).to.be.empty
+    })
+  })
+
+  describe('merge', () => {
+    it('should merge signatures of different envelope copies', async () => {
+      const session = makeSession().sign(firstKp)
+      const copy = MultisigSession.fromEnvelope(api, session.toEnvelope())
+        .sign(secondKp)
+
+      await session.merge(copy.toEnvelope())
+
+      expect(session.transaction.signatures).to.have.lengthOf(2)
+    })
+
+    it('should throw if the envelope has another transaction', async () => {
+      const session = makeSession()
+      const another = makeSession('bar').sign(secondKp)
+
+      await expect(session.merge(another.toEnvelope()))
+        .to.be.rejectedWith('Cannot merge signatures of a different transaction')
+    })
+
+    it('should throw if a signature does not match the transaction', async () => {
+      const session = makeSession()
+      const copy = MultisigSession.fromEnvelope(api, session.toEnvelope())
+        .sign(firstKp)
+      const signature = makeSession('bar').sign(secondKp).transaction.signatures[0]
+      copy.transaction.signatures.push(signature)
+
+      await expect(session.merge(copy.toEnvelope())).to.be.rejectedWith(
+        'Cannot merge a signature not made by a signer of the account'
+      )
+      expect(session.transaction.signatures).to.be.empty
+    })
+
+    it('should throw if a signature is made by an unknown signer', async () => {
+      const session = makeSession()
+      const copy = MultisigSession.fromEnvelope(api, session.toEnvelope())
+        .sign(Keypair.random())
+
+      await expect(session.merge(copy.toEnvelope())).to.be.rejectedWith(
+        'Cannot merge a signature not made by a signer of the account'
+      )
+    })
+  })
+
+  describe('getStatus', () => {
+    it('should list signed signers and count the weight per identity', async () => {
+      const session = makeSession().sign(firstKp).sign(thirdKp)
+
+      const status = await session.getStatus()
+
+      expect(status.signers.map(signer => signer.hasSigned))
+        .to.deep.equal([true, false, true])
+      expect(status.signedWeight).to.equal(700)
+      expect(status.threshold).to.equal(1000)
+      expect(status.isReady).to.be.false
+    })
+
+    it('should be ready when the threshold is reached', async () => {
+      const session = makeSession().sign(secondKp).sign(thirdKp)
+
+      const status = await session.getStatus()
+
+      expect(status.signedWeight).to.equal(1200)
+      expect(status.isReady).to.be.true
+    })
+
+    it('should not count signatures of other transactions', async () => {
+      const session = makeSession()
+      const signature = makeSession('bar').sign(firstKp).transaction.signatures[0]
+      session.transaction.signatures.push(signature)
+
+      const status = await session.getStatus()
+
+      expect(status.signedWeight).to.equal(0)
+    })
+  })
+
+  describe('submit', () => {
+    it('should submit the envelope when the threshold is reached', async () => {
+      const session = makeSession().sign(secondKp).sign(thirdKp)
+
+      await session.submit()
+
+      expect(api.postTxEnvelope)
+        .to.have.been.calledOnceWithExactly(session.toEnvelope())
+    })
+
+    it('should throw when the threshold is not reached', async () => {
+      const session = makeSession().sign(firstKp)
+
+      await expect(session.submit())
+        .to.be.rejectedWith('Signed weight 500 does not reach the threshold 1000')
+      expect(api.postTxEnvelope).to.not.have.been.called
+    })
+  })
+})
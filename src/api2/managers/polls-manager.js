@@ -0,0 +1,330 @@
+import _get from 'lodash/get'
+
+import { Keypair } from '../../base/keypair'
+import { Transaction } from '../../base/transaction'
+import xdr from '../../base/generated/xdr_generated'
+import { ManageCreatePollRequestBuilder } from '../../base/operations/manage_create_poll_request_builder'
+import { ManagePollBuilder } from '../../base/operations/manage_poll_builder'
+import { ManageVoteBuilder } from '../../base/operations/manage_vote_builder'
+import { ApiCaller } from '../api-caller'
+
+import { POLL_STATES } from '../../const'
+
+/**
+ * PollsManager creates polls, casts the votes of the wallet and computes the
+ * results of the polls.
+ *
+ * Votes in polls with `voteConfirmationRequired` must be signed by the result
+ * provider of the poll too. Pass a `confirm` callback to {@link #vote} that
+ * sends the envelope to the result provider, who signs it with
+ * {@link #confirmVote}.
+ *
+ * @example
+ * const manager = new PollsManager(api)
+ * await manager.vote(pollId, 2)
+ * const { choices, turnout } = await manager.getResults(pollId, {
+ *   eligibleVoters: 150
+ * })
+ */
+export class PollsManager {
+  /**
+   * PollsManager constructor.
+   *
+   * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
+   */
+  constructor (apiCaller) {
+    if (apiCaller) {
+      this.useApi(apiCaller)
+    }
+  }
+
+  useApi (api) {
+    if (!(api instanceof ApiCaller)) {
+      throw new Error('Is not ApiCaller')
+    }
+    this._apiCaller = api
+  }
+
+  /**
+   * Validates the config and submits the poll creation request.
+   *
+   * @param {object} config
+   * @param {number} config.numberOfChoices Number of choices, at least 2.
+   * @param {string} config.startTime Unix timestamp of voting start.
+   * @param {string} config.endTime Unix timestamp of voting end.
+   * @param {number} config.permissionType Permission type restricting the
+   * voters through the account rules.
+   * @param {string} config.resultProviderID Account ID of the result
+   * provider.
+   * @param {boolean} [config.voteConfirmationRequired=false] Require the
+   * votes to be signed by the result provider.
+   * @param {object} [config.creatorDetails={}] Details of the poll, e.g.
+   * question and choice names.
+   * @param {number} [config.allTasks] Tasks of the request.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  createPoll (config) {
+    validatePollConfig(config)
+
+    const operation = ManageCreatePollRequestBuilder.createPollRequest({
+      voteConfirmationRequired: false,
+      creatorDetails: {},
+      ...config,
+      numberOfChoices: Number(config.numberOfChoices),
+      permissionType: Number(config.permissionType),
+      startTime: String(config.startTime),
+      endTime: String(config.endTime),
+      pollType: xdr.PollType.singleChoice().value
+    })
+
+    return this._apiCaller.postOperations(operation)
+  }
+
+  /**
+   * Cancels the poll. Must be signed by the poll owner.
+   *
+   * @param {string} pollId ID of the poll.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  cancelPoll (pollId) {
+    return this._apiCaller.postOperations(
+      ManagePollBuilder.cancelPoll({ pollID: String(pollId) })
+    )
+  }
+
+  /**
+   * Closes the poll. Must be signed by the result provider.
+   *
+   * @param {string} pollId ID of the poll.
+   * @param {object} opts
+   * @param {boolean} opts.isPassed Set `true` if the poll has passed.
+   * @param {object} [opts.details={}] Details of the result.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  closePoll (pollId, { isPassed, details = {} }) {
+    return this._apiCaller.postOperations(ManagePollBuilder.closePoll({
+      pollID: String(pollId),
+      result: isPassed
+        ? xdr.PollResult.passed().value
+        : xdr.PollResult.failed().value,
+      details
+    }))
+  }
+
+  /**
+   * Fetches the poll.
+   *
+   * @param {string} pollId ID of the poll.
+   *
+   * @return {Promise.<object>} Poll record, see {@link POLL_STATES} for the
+   * `pollState.value`.
+   */
+  async getPoll (pollId) {
+    const { data } = await this._apiCaller.v3.polls.get(pollId)
+    return data
+  }
+
+  /**
+   * Fetches all the votes of the poll. Requires the signature of the poll
+   * owner or the result provider.
+   *
+   * @param {string} pollId ID of the poll.
+   *
+   * @return {Promise.<object[]>} Vote records.
+   */
+  async getVotes (pollId) {
+    const votes = []
+    const endpoint = `/v3/polls/${pollId}/relationships/votes`
+    for await (const vote of this._apiCaller.paginate(endpoint, {}, {
+      needSign: true
+    })) {
+      votes.push(vote)
+    }
+
+    return votes
+  }
+
+  /**
+   * Fetches the vote of the account.
+   *
+   * @param {string} pollId ID of the poll.
+   * @param {string} [voterId] Account ID of the voter, the account of the
+   * API caller's wallet by default.
+   *
+   * @return {Promise.<object>} Vote record.
+   */
+  async getVote (pollId, voterId) {
+    const accountId = voterId || this._apiCaller.wallet.accountId
+    const { data } = await this._apiCaller.getWithSignature(
+      `/v3/polls/${pollId}/relationships/votes/${accountId}`
+    )
+
+    return data
+  }
+
+  /**
+   * Votes for the choice with the wallet.
+   *
+   * @param {string} pollId ID of the poll.
+   * @param {number} choice Choice, from 1 to the number of choices.
+   * @param {object} [opts]
+   * @param {Function} [opts.confirm] Async function receiving the signed
+   * base64-encoded envelope and returning it signed by the result provider.
+   * Required for the polls with `voteConfirmationRequired`.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  async vote (pollId, choice, opts = {}) {
+    const poll = await this.getPoll(pollId)
+
+    const numberOfChoices = Number(poll.numberOfChoices)
+    if (!Number.isInteger(choice) || choice < 1 || choice > numberOfChoices) {
+      throw new Error(`choice must be an integer from 1 to ${numberOfChoices}`)
+    }
+
+    if (poll.voteConfirmationRequired && !opts.confirm) {
+      throw new Error(
+        `Poll ${pollId} requires the votes to be confirmed by the result provider`
+      )
+    }
+
+    const operation = ManageVoteBuilder.createSingleChoiceVote({
+      pollID: String(pollId),
+      choice
+    })
+    if (!poll.voteConfirmationRequired) {
+      return this._apiCaller.postOperations(operation)
+    }
+
+    const envelope = await this._apiCaller.getTransaction(operation)
+    return this._apiCaller.postTxEnvelope(await opts.confirm(envelope))
+  }
+
+  /**
+   * Signs the vote envelope as the result provider of the poll.
+   *
+   * @param {string} envelope Base64-encoded envelope built by {@link #vote}.
+   * @param {Keypair|BaseSigner} resultProviderKeypair Keypair or asynchronous
+   * signer of the result provider.
+   *
+   * @return {Promise.<string>} Envelope signed by the result provider.
+   */
+  async confirmVote (envelope, resultProviderKeypair) {
+    const transaction = new Transaction(envelope)
+    const [operation, ...rest] = transaction.operations
+    if (rest.length || _get(operation, 'type') !== 'manageVote' ||
+      !operation.choice) {
+      throw new Error('Envelope must contain a single vote operation')
+    }
+
+    const poll = await this.getPoll(operation.pollID)
+    if (_get(poll, 'resultProvider.id') !== resultProviderKeypair.accountId()) {
+      throw new Error(
+        `${resultProviderKeypair.accountId()} is not the result provider of poll ${operation.pollID}`
+      )
+    }
+
+    await transaction.sign(resultProviderKeypair)
+    return transaction.toEnvelope().toXDR().toString('base64')
+  }
+
+  /**
+   * Removes the vote of the wallet.
+   *
+   * @param {string} pollId ID of the poll.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  removeVote (pollId) {
+    return this._apiCaller.postOperations(
+      ManageVoteBuilder.removeVote({ pollID: String(pollId) })
+    )
+  }
+
+  /**
+   * Fetches the poll and its votes and computes the results.
+   *
+   * @param {string} pollId ID of the poll.
+   * @param {object} [opts] See {@link PollsManager.computeTally}.
+   *
+   * @return {Promise.<object>} Results, see {@link PollsManager.computeTally}.
+   */
+  async getResults (pollId, opts = {}) {
+    const [poll, votes] = await Promise.all([
+      this.getPoll(pollId),
+      this.getVotes(pollId)
+    ])
+
+    return PollsManager.computeTally(poll, votes, opts)
+  }
+
+  /**
+   * Counts the votes of the poll.
+   *
+   * @param {object} poll Poll record.
+   * @param {object[]} votes Vote records of the poll.
+   * @param {object} [opts]
+   * @param {number} [opts.eligibleVoters] Number of accounts allowed to vote,
+   * used to calculate the turnout.
+   *
+   * @return {object} `totalVotes`, `choices` with `choice`, `votes` and
+   * `share` of the votes, `leaders` (the choices with most votes), `turnout`
+   * (`null` if `eligibleVoters` is unknown) and `isFinished` flag.
+   */
+  static computeTally (poll, votes, opts = {}) {
+    const numberOfChoices = Number(poll.numberOfChoices)
+    const counts = new Array(numberOfChoices).fill(0)
+
+    for (const vote of votes) {
+      const choice = Number(_get(vote, 'voteData.singleChoice'))
+      if (choice >= 1 && choice <= numberOfChoices) {
+        counts[choice - 1]++
+      }
+    }
+
+    const totalVotes = counts.reduce((sum, count) => sum + count, 0)
+    const maxVotes = Math.max(...counts)
+    const choices = counts.map((count, i) => ({
+      choice: i + 1,
+      votes: count,
+      share: totalVotes ? count / totalVotes : 0
+    }))
+
+    return {
+      totalVotes,
+      choices,
+      leaders: totalVotes
+        ? choices.filter(item => item.votes === maxVotes).map(item => item.choice)
+        : [],
+      turnout: opts.eligibleVoters ? totalVotes / opts.eligibleVoters : null,
+      isFinished: Number(_get(poll, 'pollState.value')) !== POLL_STATES.open
+    }
+  }
+}
+
+function validatePollConfig (config) {
+  const numberOfChoices = Number(config.numberOfChoices)
+  if (!Number.isInteger(numberOfChoices) || numberOfChoices < 2) {
+    throw new Error('config.numberOfChoices must be an integer greater than 1')
+  }
+
+  const permissionType = Number(config.permissionType)
+  if (!Number.isInteger(permissionType) || permissionType < 0) {
+    throw new Error('config.permissionType must be a non-negative integer')
+  }
+
+  if (!Keypair.isValidPublicKey(config.resultProviderID)) {
+    throw new Error('config.resultProviderID is invalid')
+  }
+
+  if (!/^\d+$/.test(config.startTime) || !/^\d+$/.test(config.endTime)) {
+    throw new Error('config.startTime and config.endTime must be Unix timestamps')
+  }
+
+  if (Number(config.endTime) <= Number(config.startTime)) {
+    throw new Error('config.endTime must be after config.startTime')
+  }
+}
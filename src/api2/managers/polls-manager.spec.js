@@ -0,0 +1,242 @@
+import sinon from 'sinon'
+
+import { PollsManager } from './polls-manager'
+import { ApiCaller } from '../api-caller'
+
+import {
+  Keypair,
+  Transaction,
+  ManageVoteBuilder,
+  RemoteSigner
+} from '../../base'
+import { Operation } from '../../base/operation'
+import { Wallet } from '../../wallet'
+import { POLL_STATES } from '../../const'
+
+describe('Polls manager', () => {
+  const accountId = 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S'
+  const resultProvider = Keypair.random()
+
+  let sandbox
+  let api
+  let manager
+  let poll
+
+  function makeVote (choice) {
+    return {
+      id: Keypair.random().accountId(),
+      voteData: { pollType: 0, singleChoice: choice }
+    }
+  }
+
+  function getPostedOperation () {
+    return Operation.operationToObject(api.postOperations.firstCall.args[0])
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    api = ApiCaller.getInstance('https://api.test.com')
+    api.useWallet(new Wallet('foo@bar.com', Keypair.random(), accountId))
+    manager = new PollsManager(api)
+
+    poll = {
+      id: '7',
+      numberOfChoices: 3,
+      voteConfirmationRequired: false,
+      resultProvider: { id: resultProvider.accountId() },
+      pollState: { value: POLL_STATES.open }
+    }
+    sandbox.stub(api.v3.polls, 'get').callsFake(async () => ({ data: poll }))
+    sandbox.stub(api, 'postOperations').resolves({ data: {} })
+    sandbox.stub(api, 'postTxEnvelope').resolves({ data: {} })
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('.createPoll', () => {
+    const config = {
+      numberOfChoices: 3,
+      startTime: '1600000000',
+      endTime: '1600086400',
+      permissionType: 1,
+      resultProviderID: resultProvider.accountId()
+    }
+
+    it('should submit the poll creation request', async () => {
+      await manager.createPoll({ ...config, creatorDetails: { question: '?' } })
+
+      const op = getPostedOperation()
+      expect(op.type).to.equal('manageCreatePollRequest')
+      expect(op.numberOfChoices).to.equal(3)
+      expect(op.resultProviderID).to.equal(resultProvider.accountId())
+      expect(op.voteConfirmationRequired).to.be.false
+    })
+
+    it('should validate the config', () => {
+      expect(() => manager.createPoll({ ...config, numberOfChoices: 1 }))
+        .to.throw('config.numberOfChoices must be an integer greater than 1')
+      expect(() => manager.createPoll({ ...config, permissionType: -1 }))
+        .to.throw('config.permissionType must be a non-negative integer')
+      expect(() => manager.createPoll({ ...config, resultProviderID: 'foo' }))
+        .to.throw('config.resultProviderID is invalid')
+      expect(() => manager.createPoll({ ...config, startTime: 'tomorrow' }))
+        .to.throw('config.startTime and config.endTime must be Unix timestamps')
+      expect(() => manager.createPoll({ ...config, endTime: '1500000000' }))
+        .to.throw('config.endTime must be after config.startTime')
+      expect(api.postOperations).to.not.have.been.called
+    })
+  })
+
+  describe('.vote', () => {
+    it('should submit the vote', async () => {
+      await manager.vote('7', 2)
+
+      const op = getPostedOperation()
+      expect(op.type).to.equal('manageVote')
+      expect(op.pollID).to.equal('7')
+      expect(op.choice).to.equal('2')
+    })
+
+    it('should reject a choice out of range', async () => {
+      await expect(manager.vote('7', 4))
+        .to.be.rejectedWith('choice must be an integer from 1 to 3')
+      expect(api.postOperations).to.not.have.been.called
+    })
+
+    it('should require the confirmation callback if confirmation is required', async () => {
+      poll.voteConfirmationRequired = true
+
+      await expect(manager.vote('7', 1)).to.be.rejectedWith(
+        'Poll 7 requires the votes to be confirmed by the result provider'
+      )
+    })
+
+    it('should submit the vote confirmed by the result provider', async () => {
+      poll.voteConfirmationRequired = true
+
+      await manager.vote('7', 1, {
+        confirm: envelope => manager.confirmVote(envelope, resultProvider)
+      })
+
+      const envelope = api.postTxEnvelope.firstCall.args[0]
+      const tx = new Transaction(envelope)
+      expect(tx.operations[0].choice).to.equal('1')
+      expect(tx.signatures).to.have.lengthOf(2)
+      expect(tx.describe({ signers: [resultProvider.accountId()] })
+        .signatures[1].signer).to.equal(resultProvider.accountId())
+    })
+  })
+
+  describe('.confirmVote', () => {
+    it('should sign with an asynchronous signer of the result provider', async () => {
+      const envelope = api.getTransaction(
+        ManageVoteBuilder.createSingleChoiceVote({ pollID: '7', choice: 1 })
+      )
+      const signer = new RemoteSigner(
+        resultProvider.accountId(),
+        async data => resultProvider.sign(data)
+      )
+
+      const confirmed = new Transaction(
+        await manager.confirmVote(envelope, signer)
+      )
+
+      expect(confirmed.describe({ signers: [resultProvider.accountId()] })
+        .signatures.pop().signer).to.equal(resultProvider.accountId())
+    })
+
+    it('should reject if the asynchronous signer fails', async () => {
+      const envelope = api.getTransaction(
+        ManageVoteBuilder.createSingleChoiceVote({ pollID: '7', choice: 1 })
+      )
+      const signer = new RemoteSigner(
+        resultProvider.accountId(),
+        async () => { throw new Error('KMS is unavailable') }
+      )
+
+      await expect(manager.confirmVote(envelope, signer))
+        .to.be.rejectedWith('KMS is unavailable')
+    })
+
+    it('should refuse to sign for another result provider', async () => {
+      const envelope = api.getTransaction(
+        ManageVoteBuilder.createSingleChoiceVote({ pollID: '7', choice: 1 })
+      )
+      const stranger = Keypair.random()
+
+      await expect(manager.confirmVote(envelope, stranger)).to.be.rejectedWith(
+        `${stranger.accountId()} is not the result provider of poll 7`
+      )
+    })
+
+    it('should refuse to sign other operations', async () => {
+      const envelope = api.getTransaction(
+        ManageVoteBuilder.removeVote({ pollID: '7' })
+      )
+
+      await expect(manager.confirmVote(envelope, resultProvider))
+        .to.be.rejectedWith('Envelope must contain a single vote operation')
+    })
+  })
+
+  describe('.removeVote', () => {
+    it('should submit the vote removal', async () => {
+      await manager.removeVote('7')
+
+      const op = getPostedOperation()
+      expect(op.type).to.equal('manageVote')
+      expect(op.pollID).to.equal('7')
+    })
+  })
+
+  describe('.getResults', () => {
+    it('should count the votes of all the pages', async () => {
+      sandbox.stub(api, 'get').resolves({
+        data: [makeVote(1), makeVote(3)],
+        fetchNext: async () => ({ data: [makeVote(3), makeVote(3)] })
+      })
+
+      const results = await manager.getResults('7', { eligibleVoters: 8 })
+
+      expect(api.get).to.have.been.calledOnceWith(
+        '/v3/polls/7/relationships/votes', {}, true
+      )
+      expect(results).to.deep.equal({
+        totalVotes: 4,
+        choices: [
+          { choice: 1, votes: 1, share: 0.25 },
+          { choice: 2, votes: 0, share: 0 },
+          { choice: 3, votes: 3, share: 0.75 }
+        ],
+        leaders: [3],
+        turnout: 0.5,
+        isFinished: false
+      })
+    })
+  })
+
+  describe('.computeTally', () => {
+    it('should report the ties and no turnout', () => {
+      const results = PollsManager.computeTally(
+        { numberOfChoices: '2', pollState: { value: POLL_STATES.passed } },
+        [makeVote(1), makeVote(2), makeVote(5)]
+      )
+
+      expect(results.totalVotes).to.equal(2)
+      expect(results.leaders).to.deep.equal([1, 2])
+      expect(results.turnout).to.be.null
+      expect(results.isFinished).to.be.true
+    })
+
+    it('should handle the polls without votes', () => {
+      const results = PollsManager.computeTally(poll, [])
+
+      expect(results.totalVotes).to.equal(0)
+      expect(results.leaders).to.deep.equal([])
+      expect(results.choices[0].share).to.equal(0)
+    })
+  })
+})
@@ -0,0 +1,391 @@
+import BigNumber from 'bignumber.js'
+import _get from 'lodash/get'
+
+import { Operation } from '../../base/operation'
+import { ApiCaller } from '../api-caller'
+
+import {
+  ASSET_POLICIES,
+  ASSET_PAIR_POLICIES,
+  FEE_TYPES,
+  PAYMENT_FEE_SUBTYPES,
+  STATS_OPERATION_TYPES
+} from '../../const'
+import { NotFoundError } from '../../errors'
+
+/**
+ * Codes of the predicted failures. Match the operation result codes the core
+ * would return for the same problem.
+ */
+export const PREFLIGHT_FAILURE_CODES = Object.freeze({
+  balanceNotFound: 'op_balance_not_found',
+  underfunded: 'op_underfunded',
+  limitsExceeded: 'op_limits_exceeded',
+  insufficientFee: 'op_insufficient_fee',
+  notTransferable: 'op_not_transferable',
+  assetNotWithdrawable: 'op_asset_not_withdrawable',
+  assetPairNotFound: 'op_asset_pair_not_found',
+  assetPairNotTradable: 'op_asset_pair_not_tradable'
+})
+
+const LIMIT_PERIODS = ['daily', 'weekly', 'monthly', 'annual']
+
+/**
+ * PreflightManager predicts the failures of the operations before they are
+ * submitted. It fetches the balances, limits, fees and asset policies of the
+ * operations' source account and checks the operations against them in the
+ * order they would be applied by the core.
+ *
+ * Only payments, withdrawal requests and new offers are checked, other
+ * operations are reported with `isSimulated: false`. The prediction is not a
+ * guarantee: the state can change before the transaction is submitted.
+ *
+ * @example
+ * const manager = new PreflightManager(api)
+ * const { isSuccessful, operations } = await manager.simulate(paymentOp)
+ * if (!isSuccessful) {
+ *   console.log(operations[0].failures) // [{ code: 'op_underfunded', ... }]
+ * }
+ */
+export class PreflightManager {
+  /**
+   * PreflightManager constructor.
+   *
+   * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
+   */
+  constructor (apiCaller) {
+    if (apiCaller) {
+      this.useApi(apiCaller)
+    }
+  }
+
+  useApi (api) {
+    if (!(api instanceof ApiCaller)) {
+      throw new Error('Is not ApiCaller')
+    }
+    this._apiCaller = api
+  }
+
+  /**
+   * Simulates the operations without submitting them.
+   *
+   * @param {...xdr.Operation} operations Operations to check, the same ones
+   * passed to {@link ApiCaller#postOperations}.
+   *
+   * @return {Promise.<object>} Simulation report: `isSuccessful` flag and
+   * `operations` array with `index`, `type`, `isSimulated` and `failures`
+   * (`code` and `message`) of every operation.
+   */
+  async simulate (...operations) {
+    const state = {
+      accounts: {},
+      assets: {},
+      assetPairs: {},
+      spentBalances: {},
+      spentLimits: {}
+    }
+
+    const results = []
+    for (const [index, operation] of operations.entries()) {
+      const op = Operation.operationToObject(operation)
+      op.source = op.source || this._apiCaller.wallet.accountId
+
+      const checker = this._getChecker(op.type)
+      results.push({
+        index,
+        type: op.type,
+        isSimulated: Boolean(checker),
+        failures: checker ? await checker.call(this, op, state) : []
+      })
+    }
+
+    return {
+      isSuccessful: results.every(result => !result.failures.length),
+      operations: results
+    }
+  }
+
+  _getChecker (type) {
+    switch (type) {
+      case 'payment':
+        return this._checkPayment
+      case 'createWithdrawalRequest':
+        return this._checkWithdrawal
+      case 'manageOffer':
+        return this._checkOffer
+      default:
+        return null
+    }
+  }
+
+  async _checkPayment (op, state) {
+    const account = await this._getAccount(op.source, state)
+    const balance = findBalance(account, op.sourceBalanceId)
+    if (!balance) {
+      return [balanceNotFoundFailure(op.sourceBalanceId)]
+    }
+
+    const failures = []
+    const assetCode = balance.asset.id
+
+    const asset = await this._getAsset(assetCode, state)
+    if (!hasPolicy(asset, ASSET_POLICIES.transferable)) {
+      failures.push({
+        code: PREFLIGHT_FAILURE_CODES.notTransferable,
+        message: `Asset ${assetCode} is not transferable`
+      })
+    }
+
+    const sourceFee = op.feeData.sourceFee
+    const destinationFee = op.feeData.destinationFee
+    failures.push(...await this._checkFee({
+      accountId: account.id,
+      asset: assetCode,
+      feeType: FEE_TYPES.paymentFee,
+      subtype: PAYMENT_FEE_SUBTYPES.outgoing,
+      amount: op.amount,
+      paidFee: sumAmounts(sourceFee.fixed, sourceFee.percent)
+    }))
+
+    const totalAmount = op.feeData.sourcePaysForDest
+      ? sumAmounts(op.amount, sourceFee.fixed, sourceFee.percent,
+        destinationFee.fixed, destinationFee.percent)
+      : sumAmounts(op.amount, sourceFee.fixed, sourceFee.percent)
+    failures.push(...spendBalance(balance, totalAmount, state))
+
+    failures.push(...spendLimits({
+      account,
+      asset: assetCode,
+      statsOpType: STATS_OPERATION_TYPES.paymentOut,
+      amount: op.amount
+    }, state))
+
+    return failures
+  }
+
+  async _checkWithdrawal (op, state) {
+    const account = await this._getAccount(op.source, state)
+    const balance = findBalance(account, op.balance)
+    if (!balance) {
+      return [balanceNotFoundFailure(op.balance)]
+    }
+
+    const failures = []
+    const assetCode = balance.asset.id
+
+    const asset = await this._getAsset(assetCode, state)
+    if (!hasPolicy(asset, ASSET_POLICIES.withdrawable)) {
+      failures.push({
+        code: PREFLIGHT_FAILURE_CODES.assetNotWithdrawable,
+        message: `Asset ${assetCode} is not withdrawable`
+      })
+    }
+
+    failures.push(...await this._checkFee({
+      accountId: account.id,
+      asset: assetCode,
+      feeType: FEE_TYPES.withdrawalFee,
+      subtype: 0,
+      amount: op.amount,
+      paidFee: sumAmounts(op.fee.fixed, op.fee.percent)
+    }))
+
+    failures.push(...spendBalance(
+      balance, sumAmounts(op.amount, op.fee.fixed, op.fee.percent), state
+    ))
+
+    failures.push(...spendLimits({
+      account,
+      asset: assetCode,
+      statsOpType: STATS_OPERATION_TYPES.withdraw,
+      amount: op.amount
+    }, state))
+
+    return failures
+  }
+
+  async _checkOffer (op, state) {
+    // Only new offers spend the balances, deleting an offer unlocks them
+    if (op.offerID !== '0' || new BigNumber(op.amount).isZero()) {
+      return []
+    }
+
+    const account = await this._getAccount(op.source, state)
+    const baseBalance = findBalance(account, op.baseBalance)
+    const quoteBalance = findBalance(account, op.quoteBalance)
+    if (!baseBalance || !quoteBalance) {
+      return [balanceNotFoundFailure(
+        baseBalance ? op.quoteBalance : op.baseBalance
+      )]
+    }
+
+    const failures = []
+    const base = baseBalance.asset.id
+    const quote = quoteBalance.asset.id
+
+    // offers with non-zero order book ID participate in sales, not in the
+    // secondary market, so the asset pair policies are not applied
+    if (op.orderBookID === '0') {
+      const assetPair = await this._getAssetPair(base, quote, state)
+      if (!assetPair) {
+        failures.push({
+          code: PREFLIGHT_FAILURE_CODES.assetPairNotFound,
+          message: `Asset pair ${base}/${quote} does not exist`
+        })
+      } else if (!hasPolicy(
+        assetPair, ASSET_PAIR_POLICIES.tradeableSecondaryMarket
+      )) {
+        failures.push({
+          code: PREFLIGHT_FAILURE_CODES.assetPairNotTradable,
+          message: `Asset pair ${base}/${quote} is not tradable on the secondary market`
+        })
+      }
+    }
+
+    const quoteAmount = new BigNumber(op.amount).times(op.price).toString()
+    failures.push(...await this._checkFee({
+      accountId: account.id,
+      asset: quote,
+      feeType: FEE_TYPES.offerFee,
+      subtype: 0,
+      amount: quoteAmount,
+      paidFee: op.fee
+    }))
+
+    if (op.isBuy) {
+      failures.push(...spendBalance(
+        quoteBalance, sumAmounts(quoteAmount, op.fee), state
+      ))
+    } else {
+      failures.push(...spendBalance(baseBalance, op.amount, state))
+    }
+
+    return failures
+  }
+
+  async _checkFee ({ accountId, asset, feeType, subtype, amount, paidFee }) {
+    const endpoint = `/v3/accounts/${accountId}/calculated_fees`
+    const { data: fee } = await this._apiCaller.get(endpoint, {
+      asset,
+      fee_type: feeType,
+      subtype,
+      amount
+    })
+
+    const requiredFee = sumAmounts(fee.fixed, fee.calculatedPercent)
+    if (new BigNumber(paidFee).lt(requiredFee)) {
+      return [{
+        code: PREFLIGHT_FAILURE_CODES.insufficientFee,
+        message: `Fee ${paidFee} ${asset} is less than required ${requiredFee} ${asset}`
+      }]
+    }
+
+    return []
+  }
+
+  async _getAccount (accountId, state) {
+    if (!state.accounts[accountId]) {
+      const { data } = await this._apiCaller.get(`/v3/accounts/${accountId}`, {
+        include: ['balances', 'balances.state', 'limits_with_stats']
+      })
+      state.accounts[accountId] = data
+    }
+
+    return state.accounts[accountId]
+  }
+
+  async _getAsset (code, state) {
+    if (!state.assets[code]) {
+      const { data } = await this._apiCaller.get(`/v3/assets/${code}`)
+      state.assets[code] = data
+    }
+
+    return state.assets[code]
+  }
+
+  async _getAssetPair (base, quote, state) {
+    const id = `${base}:${quote}`
+
+    if (!(id in state.assetPairs)) {
+      try {
+        const { data } = await this._apiCaller.get(`/v3/asset_pairs/${id}`)
+        state.assetPairs[id] = data
+      } catch (e) {
+        if (!(e instanceof NotFoundError)) {
+          throw e
+        }
+        state.assetPairs[id] = null
+      }
+    }
+
+    return state.assetPairs[id]
+  }
+}
+
+function findBalance (account, balanceId) {
+  return (account.balances || []).find(balance => balance.id === balanceId)
+}
+
+function hasPolicy (record, policy) {
+  return Boolean(_get(record, 'policies.value', 0) & policy)
+}
+
+function sumAmounts (...amounts) {
+  return amounts
+    .reduce((sum, amount) => sum.plus(amount || 0), new BigNumber(0))
+    .toString()
+}
+
+function balanceNotFoundFailure (balanceId) {
+  return {
+    code: PREFLIGHT_FAILURE_CODES.balanceNotFound,
+    message: `Balance ${balanceId} does not belong to the source account`
+  }
+}
+
+function spendBalance (balance, amount, state) {
+  const spent = sumAmounts(state.spentBalances[balance.id], amount)
+  state.spentBalances[balance.id] = spent
+
+  const available = _get(balance, 'state.available', '0')
+  if (new BigNumber(spent).gt(available)) {
+    return [{
+      code: PREFLIGHT_FAILURE_CODES.underfunded,
+      message: `Balance ${balance.id} has ${available} ${balance.asset.id} available, but ${spent} ${balance.asset.id} required`
+    }]
+  }
+
+  return []
+}
+
+function spendLimits ({ account, asset, statsOpType, amount }, state) {
+  const key = `${account.id}:${asset}:${statsOpType}`
+  const spent = sumAmounts(state.spentLimits[key], amount)
+  state.spentLimits[key] = spent
+
+  const limitsWithStats = (account.limitsWithStats || [])
+    .filter(item => _get(item, 'limits.assetCode') === asset &&
+      Number(_get(item, 'limits.statsOpType')) === statsOpType)
+
+  const exceededPeriods = []
+  for (const { limits, statistics } of limitsWithStats) {
+    for (const period of LIMIT_PERIODS) {
+      const limit = limits[`${period}Out`]
+      const outcome = sumAmounts(_get(statistics, `${period}Outcome`), spent)
+
+      if (limit && new BigNumber(outcome).gt(limit) &&
+        !exceededPeriods.includes(period)) {
+        exceededPeriods.push(period)
+      }
+    }
+  }
+
+  if (!exceededPeriods.length) {
+    return []
+  }
+
+  return [{
+    code: PREFLIGHT_FAILURE_CODES.limitsExceeded,
+    message: `${exceededPeriods.join(', ')} limits for ${asset} will be exceeded`
+  }]
+}
@@ -0,0 +1,220 @@
+import sinon from 'sinon'
+
+import { PreflightManager, PREFLIGHT_FAILURE_CODES } from './preflight-manager'
+import { ApiCaller } from '../api-caller'
+
+import { Keypair } from '../../base'
+import { PaymentBuilder } from '../../base/operations/payment_builder'
+import { CreateWithdrawRequestBuilder } from '../../base/operations/create_withdraw_request_builder'
+import { ManageOfferBuilder } from '../../base/operations/manage_offer_builder'
+import { ManageKeyValueBuilder } from '../../base/operations/manage_key_value_builder'
+import { Wallet } from '../../wallet'
+import { NotFoundError } from '../../errors'
+
+describe('Preflight manager', () => {
+  const accountId = 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S'
+  const btcBalanceId = Keypair.random().balanceId()
+  const usdBalanceId = Keypair.random().balanceId()
+  const destination = Keypair.random().accountId()
+
+  let sandbox
+  let manager
+  let account
+
+  function makePayment (amount, fixedFee = '0') {
+    return PaymentBuilder.payment({
+      sourceBalanceId: btcBalanceId,
+      destination,
+      amount,
+      feeData: {
+        sourceFee: { fixed: fixedFee, percent: '0' },
+        destinationFee: { fixed: '0', percent: '0' },
+        sourcePaysForDest: false
+      },
+      subject: '',
+      reference: ''
+    })
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    const api = ApiCaller.getInstance('https://api.test.com')
+    api.useWallet(new Wallet('foo@bar.com', Keypair.random(), accountId))
+    manager = new PreflightManager(api)
+
+    account = {
+      id: accountId,
+      balances: [
+        {
+          id: btcBalanceId,
+          asset: { id: 'BTC' },
+          state: { available: '10' }
+        },
+        {
+          id: usdBalanceId,
+          asset: { id: 'USD' },
+          state: { available: '100' }
+        }
+      ],
+      limitsWithStats: []
+    }
+
+    const stubGet = sandbox.stub(api, 'get')
+    stubGet.withArgs(`/v3/accounts/${accountId}`)
+      .callsFake(async () => ({ data: account }))
+    stubGet.withArgs(`/v3/accounts/${accountId}/calculated_fees`)
+      .resolves({ data: { fixed: '0', calculatedPercent: '0' } })
+    stubGet.withArgs('/v3/assets/BTC')
+      .resolves({ data: { id: 'BTC', policies: { value: 9 } } })
+    stubGet.withArgs('/v3/assets/USD')
+      .resolves({ data: { id: 'USD', policies: { value: 0 } } })
+    stubGet.withArgs('/v3/asset_pairs/BTC:USD')
+      .resolves({ data: { id: 'BTC:USD', policies: { value: 0 } } })
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('simulate', () => {
+    it('should report successful simulation for valid payments', async () => {
+      const result = await manager.simulate(makePayment('4'), makePayment('6'))
+
+      expect(result).to.deep.equal({
+        isSuccessful: true,
+        operations: [
+          { index: 0, type: 'payment', isSimulated: true, failures: [] },
+          { index: 1, type: 'payment', isSimulated: true, failures: [] }
+        ]
+      })
+    })
+
+    it('should predict underfunded payment considering previous operations', async () => {
+      const result = await manager.simulate(makePayment('4'), makePayment('7'))
+
+      expect(result.isSuccessful).to.be.false
+      expect(result.operations[0].failures).to.be.empty
+      expect(result.operations[1].failures.map(f => f.code))
+        .to.deep.equal([PREFLIGHT_FAILURE_CODES.underfunded])
+    })
+
+    it('should predict insufficient fee', async () => {
+      manager._apiCaller.get
+        .withArgs(`/v3/accounts/${accountId}/calculated_fees`)
+        .resolves({ data: { fixed: '0.1', calculatedPercent: '0.05' } })
+
+      const result = await manager.simulate(makePayment('1', '0.1'))
+
+      expect(result.operations[0].failures.map(f => f.code))
+        .to.deep.equal([PREFLIGHT_FAILURE_CODES.insufficientFee])
+      expect(manager._apiCaller.get).to.have.been.calledWithExactly(
+        `/v3/accounts/${accountId}/calculated_fees`,
+        { asset: 'BTC', fee_type: 0, subtype: 1, amount: '1' }
+      )
+    })
+
+    it('should predict exceeded limits', async () => {
+      account.limitsWithStats = [{
+        limits: {
+          assetCode: 'BTC',
+          statsOpType: 1,
+          dailyOut: '5',
+          weeklyOut: '20',
+          monthlyOut: '20',
+          annualOut: '20'
+        },
+        statistics: {
+          dailyOutcome: '2',
+          weeklyOutcome: '2',
+          monthlyOutcome: '2',
+          annualOutcome: '2'
+        }
+      }]
+
+      const result = await manager.simulate(makePayment('4'))
+
+      expect(result.operations[0].failures).to.deep.equal([{
+        code: PREFLIGHT_FAILURE_CODES.limitsExceeded,
+        message: 'daily limits for BTC will be exceeded'
+      }])
+    })
+
+    it('should predict not found source balance', async () => {
+      account.balances = []
+
+      const result = await manager.simulate(makePayment('1'))
+
+      expect(result.operations[0].failures.map(f => f.code))
+        .to.deep.equal([PREFLIGHT_FAILURE_CODES.balanceNotFound])
+    })
+
+    it('should predict not withdrawable asset', async () => {
+      const operation = CreateWithdrawRequestBuilder.createWithdrawWithAutoConversion({
+        balance: usdBalanceId,
+        amount: '10',
+        creatorDetails: {},
+        fee: { fixed: '0', percent: '0' }
+      })
+
+      const result = await manager.simulate(operation)
+
+      expect(result.operations[0].failures.map(f => f.code))
+        .to.deep.equal([PREFLIGHT_FAILURE_CODES.assetNotWithdrawable])
+    })
+
+    it('should predict disallowed asset pair for offers', async () => {
+      const operation = ManageOfferBuilder.manageOffer({
+        baseBalance: btcBalanceId,
+        quoteBalance: usdBalanceId,
+        isBuy: true,
+        amount: '1',
+        price: '200',
+        fee: '0',
+        orderBookID: '0'
+      })
+
+      const result = await manager.simulate(operation)
+
+      expect(result.operations[0].failures.map(f => f.code)).to.deep.equal([
+        PREFLIGHT_FAILURE_CODES.assetPairNotTradable,
+        PREFLIGHT_FAILURE_CODES.underfunded
+      ])
+    })
+
+    it('should predict not existing asset pair for offers', async () => {
+      manager._apiCaller.get.withArgs('/v3/asset_pairs/BTC:USD')
+        .rejects(new NotFoundError({ response: { status: 404 } }))
+      const operation = ManageOfferBuilder.manageOffer({
+        baseBalance: btcBalanceId,
+        quoteBalance: usdBalanceId,
+        isBuy: false,
+        amount: '1',
+        price: '50',
+        fee: '0',
+        orderBookID: '0'
+      })
+
+      const result = await manager.simulate(operation)
+
+      expect(result.operations[0].failures.map(f => f.code))
+        .to.deep.equal([PREFLIGHT_FAILURE_CODES.assetPairNotFound])
+    })
+
+    it('should not simulate unsupported operations', async () => {
+      const operation = ManageKeyValueBuilder.deleteKeyValue({ key: 'foo' })
+
+      const result = await manager.simulate(operation)
+
+      expect(result).to.deep.equal({
+        isSuccessful: true,
+        operations: [{
+          index: 0,
+          type: 'manageKeyValue',
+          isSimulated: false,
+          failures: []
+        }]
+      })
+    })
+  })
+})
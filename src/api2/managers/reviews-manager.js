@@ -0,0 +1,236 @@
+import _get from 'lodash/get'
+import _chunk from 'lodash/chunk'
+
+import { ReviewRequestBuilder } from '../../base/operations/review_request_builder'
+import { ApiCaller } from '../api-caller'
+
+import { REQUEST_STATES, REQUEST_TYPES } from '../../const'
+import { TransactionError } from '../../errors'
+
+const DEFAULT_MAX_OPS_PER_TX = 100
+const SUCCESS_CODES = ['op_success', 'tx_success']
+
+/**
+ * Outcomes of the reviews reported by {@link ReviewsManager#reviewBatch}.
+ */
+export const REVIEW_OUTCOMES = Object.freeze({
+  reviewed: 'reviewed',
+  failed: 'failed',
+  invalid: 'invalid'
+})
+
+/**
+ * ReviewsManager loads the pending reviewable requests of the reviewer and
+ * reviews them in bulk.
+ *
+ * The review operation is built for the type of every request, with the
+ * `requestHash` taken from the fetched record, and the operations are packed
+ * into as few transactions as possible. If the core rejects a transaction,
+ * the reviews that failed are reported and the rest of the transaction is
+ * resubmitted without them.
+ *
+ * @example
+ * const manager = new ReviewsManager(api)
+ * const requests = await manager.getPendingRequests({
+ *   type: REQUEST_TYPES.createWithdraw
+ * })
+ * const outcomes = await manager.reviewBatch(requests.map(request => ({
+ *   request,
+ *   action: REVIEW_REQUEST_OP_ACTION.approve,
+ *   externalDetails: { txHash: '...' }
+ * })))
+ */
+export class ReviewsManager {
+  /**
+   * ReviewsManager constructor.
+   *
+   * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
+   */
+  constructor (apiCaller) {
+    if (apiCaller) {
+      this.useApi(apiCaller)
+    }
+  }
+
+  useApi (api) {
+    if (!(api instanceof ApiCaller)) {
+      throw new Error('Is not ApiCaller')
+    }
+    this._apiCaller = api
+  }
+
+  /**
+   * Fetches all the pending requests of the reviewer.
+   *
+   * @param {object} [opts]
+   * @param {number} [opts.type] Type of the requests, see
+   * {@link REQUEST_TYPES}. All the types by default.
+   * @param {string} [opts.reviewer] Account ID of the reviewer, the account
+   * of the API caller's wallet by default.
+   *
+   * @return {Promise.<object[]>} Request records.
+   */
+  async getPendingRequests (opts = {}) {
+    const requests = []
+    for await (const request of this._apiCaller.paginate('/v3/requests', {
+      filter: {
+        reviewer: opts.reviewer || this._apiCaller.wallet.accountId,
+        state: REQUEST_STATES.pending,
+        ...(opts.type ? { type: opts.type } : {})
+      },
+      include: 'request_details'
+    }, { needSign: true })) {
+      requests.push(request)
+    }
+
+    return requests
+  }
+
+  /**
+   * Builds the review operation for the type of the request.
+   *
+   * @param {object} request Request record.
+   * @param {object} review
+   * @param {number} review.action Action, see
+   * {@link REVIEW_REQUEST_OP_ACTION}.
+   * @param {string} [review.reason=''] Reject reason.
+   * @param {number} [review.tasksToAdd=0] Tasks to add to the request.
+   * @param {number} [review.tasksToRemove=0] Tasks done by the reviewer.
+   * @param {object} [review.externalDetails={}] Details of the review.
+   * @param {string} [review.comment] Comment of the AML alert review.
+   * @param {object} [review.newLimits] Limits of the limits update review.
+   * @param {object} [review.billPayDetails] Payment of the invoice review.
+   * @param {object} [review.details] Details of the contract review.
+   *
+   * @return {xdr.Operation} Review operation.
+   */
+  static buildReviewOperation (request, review) {
+    const opts = {
+      requestID: String(request.id),
+      requestHash: request.hash,
+      requestType: Number(_get(request, 'xdrType.value')),
+      action: review.action,
+      reason: review.reason || '',
+      reviewDetails: {
+        tasksToAdd: review.tasksToAdd || 0,
+        tasksToRemove: review.tasksToRemove || 0,
+        externalDetails: review.externalDetails || {}
+      }
+    }
+
+    switch (opts.requestType) {
+      case REQUEST_TYPES.createWithdraw:
+        return ReviewRequestBuilder.reviewWithdrawRequest(opts)
+      case REQUEST_TYPES.createAmlAlert:
+        return ReviewRequestBuilder.reviewAmlAlertRequest({
+          ...opts,
+          comment: review.comment || ''
+        })
+      case REQUEST_TYPES.updateLimit:
+        return ReviewRequestBuilder.reviewLimitsUpdateRequest({
+          ...opts,
+          newLimits: review.newLimits
+        })
+      case REQUEST_TYPES.createInvoice:
+        return ReviewRequestBuilder.reviewInvoiceRequest({
+          ...opts,
+          billPayDetails: review.billPayDetails
+        })
+      case REQUEST_TYPES.manageContract:
+        return ReviewRequestBuilder.reviewContractRequest({
+          ...opts,
+          details: review.details || {}
+        })
+      default:
+        return ReviewRequestBuilder.reviewRequest(opts)
+    }
+  }
+
+  /**
+   * Reviews the request.
+   *
+   * @param {object} request Request record.
+   * @param {object} review See {@link ReviewsManager.buildReviewOperation}.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  review (request, review) {
+    return this._apiCaller.postOperations(
+      ReviewsManager.buildReviewOperation(request, review)
+    )
+  }
+
+  /**
+   * Reviews many requests with as few transactions as possible.
+   *
+   * @param {object[]} reviews Reviews, see
+   * {@link ReviewsManager.buildReviewOperation}, with the `request` record
+   * each.
+   * @param {object} [opts]
+   * @param {number} [opts.maxOpsPerTx=100] Max operations in a transaction.
+   *
+   * @return {Promise.<object[]>} Outcomes in the order of the reviews:
+   * `requestId`, `outcome` (see {@link REVIEW_OUTCOMES}) and the `errorCode`
+   * or `error` of the failed ones.
+   */
+  async reviewBatch (reviews, opts = {}) {
+    const maxOpsPerTx = opts.maxOpsPerTx || DEFAULT_MAX_OPS_PER_TX
+    const outcomes = reviews.map(({ request }) => ({
+      requestId: String(request.id)
+    }))
+
+    const pending = []
+    reviews.forEach(({ request, ...review }, index) => {
+      try {
+        const operation = ReviewsManager.buildReviewOperation(request, review)
+        pending.push({ index, operation })
+      } catch (error) {
+        Object.assign(outcomes[index], {
+          outcome: REVIEW_OUTCOMES.invalid,
+          error
+        })
+      }
+    })
+
+    for (const chunk of _chunk(pending, maxOpsPerTx)) {
+      await this._submitChunk(chunk, outcomes)
+    }
+
+    return outcomes
+  }
+
+  async _submitChunk (chunk, outcomes) {
+    let remaining = chunk
+
+    while (remaining.length) {
+      try {
+        await this._apiCaller.postOperations(
+          ...remaining.map(item => item.operation)
+        )
+        remaining.forEach(({ index }) => {
+          outcomes[index].outcome = REVIEW_OUTCOMES.reviewed
+        })
+        return
+      } catch (error) {
+        const codes = error instanceof TransactionError
+          ? _get(error, 'resultCodes.operations', [])
+          : []
+        const failed = remaining.filter((item, i) => {
+          return codes[i] && !SUCCESS_CODES.includes(codes[i])
+        })
+
+        // nothing to blame, so none of the reviews can be retried
+        const blamed = failed.length ? failed : remaining
+        blamed.forEach(({ index }) => {
+          const i = remaining.findIndex(item => item.index === index)
+          Object.assign(outcomes[index], {
+            outcome: REVIEW_OUTCOMES.failed,
+            errorCode: codes[i],
+            error
+          })
+        })
+        remaining = remaining.filter(item => !blamed.includes(item))
+      }
+    }
+  }
+}
@@ -0,0 +1,180 @@
+import sinon from 'sinon'
+
+import { ReviewsManager, REVIEW_OUTCOMES } from './reviews-manager'
+import { ApiCaller } from '../api-caller'
+
+import { Keypair } from '../../base'
+import { Operation } from '../../base/operation'
+import { Wallet } from '../../wallet'
+import { REQUEST_STATES, REQUEST_TYPES, REVIEW_REQUEST_OP_ACTION } from '../../const'
+import { TransactionError } from '../../errors'
+
+describe('Reviews manager', () => {
+  const accountId = 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S'
+  const hash = 'a'.repeat(64)
+
+  let sandbox
+  let api
+  let manager
+
+  function makeRequest (id, type = REQUEST_TYPES.createIssuance) {
+    return { id, hash, xdrType: { name: 'any', value: type } }
+  }
+
+  function makeTransactionError (operations) {
+    return new TransactionError({
+      response: {
+        status: 400,
+        data: {
+          errors: [{
+            meta: { result_codes: { transaction: 'tx_failed', operations } }
+          }]
+        }
+      }
+    })
+  }
+
+  function getPostedOperations (call) {
+    return call.args.map(op => Operation.operationToObject(op))
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    api = ApiCaller.getInstance('https://api.test.com')
+    api.useWallet(new Wallet('foo@bar.com', Keypair.random(), accountId))
+    manager = new ReviewsManager(api)
+
+    sandbox.stub(api, 'postOperations').resolves({ data: {} })
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('.getPendingRequests', () => {
+    it('should fetch the pending requests of the reviewer', async () => {
+      sandbox.stub(api, 'get').resolves({
+        data: [makeRequest('1')],
+        fetchNext: async () => ({ data: [makeRequest('2')] })
+      })
+
+      const requests = await manager.getPendingRequests({
+        type: REQUEST_TYPES.createIssuance
+      })
+
+      expect(requests.map(r => r.id)).to.deep.equal(['1', '2'])
+      expect(api.get).to.have.been.calledOnceWith('/v3/requests', {
+        filter: {
+          reviewer: accountId,
+          state: REQUEST_STATES.pending,
+          type: REQUEST_TYPES.createIssuance
+        },
+        include: 'request_details'
+      }, true)
+    })
+  })
+
+  describe('.buildReviewOperation', () => {
+    it('should build the review with the hash of the request', () => {
+      const op = Operation.operationToObject(ReviewsManager.buildReviewOperation(
+        makeRequest('7'),
+        {
+          action: REVIEW_REQUEST_OP_ACTION.reject,
+          reason: 'Wrong amount',
+          tasksToAdd: 4
+        }
+      ))
+
+      expect(op.type).to.equal('reviewRequest')
+      expect(op.requestID).to.equal('7')
+      expect(op.requestHash).to.equal(hash)
+      expect(op.action).to.equal(REVIEW_REQUEST_OP_ACTION.reject)
+      expect(op.reason).to.equal('Wrong amount')
+      expect(op.reviewDetails.tasksToAdd).to.equal(4)
+    })
+
+    it('should build the review specific for the request type', () => {
+      const op = Operation.operationToObject(ReviewsManager.buildReviewOperation(
+        makeRequest('7', REQUEST_TYPES.createWithdraw),
+        {
+          action: REVIEW_REQUEST_OP_ACTION.approve,
+          externalDetails: { txHash: '0x1' }
+        }
+      ))
+
+      expect(op.requestType).to.equal(REQUEST_TYPES.createWithdraw)
+      expect(op.withdrawal).to.exist
+    })
+  })
+
+  describe('.reviewBatch', () => {
+    const approve = { action: REVIEW_REQUEST_OP_ACTION.approve }
+
+    it('should pack the reviews into the transactions', async () => {
+      const reviews = ['1', '2', '3'].map(id => ({
+        request: makeRequest(id),
+        ...approve
+      }))
+
+      const outcomes = await manager.reviewBatch(reviews, { maxOpsPerTx: 2 })
+
+      expect(api.postOperations).to.have.been.calledTwice
+      expect(getPostedOperations(api.postOperations.firstCall)
+        .map(op => op.requestID)).to.deep.equal(['1', '2'])
+      expect(outcomes.map(item => item.outcome)).to.deep.equal([
+        REVIEW_OUTCOMES.reviewed,
+        REVIEW_OUTCOMES.reviewed,
+        REVIEW_OUTCOMES.reviewed
+      ])
+    })
+
+    it('should resubmit the transaction without the failed reviews', async () => {
+      api.postOperations.onFirstCall().rejects(makeTransactionError([
+        'op_success', 'op_request_not_found', 'op_success'
+      ]))
+      const reviews = ['1', '2', '3'].map(id => ({
+        request: makeRequest(id),
+        ...approve
+      }))
+
+      const outcomes = await manager.reviewBatch(reviews)
+
+      expect(api.postOperations).to.have.been.calledTwice
+      expect(getPostedOperations(api.postOperations.secondCall)
+        .map(op => op.requestID)).to.deep.equal(['1', '3'])
+      expect(outcomes[0].outcome).to.equal(REVIEW_OUTCOMES.reviewed)
+      expect(outcomes[1].outcome).to.equal(REVIEW_OUTCOMES.failed)
+      expect(outcomes[1].errorCode).to.equal('op_request_not_found')
+      expect(outcomes[2].outcome).to.equal(REVIEW_OUTCOMES.reviewed)
+    })
+
+    it('should fail the whole transaction without the operation codes', async () => {
+      api.postOperations.rejects(new Error('Network Error'))
+
+      const outcomes = await manager.reviewBatch([
+        { request: makeRequest('1'), ...approve },
+        { request: makeRequest('2'), ...approve }
+      ])
+
+      expect(api.postOperations).to.have.been.calledOnce
+      expect(outcomes.map(item => item.outcome)).to.deep.equal([
+        REVIEW_OUTCOMES.failed,
+        REVIEW_OUTCOMES.failed
+      ])
+      expect(outcomes[0].error.message).to.equal('Network Error')
+    })
+
+    it('should report the reviews that cannot be built', async () => {
+      const outcomes = await manager.reviewBatch([
+        { request: makeRequest('1'), action: 42 },
+        { request: makeRequest('2'), ...approve }
+      ])
+
+      expect(outcomes[0].outcome).to.equal(REVIEW_OUTCOMES.invalid)
+      expect(outcomes[0].error.message).to.equal('opts.action is invalid')
+      expect(getPostedOperations(api.postOperations.firstCall))
+        .to.have.lengthOf(1)
+    })
+  })
+})
@@ -0,0 +1,317 @@
+import BigNumber from 'bignumber.js'
+import _get from 'lodash/get'
+
+import { SaleRequestBuilder } from '../../base/operations/sale_request_builder'
+import { ManageSaleBuilder } from '../../base/operations/manage_sale_builder'
+import { ManageOfferBuilder } from '../../base/operations/manage_offer_builder'
+import { ManageAccountSpecificRuleBuilder } from '../../base/operations/manage_account_specific_rule_builder'
+import { ApiCaller } from '../api-caller'
+import { FeesManager } from './fees-manager'
+
+import { SALE_STATES } from '../../const'
+
+const AMOUNT_DECIMAL_PLACES = 6
+
+/**
+ * SalesManager creates and manages the sales (ICOs) of the wallet account and
+ * invests into the sales of others.
+ *
+ * Investments are buy offers in the order book of the sale. The amount of
+ * the offer is in the base asset, so {@link SalesManager.calculateInvestment}
+ * converts the quote amount with the price of the quote asset and cuts it to
+ * what is left before the hard cap.
+ *
+ * @example
+ * const manager = new SalesManager(api)
+ * await manager.invest({
+ *   saleId,
+ *   quoteAsset: 'USD',
+ *   quoteAmount: '100',
+ *   baseBalance,
+ *   quoteBalance
+ * })
+ */
+export class SalesManager {
+  /**
+   * SalesManager constructor.
+   *
+   * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
+   */
+  constructor (apiCaller) {
+    if (apiCaller) {
+      this.useApi(apiCaller)
+    }
+  }
+
+  useApi (api) {
+    if (!(api instanceof ApiCaller)) {
+      throw new Error('Is not ApiCaller')
+    }
+    this._apiCaller = api
+    this._feesManager = new FeesManager(api)
+  }
+
+  /**
+   * Submits the sale creation request.
+   *
+   * @param {object} opts Options of
+   * {@link SaleRequestBuilder.createSaleCreationRequest}. `requestID` is `0`
+   * by default to create a new request, pass the ID of a rejected request to
+   * update it.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  createSale (opts) {
+    return this._apiCaller.postOperations(
+      SaleRequestBuilder.createSaleCreationRequest({ requestID: '0', ...opts })
+    )
+  }
+
+  /**
+   * Cancels the pending sale creation request.
+   *
+   * @param {string} requestId ID of the request.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  cancelSaleRequest (requestId) {
+    return this._apiCaller.postOperations(
+      SaleRequestBuilder.cancelSaleCreationRequest({
+        requestID: String(requestId)
+      })
+    )
+  }
+
+  /**
+   * Submits the request to update the details of the sale.
+   *
+   * @param {string} saleId ID of the sale.
+   * @param {object} creatorDetails New details of the sale.
+   * @param {object} [opts]
+   * @param {string} [opts.requestId='0'] ID of the rejected request to
+   * update.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  updateSaleDetails (saleId, creatorDetails, opts = {}) {
+    return this._apiCaller.postOperations(
+      ManageSaleBuilder.createUpdateSaleDetailsRequest({
+        requestID: String(opts.requestId || '0'),
+        saleID: String(saleId),
+        creatorDetails
+      })
+    )
+  }
+
+  /**
+   * Cancels the sale, the investments are returned to the investors.
+   *
+   * @param {string} saleId ID of the sale.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  cancelSale (saleId) {
+    return this._apiCaller.postOperations(
+      ManageSaleBuilder.cancelSale({ saleID: String(saleId) })
+    )
+  }
+
+  /**
+   * Closes the sale that has ended or reached the hard cap. The sale is
+   * closed as failed if the soft cap is not reached by the end time.
+   *
+   * @param {string} saleId ID of the sale.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  closeSale (saleId) {
+    return this._apiCaller.postOperations(
+      SaleRequestBuilder.checkSaleState({ saleID: String(saleId) })
+    )
+  }
+
+  /**
+   * Allows the account to invest into the sale with the whitelist.
+   *
+   * @param {string} saleId ID of the sale.
+   * @param {string} [accountId] ID of the investor, all the accounts if
+   * omitted.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  allowInvestor (saleId, accountId) {
+    return this._postSaleRule(saleId, accountId, false)
+  }
+
+  /**
+   * Forbids the account to invest into the sale.
+   *
+   * @param {string} saleId ID of the sale.
+   * @param {string} [accountId] ID of the investor, all the accounts if
+   * omitted.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  forbidInvestor (saleId, accountId) {
+    return this._postSaleRule(saleId, accountId, true)
+  }
+
+  /**
+   * Removes the participation rule of the sale.
+   *
+   * @param {string} ruleId ID of the account specific rule.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  removeSaleRule (ruleId) {
+    return this._apiCaller.postOperations(
+      ManageAccountSpecificRuleBuilder.removeRule({ ruleID: String(ruleId) })
+    )
+  }
+
+  /**
+   * Fetches the sale with its quote assets.
+   *
+   * @param {string} saleId ID of the sale.
+   *
+   * @return {Promise.<object>} Sale record, see {@link SALE_STATES} for the
+   * `saleState.value`.
+   */
+  async getSale (saleId) {
+    const { data } = await this._apiCaller.v3.sales.get(saleId, {
+      include: ['base_asset', 'quote_assets', 'default_quote_asset']
+    })
+    return data
+  }
+
+  /**
+   * Builds the investment offer, with the fee, for the quote amount.
+   *
+   * @param {object} opts
+   * @param {string} opts.saleId ID of the sale.
+   * @param {string} opts.quoteAsset Code of the asset to invest.
+   * @param {string} opts.quoteAmount Amount to invest.
+   * @param {string} opts.baseBalance Balance ID to receive the base asset.
+   * @param {string} opts.quoteBalance Balance ID to take the quote asset from.
+   * @param {string} [opts.offerId='0'] ID of the investment to update.
+   *
+   * @return {Promise.<object>} The `operation` and the `investment`, see
+   * {@link SalesManager.calculateInvestment}.
+   */
+  async buildInvestment (opts) {
+    const sale = await this.getSale(opts.saleId)
+    if (Number(_get(sale, 'saleState.value')) !== SALE_STATES.open) {
+      throw new Error(`Sale ${opts.saleId} is not open`)
+    }
+
+    const investment = SalesManager.calculateInvestment(sale, opts)
+    if (!new BigNumber(investment.baseAmount).gt(0)) {
+      throw new Error(`Sale ${opts.saleId} has reached its hard cap`)
+    }
+
+    const fee = await this._feesManager.getOfferFee({
+      quoteAsset: opts.quoteAsset,
+      amount: investment.baseAmount,
+      price: investment.price
+    })
+
+    const operation = ManageOfferBuilder.manageOffer({
+      baseBalance: opts.baseBalance,
+      quoteBalance: opts.quoteBalance,
+      isBuy: true,
+      amount: investment.baseAmount,
+      price: investment.price,
+      fee,
+      offerID: String(opts.offerId || '0'),
+      orderBookID: String(opts.saleId)
+    })
+
+    return { operation, investment: { ...investment, fee } }
+  }
+
+  /**
+   * Builds and submits the investment offer.
+   *
+   * @param {object} opts See {@link #buildInvestment}.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  async invest (opts) {
+    const { operation } = await this.buildInvestment(opts)
+    return this._apiCaller.postOperations(operation)
+  }
+
+  /**
+   * Cancels the investment, the quote amount is returned.
+   *
+   * @param {object} opts
+   * @param {string} opts.saleId ID of the sale.
+   * @param {string} opts.offerId ID of the investment offer.
+   * @param {string} opts.baseBalance Base balance of the offer.
+   * @param {string} opts.quoteBalance Quote balance of the offer.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  cancelInvestment (opts) {
+    return this._apiCaller.postOperations(ManageOfferBuilder.cancelOffer({
+      baseBalance: opts.baseBalance,
+      quoteBalance: opts.quoteBalance,
+      offerID: String(opts.offerId),
+      orderBookID: String(opts.saleId)
+    }))
+  }
+
+  /**
+   * Calculates the base amount received for the investment.
+   *
+   * @param {object} sale Sale record with the quote assets included.
+   * @param {object} opts
+   * @param {string} opts.quoteAsset Code of the asset to invest.
+   * @param {string} opts.quoteAmount Amount to invest.
+   *
+   * @return {object} `price` of the base asset in the quote one, `baseAmount`
+   * received, `quoteAmount` actually spent and `isCapped` flag set if the
+   * investment was cut to the hard cap.
+   */
+  static calculateInvestment (sale, { quoteAsset, quoteAmount }) {
+    const saleQuoteAsset = _get(sale, 'quoteAssets.quoteAssets', [])
+      .find(item => item.id === quoteAsset)
+    if (!saleQuoteAsset) {
+      throw new Error(`Sale ${sale.id} does not accept ${quoteAsset}`)
+    }
+
+    const price = new BigNumber(saleQuoteAsset.price)
+    const available = BigNumber.max(
+      new BigNumber(sale.baseHardCap).minus(sale.baseCurrentCap || 0),
+      0
+    )
+
+    let baseAmount = new BigNumber(quoteAmount)
+      .dividedBy(price)
+      .round(AMOUNT_DECIMAL_PLACES, BigNumber.ROUND_DOWN)
+    const isCapped = baseAmount.gt(available)
+    if (isCapped) {
+      baseAmount = available
+    }
+
+    return {
+      price: price.toString(),
+      baseAmount: baseAmount.toString(),
+      quoteAmount: baseAmount
+        .times(price)
+        .round(AMOUNT_DECIMAL_PLACES, BigNumber.ROUND_UP)
+        .toString(),
+      isCapped
+    }
+  }
+
+  _postSaleRule (saleId, accountId, forbids) {
+    return this._apiCaller.postOperations(
+      ManageAccountSpecificRuleBuilder.createSaleRule({
+        saleID: String(saleId),
+        accountID: accountId,
+        forbids
+      })
+    )
+  }
+}
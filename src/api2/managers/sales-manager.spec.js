@@ -0,0 +1,182 @@
+import sinon from 'sinon'
+
+import { SalesManager } from './sales-manager'
+import { ApiCaller } from '../api-caller'
+
+import { Keypair } from '../../base'
+import { Operation } from '../../base/operation'
+import { Wallet } from '../../wallet'
+import { SALE_STATES } from '../../const'
+
+describe('Sales manager', () => {
+  const accountId = 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S'
+  const baseBalance = Keypair.random().balanceId()
+  const quoteBalance = Keypair.random().balanceId()
+
+  let sandbox
+  let api
+  let manager
+  let sale
+
+  function getPostedOperation () {
+    return Operation.operationToObject(api.postOperations.firstCall.args[0])
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    api = ApiCaller.getInstance('https://api.test.com')
+    api.useWallet(new Wallet('foo@bar.com', Keypair.random(), accountId))
+    manager = new SalesManager(api)
+
+    sale = {
+      id: '12',
+      baseHardCap: '1000',
+      baseCurrentCap: '900',
+      saleState: { value: SALE_STATES.open },
+      quoteAssets: {
+        quoteAssets: [
+          { id: 'USD', price: '2.5' },
+          { id: 'BTC', price: '0.0003' }
+        ]
+      }
+    }
+    sandbox.stub(api.v3.sales, 'get').callsFake(async () => ({ data: sale }))
+    sandbox.stub(api.v3.accounts, 'getCalculatedFees')
+      .resolves({ data: { fixed: '0.1', calculatedPercent: '0.5' } })
+    sandbox.stub(api, 'postOperations').resolves({ data: {} })
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('.calculateInvestment', () => {
+    it('should convert the quote amount with the price of the quote asset', () => {
+      expect(SalesManager.calculateInvestment(sale, {
+        quoteAsset: 'USD',
+        quoteAmount: '100'
+      })).to.deep.equal({
+        price: '2.5',
+        baseAmount: '40',
+        quoteAmount: '100',
+        isCapped: false
+      })
+    })
+
+    it('should round the base amount down', () => {
+      const investment = SalesManager.calculateInvestment(sale, {
+        quoteAsset: 'BTC',
+        quoteAmount: '0.01'
+      })
+
+      expect(investment.baseAmount).to.equal('33.333333')
+      expect(investment.quoteAmount).to.equal('0.01')
+    })
+
+    it('should cut the investment to the hard cap', () => {
+      expect(SalesManager.calculateInvestment(sale, {
+        quoteAsset: 'USD',
+        quoteAmount: '500'
+      })).to.deep.equal({
+        price: '2.5',
+        baseAmount: '100',
+        quoteAmount: '250',
+        isCapped: true
+      })
+    })
+
+    it('should throw if the quote asset is not accepted', () => {
+      expect(() => SalesManager.calculateInvestment(sale, {
+        quoteAsset: 'ETH',
+        quoteAmount: '1'
+      })).to.throw('Sale 12 does not accept ETH')
+    })
+  })
+
+  describe('.invest', () => {
+    it('should submit the buy offer to the order book of the sale', async () => {
+      await manager.invest({
+        saleId: '12',
+        quoteAsset: 'USD',
+        quoteAmount: '100',
+        baseBalance,
+        quoteBalance
+      })
+
+      expect(api.v3.accounts.getCalculatedFees).to.have.been
+        .calledWithMatch(accountId, { asset: 'USD', amount: '100' })
+
+      const op = getPostedOperation()
+      expect(op.type).to.equal('manageOffer')
+      expect(op.isBuy).to.be.true
+      expect(op.amount).to.equal('40')
+      expect(op.price).to.equal('2.5')
+      expect(op.fee).to.equal('0.6')
+      expect(op.orderBookID).to.equal('12')
+      expect(op.offerID).to.equal('0')
+      expect(op.baseBalance).to.equal(baseBalance)
+      expect(op.quoteBalance).to.equal(quoteBalance)
+    })
+
+    it('should throw if the sale is not open', async () => {
+      sale.saleState = { value: SALE_STATES.closed }
+
+      await expect(manager.invest({
+        saleId: '12',
+        quoteAsset: 'USD',
+        quoteAmount: '100',
+        baseBalance,
+        quoteBalance
+      })).to.be.rejectedWith('Sale 12 is not open')
+      expect(api.postOperations).to.not.have.been.called
+    })
+
+    it('should throw if the hard cap is reached', async () => {
+      sale.baseCurrentCap = '1000'
+
+      await expect(manager.invest({
+        saleId: '12',
+        quoteAsset: 'USD',
+        quoteAmount: '100',
+        baseBalance,
+        quoteBalance
+      })).to.be.rejectedWith('Sale 12 has reached its hard cap')
+    })
+  })
+
+  describe('.cancelInvestment', () => {
+    it('should submit the offer cancellation', async () => {
+      await manager.cancelInvestment({
+        saleId: '12',
+        offerId: '3',
+        baseBalance,
+        quoteBalance
+      })
+
+      const op = getPostedOperation()
+      expect(op.type).to.equal('manageOffer')
+      expect(op.amount).to.equal('0')
+      expect(op.offerID).to.equal('3')
+      expect(op.orderBookID).to.equal('12')
+    })
+  })
+
+  describe('sale lifecycle', () => {
+    it('should submit the sale management operations', async () => {
+      await manager.cancelSale('12')
+      await manager.closeSale('12')
+      await manager.forbidInvestor('12')
+      await manager.allowInvestor('12', accountId)
+
+      const types = api.postOperations.args
+        .map(([op]) => op.body().switch().name)
+      expect(types).to.deep.equal([
+        'manageSale',
+        'checkSaleState',
+        'manageAccountSpecificRule',
+        'manageAccountSpecificRule'
+      ])
+    })
+  })
+})
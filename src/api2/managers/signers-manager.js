@@ -1,5 +1,6 @@
 import { TransactionBuilder } from '../../base/transaction_builder'
 import { ManageSignerBuilder } from '../../base/operations/manage_signer_builder'
+import { ManageSignerRoleBuilder } from '../../base/operations/manage_signer_role_builder'
 
 const RECOVERY_SIGNER_ROLE_ID = '1'
 const DEFAULT_SIGNER_IDENTITY = 0
@@ -7,19 +8,76 @@ const DEFAULT_SIGNER_WEIGHT = 1000
 const DEFAULT_SIGNER_ROLE_KEY = 'signer_role:default'
 
 /**
- * Signers manager.
+ * Weight of the signers the core requires to accept a transaction.
+ */
+export const SIGNERS_THRESHOLD = 1000
+
+/**
+ * Actions of {@link SignersManager#previewSignerChanges}.
  */
+export const SIGNER_CHANGE_ACTIONS = Object.freeze({
+  create: 'create',
+  update: 'update',
+  remove: 'remove'
+})
 
+/**
+ * Signers manager.
+ *
+ * Manages the signers of the account and the signer roles. The signer
+ * changes are checked before the submission: the signers left must still
+ * reach {@link SIGNERS_THRESHOLD}, otherwise the account could not sign any
+ * transaction but the recovery.
+ *
+ * --- USAGE: ---
+ *
+ * const signersManager = new SignersManager(api)
+ * const signers = await signersManager.getSignersWithRoles()
+ * const { signers: after, isThresholdReached } = await signersManager
+ *   .previewSignerChanges([{ action: 'remove', publicKey }])
+ * if (isThresholdReached) await signersManager.removeSigner(publicKey)
+ */
 export class SignersManager {
   /**
    * SignersManager constructor.
    *
+   * The caller is not required to be an ApiCaller instance, but must have the
+   * members of it the manager uses: `wallet`, `get`, `paginate`,
+   * `postOperations`, `v3.accounts.getSigners` and `v3.signerRoles.get`.
+   *
    * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
    */
   constructor (apiCaller) {
     this._apiCaller = apiCaller
   }
 
+  useApi (api) {
+    this._apiCaller = api
+  }
+
+  /**
+   * Calculates the weight of the signers the same way the core does it:
+   * signers with the same identity are treated as one, only the biggest
+   * weight among them counts.
+   *
+   * @param {object[]} signers Signers with `weight` and `identity`.
+   *
+   * @return {number} Total weight.
+   */
+  static calculateWeight (signers) {
+    const weightsByIdentity = signers.reduce((weights, signer) => {
+      const identity = Number(signer.identity)
+      weights[identity] = Math.max(
+        weights[identity] || 0,
+        Number(signer.weight)
+      )
+      return weights
+    }, {})
+
+    return Object.values(weightsByIdentity)
+      .reduce((sum, weight) => sum + weight, 0)
+  }
+
   /**
    * Creates change signers transaction envelope
    *
@@ -27,7 +85,8 @@ export class SignersManager {
    * @param {string} opts.newPublicKey New master signer ID of account
    * @param {string} opts.sourceAccount Transaction source account ID.
    * @param {string} [opts.signerToReplace] Specified signer ID to change.
-   * @param {Keypair} opts.signingKeypair Keypair for signing transaction.
+   * @param {Keypair|BaseSigner} opts.signingKeypair Keypair or asynchronous
+   * signer for signing transaction.
    *
    * @return {Promise.<string>} Base64-encoded transaction envelope
    */
@@ -43,7 +102,7 @@ export class SignersManager {
     })
 
     const txEnv = tx.build()
-    txEnv.sign(signingKeypair)
+    await txEnv.sign(signingKeypair)
 
     return txEnv.toEnvelope().toXDR().toString('base64')
   }
@@ -57,6 +116,227 @@ export class SignersManager {
     return signers
   }
 
+  /**
+   * Fetches the signers of the account with their roles and the rules of the
+   * roles.
+   *
+   * @param {string} [accountId] Account ID, the account of the wallet by
+   * default.
+   *
+   * @return {Promise.<object[]>} Signers: `id`, numeric `weight` and
+   * `identity`, `roleId`, `role` with `rules` and `details`.
+   */
+  async getSignersWithRoles (accountId) {
+    accountId = accountId || this._apiCaller.wallet.accountId
+    const { data: signers } = await this._apiCaller.v3.accounts
+      .getSigners(accountId, { include: ['role', 'role.rules'] })
+
+    return signers.map(normalizeSigner)
+  }
+
+  /**
+   * Fetches the signer role with its rules.
+   *
+   * @param {string} roleId ID of the role.
+   *
+   * @return {Promise.<object>} Signer role.
+   */
+  async getSignerRole (roleId) {
+    const { data } = await this._apiCaller.v3.signerRoles
+      .get(roleId, { include: ['rules'] })
+
+    return data
+  }
+
+  /**
+   * Fetches all the signer roles with their rules.
+   *
+   * @return {Promise.<object[]>} Signer roles.
+   */
+  async getSignerRoles () {
+    const roles = []
+    for await (const role of this._apiCaller.paginate('/v3/signer_roles', {
+      include: ['rules']
+    })) {
+      roles.push(role)
+    }
+
+    return roles
+  }
+
+  /**
+   * Applies the changes to the current signers of the account without
+   * submitting them.
+   *
+   * @param {object[]} changes Signer changes.
+   * @param {string} changes[].action One of {@link SIGNER_CHANGE_ACTIONS}.
+   * @param {string} changes[].publicKey Public key of the signer.
+   * @param {string} [changes[].roleId] Role ID, required to create a signer.
+   * @param {number} [changes[].weight=1000] Weight of the signer, up to 1000.
+   * @param {number} [changes[].identity] Identity of the signer, a new one by
+   * default.
+   * @param {object} [changes[].details] Details of the signer.
+   * @param {string} [accountId] Account ID, the account of the wallet by
+   * default.
+   *
+   * @return {Promise.<object>} Preview: resulting `signers`, their `weight`
+   * without the recovery signers, `threshold`, `isThresholdReached` flag and
+   * the `operations` to submit.
+   */
+  async previewSignerChanges (changes, accountId) {
+    let signers = await this.getSignersWithRoles(accountId)
+    const operations = changes.map(change => {
+      signers = applyChange(signers, change)
+      return makeSignerOp(change, signers)
+    })
+
+    const weight = SignersManager.calculateWeight(
+      signers.filter(signer => signer.roleId !== RECOVERY_SIGNER_ROLE_ID)
+    )
+
+    return {
+      signers,
+      weight,
+      threshold: SIGNERS_THRESHOLD,
+      isThresholdReached: weight >= SIGNERS_THRESHOLD,
+      operations
+    }
+  }
+
+  /**
+   * Submits the signer changes, see {@link SignersManager#previewSignerChanges}.
+   *
+   * @param {object[]} changes Signer changes.
+   * @param {object} [opts]
+   * @param {boolean} [opts.force=false] Submit the changes even if the signers
+   * left do not reach the threshold.
+   *
+   * @return {Promise} Response of {@link ApiCaller#postOperations}.
+   */
+  async applySignerChanges (changes, { force = false } = {}) {
+    const { weight, threshold, isThresholdReached, operations } =
+      await this.previewSignerChanges(changes)
+
+    if (!isThresholdReached && !force) {
+      throw new Error(
+        `Signers weight ${weight} after the changes does not reach the threshold ${threshold}`
+      )
+    }
+
+    return this._apiCaller.postOperations(...operations)
+  }
+
+  /**
+   * Adds a signer to the account of the wallet.
+   *
+   * @param {object} opts
+   * @param {string} opts.publicKey Public key of the signer.
+   * @param {string} opts.roleId Role ID of the signer.
+   * @param {number} [opts.weight=1000] Weight of the signer, up to 1000.
+   * @param {number} [opts.identity] Identity of the signer, a new one by
+   * default.
+   * @param {object} [opts.details] Details of the signer.
+   *
+   * @return {Promise} Response of {@link ApiCaller#postOperations}.
+   */
+  addSigner (opts) {
+    return this.applySignerChanges([
+      { ...opts, action: SIGNER_CHANGE_ACTIONS.create }
+    ])
+  }
+
+  /**
+   * Updates a signer of the account of the wallet. The omitted fields keep
+   * the current values.
+   *
+   * @param {object} opts See {@link SignersManager#addSigner}.
+   * @param {object} [settings]
+   * @param {boolean} [settings.force=false] Update the signer even if the
+   * signers do not reach the threshold after it.
+   *
+   * @return {Promise} Response of {@link ApiCaller#postOperations}.
+   */
+  updateSigner (opts, { force = false } = {}) {
+    return this.applySignerChanges([
+      { ...opts, action: SIGNER_CHANGE_ACTIONS.update }
+    ], { force })
+  }
+
+  /**
+   * Removes a signer from the account of the wallet.
+   *
+   * @param {string} publicKey Public key of the signer.
+   * @param {object} [settings]
+   * @param {boolean} [settings.force=false] Remove the signer even if the
+   * signers left do not reach the threshold.
+   *
+   * @return {Promise} Response of {@link ApiCaller#postOperations}.
+   */
+  removeSigner (publicKey, { force = false } = {}) {
+    return this.applySignerChanges([
+      { publicKey, action: SIGNER_CHANGE_ACTIONS.remove }
+    ], { force })
+  }
+
+  /**
+   * Creates a signer role.
+   *
+   * @param {object} opts
+   * @param {string[]} opts.ruleIds IDs of the signer rules of the role.
+   * @param {object} [opts.details] Details of the role.
+   * @param {boolean} [opts.isReadOnly=false] Forbid the changes of the role.
+   *
+   * @return {Promise} Response of {@link ApiCaller#postOperations}.
+   */
+  createSignerRole ({ ruleIds, details = {}, isReadOnly = false }) {
+    return this._apiCaller.postOperations(
+      ManageSignerRoleBuilder.create({
+        ruleIDs: ruleIds.map(String),
+        details,
+        isReadOnly
+      })
+    )
+  }
+
+  /**
+   * Updates a signer role. The omitted fields keep the current values.
+   *
+   * @param {object} opts
+   * @param {string} opts.roleId ID of the role.
+   * @param {string[]} [opts.ruleIds] IDs of the signer rules of the role.
+   * @param {object} [opts.details] Details of the role.
+   *
+   * @return {Promise} Response of {@link ApiCaller#postOperations}.
+   */
+  async updateSignerRole ({ roleId, ruleIds, details }) {
+    if (!ruleIds || !details) {
+      const role = await this.getSignerRole(roleId)
+      ruleIds = ruleIds || (role.rules || []).map(rule => rule.id)
+      details = details || role.details || {}
+    }
+
+    return this._apiCaller.postOperations(
+      ManageSignerRoleBuilder.update({
+        roleId: String(roleId),
+        ruleIDs: ruleIds.map(String),
+        details
+      })
+    )
+  }
+
+  /**
+   * Removes a signer role.
+   *
+   * @param {string} roleId ID of the role.
+   *
+   * @return {Promise} Response of {@link ApiCaller#postOperations}.
+   */
+  removeSignerRole (roleId) {
+    return this._apiCaller.postOperations(
+      ManageSignerRoleBuilder.remove({ roleId: String(roleId) })
+    )
+  }
+
   async _makeChangeSignerOperations ({
     newPublicKey,
     sourceAccount,
@@ -126,3 +406,81 @@ export class SignersManager {
     })
   }
 }
+
+function normalizeSigner (signer) {
+  return {
+    ...signer,
+    weight: Number(signer.weight),
+    identity: Number(signer.identity),
+    roleId: signer.role ? String(signer.role.id) : ''
+  }
+}
+
+function applyChange (signers, change) {
+  const current = signers.find(signer => signer.id === change.publicKey)
+
+  switch (change.action) {
+    case SIGNER_CHANGE_ACTIONS.create: {
+      if (current) {
+        throw new Error(`Signer ${change.publicKey} already exists`)
+      }
+      if (!change.roleId) {
+        throw new Error(`Role ID of signer ${change.publicKey} is required`)
+      }
+
+      const identities = signers.map(signer => signer.identity)
+      return [...signers, normalizeSigner({
+        id: change.publicKey,
+        weight: change.weight === undefined ? DEFAULT_SIGNER_WEIGHT : change.weight,
+        identity: change.identity === undefined
+          ? Math.max(DEFAULT_SIGNER_IDENTITY, ...identities) + 1
+          : change.identity,
+        role: { id: change.roleId },
+        details: change.details || {}
+      })]
+    }
+    case SIGNER_CHANGE_ACTIONS.update: {
+      if (!current) {
+        throw new Error(`Signer ${change.publicKey} not found`)
+      }
+
+      const updated = normalizeSigner({
+        ...current,
+        weight: change.weight === undefined ? current.weight : change.weight,
+        identity: change.identity === undefined
+          ? current.identity
+          : change.identity,
+        role: change.roleId ? { id: change.roleId } : current.role,
+        details: change.details || current.details || {}
+      })
+      return signers.map(signer => signer === current ? updated : signer)
+    }
+    case SIGNER_CHANGE_ACTIONS.remove:
+      if (!current) {
+        throw new Error(`Signer ${change.publicKey} not found`)
+      }
+
+      return signers.filter(signer => signer !== current)
+    default:
+      throw new TypeError(`Unknown signer change action "${change.action}"`)
+  }
+}
+
+function makeSignerOp (change, signers) {
+  if (change.action === SIGNER_CHANGE_ACTIONS.remove) {
+    return ManageSignerBuilder.deleteSigner({ publicKey: change.publicKey })
+  }
+
+  const signer = signers.find(item => item.id === change.publicKey)
+  const data = {
+    publicKey: signer.id,
+    roleID: signer.roleId,
+    weight: String(signer.weight),
+    identity: String(signer.identity),
+    details: signer.details || {}
+  }
+
+  return change.action === SIGNER_CHANGE_ACTIONS.create
+    ? ManageSignerBuilder.createSigner(data)
+    : ManageSignerBuilder.updateSigner(data)
+}
@@ -1,9 +1,9 @@
 import sinon from 'sinon'
 
-import { SignersManager } from './signers-manager'
+import { SignersManager, SIGNER_CHANGE_ACTIONS } from './signers-manager'
 import { ApiCaller } from '../api-caller'
 
-import { Keypair } from '../../base'
+import { Keypair, RemoteSigner, Transaction } from '../../base'
 import xdr from '../../base/generated/xdr_generated'
 import { Operation } from '../../base/operation'
 
@@ -27,9 +27,13 @@ describe('Signers manager', () => {
     )
   })
 
+  afterEach(() => {
+    sandbox.restore()
+  })
+
   describe('createChangeSignerTransaction', () => {
     beforeEach(() => {
-      sandbox.stub(signersManagerInstance, '_getSigners').resolves([
+      sandbox.stub(signersManagerInstance, 'getSigners').resolves([
         {
           id: 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S',
           role: { id: '2' }
@@ -113,5 +117,277 @@ describe('Signers manager', () => {
           }
         ])
     })
+
+    it('should sign the transaction with an asynchronous signer', async () => {
+      const keypair = Keypair.fromSecret('SBLSDQ764O5IDRAFZXQJMBAJXWL3Z73SATJTAOIPGINPPUZ67E5VKIB3')
+      const signer = new RemoteSigner(
+        keypair.accountId(),
+        async data => keypair.sign(data)
+      )
+
+      const result = await signersManagerInstance
+        .createChangeSignerTransaction({
+          sourceAccount: 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S',
+          newPublicKey: 'GABMN37HVQYAX4YCUMSKCCEJNFV4YOMNZOZDUMNEW5FAX5QESM7QO63Q',
+          signingKeypair: signer
+        })
+
+      const { signatures } = new Transaction(result)
+        .describe({ signers: [keypair.accountId()] })
+      expect(signatures).to.deep.equal([{
+        hint: keypair.signatureHint().toString('hex'),
+        signer: keypair.accountId()
+      }])
+    })
+  })
+
+  describe('constructor', () => {
+    const accountId = 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S'
+
+    let api
+    let manager
+
+    beforeEach(() => {
+      api = {
+        wallet: { accountId },
+        get: sinon.stub().resolves({ data: [{ id: accountId }] }),
+        paginate: sinon.stub().callsFake(async function * () {
+          yield { id: '2' }
+          yield { id: '3' }
+        }),
+        v3: {
+          accounts: {
+            getSigners: sinon.stub().resolves({
+              data: [{ id: accountId, weight: '1000', identity: '1', role: { id: '2' } }]
+            })
+          },
+          signerRoles: {
+            get: sinon.stub().resolves({ data: { id: '2', rules: [] } })
+          }
+        }
+      }
+      manager = new SignersManager(api)
+    })
+
+    it('should fetch the signers with any object with the methods of ApiCaller', async () => {
+      const signers = await manager.getSigners()
+
+      expect(api.get).to.have.been
+        .calledOnceWithExactly(`/v3/accounts/${accountId}/signers`)
+      expect(signers).to.deep.equal([{ id: accountId }])
+    })
+
+    it('should fetch the signers with roles through the v3 resources', async () => {
+      const signers = await manager.getSignersWithRoles()
+
+      expect(api.v3.accounts.getSigners).to.have.been.calledOnceWithExactly(
+        accountId, { include: ['role', 'role.rules'] }
+      )
+      expect(signers[0]).to.deep.include({ id: accountId, weight: 1000, roleId: '2' })
+    })
+
+    it('should fetch the signer roles through the v3 resources and pagination', async () => {
+      const role = await manager.getSignerRole('2')
+      const roles = await manager.getSignerRoles()
+
+      expect(api.v3.signerRoles.get)
+        .to.have.been.calledOnceWithExactly('2', { include: ['rules'] })
+      expect(role).to.deep.equal({ id: '2', rules: [] })
+      expect(api.paginate).to.have.been
+        .calledOnceWithExactly('/v3/signer_roles', { include: ['rules'] })
+      expect(roles).to.deep.equal([{ id: '2' }, { id: '3' }])
+    })
+  })
+
+  describe('calculateWeight', () => {
+    it('should count the biggest weight of the signers with the same identity', () => {
+      expect(SignersManager.calculateWeight([
+        { weight: '300', identity: '1' },
+        { weight: '500', identity: '1' },
+        { weight: 200, identity: 2 }
+      ])).to.equal(700)
+    })
+  })
+
+  describe('account signers', () => {
+    const master = 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S'
+    const device = 'GAJIMZYYBBU7XPXDLR2HUI6KIIV5LMUNJ2WOHY2FQ2Y5MCTDPMLOFLDY'
+    const recovery = 'GD2BSUAJPCN3UKRI64IJI53BJ22NKSVQ7OB6CM2D6OLAZU7U44GC23A7'
+    const newSigner = 'GABMN37HVQYAX4YCUMSKCCEJNFV4YOMNZOZDUMNEW5FAX5QESM7QO63Q'
+
+    let api
+
+    function submittedOperations () {
+      return api.postOperations.firstCall.args
+        .map(operation => Operation.operationToObject(operation))
+    }
+
+    beforeEach(() => {
+      api = signersManagerInstance._apiCaller
+      sandbox.stub(api, 'wallet').get(() => ({ accountId: master }))
+      sandbox.stub(api, 'get')
+        .withArgs(`/v3/accounts/${master}/signers`)
+        .resolves({
+          data: [
+            { id: master, weight: '1000', identity: '1', role: { id: '2' }, details: {} },
+            { id: device, weight: '500', identity: '2', role: { id: '3' }, details: { name: 'Phone' } },
+            { id: recovery, weight: '1000', identity: '3', role: { id: '1' }, details: {} }
+          ]
+        })
+      sandbox.stub(api, 'postOperations').resolves('SOME_RESPONSE')
+    })
+
+    describe('getSignersWithRoles', () => {
+      it('should fetch the signers with the roles and rules', async () => {
+        const signers = await signersManagerInstance.getSignersWithRoles()
+
+        expect(api.get).to.have.been.calledOnceWithExactly(
+          `/v3/accounts/${master}/signers`,
+          { include: ['role', 'role.rules'] },
+          true
+        )
+        expect(signers[1]).to.deep.include({
+          id: device,
+          weight: 500,
+          identity: 2,
+          roleId: '3'
+        })
+      })
+    })
+
+    describe('previewSignerChanges', () => {
+      it('should preview the signers after the changes', async () => {
+        const preview = await signersManagerInstance.previewSignerChanges([
+          { action: SIGNER_CHANGE_ACTIONS.create, publicKey: newSigner, roleId: '3', weight: 250 },
+          { action: SIGNER_CHANGE_ACTIONS.update, publicKey: device, weight: 750 },
+          { action: SIGNER_CHANGE_ACTIONS.remove, publicKey: master }
+        ])
+
+        expect(preview.signers.map(signer => [signer.id, signer.weight, signer.identity]))
+          .to.deep.equal([[device, 750, 2], [recovery, 1000, 3], [newSigner, 250, 4]])
+        expect(preview.weight).to.equal(1000)
+        expect(preview.threshold).to.equal(1000)
+        expect(preview.isThresholdReached).to.be.true
+        expect(preview.operations).to.have.lengthOf(3)
+        expect(api.postOperations).to.not.have.been.called
+      })
+
+      it('should not count the recovery signers', async () => {
+        const preview = await signersManagerInstance.previewSignerChanges([
+          { action: SIGNER_CHANGE_ACTIONS.remove, publicKey: master }
+        ])
+
+        expect(preview.weight).to.equal(500)
+        expect(preview.isThresholdReached).to.be.false
+      })
+
+      it('should throw on an unknown signer', async () => {
+        await expect(signersManagerInstance.previewSignerChanges([
+          { action: SIGNER_CHANGE_ACTIONS.remove, publicKey: newSigner }
+        ])).to.be.rejectedWith(`Signer ${newSigner} not found`)
+      })
+    })
+
+    describe('addSigner', () => {
+      it('should submit the signer with a new identity', async () => {
+        const result = await signersManagerInstance.addSigner({
+          publicKey: newSigner,
+          roleId: '3',
+          details: { name: 'Laptop' }
+        })
+
+        expect(result).to.equal('SOME_RESPONSE')
+        expect(submittedOperations()).to.deep.equal([{
+          type: 'manageSigner',
+          publicKey: newSigner,
+          roleID: '3',
+          weight: '1000',
+          identity: '4',
+          details: { name: 'Laptop' }
+        }])
+      })
+    })
+
+    describe('updateSigner', () => {
+      it('should keep the omitted fields of the signer', async () => {
+        await signersManagerInstance.updateSigner({ publicKey: device, weight: 200 })
+
+        expect(submittedOperations()).to.deep.equal([{
+          type: 'manageSigner',
+          publicKey: device,
+          roleID: '3',
+          weight: '200',
+          identity: '2',
+          details: { name: 'Phone' }
+        }])
+      })
+    })
+
+    describe('removeSigner', () => {
+      it('should remove the signer', async () => {
+        await signersManagerInstance.removeSigner(device)
+
+        expect(submittedOperations()).to.deep.equal([{
+          type: 'manageSigner',
+          publicKey: device
+        }])
+      })
+
+      it('should not remove the last signer reaching the threshold', async () => {
+        await expect(signersManagerInstance.removeSigner(master))
+          .to.be.rejectedWith(
+            'Signers weight 500 after the changes does not reach the threshold 1000'
+          )
+        expect(api.postOperations).to.not.have.been.called
+      })
+
+      it('should remove the last signer reaching the threshold if forced', async () => {
+        await signersManagerInstance.removeSigner(master, { force: true })
+
+        expect(api.postOperations).to.have.been.calledOnce
+      })
+    })
+  })
+
+  describe('signer roles', () => {
+    let api
+
+    beforeEach(() => {
+      api = signersManagerInstance._apiCaller
+      sandbox.stub(api, 'get').withArgs('/v3/signer_roles/5').resolves({
+        data: { id: '5', details: { name: 'Viewer' }, rules: [{ id: '7' }, { id: '8' }] }
+      })
+      sandbox.stub(api, 'postOperations').resolves('SOME_RESPONSE')
+    })
+
+    it('should create a signer role with the rules', async () => {
+      await signersManagerInstance.createSignerRole({
+        ruleIds: [7, '8'],
+        details: { name: 'Viewer' }
+      })
+
+      expect(Operation.operationToObject(api.postOperations.firstCall.args[0]))
+        .to.deep.equal({
+          type: 'manageSignerRole',
+          details: { name: 'Viewer' },
+          isReadOnly: false,
+          ruleIDs: ['7', '8']
+        })
+    })
+
+    it('should keep the omitted fields of the updated role', async () => {
+      await signersManagerInstance.updateSignerRole({ roleId: '5', ruleIds: ['9'] })
+
+      expect(api.get).to.have.been.calledOnceWithExactly(
+        '/v3/signer_roles/5', { include: ['rules'] }, false
+      )
+      expect(Operation.operationToObject(api.postOperations.firstCall.args[0]))
+        .to.deep.equal({
+          type: 'manageSignerRole',
+          roleId: '5',
+          details: { name: 'Viewer' },
+          ruleIDs: ['9']
+        })
+    })
   })
 })
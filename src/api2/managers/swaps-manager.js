@@ -0,0 +1,258 @@
+import _get from 'lodash/get'
+
+import { hash } from '../../base/hashing'
+import xdr from '../../base/generated/xdr_generated'
+import { OpenSwapBuilder } from '../../base/operations/open_swap_builder'
+import { CloseSwapBuilder } from '../../base/operations/close_swap_builder'
+import { randomBytes } from '../../wallet/crypto'
+import { ApiCaller } from '../api-caller'
+
+import { SWAP_STATES } from '../../const'
+import { TimeoutError } from '../../errors'
+
+const SECRET_LENGTH = 32
+const DEFAULT_POLL_INTERVAL = 5000
+
+/**
+ * Keeps the swap secrets in memory. Used by {@link SwapsManager} by default,
+ * the secrets are lost when the process exits.
+ *
+ * Any object with async `get`, `set` and `delete` methods can be used
+ * instead, e.g. a wrapper around `localStorage` or a database table.
+ */
+export class MemorySecretStorage {
+  constructor () {
+    this._secrets = new Map()
+  }
+
+  async get (secretHash) {
+    return this._secrets.get(secretHash)
+  }
+
+  async set (secretHash, secret) {
+    this._secrets.set(secretHash, secret)
+  }
+
+  async delete (secretHash) {
+    this._secrets.delete(secretHash)
+  }
+}
+
+/**
+ * SwapsManager manages the lifecycle of hash-locked swaps: generates the
+ * secret, opens the swap, tracks its state and closes it with the secret or
+ * refunds it after the lock time.
+ *
+ * The secrets are saved to the storage by their hash before the swap is
+ * opened, so a failed submission never loses the secret of an opened swap.
+ *
+ * @example
+ * const manager = new SwapsManager(api, { secretStorage: myStorage })
+ * const { swapId } = await manager.open({
+ *   sourceBalance,
+ *   destination,
+ *   amount: '10',
+ *   lockTime: String(Math.floor(Date.now() / 1000) + 3600),
+ *   feeData
+ * })
+ * // the receiver closes the swap, or the sender refunds it after lock time
+ * await manager.refund(swapId)
+ */
+export class SwapsManager {
+  /**
+   * SwapsManager constructor.
+   *
+   * @param {ApiCaller} apiCaller ApiCaller instance to process the requests.
+   * @param {object} [opts]
+   * @param {object} [opts.secretStorage] Storage of the secrets, see
+   * {@link MemorySecretStorage}.
+   */
+  constructor (apiCaller, opts = {}) {
+    if (apiCaller) {
+      this.useApi(apiCaller)
+    }
+
+    this.useSecretStorage(opts.secretStorage || new MemorySecretStorage())
+  }
+
+  useApi (api) {
+    if (!(api instanceof ApiCaller)) {
+      throw new Error('Is not ApiCaller')
+    }
+    this._apiCaller = api
+  }
+
+  useSecretStorage (storage) {
+    this._secretStorage = storage
+  }
+
+  /**
+   * Generates a random secret and its hash.
+   *
+   * @return {object} Hex-encoded `secret` and `secretHash`.
+   */
+  static generateSecret () {
+    const secret = randomBytes(SECRET_LENGTH)
+
+    return {
+      secret: secret.toString('hex'),
+      secretHash: hash(secret).toString('hex')
+    }
+  }
+
+  /**
+   * Generates a secret, saves it to the storage and opens the swap.
+   *
+   * @param {object} opts Options of {@link OpenSwapBuilder.openSwap} except
+   * `secretHash`.
+   * @param {string} opts.sourceBalance Balance ID to take the amount from.
+   * @param {string} opts.destination Account ID or balance ID of the
+   * receiver.
+   * @param {string} opts.amount Amount of the swap.
+   * @param {string} opts.lockTime Unix timestamp, in seconds, the swap can be
+   * refunded after.
+   * @param {object} opts.feeData Fees of the swap.
+   * @param {object} [opts.details={}] Details of the swap.
+   *
+   * @return {Promise.<object>} `swapId`, `secretHash` and the `response` of
+   * the transaction submission.
+   */
+  async open (opts) {
+    const { secret, secretHash } = SwapsManager.generateSecret()
+
+    const operation = OpenSwapBuilder.openSwap({
+      details: {},
+      ...opts,
+      secretHash
+    })
+
+    await this._secretStorage.set(secretHash, secret)
+    const response = await this._apiCaller.postOperations(operation)
+
+    return {
+      swapId: getOpenedSwapId(response),
+      secretHash,
+      response
+    }
+  }
+
+  /**
+   * Fetches the swap.
+   *
+   * @param {string} swapId ID of the swap.
+   *
+   * @return {Promise.<object>} Swap record, see {@link SWAP_STATES} for the
+   * `state.value`.
+   */
+  async getSwap (swapId) {
+    const { data } = await this._apiCaller.v3.swaps.get(swapId)
+    return data
+  }
+
+  /**
+   * Polls the swap until it is closed or cancelled.
+   *
+   * @param {string} swapId ID of the swap.
+   * @param {object} [opts]
+   * @param {number} [opts.interval=5000] Delay between the requests, in ms.
+   * @param {number} [opts.timeout] Time to wait, in ms. Waits until the
+   * swap is finished by default.
+   *
+   * @return {Promise.<object>} Finished swap record.
+   */
+  async waitForFinish (swapId, opts = {}) {
+    const interval = opts.interval || DEFAULT_POLL_INTERVAL
+    const deadline = opts.timeout ? now() + opts.timeout : Infinity
+
+    for (;;) {
+      const swap = await this.getSwap(swapId)
+      if (getState(swap) !== SWAP_STATES.open) {
+        return swap
+      }
+
+      if (now() + interval > deadline) {
+        throw new TimeoutError(`Swap ${swapId} is still open`, swap)
+      }
+      await this._sleep(interval)
+    }
+  }
+
+  /**
+   * Closes the swap with the secret from the storage, the receiver gets the
+   * amount. Must be signed by the receiver before the lock time.
+   *
+   * @param {string} swapId ID of the swap.
+   * @param {object} [opts]
+   * @param {string} [opts.secret] Hex-encoded secret to use instead of the
+   * stored one, e.g. the one shared by the sender.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  async close (swapId, opts = {}) {
+    const swap = await this.getSwap(swapId)
+    const secret = opts.secret ||
+      await this._secretStorage.get(swap.secretHash)
+    if (!secret) {
+      throw new Error(`No secret found for swap ${swapId}`)
+    }
+
+    const response = await this._apiCaller.postOperations(
+      CloseSwapBuilder.closeSwap({ swapId: String(swapId), secret })
+    )
+    await this._secretStorage.delete(swap.secretHash)
+
+    return response
+  }
+
+  /**
+   * Closes the swap without the secret, the sender gets the amount back.
+   * Possible only after the lock time.
+   *
+   * @param {string} swapId ID of the swap.
+   *
+   * @return {Promise} Response of the transaction submission.
+   */
+  async refund (swapId) {
+    const swap = await this.getSwap(swapId)
+    if (now() < toTimestamp(swap.lockTime)) {
+      throw new Error(`Swap ${swapId} is locked until ${swap.lockTime}`)
+    }
+
+    const response = await this._apiCaller.postOperations(
+      CloseSwapBuilder.closeSwap({ swapId: String(swapId) })
+    )
+    await this._secretStorage.delete(swap.secretHash)
+
+    return response
+  }
+
+  _sleep (ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+  }
+}
+
+function now () {
+  return new Date().getTime()
+}
+
+// Accepts both Unix seconds and RFC 3339 dates
+function toTimestamp (time) {
+  return /^\d+$/.test(String(time))
+    ? Number(time) * 1000
+    : new Date(time).getTime()
+}
+
+function getState (swap) {
+  return Number(_get(swap, 'state.value'))
+}
+
+function getOpenedSwapId (response) {
+  const resultXdr = _get(response, 'data.data.attributes.resultXdr')
+  if (!resultXdr) {
+    return null
+  }
+
+  const result = xdr.TransactionResult.fromXDR(Buffer.from(resultXdr, 'base64'))
+  return result.result().results()[0].tr().openSwapResult().success()
+    .swapId().toString()
+}
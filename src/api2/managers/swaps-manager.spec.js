@@ -0,0 +1,191 @@
+import sinon from 'sinon'
+
+import { SwapsManager, MemorySecretStorage } from './swaps-manager'
+import { ApiCaller } from '../api-caller'
+
+import { Keypair, hash } from '../../base'
+import xdr from '../../base/generated/xdr_generated'
+import { Operation } from '../../base/operation'
+import { Wallet } from '../../wallet'
+import { SWAP_STATES } from '../../const'
+import { TimeoutError } from '../../errors'
+
+describe('Swaps manager', () => {
+  const accountId = 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S'
+  const sourceBalance = Keypair.random().balanceId()
+  const destination = Keypair.random().accountId()
+  const secret = 'bc7adbde0e435e79ceaca3cf1b4956267e6aedfefec318e80a52fdad4eb16a9d'
+  const secretHash = hash(Buffer.from(secret, 'hex')).toString('hex')
+
+  let sandbox
+  let api
+  let storage
+  let manager
+
+  function makeOpenSwapResult (swapId) {
+    const fee = new xdr.Fee({
+      fixed: xdr.Uint64.fromString('0'),
+      percent: xdr.Uint64.fromString('0'),
+      ext: new xdr.FeeExt(xdr.LedgerVersion.emptyVersion())
+    })
+    const success = new xdr.OpenSwapSuccess({
+      swapId: xdr.Uint64.fromString(swapId),
+      destination: Keypair.fromAccountId(destination).xdrAccountId(),
+      destinationBalance: Keypair.random().xdrBalanceId(),
+      asset: 'BTC',
+      actualSourceFee: fee,
+      actualDestinationFee: fee,
+      ext: new xdr.EmptyExt(xdr.LedgerVersion.emptyVersion())
+    })
+
+    return new xdr.TransactionResult({
+      feeCharged: xdr.Int64.fromString('0'),
+      result: xdr.TransactionResultResult.txSuccess([
+        xdr.OperationResult.opInner(
+          xdr.OperationResultTr.openSwap(xdr.OpenSwapResult.success(success))
+        )
+      ]),
+      ext: new xdr.TransactionResultExt(xdr.LedgerVersion.emptyVersion())
+    }).toXDR().toString('base64')
+  }
+
+  function makeSwap (state, lockTime = '2020-01-01T00:00:00Z') {
+    return { id: '42', secretHash, lockTime, state: { value: state } }
+  }
+
+  function getPostedOperation () {
+    return Operation.operationToObject(api.postOperations.firstCall.args[0])
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    api = ApiCaller.getInstance('https://api.test.com')
+    api.useWallet(new Wallet('foo@bar.com', Keypair.random(), accountId))
+    storage = new MemorySecretStorage()
+    manager = new SwapsManager(api, { secretStorage: storage })
+
+    sandbox.stub(api, 'postOperations').resolves({
+      data: { data: { attributes: { resultXdr: makeOpenSwapResult('42') } } }
+    })
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('.generateSecret', () => {
+    it('should generate a random secret and its hash', () => {
+      const first = SwapsManager.generateSecret()
+      const second = SwapsManager.generateSecret()
+
+      expect(first.secret).to.match(/^[0-9a-f]{64}$/)
+      expect(first.secretHash)
+        .to.equal(hash(Buffer.from(first.secret, 'hex')).toString('hex'))
+      expect(first.secret).to.not.equal(second.secret)
+    })
+  })
+
+  describe('.open', () => {
+    it('should save the secret and open the swap with its hash', async () => {
+      sandbox.spy(storage, 'set')
+
+      const { swapId, secretHash } = await manager.open({
+        sourceBalance,
+        destination,
+        amount: '10',
+        lockTime: '1600000000',
+        feeData: {
+          sourceFee: { fixed: '0', percent: '0' },
+          destinationFee: { fixed: '0', percent: '0' },
+          sourcePaysForDest: false
+        }
+      })
+
+      expect(swapId).to.equal('42')
+      expect(storage.set).to.have.been.calledBefore(api.postOperations)
+      expect(hash(Buffer.from(await storage.get(secretHash), 'hex')))
+        .to.deep.equal(Buffer.from(secretHash, 'hex'))
+
+      const op = getPostedOperation()
+      expect(op.type).to.equal('openSwap')
+      expect(op.secretHash).to.equal(secretHash)
+      expect(op.lockTime).to.equal('1600000000')
+      expect(op.details).to.deep.equal({})
+    })
+  })
+
+  describe('.close', () => {
+    it('should close the swap with the stored secret', async () => {
+      await storage.set(secretHash, secret)
+      sandbox.stub(api.v3.swaps, 'get')
+        .resolves({ data: makeSwap(SWAP_STATES.open) })
+
+      await manager.close('42')
+
+      const op = getPostedOperation()
+      expect(op.type).to.equal('closeSwap')
+      expect(op.swapId).to.equal('42')
+      expect(op.secret).to.equal(secret)
+      expect(await storage.get(secretHash)).to.be.undefined
+    })
+
+    it('should throw if the secret is unknown', async () => {
+      sandbox.stub(api.v3.swaps, 'get')
+        .resolves({ data: makeSwap(SWAP_STATES.open) })
+
+      await expect(manager.close('42'))
+        .to.be.rejectedWith('No secret found for swap 42')
+      expect(api.postOperations).to.not.have.been.called
+    })
+  })
+
+  describe('.refund', () => {
+    it('should close the swap without the secret after the lock time', async () => {
+      sandbox.stub(api.v3.swaps, 'get')
+        .resolves({ data: makeSwap(SWAP_STATES.open) })
+
+      await manager.refund('42')
+
+      const op = getPostedOperation()
+      expect(op.type).to.equal('closeSwap')
+      expect(op.secret).to.be.undefined
+    })
+
+    it('should throw before the lock time', async () => {
+      sandbox.stub(api.v3.swaps, 'get').resolves({
+        data: makeSwap(SWAP_STATES.open, '2999-01-01T00:00:00Z')
+      })
+
+      await expect(manager.refund('42'))
+        .to.be.rejectedWith('Swap 42 is locked until 2999-01-01T00:00:00Z')
+      expect(api.postOperations).to.not.have.been.called
+    })
+  })
+
+  describe('.waitForFinish', () => {
+    beforeEach(() => {
+      sandbox.stub(manager, '_sleep').resolves()
+    })
+
+    it('should poll the swap until it is finished', async () => {
+      sandbox.stub(api.v3.swaps, 'get')
+        .onFirstCall().resolves({ data: makeSwap(SWAP_STATES.open) })
+        .onSecondCall().resolves({ data: makeSwap(SWAP_STATES.closed) })
+
+      const swap = await manager.waitForFinish('42', { interval: 10 })
+
+      expect(swap.state.value).to.equal(SWAP_STATES.closed)
+      expect(api.v3.swaps.get).to.have.been.calledTwice
+      expect(manager._sleep).to.have.been.calledOnceWithExactly(10)
+    })
+
+    it('should throw on timeout', async () => {
+      sandbox.stub(api.v3.swaps, 'get')
+        .resolves({ data: makeSwap(SWAP_STATES.open) })
+
+      await expect(manager.waitForFinish('42', { interval: 10, timeout: 5 }))
+        .to.be.rejectedWith(TimeoutError)
+    })
+  })
+})
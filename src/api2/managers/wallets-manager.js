@@ -584,10 +584,92 @@ export class WalletsManager {
 
     const oldWalletId = wallet.id
     wallet._email = newEmail
+
+    return this._reencrypt({ wallet, oldWalletId, password, kdfParams })
+  }
+
+  /**
+   * Check if the wallet is encrypted with an outdated KDF version, i.e. the
+   * scrypt cost was raised on the server after the wallet was saved.
+   *
+   * @param {string} email User's email.
+   *
+   * @return {Promise.<boolean>} Whether {@link upgradeKdf} should be called.
+   */
+  async isKdfOutdated (email) {
+    const { current, latest } = await this._getKdfVersions(email)
+    return isNewerKdf(latest, current)
+  }
+
+  /**
+   * Re-encrypt the wallet under the latest KDF params and upload it, if it is
+   * encrypted with an outdated KDF version. The wallet ID changes, as it is
+   * derived with the KDF params.
+   *
+   * @param {object} opts
+   * @param {string} opts.password Current password.
+   * @param {Wallet} [opts.wallet] Wallet to upgrade, the wallet of the
+   * ApiCaller by default.
+   *
+   * @return {Promise.<object>} Upgraded wallet and the response, `response`
+   * is `null` if the KDF version is already the latest one.
+   */
+  async upgradeKdf ({ password, wallet }) {
+    wallet = Wallet.clone(wallet || this._apiCaller.wallet)
+
+    const { current, latest } = await this._getKdfVersions(wallet.email)
+    if (!isNewerKdf(latest, current)) {
+      return { wallet, response: null }
+    }
+
+    // a keychain encrypted with a wrong password would lock the user out
+    const walletId = Wallet.deriveId(
+      wallet.email, password, current, current.salt
+    )
+    if (walletId !== wallet.id) {
+      throw new Error('Wrong password')
+    }
+
+    return this._reencrypt({
+      wallet,
+      oldWalletId: wallet.id,
+      password,
+      kdfParams: latest
+    })
+  }
+
+  /**
+   * Get the KDF params the wallet is encrypted with and the latest ones.
+   *
+   * @param {string} email User's email.
+   *
+   * @return {Promise.<object>} `current` and `latest` KDF params.
+   */
+  async _getKdfVersions (email) {
+    const [{ data: current }, { data: latest }] = await Promise.all([
+      this.getKdfParams(email),
+      this.getKdfParams('')
+    ])
+
+    return { current, latest }
+  }
+
+  /**
+   * Encrypt the wallet under the KDF params and replace the old one with it.
+   *
+   * @param {object} opts
+   * @param {Wallet} opts.wallet Wallet to encrypt, gets the new wallet ID.
+   * @param {string} opts.oldWalletId ID of the wallet to replace.
+   * @param {string} opts.password User's password.
+   * @param {object} opts.kdfParams KDF params to encrypt the wallet with.
+   *
+   * @return {Promise.<object>} Updated wallet and the response.
+   */
+  async _reencrypt ({ wallet, oldWalletId, password, kdfParams }) {
     const encryptedWallet = wallet.encrypt(kdfParams, password)
 
     const extraKps = wallet.nonSigningKeypairs
-    const factorWallet = Wallet.generate(newEmail, null, extraKps)
+    const factorWallet = Wallet.generate(wallet.email, null, extraKps)
     const encryptedFactorWallet = factorWallet.encrypt(kdfParams, password)
 
     const signers = await this._signersManager.getSigners(wallet.accountId)
@@ -597,7 +679,7 @@ export class WalletsManager {
         type: 'wallet',
         id: encryptedWallet.id,
         attributes: {
-          email: newEmail,
+          email: wallet.email,
           salt: encryptedWallet.salt,
           account_id: encryptedWallet.accountId,
           keychain_data: encryptedWallet.keychainData
@@ -668,3 +750,7 @@ export class WalletsManager {
     return _get(data[0], 'address')
   }
 }
+
+function isNewerKdf (latest, current) {
+  return Number(latest.id) > Number(current.id)
+}
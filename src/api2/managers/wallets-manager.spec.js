@@ -378,5 +378,112 @@ describe('Wallets manager', () => {
         expect(result.accountId).to.equal(accountId)
       })
     })
+
+    describe('KDF upgrade', () => {
+      const currentKdfParams = {
+        type: 'kdf',
+        id: '1',
+        bits: 256,
+        n: 8,
+        p: 1,
+        r: 8,
+        salt: '/1dwsCq6f1zdpIObxLBOiQ=='
+      }
+      const latestKdfParams = {
+        type: 'kdf',
+        id: '2',
+        bits: 256,
+        n: 16,
+        p: 1,
+        r: 8
+      }
+
+      let wallet
+
+      beforeEach(() => {
+        wallet = new Wallet(
+          email,
+          seed,
+          accountId,
+          Wallet.deriveId(email, password, currentKdfParams, currentKdfParams.salt),
+          null,
+          null,
+          keypairs
+        )
+
+        walletsManagerInstance._apiCaller.get
+          .withArgs('/kdf', { email, is_recovery: false })
+          .resolves({ data: currentKdfParams })
+        walletsManagerInstance._apiCaller.get
+          .withArgs('/kdf', { email: '', is_recovery: false })
+          .resolves({ data: latestKdfParams })
+        sandbox.stub(walletsManagerInstance._signersManager, 'getSigners')
+          .resolves([])
+        sandbox.stub(walletsManagerInstance._apiCaller, 'post')
+          .resolves('SOME_RESPONSE')
+      })
+
+      describe('isKdfOutdated', () => {
+        it('returns true if the latest KDF version is newer', async () => {
+          expect(await walletsManagerInstance.isKdfOutdated(email)).to.be.true
+        })
+
+        it('returns false if the KDF version is the latest one', async () => {
+          walletsManagerInstance._apiCaller.get
+            .withArgs('/kdf', { email: '', is_recovery: false })
+            .resolves({ data: currentKdfParams })
+
+          expect(await walletsManagerInstance.isKdfOutdated(email)).to.be.false
+        })
+      })
+
+      describe('upgradeKdf', () => {
+        it('re-encrypts the wallet under the latest KDF params', async () => {
+          const oldWalletId = wallet.id
+
+          const result = await walletsManagerInstance
+            .upgradeKdf({ password, wallet })
+
+          const [endpoint, body] = walletsManagerInstance._apiCaller.post
+            .firstCall.args
+          expect(endpoint).to.equal(`/wallets/${oldWalletId}`)
+          expect(body.data.relationships.kdf.data)
+            .to.deep.equal({ type: 'kdf', id: '2' })
+          expect(result.response).to.equal('SOME_RESPONSE')
+          expect(result.wallet.id).to.equal(body.data.id)
+          expect(result.wallet.id).to.not.equal(oldWalletId)
+
+          const decrypted = Wallet.fromEncrypted({
+            keychainData: body.data.attributes.keychain_data,
+            kdfParams: latestKdfParams,
+            salt: body.data.attributes.salt,
+            email,
+            password
+          })
+          expect(decrypted.id).to.equal(result.wallet.id)
+          expect(decrypted.secretSeeds).to.have.members(wallet.secretSeeds)
+        })
+
+        it('does nothing if the KDF version is the latest one', async () => {
+          walletsManagerInstance._apiCaller.get
+            .withArgs('/kdf', { email: '', is_recovery: false })
+            .resolves({ data: currentKdfParams })
+
+          const result = await walletsManagerInstance
+            .upgradeKdf({ password, wallet })
+
+          expect(walletsManagerInstance._apiCaller.post).to.not.have.been.called
+          expect(result.response).to.be.null
+          expect(result.wallet.id).to.equal(wallet.id)
+        })
+
+        it('throws on a wrong password', async () => {
+          await expect(walletsManagerInstance
+            .upgradeKdf({ password: 'wrong', wallet })
+          ).to.be.rejectedWith('Wrong password')
+          expect(walletsManagerInstance._apiCaller.post).to.not.have.been.called
+        })
+      })
+    })
   })
 })
@@ -1,6 +1,6 @@
 import _ from 'lodash'
 import axios from 'axios'
-import { hash, Keypair } from '../../base'
+import { hash, Keypair, BaseSigner } from '../../base'
 
 const HEADER_SIGNATURE = 'signature'
 const HEADER_REQUEST_TARGET = '(request-target)'
@@ -9,13 +9,19 @@ const HEADER_ACCOUNT_ID = 'Account-Id'
 
 /**
  * @param {object} requestConfig - the axios config of the request
- * @param {Keypair} signerKp - keypair to sign with
+ * @param {Keypair|BaseSigner} signerKp - keypair or asynchronous signer to
+ * sign with
  * @param {string} accountId - account id that identifies user who sends request
  *
- * @return {object} requestConfig - modified config with header signature
+ * @return {object|Promise<object>} requestConfig - modified config with
+ * header signature, a promise of it for an asynchronous signer
  */
 export function signRequest (requestConfig, signerKp, accountId) {
-  if (!Keypair.isValidSecretKey(signerKp.secret())) {
+  if (signerKp instanceof Keypair) {
+    if (!Keypair.isValidSecretKey(signerKp.secret())) {
+      throw new Error('Invalid keypair provided')
+    }
+  } else if (!(signerKp instanceof BaseSigner)) {
     throw new Error('Invalid keypair provided')
   }
 
@@ -23,14 +29,25 @@ export function signRequest (requestConfig, signerKp, accountId) {
 
   const url = getRequestUrl(config)
   const digest = getRequestDigest(url, config, HEADERS_TO_SIGN)
-  const signature = signerKp.sign(digest).toString('base64')
-  const signatureHeader = getSignatureHeader(signerKp.accountId(), HEADERS_TO_SIGN, signature)
+  const setHeaders = signature => {
+    const signatureHeader = getSignatureHeader(
+      signerKp.accountId(),
+      HEADERS_TO_SIGN,
+      signature.toString('base64')
+    )
+
+    config.headers = config.headers || {}
+    config.headers[HEADER_SIGNATURE] = signatureHeader
+    config.headers[HEADER_ACCOUNT_ID] = accountId
 
-  config.headers = config.headers || {}
-  config.headers[HEADER_SIGNATURE] = signatureHeader
-  config.headers[HEADER_ACCOUNT_ID] = accountId
+    return config.headers
+  }
+
+  if (signerKp instanceof Keypair) {
+    return setHeaders(signerKp.sign(digest))
+  }
 
-  return config.headers
+  return signerKp.sign(digest).then(setHeaders)
 }
 
 function getRequestUrl (config) {
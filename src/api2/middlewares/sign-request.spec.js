@@ -1,5 +1,5 @@
 import { signRequest } from './sign-request'
-import { Keypair } from '../../base'
+import { Keypair, KeypairSigner } from '../../base'
 
 describe('signRequest', () => {
   it('should properly sign the request', () => {
@@ -24,4 +24,30 @@ describe('signRequest', () => {
       'GB65IHVVJOGUYKZLHT3GAZOWHCBMZLQLDJAWXJM5LUXI35LNAHHBQUKB'
     )
   })
+
+  it('should sign the request with an asynchronous signer', async () => {
+    const signerKp = Keypair.random()
+    const requestConfig = {
+      baseURL: 'https://example.com',
+      url: '/foo/bar',
+      headers: {},
+      method: 'GET',
+      params: {}
+    }
+
+    const headers = await signRequest(
+      requestConfig,
+      new KeypairSigner(signerKp),
+      signerKp.accountId()
+    )
+
+    expect(headers).to.deep.equal(
+      signRequest(requestConfig, signerKp, signerKp.accountId())
+    )
+  })
+
+  it('should throw on an invalid signer', () => {
+    expect(() => signRequest({}, 'secret', Keypair.random().accountId()))
+      .to.throw('Invalid keypair provided')
+  })
 })
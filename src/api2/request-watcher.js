@@ -0,0 +1,186 @@
+import { EventEmitter } from 'events'
+import { get } from 'lodash'
+
+import { AbortError, TimeoutError } from '../errors'
+import { REQUEST_STATES } from '../const'
+
+const DEFAULT_INTERVAL = 5000 // ms
+
+const STATE_EVENTS = Object.freeze({
+  [REQUEST_STATES.approved]: 'approved',
+  [REQUEST_STATES.rejected]: 'rejected',
+  [REQUEST_STATES.permanentlyRejected]: 'permanentlyRejected',
+  [REQUEST_STATES.cancelled]: 'cancelled'
+})
+
+/**
+ * Polls the reviewable request until it is reviewed. Created by
+ * {@link ApiCaller#watchRequest}.
+ *
+ * Emits:
+ * - `tasksChanged` with the decoded `{ pendingTasks, allTasks }` flags and
+ *   the request record when the reviewer changes the tasks of the request
+ * - `approved`, `rejected`, `permanentlyRejected` or `cancelled` with the
+ *   request record once, when the request leaves the pending state
+ *
+ * @example
+ * const taskFlags = await RequestWatcher.loadTaskFlags(api, {
+ *   kycCheck: 'kyc_check_task',
+ *   manualReview: 'manual_review_task'
+ * })
+ * const watcher = api.watchRequest(requestId, { taskFlags, timeout: 60000 })
+ * watcher.on('tasksChanged', ({ pendingTasks }) => {
+ *   console.log('KYC checked:', !pendingTasks.kycCheck)
+ * })
+ * const request = await watcher.wait()
+ */
+export class RequestWatcher extends EventEmitter {
+  /**
+   * @param {ApiCaller} apiCaller - ApiCaller instance to fetch the request
+   * @param {string} requestId - ID of the request to watch
+   * @param {object} [opts]
+   * @param {number} [opts.interval=5000] - delay between the requests, in ms
+   * @param {number} [opts.timeout] - time to wait, in ms. Waits until the
+   * request is reviewed by default
+   * @param {AbortSignal} [opts.signal] - signal to stop the watching
+   * @param {object} [opts.taskFlags] - names of the task bits, e.g.
+   * `{ kycCheck: 1, manualReview: 2 }`, see
+   * {@link RequestWatcher.loadTaskFlags}
+   */
+  constructor (apiCaller, requestId, opts = {}) {
+    super()
+
+    this.requestId = String(requestId)
+    this.interval = opts.interval || DEFAULT_INTERVAL
+    this.timeout = opts.timeout || null
+    this.taskFlags = opts.taskFlags || {}
+
+    this._apiCaller = apiCaller
+    this._signal = opts.signal || null
+    this._promise = null
+  }
+
+  /**
+   * Starts polling, if not started yet, and waits for the review.
+   *
+   * @returns {Promise<object>} - the reviewed request record, check its
+   * `stateI` against {@link REQUEST_STATES}
+   * @throws {TimeoutError} - the request is still pending after the timeout
+   * @throws {AbortError} - the signal is aborted
+   */
+  wait () {
+    if (!this._promise) {
+      this._promise = this._poll()
+    }
+
+    return this._promise
+  }
+
+  /**
+   * Decodes the tasks bit mask into the named flags.
+   *
+   * @param {number} tasks - tasks bit mask of the request
+   * @param {object} taskFlags - names of the task bits
+   * @returns {object} - `true` for every named task set in the mask
+   */
+  static decodeTasks (tasks, taskFlags) {
+    const mask = Number(tasks) || 0
+
+    return Object.entries(taskFlags).reduce((flags, [name, value]) => ({
+      ...flags,
+      [name]: (mask & Number(value)) !== 0
+    }), {})
+  }
+
+  /**
+   * Fetches the task values configured in the key-value storage, e.g. the
+   * ones of {@link KEY_VALUE_KEYS}.
+   *
+   * @param {ApiCaller} apiCaller - ApiCaller instance to fetch the values
+   * @param {object} keys - names of the tasks mapped to their keys
+   * @returns {Promise<object>} - names of the tasks mapped to their values
+   */
+  static async loadTaskFlags (apiCaller, keys) {
+    const entries = await Promise.all(
+      Object.entries(keys).map(async ([name, key]) => {
+        const { data } = await apiCaller.v3.keyValues.get(key)
+        return [name, Number(get(data, 'value.u32'))]
+      })
+    )
+
+    return entries.reduce((flags, [name, value]) => ({
+      ...flags,
+      [name]: value
+    }), {})
+  }
+
+  async _poll () {
+    const deadline = this.timeout ? now() + this.timeout : Infinity
+    let tasks = null
+
+    for (;;) {
+      this._throwIfAborted()
+      const { data: request } = await this._apiCaller.v3.requests
+        .get(this.requestId)
+      this._throwIfAborted()
+
+      const nextTasks = {
+        pendingTasks: Number(request.pendingTasks),
+        allTasks: Number(request.allTasks)
+      }
+      if (tasks && (tasks.pendingTasks !== nextTasks.pendingTasks ||
+        tasks.allTasks !== nextTasks.allTasks)) {
+        this.emit('tasksChanged', {
+          pendingTasks: RequestWatcher
+            .decodeTasks(nextTasks.pendingTasks, this.taskFlags),
+          allTasks: RequestWatcher
+            .decodeTasks(nextTasks.allTasks, this.taskFlags)
+        }, request)
+      }
+      tasks = nextTasks
+
+      const event = STATE_EVENTS[Number(request.stateI)]
+      if (event) {
+        this.emit(event, request)
+        return request
+      }
+
+      if (now() + this.interval > deadline) {
+        throw new TimeoutError(
+          `Request ${this.requestId} is still pending`,
+          request
+        )
+      }
+      await this._sleep(this.interval)
+    }
+  }
+
+  _throwIfAborted () {
+    if (this._signal && this._signal.aborted) {
+      throw new AbortError(`Watching request ${this.requestId} is aborted`)
+    }
+  }
+
+  _sleep (ms) {
+    const signal = this._signal
+
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ms)
+      if (signal) {
+        signal.addEventListener('abort', done)
+      }
+
+      function done () {
+        clearTimeout(timer)
+        if (signal) {
+          signal.removeEventListener('abort', done)
+        }
+        resolve()
+      }
+    })
+  }
+}
+
+function now () {
+  return new Date().getTime()
+}
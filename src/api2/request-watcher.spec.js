@@ -0,0 +1,122 @@
+import sinon from 'sinon'
+
+import { RequestWatcher } from './request-watcher'
+import { ApiCaller } from './api-caller'
+import { AbortError, TimeoutError } from '../errors'
+import { REQUEST_STATES } from '../const'
+
+describe('RequestWatcher', () => {
+  const taskFlags = { kycCheck: 1, manualReview: 2 }
+
+  let sandbox
+  let api
+
+  function makeRequest (stateI, pendingTasks = 3) {
+    return { data: { id: '9', stateI, pendingTasks, allTasks: 3 } }
+  }
+
+  function makeWatcher (opts = {}) {
+    const watcher = api.watchRequest('9', { interval: 10, taskFlags, ...opts })
+    sandbox.stub(watcher, '_sleep').resolves()
+    return watcher
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    api = ApiCaller.getInstance('https://api.test.com')
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('.wait', () => {
+    it('should poll the request until it is approved', async () => {
+      sandbox.stub(api.v3.requests, 'get')
+        .onFirstCall().resolves(makeRequest(REQUEST_STATES.pending))
+        .onSecondCall().resolves(makeRequest(REQUEST_STATES.pending, 2))
+        .onThirdCall().resolves(makeRequest(REQUEST_STATES.approved, 0))
+      const watcher = makeWatcher()
+      const onTasksChanged = sinon.spy()
+      const onApproved = sinon.spy()
+      watcher.on('tasksChanged', onTasksChanged)
+      watcher.on('approved', onApproved)
+
+      const request = await watcher.wait()
+
+      expect(request.stateI).to.equal(REQUEST_STATES.approved)
+      expect(api.v3.requests.get).to.have.been.calledThrice
+        .and.always.calledWithExactly('9')
+      expect(watcher._sleep).to.have.been.calledTwice
+        .and.always.calledWithExactly(10)
+      expect(onApproved).to.have.been.calledOnceWithExactly(request)
+      expect(onTasksChanged).to.have.been.calledTwice
+      expect(onTasksChanged.firstCall.args[0]).to.deep.equal({
+        pendingTasks: { kycCheck: false, manualReview: true },
+        allTasks: { kycCheck: true, manualReview: true }
+      })
+    })
+
+    it('should emit the rejection', async () => {
+      sandbox.stub(api.v3.requests, 'get')
+        .resolves(makeRequest(REQUEST_STATES.permanentlyRejected))
+      const watcher = makeWatcher()
+      const onRejected = sinon.spy()
+      watcher.on('permanentlyRejected', onRejected)
+
+      await watcher.wait()
+
+      expect(onRejected).to.have.been.calledOnce
+    })
+
+    it('should be used by ApiCaller.waitForRequest', async () => {
+      sandbox.stub(api.v3.requests, 'get')
+        .resolves(makeRequest(REQUEST_STATES.rejected))
+
+      const request = await api.waitForRequest('9')
+
+      expect(request.stateI).to.equal(REQUEST_STATES.rejected)
+    })
+
+    it('should throw on timeout', async () => {
+      sandbox.stub(api.v3.requests, 'get')
+        .resolves(makeRequest(REQUEST_STATES.pending))
+
+      await expect(makeWatcher({ timeout: 5 }).wait())
+        .to.be.rejectedWith(TimeoutError, 'Request 9 is still pending')
+    })
+
+    it('should stop when the signal is aborted', async () => {
+      const signal = { aborted: false }
+      sandbox.stub(api.v3.requests, 'get').callsFake(async () => {
+        signal.aborted = true
+        return makeRequest(REQUEST_STATES.pending)
+      })
+
+      await expect(makeWatcher({ signal }).wait())
+        .to.be.rejectedWith(AbortError, 'Watching request 9 is aborted')
+      expect(api.v3.requests.get).to.have.been.calledOnce
+    })
+  })
+
+  describe('.decodeTasks', () => {
+    it('should decode the named flags', () => {
+      expect(RequestWatcher.decodeTasks(6, { a: 1, b: 2, c: 4 }))
+        .to.deep.equal({ a: false, b: true, c: true })
+    })
+  })
+
+  describe('.loadTaskFlags', () => {
+    it('should fetch the task values from the key-value storage', async () => {
+      sandbox.stub(api.v3.keyValues, 'get')
+        .withArgs('issuance_tasks')
+        .resolves({ data: { id: 'issuance_tasks', value: { u32: 8 } } })
+
+      const flags = await RequestWatcher.loadTaskFlags(api, {
+        issuance: 'issuance_tasks'
+      })
+
+      expect(flags).to.deep.equal({ issuance: 8 })
+    })
+  })
+})
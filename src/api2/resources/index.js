@@ -0,0 +1,91 @@
+import { Resource, buildQuery } from './resource'
+
+/**
+ * Accounts: `/v3/accounts/{id}` and its nested resources.
+ */
+export class AccountsResource extends Resource {
+  /**
+   * Fetches the signers of the account.
+   *
+   * @param {string} accountId - ID of the account
+   * @param {object} [opts] - see {@link Resource#get}
+   * @returns {Promise<JsonapiResponse>}
+   */
+  getSigners (accountId, opts = {}) {
+    return this._get(`${this._endpoint}/${accountId}/signers`, {}, opts)
+  }
+
+  /**
+   * Calculates the fee the account pays for the operation.
+   *
+   * @param {string} accountId - ID of the account
+   * @param {object} params
+   * @param {string} params.asset - asset code
+   * @param {number} params.feeType - fee type, see {@link FEE_TYPES}
+   * @param {number} [params.subtype=0] - fee subtype
+   * @param {string} params.amount - amount of the operation
+   * @param {object} [opts] - see {@link Resource#get}
+   * @returns {Promise<JsonapiResponse>}
+   */
+  getCalculatedFees (accountId, params, opts = {}) {
+    const { asset, feeType, subtype = 0, amount } = params
+    const endpoint = `${this._endpoint}/${accountId}/calculated_fees`
+
+    return this._apiCaller.get(endpoint, {
+      ...buildQuery({}, opts),
+      asset,
+      fee_type: feeType,
+      subtype,
+      amount
+    }, this._isSignNeeded(opts))
+  }
+}
+
+/**
+ * Typed access to the Horizon v3 resources. Available as
+ * {@link ApiCaller#v3}.
+ *
+ * Private resources (accounts, balances, requests, offers, transactions,
+ * swaps and deferred payments) are requested with signature by default, the
+ * public ones without it.
+ * Pass `needSign` option to override it.
+ *
+ * @example
+ * const { data: account } = await api.v3.accounts.get(accountId, {
+ *   include: ['balances', 'balances.state']
+ * })
+ * const { data: assets } = await api.v3.assets.list({ owner: accountId })
+ * const { data: requests } = await api.v3.requests.list(
+ *   { type: REQUEST_TYPES.createIssuanceRequest, state: REQUEST_STATES.pending },
+ *   { page: { limit: 50, order: 'desc' } }
+ * )
+ */
+export class V3Resources {
+  /**
+   * @param {ApiCaller} apiCaller - ApiCaller instance to process the requests
+   */
+  constructor (apiCaller) {
+    this.apiCaller = apiCaller
+
+    const signed = { needSign: true }
+
+    this.accounts = new AccountsResource(apiCaller, '/v3/accounts', signed)
+    this.balances = new Resource(apiCaller, '/v3/balances', signed)
+    this.requests = new Resource(apiCaller, '/v3/requests', signed)
+    this.offers = new Resource(apiCaller, '/v3/offers', signed)
+    this.transactions = new Resource(apiCaller, '/v3/transactions', signed)
+    this.swaps = new Resource(apiCaller, '/v3/swaps', signed)
+    this.deferredPayments = new Resource(apiCaller, '/v3/deferred_payments', signed)
+
+    this.assets = new Resource(apiCaller, '/v3/assets')
+    this.assetPairs = new Resource(apiCaller, '/v3/asset_pairs')
+    this.sales = new Resource(apiCaller, '/v3/sales')
+    this.polls = new Resource(apiCaller, '/v3/polls')
+    this.fees = new Resource(apiCaller, '/v3/fees')
+    this.keyValues = new Resource(apiCaller, '/v3/key_values')
+    this.accountRoles = new Resource(apiCaller, '/v3/account_roles')
+    this.signerRoles = new Resource(apiCaller, '/v3/signer_roles')
+  }
+}
+
+export { Resource }
@@ -0,0 +1,100 @@
+import { isEmpty, isNil, snakeCase } from 'lodash'
+
+/**
+ * Collection of the Horizon v3 resources with the same base endpoint, e.g.
+ * `/v3/assets` and `/v3/assets/{id}`.
+ *
+ * Filters and includes may be provided in camel case, they are converted to
+ * the snake case expected by Horizon segment by segment, so
+ * `requestDetails.requestType` becomes `request_details.request_type`.
+ */
+export class Resource {
+  /**
+   * @param {ApiCaller} apiCaller - ApiCaller instance to process the requests
+   * @param {string} endpoint - base endpoint of the resource _with_ starting
+   * slash
+   * @param {object} [opts]
+   * @param {boolean} [opts.needSign=false] - sign the requests by default
+   */
+  constructor (apiCaller, endpoint, opts = {}) {
+    this._apiCaller = apiCaller
+    this._endpoint = endpoint
+    this._needSign = Boolean(opts.needSign)
+  }
+
+  /**
+   * Fetches a single record.
+   *
+   * @param {string|number} id - ID of the record
+   * @param {object} [opts]
+   * @param {string[]} [opts.include] - relationships to include
+   * @param {boolean} [opts.needSign] - override the default signing
+   * @returns {Promise<JsonapiResponse>}
+   */
+  get (id, opts = {}) {
+    return this._get(`${this._endpoint}/${id}`, {}, opts)
+  }
+
+  /**
+   * Fetches a page of the records.
+   *
+   * @param {object} [filter] - filters to apply, `filter[key]=value`
+   * @param {object} [opts]
+   * @param {string[]} [opts.include] - relationships to include
+   * @param {object} [opts.page] - page params: `limit`, `order`, `cursor`
+   * or `number`
+   * @param {boolean} [opts.needSign] - override the default signing
+   * @returns {Promise<JsonapiResponse>}
+   */
+  list (filter = {}, opts = {}) {
+    return this._get(this._endpoint, filter, opts)
+  }
+
+  _get (endpoint, filter, opts) {
+    return this._apiCaller.get(
+      endpoint,
+      buildQuery(filter, opts),
+      this._isSignNeeded(opts)
+    )
+  }
+
+  _isSignNeeded (opts) {
+    return isNil(opts.needSign) ? this._needSign : opts.needSign
+  }
+}
+
+/**
+ * Builds the JSON:API query accepted by {@link ApiCaller#get}.
+ *
+ * @param {object} filter - filters to apply
+ * @param {object} opts
+ * @param {string[]} [opts.include] - relationships to include
+ * @param {object} [opts.page] - page params
+ * @returns {object}
+ */
+export function buildQuery (filter, { include, page }) {
+  const query = {}
+
+  const definedFilter = Object.entries(filter || {})
+    .filter(([, value]) => !isNil(value))
+  if (definedFilter.length) {
+    query.filter = definedFilter.reduce((result, [key, value]) => ({
+      ...result,
+      [toSnakeCasePath(key)]: value
+    }), {})
+  }
+
+  if (!isEmpty(include)) {
+    query.include = include.map(toSnakeCasePath)
+  }
+
+  if (!isEmpty(page)) {
+    query.page = page
+  }
+
+  return query
+}
+
+function toSnakeCasePath (path) {
+  return path.split('.').map(snakeCase).join('.')
+}
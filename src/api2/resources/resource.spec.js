@@ -0,0 +1,98 @@
+import sinon from 'sinon'
+
+import { ApiCaller } from '../api-caller'
+import { Keypair } from '../../base'
+import { Wallet } from '../../wallet'
+
+describe('V3 resources', () => {
+  const accountId = 'GBUQDWXPPEFREJPI45CUPACMY6AQINP4DQ2DFXAF6YISPF3C4FFJ3U5S'
+
+  let sandbox
+  let api
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    api = ApiCaller.getInstance('https://api.test.com')
+    api.useWallet(new Wallet('foo@bar.com', Keypair.random(), accountId))
+    sandbox.stub(api, 'get').resolves({ data: {} })
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  it('should fetch a single record with includes', async () => {
+    await api.v3.accounts.get(accountId, {
+      include: ['balances', 'balances.state', 'limitsWithStats']
+    })
+
+    expect(api.get).to.have.been.calledOnceWithExactly(
+      `/v3/accounts/${accountId}`,
+      { include: ['balances', 'balances.state', 'limits_with_stats'] },
+      true
+    )
+  })
+
+  it('should list the records with filters and page params', async () => {
+    await api.v3.requests.list(
+      { type: 3, state: 1, requestor: accountId, reviewer: undefined },
+      { page: { limit: 10, order: 'desc' } }
+    )
+
+    expect(api.get).to.have.been.calledOnceWithExactly(
+      '/v3/requests',
+      {
+        filter: { type: 3, state: 1, requestor: accountId },
+        page: { limit: 10, order: 'desc' }
+      },
+      true
+    )
+  })
+
+  it('should convert the filter keys to snake case', async () => {
+    await api.v3.assets.list({ owner: accountId, 'policies.maxIssuance': 1 })
+
+    expect(api.get).to.have.been.calledOnceWithExactly(
+      '/v3/assets',
+      { filter: { owner: accountId, 'policies.max_issuance': 1 } },
+      false
+    )
+  })
+
+  it('should allow to override the signing', async () => {
+    await api.v3.assets.get('BTC', { needSign: true })
+    await api.v3.balances.list({}, { needSign: false })
+
+    expect(api.get.firstCall)
+      .to.have.been.calledWithExactly('/v3/assets/BTC', {}, true)
+    expect(api.get.secondCall)
+      .to.have.been.calledWithExactly('/v3/balances', {}, false)
+  })
+
+  it('should calculate the fees of the account', async () => {
+    await api.v3.accounts.getCalculatedFees(accountId, {
+      asset: 'BTC',
+      feeType: 0,
+      subtype: 1,
+      amount: '10'
+    })
+
+    expect(api.get).to.have.been.calledOnceWithExactly(
+      `/v3/accounts/${accountId}/calculated_fees`,
+      { asset: 'BTC', fee_type: 0, subtype: 1, amount: '10' },
+      true
+    )
+  })
+
+  it('should be bound to the copies made with another wallet', () => {
+    const v3 = api.v3
+    const copy = api.withWallet(
+      new Wallet('bar@foo.com', Keypair.random(), Keypair.random().accountId())
+    )
+
+    expect(api.v3).to.equal(v3)
+    expect(copy.v3).to.not.equal(v3)
+    expect(copy.v3.apiCaller).to.equal(copy)
+  })
+})
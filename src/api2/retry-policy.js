@@ -0,0 +1,187 @@
+import { get, isNil } from 'lodash'
+import { InternalServerError, ServerErrorBase } from '../errors'
+
+const DEFAULT_MAX_ATTEMPTS = 3
+const DEFAULT_MIN_DELAY = 300 // ms
+const DEFAULT_MAX_DELAY = 10000 // ms
+const DEFAULT_FACTOR = 2
+const DEFAULT_JITTER = 0.5
+
+const DEFAULT_RETRYABLE_ERRORS = [InternalServerError]
+const DEFAULT_RETRYABLE_STATUSES = [429, 502, 503, 504]
+const DEFAULT_RETRYABLE_METHODS = ['GET', 'PUT', 'DELETE']
+
+const HEADER_RETRY_AFTER = 'retry-after'
+
+/**
+ * Retry policy for the requests performed by {@link ApiCaller}.
+ *
+ * The delay between the attempts grows exponentially:
+ * `minDelay * factor ^ (attempt - 1)`, but never exceeds `maxDelay`. If the
+ * server responds with the `Retry-After` header, its value is used instead.
+ *
+ * @example
+ * const api = new ApiCaller({
+ *   baseURL: 'https://api.your.tokend.io',
+ *   retryPolicy: { maxAttempts: 5, retryableMethods: ['GET'] }
+ * })
+ */
+export class RetryPolicy {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxAttempts=3] - total attempts number, including
+   * the first one
+   * @param {number} [opts.minDelay=300] - delay before the first retry, in ms
+   * @param {number} [opts.maxDelay=10000] - max delay between attempts, in ms
+   * @param {number} [opts.factor=2] - exponential backoff factor
+   * @param {number} [opts.jitter=0.5] - part of the delay to randomize, from
+   * 0 (no randomization) to 1
+   * @param {Function[]} [opts.retryableErrors] - error classes to retry,
+   * `[InternalServerError]` by default
+   * @param {number[]} [opts.retryableStatuses] - HTTP statuses to retry,
+   * `[429, 502, 503, 504]` by default
+   * @param {string[]} [opts.retryableMethods] - HTTP methods to retry,
+   * idempotent `['GET', 'PUT', 'DELETE']` by default
+   * @param {boolean} [opts.retryNetworkErrors=true] - retry the requests that
+   * got no response at all
+   * @param {boolean} [opts.retryTransactions=true] - retry transaction
+   * submissions regardless of the method. The core never applies the same
+   * envelope twice, but if the response to a successful submission is lost,
+   * the retry fails (e.g. with `tx_duplication`) for the transaction that was
+   * already applied. Check the transaction by its hash before treating such
+   * a failure as final, or disable the option
+   */
+  constructor (opts = {}) {
+    this.maxAttempts = opts.maxAttempts || DEFAULT_MAX_ATTEMPTS
+    this.minDelay = isNil(opts.minDelay) ? DEFAULT_MIN_DELAY : opts.minDelay
+    this.maxDelay = isNil(opts.maxDelay) ? DEFAULT_MAX_DELAY : opts.maxDelay
+    this.factor = opts.factor || DEFAULT_FACTOR
+    this.jitter = isNil(opts.jitter) ? DEFAULT_JITTER : opts.jitter
+    this.retryableErrors = opts.retryableErrors || DEFAULT_RETRYABLE_ERRORS
+    this.retryableStatuses = opts.retryableStatuses ||
+      DEFAULT_RETRYABLE_STATUSES
+    this.retryableMethods = (opts.retryableMethods || DEFAULT_RETRYABLE_METHODS)
+      .map(method => method.toUpperCase())
+    this.retryNetworkErrors = isNil(opts.retryNetworkErrors)
+      ? true
+      : opts.retryNetworkErrors
+    this.retryTransactions = isNil(opts.retryTransactions)
+      ? true
+      : opts.retryTransactions
+  }
+
+  /**
+   * Calls `attemptFn` until it resolves, the thrown error is not retryable or
+   * the attempts are exhausted. `attemptFn` is called with the attempt
+   * number, starting from 1.
+   *
+   * @param {Function} attemptFn - async function performing the request
+   * @param {object} opts
+   * @param {string} opts.method - HTTP method of the request
+   * @param {boolean} [opts.isTransaction=false] - `true` if the request
+   * submits a transaction
+   * @returns {Promise} - result of the first successful attempt
+   */
+  async run (attemptFn, { method, isTransaction = false }) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await attemptFn(attempt)
+      } catch (e) {
+        const canRetry = attempt < this.maxAttempts &&
+          this.isRetryableRequest({ method, isTransaction }) &&
+          this.isRetryableError(e)
+        if (!canRetry) {
+          throw e
+        }
+
+        await this._sleep(this.getDelay(attempt, e))
+      }
+    }
+  }
+
+  /**
+   * @param {object} opts
+   * @param {string} opts.method - HTTP method of the request
+   * @param {boolean} [opts.isTransaction=false]
+   * @returns {boolean}
+   */
+  isRetryableRequest ({ method, isTransaction = false }) {
+    if (isTransaction) {
+      return this.retryTransactions
+    }
+
+    return this.retryableMethods.includes(String(method).toUpperCase())
+  }
+
+  /**
+   * @param {Error} error - parsed error thrown by the request
+   * @returns {boolean}
+   */
+  isRetryableError (error) {
+    if (this.retryableErrors.some(ErrorClass => error instanceof ErrorClass)) {
+      return true
+    }
+
+    if (!(error instanceof ServerErrorBase)) {
+      return false
+    }
+
+    const response = get(error, 'originalError.response')
+    if (!response) {
+      return this.retryNetworkErrors
+    }
+
+    return this.retryableStatuses.includes(response.status)
+  }
+
+  /**
+   * Returns the delay before the next attempt.
+   *
+   * @param {number} attempt - number of the failed attempt, starting from 1
+   * @param {Error} [error] - error thrown by the failed attempt
+   * @returns {number} - delay in ms
+   */
+  getDelay (attempt, error) {
+    const retryAfter = parseRetryAfter(
+      get(error, `originalError.response.headers["${HEADER_RETRY_AFTER}"]`)
+    )
+    if (!isNil(retryAfter)) {
+      return Math.min(retryAfter, this.maxDelay)
+    }
+
+    const delay = Math.min(
+      this.minDelay * Math.pow(this.factor, attempt - 1),
+      this.maxDelay
+    )
+
+    return Math.round(delay * (1 - this.jitter * Math.random()))
+  }
+
+  _sleep (ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+  }
+}
+
+/**
+ * Parses the `Retry-After` header value, which can be either a number of
+ * seconds or an HTTP date.
+ *
+ * @param {string} [value] - header value
+ * @returns {number|null} - delay in ms or `null` if cannot be parsed
+ */
+function parseRetryAfter (value) {
+  if (isNil(value) || value === '') {
+    return null
+  }
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000
+  }
+
+  const date = new Date(value).getTime()
+  if (isNaN(date)) {
+    return null
+  }
+
+  return Math.max(date - new Date().getTime(), 0)
+}
@@ -0,0 +1,148 @@
+import sinon from 'sinon'
+
+import { RetryPolicy } from './retry-policy'
+import * as errors from '../errors'
+
+function makeServerError (ErrorClass, status, headers = {}) {
+  const response = status
+    ? { status, headers, data: { errors: [{}] } }
+    : undefined
+
+  return new ErrorClass({ message: 'Request failed', response })
+}
+
+describe('RetryPolicy', () => {
+  let sandbox
+  let policy
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    policy = new RetryPolicy({ maxAttempts: 3 })
+    sandbox.stub(policy, '_sleep').resolves()
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('.run', () => {
+    it('should retry until the attempt succeeds', async () => {
+      const attemptFn = sinon.stub()
+      attemptFn.onFirstCall()
+        .rejects(makeServerError(errors.InternalServerError, 500))
+      attemptFn.onSecondCall().resolves('result')
+
+      const result = await policy.run(attemptFn, { method: 'GET' })
+
+      expect(result).to.equal('result')
+      expect(attemptFn).to.have.been.calledTwice
+      expect(attemptFn.secondCall).to.have.been.calledWithExactly(2)
+      expect(policy._sleep).to.have.been.calledOnce
+    })
+
+    it('should throw the last error when the attempts are exhausted', async () => {
+      const error = makeServerError(errors.InternalServerError, 500)
+      const attemptFn = sinon.stub().rejects(error)
+
+      await expect(policy.run(attemptFn, { method: 'GET' }))
+        .to.be.rejectedWith(error)
+      expect(attemptFn).to.have.been.calledThrice
+    })
+
+    it('should not retry not retryable errors', async () => {
+      const attemptFn = sinon.stub()
+        .rejects(makeServerError(errors.BadRequestError, 400))
+
+      await expect(policy.run(attemptFn, { method: 'GET' }))
+        .to.be.rejectedWith(errors.BadRequestError)
+      expect(attemptFn).to.have.been.calledOnce
+    })
+
+    it('should not retry not retryable methods', async () => {
+      const attemptFn = sinon.stub()
+        .rejects(makeServerError(errors.InternalServerError, 500))
+
+      await expect(policy.run(attemptFn, { method: 'POST' }))
+        .to.be.rejectedWith(errors.InternalServerError)
+      expect(attemptFn).to.have.been.calledOnce
+    })
+
+    it('should retry transactions regardless of the method', async () => {
+      const attemptFn = sinon.stub()
+      attemptFn.onFirstCall()
+        .rejects(makeServerError(errors.ServerError, 503))
+      attemptFn.onSecondCall().resolves('result')
+
+      const result = await policy.run(attemptFn, {
+        method: 'POST',
+        isTransaction: true
+      })
+
+      expect(result).to.equal('result')
+    })
+  })
+
+  describe('.isRetryableError', () => {
+    it('should retry network errors', () => {
+      expect(policy.isRetryableError(makeServerError(errors.ServerError)))
+        .to.be.true
+    })
+
+    it('should retry errors with retryable statuses', () => {
+      expect(policy.isRetryableError(makeServerError(errors.ServerError, 429)))
+        .to.be.true
+      expect(policy.isRetryableError(makeServerError(errors.ServerError, 488)))
+        .to.be.false
+    })
+
+    it('should retry errors of the configured classes', () => {
+      policy = new RetryPolicy({ retryableErrors: [errors.ConflictError] })
+
+      expect(policy.isRetryableError(makeServerError(errors.ConflictError, 409)))
+        .to.be.true
+      expect(policy.isRetryableError(
+        makeServerError(errors.InternalServerError, 500)
+      )).to.be.false
+    })
+
+    it('should not retry errors thrown not by the server', () => {
+      expect(policy.isRetryableError(new TypeError('foo'))).to.be.false
+    })
+  })
+
+  describe('.getDelay', () => {
+    it('should grow the delay exponentially', () => {
+      policy = new RetryPolicy({ minDelay: 100, maxDelay: 1000, jitter: 0 })
+
+      expect(policy.getDelay(1)).to.equal(100)
+      expect(policy.getDelay(2)).to.equal(200)
+      expect(policy.getDelay(3)).to.equal(400)
+      expect(policy.getDelay(5)).to.equal(1000)
+    })
+
+    it('should randomize the delay with jitter', () => {
+      policy = new RetryPolicy({ minDelay: 100, jitter: 0.5 })
+
+      const delay = policy.getDelay(1)
+
+      expect(delay).to.be.within(50, 100)
+    })
+
+    it('should use Retry-After header in seconds', () => {
+      const error = makeServerError(errors.ServerError, 503, {
+        'retry-after': '2'
+      })
+
+      expect(policy.getDelay(1, error)).to.equal(2000)
+    })
+
+    it('should use Retry-After header as a date', () => {
+      sandbox.useFakeTimers(new Date('2020-01-01T00:00:00Z').getTime())
+      const error = makeServerError(errors.ServerError, 503, {
+        'retry-after': 'Wed, 01 Jan 2020 00:00:05 GMT'
+      })
+
+      expect(policy.getDelay(1, error)).to.equal(5000)
+    })
+  })
+})
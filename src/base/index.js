@@ -4,10 +4,12 @@ export { xdr }
 export { hash } from './hashing'
 export { sign, verify, FastSigning } from './signing'
 export { Keypair } from './keypair'
+export { BaseSigner, KeypairSigner, RemoteSigner } from './signers'
 export { UnsignedHyper, Hyper } from 'js-xdr'
 export { Transaction } from './transaction'
 export { TransactionBuilder } from './transaction_builder'
 export { PreIssuanceRequest } from './pre_issuance_request'
+export { OfflineTransaction } from './offline_transaction'
 export { Operation } from './operation'
 export { Memo } from './memo'
 export { Network, Networks } from './network'
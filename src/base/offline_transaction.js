@@ -0,0 +1,220 @@
+import { hash } from './hashing'
+import xdr from './generated/xdr_generated'
+
+import { Transaction, memoToObject } from './transaction'
+import { Network } from './network'
+import { isSyncSigner } from './signers'
+import isEqual from 'lodash/isEqual'
+import isString from 'lodash/isString'
+
+const BUNDLE_VERSION = 1
+
+/**
+ * Offline transaction is a self-describing bundle to pass an unsigned
+ * transaction to an air-gapped machine and the signed one back.
+ *
+ * The bundle is a plain JSON-serializable object:
+ * * `version` - format version
+ * * `networkId` - hex-encoded hash of the network passphrase
+ * * `envelope` - base64-encoded transaction envelope
+ * * `summary` - human-readable source, salt, time bounds, memo and operations
+ * * `checksum` - hex-encoded hash of the network ID and the transaction XDR
+ *
+ * Importing the bundle verifies that it was created for the expected network
+ * and that neither the transaction nor its summary were altered. Signatures
+ * are not covered by the checksum, so they can be added on the way. The
+ * transaction is signed for the network of the bundle, whatever network is
+ * current on the signing machine.
+ *
+ * @example
+ * // online machine
+ * const tx = new TransactionBuilder(accountId).addOperation(op).build()
+ * const bundle = OfflineTransaction.fromTransaction(tx).toBundle()
+ *
+ * // offline machine
+ * const offlineTx = OfflineTransaction.fromBundle(bundle)
+ * console.log(offlineTx.summary) // review before signing
+ * const signedBundle = offlineTx.sign(masterKeypair).toBundle()
+ *
+ * // online machine
+ * const signedTx = OfflineTransaction.fromBundle(signedBundle)
+ * await api.postTxEnvelope(signedTx.toEnvelope())
+ */
+export class OfflineTransaction {
+  /**
+   * @constructor
+   * @param {Transaction} transaction - transaction to export
+   * @param {object} [opts]
+   * @param {string} [opts.networkPassphrase] - passphrase of the network the
+   * transaction is for, the current network by default
+   */
+  constructor (transaction, opts = {}) {
+    if (!(transaction instanceof Transaction)) {
+      throw new TypeError('transaction must be an instance of Transaction')
+    }
+
+    this._transaction = transaction
+    this._networkId = getNetworkId(opts.networkPassphrase)
+  }
+
+  /**
+   * Wraps the transaction built by {@link TransactionBuilder}.
+   *
+   * @param {Transaction} transaction - transaction to export
+   * @param {object} [opts] - see {@link OfflineTransaction} constructor
+   * @returns {OfflineTransaction}
+   */
+  static fromTransaction (transaction, opts = {}) {
+    return new OfflineTransaction(transaction, opts)
+  }
+
+  /**
+   * Imports and verifies the bundle.
+   *
+   * @param {object|string} bundle - bundle object or its JSON
+   * @param {object} [opts]
+   * @param {string} [opts.networkPassphrase] - passphrase of the expected
+   * network, the current network by default
+   * @returns {OfflineTransaction}
+   * @throws {Error} if the bundle was created for another network or was
+   * altered
+   */
+  static fromBundle (bundle, opts = {}) {
+    if (isString(bundle)) {
+      bundle = JSON.parse(bundle)
+    }
+
+    if (bundle.version !== BUNDLE_VERSION) {
+      throw new Error(`Unsupported bundle version: ${bundle.version}`)
+    }
+
+    const networkId = getNetworkId(opts.networkPassphrase)
+    if (bundle.networkId !== networkId.toString('hex')) {
+      throw new Error('Bundle was created for another network')
+    }
+
+    const offlineTx = new OfflineTransaction(
+      new Transaction(bundle.envelope),
+      opts
+    )
+
+    if (bundle.checksum !== offlineTx.checksum) {
+      throw new Error('Bundle checksum mismatch, the transaction was altered')
+    }
+
+    if (!isEqual(bundle.summary, offlineTx.summary)) {
+      throw new Error('Bundle summary does not match the transaction')
+    }
+
+    return offlineTx
+  }
+
+  /**
+   * The wrapped transaction.
+   * @type {Transaction}
+   */
+  get transaction () {
+    return this._transaction
+  }
+
+  /**
+   * Hex-encoded hash of the network ID and the transaction XDR.
+   * @type {string}
+   */
+  get checksum () {
+    return hash(Buffer.concat([
+      this._networkId,
+      this._transaction.tx.toXDR()
+    ])).toString('hex')
+  }
+
+  /**
+   * Human-readable description of the transaction.
+   * @type {object}
+   */
+  get summary () {
+    const tx = this._transaction
+
+    // round trip drops the XDR internals so the summary can be compared with
+    // the one parsed from JSON
+    return JSON.parse(JSON.stringify({
+      source: tx.source,
+      salt: tx.salt,
+      timeBounds: tx.timeBounds,
+      memo: memoToObject(tx.memo),
+      operations: tx.operations
+    }))
+  }
+
+  /**
+   * Hash of the transaction for the network of the bundle, the one to sign.
+   * @type {Buffer}
+   */
+  get hash () {
+    return hash(Buffer.concat([
+      this._networkId,
+      xdr.EnvelopeType.tx().toXDR(),
+      this._transaction.tx.toXDR()
+    ]))
+  }
+
+  /**
+   * Signs the transaction with the given keypairs or asynchronous signers,
+   * see {@link BaseSigner}.
+   *
+   * @param {...(Keypair|BaseSigner)} signers - keypairs or signers
+   * @returns {OfflineTransaction|Promise<OfflineTransaction>} the same
+   * instance to chain the calls, wrapped in a promise if any of the signers
+   * is asynchronous
+   */
+  sign (...signers) {
+    const txHash = this.hash
+    const signatures = this._transaction.signatures
+
+    if (signers.every(isSyncSigner)) {
+      signers.forEach(signer => signatures.push(signer.signDecorated(txHash)))
+      return this
+    }
+
+    return signers.reduce(async (prev, signer) => {
+      await prev
+      signatures.push(await signer.signDecorated(txHash))
+    }, Promise.resolve()).then(() => this)
+  }
+
+  /**
+   * @returns {object} JSON-serializable bundle
+   */
+  toBundle () {
+    return {
+      version: BUNDLE_VERSION,
+      networkId: this._networkId.toString('hex'),
+      envelope: this.toEnvelope(),
+      summary: this.summary,
+      checksum: this.checksum
+    }
+  }
+
+  /**
+   * @returns {string} base64-encoded transaction envelope, ready for
+   * {@link ApiCaller#postTxEnvelope}
+   */
+  toEnvelope () {
+    return this._transaction
+      .toEnvelope()
+      .toXDR()
+      .toString('base64')
+  }
+}
+
+function getNetworkId (networkPassphrase) {
+  if (networkPassphrase) {
+    return new Network(networkPassphrase).networkId()
+  }
+
+  if (!Network.current()) {
+    throw new Error('No network passphrase given and no network is current')
+  }
+
+  return Network.current().networkId()
+}
@@ -0,0 +1,211 @@
+import { Keypair } from './keypair'
+import { Memo } from './memo'
+import { Network } from './network'
+import { TransactionBuilder } from './transaction_builder'
+import { Transaction } from './transaction'
+import { PaymentBuilder } from './operations/payment_builder'
+import { RemoteSigner } from './signers'
+import { OfflineTransaction } from './offline_transaction'
+
+describe('OfflineTransaction', () => {
+  const source = 'GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB'
+  const sourceBalanceId = Keypair.random().balanceId()
+  const destination = Keypair.random().accountId()
+
+  let transaction
+
+  beforeEach(() => {
+    transaction = new TransactionBuilder(source)
+      .addOperation(PaymentBuilder.payment({
+        sourceBalanceId,
+        destination,
+        amount: '10',
+        feeData: {
+          sourceFee: { fixed: '0', percent: '0' },
+          destinationFee: { fixed: '0', percent: '0' },
+          sourcePaysForDest: false
+        },
+        subject: 'rent',
+        reference: ''
+      }))
+      .addMemo(Memo.text('offline'))
+      .build()
+  })
+
+  it('should export a self-describing bundle', () => {
+    const bundle = OfflineTransaction.fromTransaction(transaction).toBundle()
+
+    expect(bundle.version).to.equal(1)
+    expect(bundle.networkId)
+      .to.equal(Network.current().networkId().toString('hex'))
+    expect(bundle.checksum).to.match(/^[0-9a-f]{64}$/)
+    expect(bundle.summary.source).to.equal(source)
+    expect(bundle.summary.memo).to.deep.equal({
+      type: 'memoText',
+      value: 'offline'
+    })
+    expect(bundle.summary.operations).to.have.lengthOf(1)
+    expect(bundle.summary.operations[0]).to.include({
+      type: 'payment',
+      destination,
+      amount: '10',
+      subject: 'rent'
+    })
+  })
+
+  it('should sign the imported bundle and keep the checksum', () => {
+    const keypair = Keypair.random()
+    const bundle = OfflineTransaction.fromTransaction(transaction).toBundle()
+
+    const signedBundle = OfflineTransaction
+      .fromBundle(JSON.stringify(bundle))
+      .sign(keypair)
+      .toBundle()
+    const signedTx = OfflineTransaction.fromBundle(signedBundle)
+
+    expect(signedBundle.checksum).to.equal(bundle.checksum)
+    expect(signedTx.transaction.signatures).to.have.lengthOf(1)
+    expect(keypair.verify(
+      transaction.hash(),
+      signedTx.transaction.signatures[0].signature()
+    )).to.be.true
+    expect(signedTx.toEnvelope()).to.equal(
+      new Transaction(signedBundle.envelope).toEnvelope().toXDR('base64')
+    )
+  })
+
+  it('should sign with an asynchronous signer', async () => {
+    const keypair = Keypair.random()
+    const signer = new RemoteSigner(
+      keypair.accountId(),
+      async data => keypair.sign(data)
+    )
+
+    const offlineTx = OfflineTransaction.fromTransaction(transaction)
+    const signed = await offlineTx.sign(signer)
+    const signedTx = OfflineTransaction.fromBundle(signed.toBundle())
+
+    expect(signed).to.equal(offlineTx)
+    expect(signedTx.transaction.signatures).to.have.lengthOf(1)
+    expect(keypair.verify(
+      transaction.hash(),
+      signedTx.transaction.signatures[0].signature()
+    )).to.be.true
+  })
+
+  it('should reject if the asynchronous signer fails', async () => {
+    const signer = new RemoteSigner(
+      Keypair.random().accountId(),
+      async () => { throw new Error('KMS is unavailable') }
+    )
+
+    await expect(OfflineTransaction.fromTransaction(transaction).sign(signer))
+      .to.be.rejectedWith('KMS is unavailable')
+    expect(transaction.signatures).to.be.empty
+  })
+
+  it('should reject the bundle created for another network', () => {
+    const bundle = OfflineTransaction.fromTransaction(transaction).toBundle()
+
+    expect(() => OfflineTransaction.fromBundle(bundle, {
+      networkPassphrase: 'Another TokenD network'
+    })).to.throw('Bundle was created for another network')
+  })
+
+  it('should reject the bundle with altered transaction', () => {
+    const bundle = OfflineTransaction.fromTransaction(transaction).toBundle()
+    const otherTransaction = new TransactionBuilder(source)
+      .addOperation(PaymentBuilder.payment({
+        sourceBalanceId,
+        destination: Keypair.random().accountId(),
+        amount: '10',
+        feeData: {
+          sourceFee: { fixed: '0', percent: '0' },
+          destinationFee: { fixed: '0', percent: '0' },
+          sourcePaysForDest: false
+        },
+        subject: 'rent',
+        reference: ''
+      }))
+      .build()
+    bundle.envelope = otherTransaction.toEnvelope().toXDR('base64')
+
+    expect(() => OfflineTransaction.fromBundle(bundle))
+      .to.throw('Bundle checksum mismatch, the transaction was altered')
+  })
+
+  it('should reject the bundle with altered summary', () => {
+    const bundle = OfflineTransaction.fromTransaction(transaction).toBundle()
+    bundle.summary.operations[0].amount = '1'
+
+    expect(() => OfflineTransaction.fromBundle(bundle))
+      .to.throw('Bundle summary does not match the transaction')
+  })
+
+  it('should reject the bundle of unsupported version', () => {
+    const bundle = OfflineTransaction.fromTransaction(transaction).toBundle()
+    bundle.version = 2
+
+    expect(() => OfflineTransaction.fromBundle(bundle))
+      .to.throw('Unsupported bundle version: 2')
+  })
+
+  describe('on the machine with another current network', () => {
+    const networkPassphrase = 'Air-gapped TokenD network'
+    const bundleNetwork = new Network(networkPassphrase)
+
+    let currentNetwork
+    let bundle
+
+    beforeEach(() => {
+      bundle = OfflineTransaction
+        .fromTransaction(transaction, { networkPassphrase })
+        .toBundle()
+      currentNetwork = Network.current()
+    })
+
+    afterEach(() => {
+      Network.use(currentNetwork)
+    })
+
+    function verifiesOnBundleNetwork (keypair, signedBundle) {
+      const signedTx = new Transaction(signedBundle.envelope)
+      Network.use(bundleNetwork)
+
+      return keypair.verify(signedTx.hash(), signedTx.signatures[0].signature())
+    }
+
+    it('should sign the transaction for the network of the bundle', () => {
+      const keypair = Keypair.random()
+
+      const signedBundle = OfflineTransaction
+        .fromBundle(bundle, { networkPassphrase })
+        .sign(keypair)
+        .toBundle()
+
+      expect(verifiesOnBundleNetwork(keypair, signedBundle)).to.be.true
+    })
+
+    it('should sign the transaction when no network is current', async () => {
+      const keypair = Keypair.random()
+      const signer = new RemoteSigner(
+        keypair.accountId(),
+        async data => keypair.sign(data)
+      )
+      Network.use(undefined)
+
+      const offlineTx = OfflineTransaction.fromBundle(bundle, { networkPassphrase })
+      const signedBundle = (await offlineTx.sign(signer)).toBundle()
+
+      expect(signedBundle.summary).to.deep.equal(bundle.summary)
+      expect(verifiesOnBundleNetwork(keypair, signedBundle)).to.be.true
+    })
+
+    it('should throw if no network is given and none is current', () => {
+      Network.use(undefined)
+
+      expect(() => OfflineTransaction.fromBundle(bundle))
+        .to.throw('No network passphrase given and no network is current')
+    })
+  })
+})
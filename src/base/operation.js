@@ -5,6 +5,7 @@ import { hash } from './hashing'
 import { encodeCheck } from './strkey'
 import isUndefined from 'lodash/isUndefined'
 import { BaseOperation } from './operations/base_operation'
+import { encodeFlags } from '../const/flags'
 import { ManageSignerBuilder } from './operations/manage_signer_builder'
 import { CreateAccountBuilder } from './operations/create_account_builder'
 import { ManageKeyValueBuilder } from './operations/manage_key_value_builder'
@@ -47,6 +48,20 @@ import { ManageSignerRoleBuilder } from './operations/manage_signer_role_builder
 import { CreateDeferredPaymentCreationRequestBuilder } from './operations/create_deferred_payment_creation_request'
 import { CreateCloseDeferredPaymentRequestBuilder } from './operations/create_close_deferred_payment_request'
 import { DataRequestBuilder } from './operations/data_request_builder'
+import { SaleRequestBuilder } from './operations/sale_request_builder'
+import { ManageAccountSpecificRuleBuilder } from './operations/manage_account_specific_rule_builder'
+import {
+  setFeesToObject,
+  manageBalanceToObject,
+  manageAssetPairToObject,
+  manageAccountRuleToObject,
+  manageSignerRuleToObject,
+  payoutToObject,
+  manageInvoiceRequestToObject,
+  manageContractRequestToObject,
+  manageContractToObject,
+  manageExternalSystemAccountIdPoolEntryToObject
+} from './operations/operation_decoders'
 
 export class Operation extends BaseOperation {
   /**
@@ -257,7 +272,7 @@ export class Operation extends BaseOperation {
      * @param {object} opts
      * @param {string} opts.base - base asset
      * @param {string} opts.quote - quote asset
-     * @param {number|string} opts.policies - asset pair policies
+     * @param {number|string|string[]} opts.policies - asset pair policies, the mask or the names of the flags of xdr.AssetPairPolicy
      * @param {number|string} opts.physicalPriceCorrection - correction of physical price in percents. If physical price is set and restriction by physical price set, mininal price for offer for this pair will be physicalPrice * physicalPriceCorrection
      * @param {number|string} opts.maxPriceStep - max price step in percent. User is allowed to set offer with price < (1 - maxPriceStep)*currentPrice and > (1 + maxPriceStep)*currentPrice
      * @param {number|string} opts.physicalPrice - physical price
@@ -306,7 +321,9 @@ export class Operation extends BaseOperation {
 
     attributes.base = opts.base
     attributes.quote = opts.quote
-    attributes.policies = opts.policies
+    attributes.policies = Array.isArray(opts.policies)
+      ? encodeFlags(xdr.AssetPairPolicy, opts.policies)
+      : opts.policies
     attributes.action = opts.action
     attributes.physicalPriceCorrection = Operation
       ._toXDRAmount(opts.physicalPriceCorrection)
@@ -475,6 +492,16 @@ export class Operation extends BaseOperation {
           .cancelCloseDeferredPaymentRequestToObject(result, attrs)
         break
       case xdr.OperationType.createSaleRequest():
+        SaleRequestBuilder.crateSaleCreationRequestToObject(result, attrs)
+        break
+      case xdr.OperationType.cancelSaleRequest():
+        SaleRequestBuilder.cancelSaleCreationRequestToObject(result, attrs)
+        break
+      case xdr.OperationType.checkSaleState():
+        SaleRequestBuilder.checkSaleStateToObject(result, attrs)
+        break
+      case xdr.OperationType.manageAccountSpecificRule():
+        ManageAccountSpecificRuleBuilder.manageAccountSpecificRuleToObject(result, attrs)
         break
       case xdr.OperationType.createDataCreationRequest():
         DataRequestBuilder.createDataCreationRequestToObject(result, attrs)
@@ -494,11 +521,35 @@ export class Operation extends BaseOperation {
       case xdr.OperationType.cancelDataRemoveRequest():
         DataRequestBuilder.cancelDataRemoveRequestToObject(result, attrs)
         break
+      case xdr.OperationType.setFee():
+        setFeesToObject(result, attrs)
+        break
       case xdr.OperationType.manageAssetPair():
-        // TODO
+        manageAssetPairToObject(result, attrs)
         break
       case xdr.OperationType.manageBalance():
-        // TODO
+        manageBalanceToObject(result, attrs)
+        break
+      case xdr.OperationType.manageAccountRule():
+        manageAccountRuleToObject(result, attrs)
+        break
+      case xdr.OperationType.manageSignerRule():
+        manageSignerRuleToObject(result, attrs)
+        break
+      case xdr.OperationType.payout():
+        payoutToObject(result, attrs)
+        break
+      case xdr.OperationType.manageInvoiceRequest():
+        manageInvoiceRequestToObject(result, attrs)
+        break
+      case xdr.OperationType.manageContractRequest():
+        manageContractRequestToObject(result, attrs)
+        break
+      case xdr.OperationType.manageContract():
+        manageContractToObject(result, attrs)
+        break
+      case xdr.OperationType.manageExternalSystemAccountIdPoolEntry():
+        manageExternalSystemAccountIdPoolEntryToObject(result, attrs)
         break
       default:
         throw new Error('Unknown operation ' + operation.body().switch().name)
@@ -308,6 +308,18 @@ describe('Operation', () => {
       expect(obj.physicalPriceCorrection).to.be.equal(physicalPriceCorrection)
       expect(obj.maxPriceStep).to.be.equal(maxPriceStep)
     })
+    it('manageAssetPair with the names of the policies', () => {
+      let op = Operation.manageAssetPair({
+        action: xdr.ManageAssetPairAction.create(),
+        quote,
+        base,
+        physicalPriceCorrection,
+        maxPriceStep,
+        policies: ['tradeableSecondaryMarket', 'currentPriceRestriction'],
+        physicalPrice
+      })
+      expect(op.body().value().policies()).to.be.equal(5)
+    })
   })
 
   describe('._checkUnsignedIntValue()', () => {
@@ -4,6 +4,7 @@ import { BaseOperation } from './base_operation'
 import { Keypair } from '../keypair'
 import { UnsignedHyper } from 'js-xdr'
 import { hash } from '../hashing'
+import { encodeFlags } from '../../const/flags'
 
 export class ManageAssetBuilder {
   /**
@@ -14,7 +15,7 @@ export class ManageAssetBuilder {
      * @param {string} opts.code - Asset code
      * @param {string} opts.preissuedAssetSigner - AccountID of keypair which will sign request for asset to be authrorized to be issued
      * @param {string} opts.maxIssuanceAmount - Max amount can be issued of that asset
-     * @param {number} opts.policies - Asset policies
+     * @param {number|string[]} opts.policies - Asset policies, the mask or the names of the flags of xdr.AssetPolicy
      * @param {string} opts.assetType - asset type
      * @param {string} opts.initialPreissuedAmount - Amount of pre issued tokens available after creation of the asset
      * @param {number} opts.trailingDigitsCount - Count of digits after the comma
@@ -90,7 +91,7 @@ export class ManageAssetBuilder {
      *
      * @param {string} opts.requestID - request ID, if 0 - creates new, updates otherwise
      * @param {string} opts.code - Asset code
-     * @param {number} opts.policies - asset policies
+     * @param {number|string[]} opts.policies - asset policies, the mask or the names of the flags of xdr.AssetPolicy
      * @param {number} opts.allTasks - tasks for the request
      *
      * @param {object} opts.creatorDetails - Additional details about asset
@@ -238,7 +239,11 @@ export class ManageAssetBuilder {
       throw new Error('opts.code is invalid')
     }
 
-    if (isUndefined(opts.policies) || opts.policies < 0) {
+    const policies = Array.isArray(opts.policies)
+      ? encodeFlags(xdr.AssetPolicy, opts.policies)
+      : opts.policies
+
+    if (isUndefined(policies) || policies < 0) {
       throw new Error('opts.policies must be nonnegative number')
     }
 
@@ -253,7 +258,7 @@ export class ManageAssetBuilder {
 
     let attrs = {
       code: opts.code,
-      policies: opts.policies,
+      policies,
       creatorDetails: JSON.stringify(creatorDetails),
       sequenceNumber: opts.sequenceNumber
     }
@@ -63,6 +63,24 @@ describe('ManageAssetBuilder', () => {
       expect(obj.policies).to.be.equal(opts.policies)
       expect(obj.allTasks).to.be.equal(opts.allTasks)
     })
+
+    it('Success with the names of the policies', () => {
+      let op = ManageAssetBuilder.assetUpdateRequest({
+        code: 'USD',
+        policies: ['withdrawable', 'issuanceManualReviewRequired'],
+        requestID: '0'
+      })
+      let obj = Operation.operationToObject(op)
+      expect(obj.policies).to.be.equal(24)
+    })
+
+    it('Fails with an unknown policy', () => {
+      expect(() => ManageAssetBuilder.assetUpdateRequest({
+        code: 'USD',
+        policies: ['withdrawable', 'tradeable'],
+        requestID: '0'
+      })).to.throw(TypeError, 'Unknown flag "tradeable"')
+    })
   })
 
   describe('cancelAssetRequest', () => {
@@ -0,0 +1,252 @@
+import xdr from '../generated/xdr_generated'
+import {
+  Struct,
+  Union,
+  Enum,
+  Option,
+  Hyper,
+  UnsignedHyper,
+  String as XDRString
+} from 'js-xdr'
+import { BaseOperation } from './base_operation'
+import isUndefined from 'lodash/isUndefined'
+
+// Decoders of the operations the SDK has no builders for (or builds in
+// `Operation` itself). They follow the `(result, attrs)` signature of the
+// `*ToObject` methods of the builders, see `Operation.operationToObject`.
+
+export function setFeesToObject (result, attrs) {
+  result.isDelete = attrs.isDelete()
+
+  let fee = attrs.fee()
+  if (!fee) {
+    return
+  }
+
+  result.fee = {
+    feeType: fee.feeType(),
+    asset: fee.asset().toString(),
+    fixedFee: BaseOperation._fromXDRAmount(fee.fixedFee()),
+    percentFee: BaseOperation._fromXDRAmount(fee.percentFee()),
+    subtype: fee.subtype().toString(),
+    lowerBound: BaseOperation._fromXDRAmount(fee.lowerBound()),
+    upperBound: BaseOperation._fromXDRAmount(fee.upperBound()),
+    hash: fee.hash()
+  }
+  if (fee.accountId()) {
+    result.fee.accountId = BaseOperation.accountIdtoAddress(fee.accountId())
+  }
+  if (fee.accountRole()) {
+    result.fee.accountRole = fee.accountRole().toString()
+  }
+}
+
+export function manageBalanceToObject (result, attrs) {
+  result.action = attrs.action()
+  result.destination = BaseOperation.accountIdtoAddress(attrs.destination())
+  result.asset = attrs.asset().toString()
+}
+
+export function manageAssetPairToObject (result, attrs) {
+  result.action = attrs.action()
+  result.base = attrs.base().toString()
+  result.quote = attrs.quote().toString()
+  result.physicalPrice = BaseOperation._fromXDRAmount(attrs.physicalPrice())
+  result.physicalPriceCorrection = BaseOperation._fromXDRAmount(
+    attrs.physicalPriceCorrection()
+  )
+  result.maxPriceStep = BaseOperation._fromXDRAmount(attrs.maxPriceStep())
+  result.policies = attrs.policies()
+}
+
+export function manageAccountRuleToObject (result, attrs) {
+  switch (attrs.data().switch()) {
+    case xdr.ManageAccountRuleAction.create():
+      ruleDataToObject(result, attrs.data().createData())
+      break
+    case xdr.ManageAccountRuleAction.update():
+      result.ruleId = attrs.data().updateData().ruleId().toString()
+      ruleDataToObject(result, attrs.data().updateData())
+      break
+    case xdr.ManageAccountRuleAction.remove():
+      result.ruleId = attrs.data().removeData().ruleId().toString()
+      break
+  }
+}
+
+export function manageSignerRuleToObject (result, attrs) {
+  switch (attrs.data().switch()) {
+    case xdr.ManageSignerRuleAction.create(): {
+      let data = attrs.data().createData()
+      ruleDataToObject(result, data)
+      result.isDefault = data.isDefault()
+      result.isReadOnly = data.isReadOnly()
+      break
+    }
+    case xdr.ManageSignerRuleAction.update(): {
+      let data = attrs.data().updateData()
+      result.ruleId = data.ruleId().toString()
+      ruleDataToObject(result, data)
+      result.isDefault = data.isDefault()
+      break
+    }
+    case xdr.ManageSignerRuleAction.remove():
+      result.ruleId = attrs.data().removeData().ruleId().toString()
+      break
+  }
+}
+
+export function payoutToObject (result, attrs) {
+  result.asset = attrs.asset().toString()
+  result.sourceBalanceId = BaseOperation.balanceIdtoString(attrs.sourceBalanceId())
+  result.maxPayoutAmount = BaseOperation._fromXDRAmount(attrs.maxPayoutAmount())
+  result.minPayoutAmount = BaseOperation._fromXDRAmount(attrs.minPayoutAmount())
+  result.minAssetHolderAmount = BaseOperation._fromXDRAmount(
+    attrs.minAssetHolderAmount()
+  )
+  result.fee = {
+    fixed: BaseOperation._fromXDRAmount(attrs.fee().fixed()),
+    percent: BaseOperation._fromXDRAmount(attrs.fee().percent())
+  }
+}
+
+export function manageInvoiceRequestToObject (result, attrs) {
+  switch (attrs.details().switch()) {
+    case xdr.ManageInvoiceRequestAction.create(): {
+      let request = attrs.details().invoiceRequest()
+      result.asset = request.asset().toString()
+      result.sender = BaseOperation.accountIdtoAddress(request.sender())
+      result.amount = BaseOperation._fromXDRAmount(request.amount())
+      result.details = JSON.parse(request.details())
+      if (!isUndefined(request.contractId())) {
+        result.contractID = request.contractId().toString()
+      }
+      if (!isUndefined(request.allTasks())) {
+        result.allTasks = request.allTasks()
+      }
+      break
+    }
+    case xdr.ManageInvoiceRequestAction.remove():
+      result.requestID = attrs.details().requestId().toString()
+      break
+  }
+}
+
+export function manageContractRequestToObject (result, attrs) {
+  switch (attrs.details().switch()) {
+    case xdr.ManageContractRequestAction.create(): {
+      let createRequest = attrs.details().createContractRequest()
+      let request = createRequest.contractRequest()
+      result.customer = BaseOperation.accountIdtoAddress(request.customer())
+      result.escrow = BaseOperation.accountIdtoAddress(request.escrow())
+      result.creatorDetails = JSON.parse(request.creatorDetails())
+      result.startTime = request.startTime().toString()
+      result.endTime = request.endTime().toString()
+      if (!isUndefined(createRequest.allTasks())) {
+        result.allTasks = createRequest.allTasks()
+      }
+      break
+    }
+    case xdr.ManageContractRequestAction.remove():
+      result.requestID = attrs.details().requestId().toString()
+      break
+  }
+}
+
+export function manageContractToObject (result, attrs) {
+  result.contractID = attrs.contractId().toString()
+  result.action = attrs.data().switch()
+
+  switch (attrs.data().switch()) {
+    case xdr.ManageContractAction.addDetail():
+      result.details = attrs.data().details().toString()
+      break
+    case xdr.ManageContractAction.startDispute():
+      result.disputeReason = attrs.data().disputeReason().toString()
+      break
+    case xdr.ManageContractAction.resolveDispute():
+      result.isRevert = attrs.data().isRevert()
+      break
+  }
+}
+
+export function manageExternalSystemAccountIdPoolEntryToObject (result, attrs) {
+  let input = attrs.actionInput()
+
+  switch (input.switch()) {
+    case xdr.ManageExternalSystemAccountIdPoolEntryAction.create(): {
+      let data = input.createExternalSystemAccountIdPoolEntryActionInput()
+      result.externalSystemType = data.externalSystemType()
+      result.data = data.data().toString()
+      result.parent = data.parent().toString()
+      break
+    }
+    case xdr.ManageExternalSystemAccountIdPoolEntryAction.remove():
+      result.poolEntryID = input
+        .deleteExternalSystemAccountIdPoolEntryActionInput()
+        .poolEntryId()
+        .toString()
+      break
+  }
+}
+
+function ruleDataToObject (result, data) {
+  result.resource = xdrToObject(data.resource())
+  result.action = data.action()
+  result.forbids = data.forbids()
+  result.details = JSON.parse(data.details())
+}
+
+/**
+ * Converts the XDR value, e.g. the rule resource with its dozens of arms, into
+ * a plain object: unions become `{ type, ...arm }`, enums their names,
+ * integers and strings strings, opaques hex. `ext` fields are dropped.
+ */
+function xdrToObject (value, type) {
+  if (type instanceof Option) {
+    type = type._childType
+  }
+
+  if (isUndefined(value) || value === null) {
+    return undefined
+  }
+  if (value instanceof xdr.PublicKey) {
+    return BaseOperation.accountIdtoAddress(value)
+  }
+  if (value instanceof Union) {
+    let arm = xdrToObject(value.value(), value.armType())
+    let result = { type: value.switch().name }
+    if (arm !== null && typeof arm === 'object' && !Array.isArray(arm)) {
+      return Object.assign(result, arm)
+    }
+    if (!isUndefined(arm)) {
+      result.value = arm
+    }
+    return result
+  }
+  if (value instanceof Struct) {
+    let result = {}
+    value.constructor._fields
+      .filter(([name]) => name !== 'ext')
+      .forEach(([name, fieldType]) => {
+        let field = xdrToObject(value._attributes[name], fieldType)
+        if (!isUndefined(field)) {
+          result[name] = field
+        }
+      })
+    return result
+  }
+  if (value instanceof Enum) {
+    return value.name
+  }
+  if (value instanceof Hyper || value instanceof UnsignedHyper) {
+    return value.toString()
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.toString(type instanceof XDRString ? 'utf8' : 'hex')
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => xdrToObject(item, type && type._childType))
+  }
+  return value
+}
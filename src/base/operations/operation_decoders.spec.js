@@ -0,0 +1,232 @@
+import { UnsignedHyper } from 'js-xdr'
+import xdr from '../generated/xdr_generated'
+import { Keypair } from '../keypair'
+import { Operation } from '../operation'
+import { BaseOperation } from './base_operation'
+import { SaleRequestBuilder } from './sale_request_builder'
+
+describe('Operation decoders', () => {
+  const accountId = 'GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ'
+  const balanceId = Keypair.random().balanceId()
+  const emptyExt = name => new xdr[name](xdr.LedgerVersion.emptyVersion())
+
+  function decode (body) {
+    let op = new xdr.Operation({ body })
+    let operation = xdr.Operation.fromXDR(op.toXDR())
+    return Operation.operationToObject(operation)
+  }
+
+  describe('manageAccountRule', () => {
+    it('decodes the rule creation with its resource', () => {
+      let obj = decode(xdr.OperationBody.manageAccountRule(new xdr.ManageAccountRuleOp({
+        data: xdr.ManageAccountRuleOpData.create(new xdr.CreateAccountRuleData({
+          resource: xdr.AccountRuleResource.asset(new xdr.AccountRuleResourceAsset({
+            assetCode: 'USD',
+            assetType: UnsignedHyper.fromString('2'),
+            ext: emptyExt('EmptyExt')
+          })),
+          action: xdr.AccountRuleAction.send(),
+          forbids: true,
+          details: JSON.stringify({ name: 'no USD' }),
+          ext: emptyExt('CreateAccountRuleDataExt')
+        })),
+        ext: emptyExt('ManageAccountRuleOpExt')
+      })))
+
+      expect(obj).to.deep.equal({
+        type: 'manageAccountRule',
+        resource: { type: 'asset', assetCode: 'USD', assetType: '2' },
+        action: xdr.AccountRuleAction.send(),
+        forbids: true,
+        details: { name: 'no USD' }
+      })
+    })
+
+    it('decodes the rule removal', () => {
+      let obj = decode(xdr.OperationBody.manageAccountRule(new xdr.ManageAccountRuleOp({
+        data: xdr.ManageAccountRuleOpData.remove(new xdr.RemoveAccountRuleData({
+          ruleId: UnsignedHyper.fromString('12'),
+          ext: emptyExt('RemoveAccountRuleDataExt')
+        })),
+        ext: emptyExt('ManageAccountRuleOpExt')
+      })))
+
+      expect(obj).to.deep.equal({ type: 'manageAccountRule', ruleId: '12' })
+    })
+  })
+
+  describe('manageSignerRule', () => {
+    it('decodes the rule update with a resource without fields', () => {
+      let obj = decode(xdr.OperationBody.manageSignerRule(new xdr.ManageSignerRuleOp({
+        data: xdr.ManageSignerRuleOpData.update(new xdr.UpdateSignerRuleData({
+          ruleId: UnsignedHyper.fromString('7'),
+          resource: xdr.SignerRuleResource.any(),
+          action: xdr.SignerRuleAction.any(),
+          forbids: false,
+          isDefault: true,
+          details: '{}',
+          ext: emptyExt('UpdateSignerRuleDataExt')
+        })),
+        ext: emptyExt('ManageSignerRuleOpExt')
+      })))
+
+      expect(obj).to.deep.equal({
+        type: 'manageSignerRule',
+        ruleId: '7',
+        resource: { type: 'any' },
+        action: xdr.SignerRuleAction.any(),
+        forbids: false,
+        isDefault: true,
+        details: {}
+      })
+    })
+  })
+
+  describe('payout', () => {
+    it('decodes the amounts and the fee', () => {
+      let obj = decode(xdr.OperationBody.payout(new xdr.PayoutOp({
+        asset: 'BTC',
+        sourceBalanceId: Keypair.fromBalanceId(balanceId).xdrBalanceId(),
+        maxPayoutAmount: BaseOperation._toUnsignedXDRAmount('100'),
+        minPayoutAmount: BaseOperation._toUnsignedXDRAmount('0.5'),
+        minAssetHolderAmount: BaseOperation._toUnsignedXDRAmount('1'),
+        fee: new xdr.Fee({
+          fixed: BaseOperation._toUnsignedXDRAmount('2'),
+          percent: BaseOperation._toUnsignedXDRAmount('0.1'),
+          ext: emptyExt('FeeExt')
+        }),
+        ext: emptyExt('PayoutOpExt')
+      })))
+
+      expect(obj).to.deep.equal({
+        type: 'payout',
+        asset: 'BTC',
+        sourceBalanceId: balanceId,
+        maxPayoutAmount: '100',
+        minPayoutAmount: '0.5',
+        minAssetHolderAmount: '1',
+        fee: { fixed: '2', percent: '0.1' }
+      })
+    })
+  })
+
+  describe('manageInvoiceRequest', () => {
+    it('decodes the invoice creation', () => {
+      let obj = decode(xdr.OperationBody.manageInvoiceRequest(new xdr.ManageInvoiceRequestOp({
+        details: xdr.ManageInvoiceRequestOpDetails.create(new xdr.InvoiceCreationRequest({
+          asset: 'USD',
+          sender: Keypair.fromAccountId(accountId).xdrAccountId(),
+          amount: BaseOperation._toUnsignedXDRAmount('10'),
+          contractId: UnsignedHyper.fromString('3'),
+          details: JSON.stringify({ reason: 'work' }),
+          ext: emptyExt('InvoiceCreationRequestExt')
+        })),
+        ext: emptyExt('ManageInvoiceRequestOpExt')
+      })))
+
+      expect(obj).to.deep.equal({
+        type: 'manageInvoiceRequest',
+        asset: 'USD',
+        sender: accountId,
+        amount: '10',
+        contractID: '3',
+        details: { reason: 'work' }
+      })
+    })
+  })
+
+  describe('manageContractRequest', () => {
+    const decodeRequest = details => decode(xdr.OperationBody.manageContractRequest(
+      new xdr.ManageContractRequestOp({
+        details,
+        ext: emptyExt('ManageContractRequestOpExt')
+      })
+    ))
+
+    it('decodes the contract request removal', () => {
+      let obj = decodeRequest(
+        xdr.ManageContractRequestOpDetails.remove(UnsignedHyper.fromString('5'))
+      )
+
+      expect(obj).to.deep.equal({ type: 'manageContractRequest', requestID: '5' })
+    })
+
+    it('decodes the contract request creation', () => {
+      let obj = decodeRequest(
+        xdr.ManageContractRequestOpDetails.create(new xdr.CreateContractRequest({
+          contractRequest: new xdr.ContractRequest({
+            customer: Keypair.fromAccountId(accountId).xdrAccountId(),
+            escrow: Keypair.fromAccountId(accountId).xdrAccountId(),
+            creatorDetails: '{}',
+            startTime: UnsignedHyper.fromString('100'),
+            endTime: UnsignedHyper.fromString('200'),
+            ext: emptyExt('ContractRequestExt')
+          }),
+          allTasks: 1,
+          ext: emptyExt('CreateContractRequestExt')
+        }))
+      )
+
+      expect(obj).to.deep.equal({
+        type: 'manageContractRequest',
+        customer: accountId,
+        escrow: accountId,
+        creatorDetails: {},
+        startTime: '100',
+        endTime: '200',
+        allTasks: 1
+      })
+    })
+  })
+
+  describe('manageContract', () => {
+    it('decodes the dispute start', () => {
+      let obj = decode(xdr.OperationBody.manageContract(new xdr.ManageContractOp({
+        contractId: UnsignedHyper.fromString('9'),
+        data: xdr.ManageContractOpData.startDispute('late delivery'),
+        ext: emptyExt('ManageContractOpExt')
+      })))
+
+      expect(obj).to.deep.equal({
+        type: 'manageContract',
+        contractID: '9',
+        action: xdr.ManageContractAction.startDispute(),
+        disputeReason: 'late delivery'
+      })
+    })
+  })
+
+  describe('manageExternalSystemAccountIdPoolEntry', () => {
+    it('decodes the pool entry creation', () => {
+      let obj = decode(xdr.OperationBody.manageExternalSystemAccountIdPoolEntry(
+        new xdr.ManageExternalSystemAccountIdPoolEntryOp({
+          actionInput: xdr.ManageExternalSystemAccountIdPoolEntryOpActionInput.create(
+            new xdr.CreateExternalSystemAccountIdPoolEntryActionInput({
+              externalSystemType: 4,
+              data: 'address',
+              parent: UnsignedHyper.fromString('0'),
+              ext: emptyExt('CreateExternalSystemAccountIdPoolEntryActionInputExt')
+            })
+          ),
+          ext: emptyExt('ManageExternalSystemAccountIdPoolEntryOpExt')
+        })
+      ))
+
+      expect(obj).to.deep.equal({
+        type: 'manageExternalSystemAccountIdPoolEntry',
+        externalSystemType: 4,
+        data: 'address',
+        parent: '0'
+      })
+    })
+  })
+
+  describe('checkSaleState', () => {
+    it('decodes the sale ID', () => {
+      let op = SaleRequestBuilder.checkSaleState({ saleID: '42' })
+      let obj = Operation.operationToObject(xdr.Operation.fromXDR(op.toXDR()))
+
+      expect(obj).to.deep.equal({ type: 'checkSaleState', saleID: '42' })
+    })
+  })
+})
@@ -0,0 +1,144 @@
+import xdr from './generated/xdr_generated'
+import { Keypair } from './keypair'
+
+const SIGNATURE_LENGTH = 64
+
+export class BaseSigner {
+  /**
+   * Base class of the asynchronous signers, which hold the secret key
+   * somewhere else than the process memory, e.g. a KMS, a hardware wallet or
+   * a local signing daemon.
+   *
+   * Subclasses implement {@link BaseSigner#sign}. The signers can be used
+   * everywhere a signing {@link Keypair} can: in {@link Transaction#sign},
+   * {@link TransactionBuilder#addSigner} and a {@link Wallet} of the
+   * `ApiCaller`.
+   *
+   * @constructor
+   * @param {string} accountId Account ID of the public key of the signer.
+   */
+  constructor (accountId) {
+    if (!Keypair.isValidPublicKey(accountId)) {
+      throw new TypeError(`Invalid account ID of the signer: ${accountId}`)
+    }
+
+    this._publicKeypair = Keypair.fromAccountId(accountId)
+  }
+
+  /**
+   * Returns account ID of the public key of the signer.
+   * @returns {string}
+   */
+  accountId () {
+    return this._publicKeypair.accountId()
+  }
+
+  /**
+   * @returns {Buffer}
+   */
+  signatureHint () {
+    return this._publicKeypair.signatureHint()
+  }
+
+  /**
+   * Verifies if `signature` for `data` is valid.
+   * @param {Buffer} data Signed data
+   * @param {Buffer} signature Signature
+   * @returns {boolean}
+   */
+  verify (data, signature) {
+    return this._publicKeypair.verify(data, signature)
+  }
+
+  /**
+   * Signs data.
+   * @abstract
+   * @param {Buffer} data Data to sign
+   * @returns {Promise<Buffer>} ed25519 signature
+   */
+  async sign (data) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * @param {Buffer} data Data to sign
+   * @returns {Promise<xdr.DecoratedSignature>}
+   */
+  async signDecorated (data) {
+    let signature = await this.sign(data)
+    let hint = this.signatureHint()
+
+    return new xdr.DecoratedSignature({ hint, signature })
+  }
+}
+
+export class KeypairSigner extends BaseSigner {
+  /**
+   * Software signer with the secret key of the keypair in memory.
+   *
+   * @constructor
+   * @param {Keypair} keypair Keypair with the secret key.
+   */
+  constructor (keypair) {
+    if (!(keypair instanceof Keypair) || !keypair.canSign()) {
+      throw new TypeError('A keypair with the secret key expected')
+    }
+
+    super(keypair.accountId())
+    this._keypair = keypair
+  }
+
+  async sign (data) {
+    return this._keypair.sign(data)
+  }
+}
+
+export class RemoteSigner extends BaseSigner {
+  /**
+   * Signer delegating the signing to a function, e.g. a request to a KMS or
+   * a signing daemon. The signature is verified before it is used.
+   *
+   * @example
+   * const signer = new RemoteSigner(accountId, async data => {
+   *   const { signature } = await kms.sign({ keyId, message: data })
+   *   return Buffer.from(signature, 'base64')
+   * })
+   * api.useWallet(new Wallet(email, signer, accountId))
+   *
+   * @constructor
+   * @param {string} accountId Account ID of the public key of the signer.
+   * @param {function(Buffer): Promise<Buffer>} signFn Signs the data.
+   */
+  constructor (accountId, signFn) {
+    super(accountId)
+
+    if (typeof signFn !== 'function') {
+      throw new TypeError('A sign function expected')
+    }
+    this._signFn = signFn
+  }
+
+  async sign (data) {
+    let signature = await this._signFn(data)
+
+    if (
+      !Buffer.isBuffer(signature) ||
+      signature.length !== SIGNATURE_LENGTH ||
+      !this.verify(data, signature)
+    ) {
+      throw new Error(`Invalid signature of the remote signer ${this.accountId()}`)
+    }
+
+    return signature
+  }
+}
+
+/**
+ * Whether the signer can sign synchronously, i.e. is a {@link Keypair}.
+ *
+ * @param {Keypair|BaseSigner} signer
+ * @returns {boolean}
+ */
+export function isSyncSigner (signer) {
+  return signer instanceof Keypair
+}
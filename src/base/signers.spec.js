@@ -0,0 +1,63 @@
+import sinon from 'sinon'
+
+import { Keypair } from './keypair'
+import { BaseSigner, KeypairSigner, RemoteSigner } from './signers'
+
+describe('signers', () => {
+  const keypair = Keypair.fromSecret('SBRTPKBJIXEUIT37PZ5AN3HZRPRPF4EC7WK5LL55IZJHYKAJLA2I4KKX')
+  const data = Buffer.from('data to sign')
+
+  describe('BaseSigner', () => {
+    it('Should throw on an invalid account ID', () => {
+      expect(() => new BaseSigner('GFOO')).to.throw(TypeError)
+    })
+
+    it('Should require the sign method', async () => {
+      await expect(new BaseSigner(keypair.accountId()).sign(data))
+        .to.be.rejectedWith('Not implemented')
+    })
+  })
+
+  describe('KeypairSigner', () => {
+    it('Should sign the same way the keypair does', async () => {
+      const signer = new KeypairSigner(keypair)
+
+      expect(signer.accountId()).to.equal(keypair.accountId())
+      expect(await signer.sign(data)).to.deep.equal(keypair.sign(data))
+      expect(await signer.signDecorated(data))
+        .to.deep.equal(keypair.signDecorated(data))
+    })
+
+    it('Should throw on a keypair without the secret key', () => {
+      expect(() => new KeypairSigner(Keypair.fromAccountId(keypair.accountId())))
+        .to.throw('A keypair with the secret key expected')
+    })
+  })
+
+  describe('RemoteSigner', () => {
+    it('Should sign with the sign function', async () => {
+      const signFn = sinon.stub().callsFake(async d => keypair.sign(d))
+      const signer = new RemoteSigner(keypair.accountId(), signFn)
+
+      expect(await signer.sign(data)).to.deep.equal(keypair.sign(data))
+      expect(signFn).to.have.been.calledOnceWithExactly(data)
+    })
+
+    it('Should reject a signature of another key', async () => {
+      const signer = new RemoteSigner(
+        keypair.accountId(),
+        async d => Keypair.random().sign(d)
+      )
+
+      await expect(signer.sign(data)).to.be.rejectedWith(
+        `Invalid signature of the remote signer ${keypair.accountId()}`
+      )
+    })
+
+    it('Should reject a malformed signature', async () => {
+      const signer = new RemoteSigner(keypair.accountId(), async () => 'sig')
+
+      await expect(signer.sign(data)).to.be.rejectedWith('Invalid signature')
+    })
+  })
+})
@@ -3,8 +3,12 @@ import { xdr, hash } from './index'
 import { encodeCheck } from './strkey'
 import { Operation } from './operation'
 import { Network } from './network'
+import { Keypair } from './keypair'
+import { isSyncSigner } from './signers'
+import { BaseOperation } from './operations/base_operation'
 import map from 'lodash/map'
 import each from 'lodash/each'
+import snakeCase from 'lodash/snakeCase'
 
 export class Transaction {
   /**
@@ -41,16 +45,106 @@ export class Transaction {
   }
 
   /**
-     * Signs the transaction with the given {@link Keypair}.
-     * @param {...Keypair} keypairs Keypairs of signers
-     * @returns {void}
+     * Decodes base64 encoded transaction envelope into a human-readable object.
+     * @param {string|xdr.TransactionEnvelope} envelope - The transaction envelope object or base64 encoded string.
+     * @param {object} [opts] - See {@link Transaction#describe}.
+     * @returns {object}
      */
-  sign (...keypairs) {
+  static decodeEnvelope (envelope, opts = {}) {
+    return new Transaction(envelope).describe(opts)
+  }
+
+  /**
+     * Decodes transaction result, e.g. `resultXdr` of the transaction returned
+     * by `/v3/transactions`, into a human-readable object with the result codes
+     * of the transaction and every operation, formatted the same way as
+     * {@link TransactionError#resultCodes}.
+     * @param {string|xdr.TransactionResult} result - The transaction result object or base64 encoded string.
+     * @returns {object}
+     */
+  static decodeResult (result) {
+    if (typeof result === 'string') {
+      result = xdr.TransactionResult.fromXDR(Buffer.from(result, 'base64'))
+    }
+
+    let txResult = result.result()
+    let decoded = {
+      feeCharged: BaseOperation._fromXDRAmount(result.feeCharged().toString()),
+      code: snakeCase(txResult.switch().name)
+    }
+
+    switch (txResult.switch()) {
+      case xdr.TransactionResultCode.txSuccess():
+      case xdr.TransactionResultCode.txFailed():
+        decoded.operations = map(txResult.results(), operationResultToObject)
+        break
+      case xdr.TransactionResultCode.txNoRolePermission():
+        decoded.requirement = requirementToObject(txResult.requirement())
+        break
+    }
+
+    return decoded
+  }
+
+  /**
+     * Returns a human-readable description of the transaction: hash, source
+     * account, salt, time bounds, memo, decoded operations with decimal amounts
+     * and signatures.
+     *
+     * Signatures are matched to the provided signers by the hint and verified.
+     * The `signer` of a signature is `null` if no signer produced it.
+     * @param {object} [opts]
+     * @param {string[]} [opts.signers] - Account IDs of the known signers.
+     * @returns {object}
+     */
+  describe (opts = {}) {
     let txHash = this.hash()
-    each(keypairs, kp => {
-      let sig = kp.signDecorated(txHash)
+    let signers = map(opts.signers || [], id => Keypair.fromAccountId(id))
+
+    return {
+      hash: txHash.toString('hex'),
+      source: this.source,
+      salt: this.salt,
+      timeBounds: this.timeBounds,
+      memo: memoToObject(this.memo),
+      operations: this.operations,
+      signatures: map(this.signatures, signature => {
+        let signer = signers.find(kp => {
+          return kp.signatureHint().equals(signature.hint()) &&
+            kp.verify(txHash, signature.signature())
+        })
+
+        return {
+          hint: signature.hint().toString('hex'),
+          signer: signer ? signer.accountId() : null
+        }
+      })
+    }
+  }
+
+  /**
+     * Signs the transaction with the given {@link Keypair}s or asynchronous
+     * signers, see {@link BaseSigner}. The signatures are added in the order
+     * of the signers.
+     * @param {...(Keypair|BaseSigner)} signers Keypairs or signers
+     * @returns {void|Promise<void>} Promise if any of the signers is asynchronous
+     */
+  sign (...signers) {
+    let txHash = this.hash()
+
+    if (signers.every(isSyncSigner)) {
+      each(signers, kp => {
+        let sig = kp.signDecorated(txHash)
+        this.signatures.push(sig)
+      })
+      return
+    }
+
+    return signers.reduce(async (prev, signer) => {
+      await prev
+      let sig = await signer.signDecorated(txHash)
       this.signatures.push(sig)
-    })
+    }, Promise.resolve())
   }
 
   /**
@@ -90,3 +184,51 @@ export class Transaction {
     return envelope
   }
 }
+
+export function memoToObject (memo) {
+  let type = memo.switch()
+
+  switch (type) {
+    case xdr.MemoType.memoNone():
+      return { type: type.name }
+    case xdr.MemoType.memoText():
+    case xdr.MemoType.memoId():
+      return { type: type.name, value: memo.value().toString() }
+    default:
+      return { type: type.name, value: memo.value().toString('hex') }
+  }
+}
+
+function operationResultToObject (opResult) {
+  let code = opResult.switch()
+
+  switch (code) {
+    case xdr.OperationResultCode.opInner(): {
+      let tr = opResult.tr()
+      return {
+        type: tr.switch().name,
+        code: `op_${snakeCase(tr.value().switch().name)}`
+      }
+    }
+    case xdr.OperationResultCode.opNoEntry():
+      return {
+        code: snakeCase(code.name),
+        entryType: opResult.entryType().name
+      }
+    case xdr.OperationResultCode.opNoRolePermission():
+      return {
+        code: snakeCase(code.name),
+        requirement: requirementToObject(opResult.requirement())
+      }
+    default:
+      return { code: snakeCase(code.name) }
+  }
+}
+
+function requirementToObject (requirement) {
+  return {
+    resource: requirement.resource().switch().name,
+    action: requirement.action().name,
+    account: encodeCheck('accountId', requirement.account().ed25519())
+  }
+}
@@ -3,6 +3,8 @@ import { Keypair } from './keypair'
 import { TransactionBuilder } from './transaction_builder'
 import { Operation } from './operation'
 import { Transaction } from './transaction'
+import { RemoteSigner } from './signers'
+import xdr from './generated/xdr_generated'
 
 describe('Transaction', () => {
   it('constructs Transaction object from a TransactionEnvelope', (done) => {
@@ -89,6 +91,35 @@ describe('Transaction', () => {
     expect(verified).to.equal(true)
   })
 
+  it('signs with asynchronous signers in order', async () => {
+    let tx = new TransactionBuilder(Keypair.random().accountId())
+      .addOperation(Operation.payment({
+        amount: '10',
+        subject: 'test',
+        sourceBalanceId: Keypair.random().balanceId(),
+        destinationBalanceId: Keypair.random().balanceId(),
+        feeData: {
+          sourceFee: { percent: '0', fixed: '0' },
+          destinationFee: { percent: '0', fixed: '0' },
+          sourcePaysForDest: true
+        }
+      }))
+      .build()
+    let keypair = Keypair.random()
+    let remoteKeypair = Keypair.random()
+    let remoteSigner = new RemoteSigner(
+      remoteKeypair.accountId(),
+      async data => remoteKeypair.sign(data)
+    )
+
+    await tx.sign(remoteSigner, keypair)
+
+    expect(tx.signatures).to.deep.equal([
+      remoteKeypair.signDecorated(tx.hash()),
+      keypair.signDecorated(tx.hash())
+    ])
+  })
+
   it('accepts 0 as a valid fixed fee', function (done) {
     let source = 'GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB'
     let amount = '2000'
@@ -130,4 +161,136 @@ describe('Transaction', () => {
 
     done()
   })
+  describe('.describe', () => {
+    let source = 'GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB'
+    let timebounds = {
+      minTime: '1455287522',
+      maxTime: '1455297545'
+    }
+    let sourceBalanceId = Keypair.random().balanceId()
+    let destination = Keypair.random().balanceId()
+    let tx
+
+    beforeEach(() => {
+      tx = new TransactionBuilder(source, { timebounds })
+        .addOperation(Operation.payment({
+          amount: '12.5',
+          subject: 'test',
+          sourceBalanceId,
+          destinationBalanceId: destination,
+          feeData: {
+            sourceFee: { percent: '0.125', fixed: '1' },
+            destinationFee: { percent: '0', fixed: '0' },
+            sourcePaysForDest: false
+          }
+        }))
+        .addMemo(Memo.id('42'))
+        .build()
+    })
+
+    it('describes the transaction with decimal amounts', () => {
+      let description = tx.describe()
+
+      expect(description).to.include({
+        hash: tx.hash().toString('hex'),
+        source,
+        salt: tx.salt
+      })
+      expect(description.timeBounds).to.deep.equal(timebounds)
+      expect(description.memo).to.deep.equal({ type: 'memoId', value: '42' })
+      expect(description.operations[0]).to.include({
+        type: 'payment',
+        amount: '12.5',
+        destination
+      })
+      expect(description.operations[0].feeData.sourceFee)
+        .to.deep.equal({ percent: '0.125', fixed: '1' })
+    })
+
+    it('decodes the operations built by Operation', () => {
+      let envelope = new TransactionBuilder(source, { timebounds })
+        .addOperation(Operation.manageBalance({
+          destination: source,
+          action: xdr.ManageBalanceAction.create(),
+          asset: 'USD'
+        }))
+        .addOperation(Operation.setFees({ isDelete: true }))
+        .build()
+        .toEnvelope()
+        .toXDR('base64')
+
+      let description = Transaction.decodeEnvelope(envelope)
+
+      expect(description.operations).to.deep.equal([
+        {
+          type: 'manageBalance',
+          action: xdr.ManageBalanceAction.create(),
+          destination: source,
+          asset: 'USD'
+        },
+        { type: 'setFee', isDelete: true }
+      ])
+    })
+
+    it('matches signatures to the known signers', () => {
+      let knownSigner = Keypair.random()
+      let unknownSigner = Keypair.random()
+      tx.sign(knownSigner, unknownSigner)
+
+      let description = Transaction.decodeEnvelope(
+        tx.toEnvelope().toXDR('base64'),
+        { signers: [knownSigner.accountId(), Keypair.random().accountId()] }
+      )
+
+      expect(description.signatures).to.deep.equal([
+        {
+          hint: knownSigner.signatureHint().toString('hex'),
+          signer: knownSigner.accountId()
+        },
+        {
+          hint: unknownSigner.signatureHint().toString('hex'),
+          signer: null
+        }
+      ])
+    })
+  })
+
+  describe('.decodeResult', () => {
+    it('decodes the result codes of failed transaction', () => {
+      let result = new xdr.TransactionResult({
+        feeCharged: xdr.Int64.fromString('1500000'),
+        result: xdr.TransactionResultResult.txFailed([
+          xdr.OperationResult.opInner(
+            xdr.OperationResultTr.payment(xdr.PaymentResult.underfunded())
+          ),
+          xdr.OperationResult.opNoEntry(xdr.LedgerEntryType.balance())
+        ]),
+        ext: new xdr.TransactionResultExt(xdr.LedgerVersion.emptyVersion())
+      })
+
+      let decoded = Transaction.decodeResult(result.toXDR('base64'))
+
+      expect(decoded).to.deep.equal({
+        feeCharged: '1.5',
+        code: 'tx_failed',
+        operations: [
+          { type: 'payment', code: 'op_underfunded' },
+          { code: 'op_no_entry', entryType: 'balance' }
+        ]
+      })
+    })
+
+    it('decodes the result without operation results', () => {
+      let result = new xdr.TransactionResult({
+        feeCharged: xdr.Int64.fromString('0'),
+        result: xdr.TransactionResultResult.txBadAuth(),
+        ext: new xdr.TransactionResultExt(xdr.LedgerVersion.emptyVersion())
+      })
+
+      expect(Transaction.decodeResult(result)).to.deep.equal({
+        feeCharged: '0',
+        code: 'tx_bad_auth'
+      })
+    })
+  })
 })
@@ -95,7 +95,8 @@ export class TransactionBuilder {
 
   /** Adds a signer keypair to the transaction.
    *
-   * @param signer - valid {Keypair} instance for signing the transactions
+   * @param {Keypair|BaseSigner} signer - valid {Keypair} instance or an
+   * asynchronous signer for signing the transactions
    * @returns {TransactionBuilder}
    */
   addSigner (signer) {
@@ -106,7 +107,8 @@ export class TransactionBuilder {
   /**
      * This will build the transaction.
      * It will also increment the source account's sequence number by 1.
-     * @returns {Transaction} This method will return the built {@link Transaction}.
+     * @returns {Transaction|Promise<Transaction>} This method will return the built {@link Transaction},
+     * or a promise of it if any of the signers is asynchronous.
      */
   build () {
     if (!this.salt) {
@@ -141,8 +143,8 @@ export class TransactionBuilder {
     let xenv = new xdr.TransactionEnvelope({ tx: xtx })
 
     let tx = new Transaction(xenv)
-    tx.sign(...this.signers)
+    let signing = tx.sign(...this.signers)
 
-    return tx
+    return signing ? signing.then(() => tx) : tx
   }
 }
@@ -2,6 +2,8 @@ import { Keypair } from './keypair'
 import { Operation } from './operation'
 import { Memo } from './memo'
 import { TransactionBuilder } from './transaction_builder'
+import { KeypairSigner } from './signers'
+import { Transaction } from './transaction'
 
 describe('TransactionBuilder', () => {
   describe('constructs a native payment transaction with one operation', () => {
@@ -168,4 +170,31 @@ describe('TransactionBuilder', () => {
       done()
     })
   })
+
+  describe('signs with an asynchronous signer', () => {
+    it('should resolve the signed transaction', async () => {
+      let keypair = Keypair.random()
+      let pending = new TransactionBuilder(keypair.accountId())
+        .addOperation(Operation.payment({
+          amount: '10',
+          subject: 'test',
+          sourceBalanceId: Keypair.random().balanceId(),
+          destinationBalanceId: Keypair.random().balanceId(),
+          feeData: {
+            sourceFee: { percent: '0', fixed: '0' },
+            destinationFee: { percent: '0', fixed: '0' },
+            sourcePaysForDest: true
+          }
+        }))
+        .addSigner(new KeypairSigner(keypair))
+        .build()
+
+      expect(pending).to.be.an.instanceOf(Promise)
+      let transaction = await pending
+      expect(transaction).to.be.an.instanceOf(Transaction)
+      expect(transaction.signatures).to.deep.equal([
+        keypair.signDecorated(transaction.hash())
+      ])
+    })
+  })
 })
@@ -0,0 +1,132 @@
+/**
+ * Helpers for the XDR enums whose values are single bits, e.g.
+ * {@link ASSET_POLICIES} and {@link ASSET_PAIR_POLICIES}, to pack the names
+ * of the flags into the masks and back.
+ *
+ * Every helper takes the flags as a name→value map produced by
+ * `xdrEnumToConstant` or as the XDR enum itself. The enums with arbitrary
+ * values, like {@link OP_TYPES}, are rejected.
+ *
+ * @example
+ * import { ASSET_POLICIES, encodeFlags, decodeFlags } from './const'
+ *
+ * const mask = encodeFlags(ASSET_POLICIES, ['transferable', 'withdrawable'])
+ * decodeFlags(ASSET_POLICIES, mask) // ['transferable', 'withdrawable']
+ */
+
+/**
+ * Packs the names of the flags into the mask.
+ *
+ * @param {object} flags Name→value map of the flags or the XDR enum.
+ * @param {string[]|number} names Names of the flags. A number is treated as
+ * a ready mask and only validated.
+ *
+ * @return {number} Mask.
+ *
+ * @throws {TypeError} One of the names is not a flag.
+ * @throws {RangeError} The mask passed has bits of no flag.
+ */
+export function encodeFlags (flags, names = []) {
+  const values = toFlagValues(flags)
+
+  if (typeof names === 'number') {
+    validateFlags(values, names)
+    return names
+  }
+
+  return names.reduce((mask, name) => {
+    if (!Object.prototype.hasOwnProperty.call(values, name)) {
+      throw new TypeError(`Unknown flag "${name}"`)
+    }
+    return mask | values[name]
+  }, 0)
+}
+
+/**
+ * Unpacks the mask into the names of the flags.
+ *
+ * The bits of no flag are skipped, so the masks the server returns can be
+ * decoded even if they have the flags added after this SDK version. Use
+ * `opts.strict` or {@link validateFlags} to reject them.
+ *
+ * @param {object} flags Name→value map of the flags or the XDR enum.
+ * @param {number} mask Mask.
+ * @param {object} [opts]
+ * @param {boolean} [opts.strict=false] Throw on the bits of no flag.
+ *
+ * @return {string[]} Names of the flags set, in the order of the values.
+ *
+ * @throws {RangeError} The mask is not a non-negative integer or, in the
+ * strict mode, has bits of no flag.
+ */
+export function decodeFlags (flags, mask = 0, opts = {}) {
+  const values = toFlagValues(flags)
+  if (opts.strict) {
+    validateFlags(values, mask)
+  } else {
+    validateMask(mask)
+  }
+
+  return Object.keys(values)
+    .sort((a, b) => values[a] - values[b])
+    .filter(name => mask & values[name])
+}
+
+/**
+ * Checks all the flags are set in the mask.
+ *
+ * @param {object} flags Name→value map of the flags or the XDR enum.
+ * @param {number} mask Mask.
+ * @param {string[]} names Names of the flags.
+ *
+ * @return {boolean} Whether all the flags are set.
+ */
+export function hasFlags (flags, mask, names) {
+  const required = encodeFlags(flags, names)
+  return (mask & required) === required
+}
+
+/**
+ * Checks the mask has no bits but the ones of the flags.
+ *
+ * @param {object} flags Name→value map of the flags or the XDR enum.
+ * @param {number} mask Mask.
+ *
+ * @throws {RangeError} The mask has bits of no flag.
+ */
+export function validateFlags (flags, mask) {
+  const values = toFlagValues(flags)
+  const known = Object.values(values).reduce((all, value) => all | value, 0)
+
+  validateMask(mask)
+
+  const unknown = mask & ~known
+  if (unknown) {
+    throw new RangeError(
+      `Mask ${mask} has unknown bits 0x${unknown.toString(16)}`
+    )
+  }
+}
+
+function validateMask (mask) {
+  if (!Number.isInteger(mask) || mask < 0) {
+    throw new RangeError(`Mask must be a non-negative integer, got ${mask}`)
+  }
+}
+
+function toFlagValues (flags) {
+  const values = typeof flags.values === 'function'
+    ? flags.values().reduce((res, item) => {
+      res[item.name] = item.value
+      return res
+    }, {})
+    : flags
+
+  for (const [name, value] of Object.entries(values)) {
+    if (!(value > 0) || (value & (value - 1))) {
+      throw new TypeError(`Value of "${name}" is not a single bit: ${value}`)
+    }
+  }
+
+  return values
+}
@@ -0,0 +1,73 @@
+import { encodeFlags, decodeFlags, hasFlags, validateFlags } from './flags'
+import { ASSET_POLICIES, ASSET_PAIR_POLICIES, OP_TYPES } from './enums.const'
+import { xdr } from '../base'
+
+describe('Flags', () => {
+  describe('encodeFlags', () => {
+    it('should pack the names into the mask', () => {
+      expect(encodeFlags(ASSET_POLICIES, ['transferable', 'withdrawable']))
+        .to.equal(9)
+      expect(encodeFlags(ASSET_PAIR_POLICIES, [])).to.equal(0)
+    })
+
+    it('should accept the XDR enum', () => {
+      expect(encodeFlags(xdr.AssetPairPolicy, ['currentPriceRestriction']))
+        .to.equal(4)
+    })
+
+    it('should validate and pass the mask through', () => {
+      expect(encodeFlags(ASSET_PAIR_POLICIES, 7)).to.equal(7)
+      expect(() => encodeFlags(ASSET_PAIR_POLICIES, 8))
+        .to.throw(RangeError, 'Mask 8 has unknown bits 0x8')
+    })
+
+    it('should throw on an unknown name', () => {
+      expect(() => encodeFlags(ASSET_POLICIES, ['transferable', 'flying']))
+        .to.throw(TypeError, 'Unknown flag "flying"')
+    })
+
+    it('should reject the enums that are not flags', () => {
+      expect(() => encodeFlags(OP_TYPES, ['payment']))
+        .to.throw(TypeError, 'is not a single bit')
+    })
+  })
+
+  describe('decodeFlags', () => {
+    it('should unpack the mask into the names', () => {
+      expect(decodeFlags(ASSET_POLICIES, 0b10010001)).to.deep.equal([
+        'transferable',
+        'issuanceManualReviewRequired',
+        'swappable'
+      ])
+      expect(decodeFlags(ASSET_POLICIES, 0)).to.deep.equal([])
+    })
+
+    it('should skip the unknown bits', () => {
+      expect(decodeFlags(ASSET_POLICIES, 257)).to.deep.equal(['transferable'])
+    })
+
+    it('should throw on the unknown bits in the strict mode', () => {
+      expect(() => decodeFlags(ASSET_POLICIES, 257, { strict: true }))
+        .to.throw(RangeError, 'Mask 257 has unknown bits 0x100')
+    })
+
+    it('should throw on the masks that are not non-negative integers', () => {
+      expect(() => decodeFlags(ASSET_POLICIES, -1)).to.throw(RangeError)
+    })
+  })
+
+  describe('hasFlags', () => {
+    it('should check all the flags are set', () => {
+      expect(hasFlags(ASSET_POLICIES, 9, ['transferable'])).to.be.true
+      expect(hasFlags(ASSET_POLICIES, 9, ['transferable', 'baseAsset']))
+        .to.be.false
+    })
+  })
+
+  describe('validateFlags', () => {
+    it('should reject the masks that are not non-negative integers', () => {
+      expect(() => validateFlags(ASSET_POLICIES, -1)).to.throw(RangeError)
+      expect(() => validateFlags(ASSET_POLICIES, 1.5)).to.throw(RangeError)
+    })
+  })
+})
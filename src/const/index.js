@@ -12,6 +12,13 @@ export {
   CHECK_SALE_STATE_EFFECTS
 } from './enums.const'
 
+export {
+  encodeFlags,
+  decodeFlags,
+  hasFlags,
+  validateFlags
+} from './flags'
+
 export {
   REQUEST_STATES,
   REQUEST_STATES_STR
@@ -19,5 +26,7 @@ export {
 
 export { MIMES } from './mimes.const'
 export { SALE_STATES } from './sale-states'
+export { SWAP_STATES } from './swap-states'
+export { POLL_STATES } from './poll-states'
 export { KEY_VALUE_KEYS } from './key-value.const'
 export { BLOB_TYPES } from './blob-types.const'
@@ -0,0 +1,6 @@
+export const POLL_STATES = Object.freeze({
+  open: 1,
+  passed: 2,
+  failed: 3,
+  canceled: 4
+})
@@ -0,0 +1,5 @@
+export const SWAP_STATES = Object.freeze({
+  open: 1,
+  closed: 2,
+  cancelled: 3
+})
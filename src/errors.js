@@ -27,6 +27,13 @@ export class TimeoutError extends Error {
   }
 }
 
+/**
+ * Operation aborted with the `AbortSignal` error.
+ *
+ * @class
+ */
+export class AbortError extends Error {}
+
 /**
  * Base class for server errors.
  */
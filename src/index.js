@@ -5,19 +5,53 @@ export * from './tokend_sdk'
 export * from './const'
 export { Document } from './utils/document'
 export { default as base } from './base'
-export { Wallet, encryptSecretSeed, decryptSecretSeed } from './wallet'
+export {
+  Wallet,
+  WalletStore,
+  MemoryWalletStorage,
+  WebWalletStorage,
+  HD_KEY_INDEXES,
+  generateMnemonic,
+  validateMnemonic,
+  entropyToMnemonic,
+  mnemonicToEntropy,
+  mnemonicToSeed,
+  derivePath,
+  deriveKeypair,
+  encryptSecretSeed,
+  decryptSecretSeed
+} from './wallet'
 
 export { HorizonResponse } from './horizon'
 export { ApiResponse } from './api'
 
 export {
   ApiCaller,
+  BATCH_OPERATION_STATUSES,
+  RetryPolicy,
+  RequestWatcher,
+  V3Resources,
   DocumentsManager,
   FactorsManager,
   SignersManager,
+  SIGNERS_THRESHOLD,
+  SIGNER_CHANGE_ACTIONS,
   VerificationManager,
   Signer,
   WalletsManager,
+  PreflightManager,
+  PREFLIGHT_FAILURE_CODES,
+  MultisigSession,
+  FeesManager,
+  SwapsManager,
+  MemorySecretStorage,
+  PollsManager,
+  SalesManager,
+  DeferredPaymentsManager,
+  ReviewsManager,
+  REVIEW_OUTCOMES,
+  IssuanceManager,
+  AssetsManager,
   JsonapiResponse
 } from './api2'
 export { KeyServerCaller } from './api2/key-server-caller'
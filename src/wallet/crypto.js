@@ -87,6 +87,21 @@ export function calculateMasterKey (s0, email, password, kdfParams) {
   )
   let salt = sjcl.hash.sha256.hash(unhashedSaltBits)
 
+  return canUseNativeScrypt(password, kdfParams)
+    ? nativeScrypt(password, salt, kdfParams)
+    : sjclScrypt(password, salt, kdfParams)
+}
+
+/**
+ * Scrypt of sjcl, works everywhere but is slow for the high costs.
+ *
+ * @param {string} password
+ * @param {Array} salt sjcl bit array.
+ * @param {object} kdfParams Scrypt params.
+ *
+ * @return {Array} sjcl bit array of the derived key.
+ */
+export function sjclScrypt (password, salt, kdfParams) {
   return sjcl.misc.scrypt(
     password,
     salt,
@@ -97,6 +112,35 @@ export function calculateMasterKey (s0, email, password, kdfParams) {
   )
 }
 
+/**
+ * Scrypt of Node.js, gives the same key as {@link sjclScrypt} many times
+ * faster. Not available in the browsers.
+ *
+ * @param {string} password
+ * @param {Array} salt sjcl bit array.
+ * @param {object} kdfParams Scrypt params.
+ *
+ * @return {Array} sjcl bit array of the derived key.
+ */
+export function nativeScrypt (password, salt, kdfParams) {
+  const { n, r, p, bits } = kdfParams
+  const key = crypto.scryptSync(
+    password,
+    Buffer.from(sjcl.codec.hex.fromBits(salt), 'hex'),
+    bits / 8,
+    // the default limit of 32 MiB is too low for the costs above n = 2^15
+    { N: n, r, p, maxmem: 128 * r * (n + p + 2) + 1024 * 1024 }
+  )
+
+  return sjcl.codec.hex.toBits(key.toString('hex'))
+}
+
+function canUseNativeScrypt (password, kdfParams) {
+  return typeof crypto.scryptSync === 'function' &&
+    isString(password) &&
+    kdfParams.bits % 8 === 0
+}
+
 function base64Encode (str) {
   return (Buffer.from(str)).toString('base64')
 }
@@ -58,6 +58,30 @@ describe('wallet/crypto', () => {
     })
   })
 
+  describe('.nativeScrypt', () => {
+    const salt = sjcl.hash.sha256.hash('salt')
+
+    it('Should derive the same key as sjcl', () => {
+      const kdfParams = { bits: 256, n: 1024, p: 2, r: 8 }
+
+      expect(crypto.nativeScrypt('pässword', salt, kdfParams))
+        .to.deep.equal(crypto.sjclScrypt('pässword', salt, kdfParams))
+    })
+
+    it('Should match the RFC 7914 test vector', () => {
+      const key = crypto.nativeScrypt(
+        'password',
+        sjcl.codec.utf8String.toBits('NaCl'),
+        { bits: 512, n: 1024, p: 16, r: 8 }
+      )
+
+      expect(sjcl.codec.hex.fromBits(key)).to.equal(
+        'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b373162' +
+        '2eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640'
+      )
+    })
+  })
+
   describe('.deriveWalletId', () => {
     it('Should derive wallet ID.', () => {
       let walletId = crypto.deriveWalletId(fromBase64(masterKey))
@@ -0,0 +1,53 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Keeps the encrypted wallets in the files of the directory, one file per
+ * key.
+ *
+ * Node.js only, so it is not exported from the package entry, which is
+ * bundled for the browsers as well:
+ *
+ * @example
+ * import { FileWalletStorage } from '@tokend/js-sdk/lib/wallet/file_wallet_storage'
+ *
+ * const store = new WalletStore({ storage: new FileWalletStorage(dir) })
+ */
+export class FileWalletStorage {
+  /**
+   * @param {string} dir Path of the directory, created on the first write.
+   */
+  constructor (dir) {
+    this._dir = dir
+  }
+
+  async get (key) {
+    try {
+      return await fs.promises.readFile(this._path(key), 'utf8')
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return undefined
+      }
+      throw e
+    }
+  }
+
+  async set (key, value) {
+    await fs.promises.mkdir(this._dir, { recursive: true })
+    await fs.promises.writeFile(this._path(key), value, { mode: 0o600 })
+  }
+
+  async delete (key) {
+    try {
+      await fs.promises.unlink(this._path(key))
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e
+      }
+    }
+  }
+
+  _path (key) {
+    return path.join(this._dir, `${encodeURIComponent(key)}.json`)
+  }
+}
@@ -0,0 +1,35 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { FileWalletStorage } from './file_wallet_storage'
+
+describe('FileWalletStorage', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'wallets-')), 'nested')
+  })
+
+  afterEach(() => {
+    if (fs.existsSync(dir)) {
+      fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)))
+      fs.rmdirSync(dir)
+    }
+    fs.rmdirSync(path.dirname(dir))
+  })
+
+  it('should keep the items in the files of the directory', async () => {
+    const storage = new FileWalletStorage(dir)
+
+    expect(await storage.get('wallet')).to.be.undefined
+    await storage.set('wallet', 'data')
+    expect(fs.readFileSync(path.join(dir, 'wallet.json'), 'utf8'))
+      .to.equal('data')
+    expect(await storage.get('wallet')).to.equal('data')
+
+    await storage.delete('wallet')
+    await storage.delete('wallet')
+    expect(await storage.get('wallet')).to.be.undefined
+  })
+})
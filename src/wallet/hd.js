@@ -0,0 +1,202 @@
+import crypto from 'crypto'
+import { isString } from 'lodash'
+
+import { Keypair } from '../base'
+import { ENGLISH_WORDLIST } from './mnemonic_wordlist'
+
+const PBKDF2_ROUNDS = 2048
+const SEED_KEY = 'ed25519 seed'
+const HARDENED_OFFSET = 0x80000000
+const VALID_STRENGTHS = [128, 160, 192, 224, 256]
+
+/**
+ * Indexes of the account level of the derivation path for the keypairs of
+ * the known purposes, see {@link deriveKeypair}. The indexes starting from
+ * `additional` are free for any other keypairs.
+ */
+export const HD_KEY_INDEXES = Object.freeze({
+  signing: 0,
+  recovery: 1,
+  secondFactor: 2,
+  additional: 3
+})
+
+/**
+ * Generates a random BIP-0039 mnemonic.
+ *
+ * @param {number} [strength=256] Entropy bits, 256 bits make 24 words.
+ *
+ * @return {string} Space-separated words.
+ */
+export function generateMnemonic (strength = 256) {
+  if (!VALID_STRENGTHS.includes(strength)) {
+    throw new RangeError(
+      `Strength must be one of ${VALID_STRENGTHS.join(', ')}, got ${strength}`
+    )
+  }
+
+  return entropyToMnemonic(crypto.randomBytes(strength / 8))
+}
+
+/**
+ * Encodes the entropy into the BIP-0039 mnemonic.
+ *
+ * @param {Buffer} entropy 16 to 32 bytes, a multiple of 4.
+ *
+ * @return {string} Space-separated words.
+ */
+export function entropyToMnemonic (entropy) {
+  if (!VALID_STRENGTHS.includes(entropy.length * 8)) {
+    throw new RangeError(`Invalid entropy length ${entropy.length}`)
+  }
+
+  const bits = toBits(entropy) + checksumBits(entropy)
+
+  return bits.match(/.{11}/g)
+    .map(chunk => ENGLISH_WORDLIST[parseInt(chunk, 2)])
+    .join(' ')
+}
+
+/**
+ * Decodes the BIP-0039 mnemonic into the entropy.
+ *
+ * @param {string} mnemonic Space-separated words.
+ *
+ * @return {Buffer} Entropy.
+ *
+ * @throws {Error} The mnemonic is invalid.
+ */
+export function mnemonicToEntropy (mnemonic) {
+  const words = normalize(mnemonic).split(' ')
+  if (!VALID_STRENGTHS.includes(words.length * 11 * 32 / 33)) {
+    throw new Error(`Invalid mnemonic length ${words.length}`)
+  }
+
+  const bits = words.map(word => {
+    const index = ENGLISH_WORDLIST.indexOf(word)
+    if (index === -1) {
+      throw new Error(`Unknown mnemonic word "${word}"`)
+    }
+    return index.toString(2).padStart(11, '0')
+  }).join('')
+
+  const entropyLength = bits.length * 32 / 33
+  const entropy = Buffer.from(
+    bits.slice(0, entropyLength).match(/.{8}/g).map(byte => parseInt(byte, 2))
+  )
+  if (checksumBits(entropy) !== bits.slice(entropyLength)) {
+    throw new Error('Invalid mnemonic checksum')
+  }
+
+  return entropy
+}
+
+/**
+ * Checks the BIP-0039 mnemonic.
+ *
+ * @param {string} mnemonic Space-separated words.
+ *
+ * @return {boolean} Whether the words and the checksum are valid.
+ */
+export function validateMnemonic (mnemonic) {
+  try {
+    mnemonicToEntropy(mnemonic)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Stretches the BIP-0039 mnemonic into the seed of the derivation.
+ *
+ * @param {string} mnemonic Space-separated words.
+ * @param {string} [passphrase=''] Optional BIP-0039 passphrase.
+ *
+ * @return {Buffer} 64 bytes seed.
+ */
+export function mnemonicToSeed (mnemonic, passphrase = '') {
+  mnemonicToEntropy(mnemonic)
+
+  return crypto.pbkdf2Sync(
+    Buffer.from(normalize(mnemonic), 'utf8'),
+    Buffer.from(`mnemonic${passphrase}`.normalize('NFKD'), 'utf8'),
+    PBKDF2_ROUNDS,
+    64,
+    'sha512'
+  )
+}
+
+/**
+ * Derives the ed25519 key of the path by SLIP-0010. Only the hardened
+ * indexes are defined for ed25519, so every index of the path must end with
+ * `'`.
+ *
+ * @param {Buffer} seed Seed of the derivation, see {@link mnemonicToSeed}.
+ * @param {string} path Derivation path, e.g. `m/44'/148'/0'`.
+ *
+ * @return {object} 32 bytes `key` and `chainCode`.
+ */
+export function derivePath (seed, path) {
+  if (!isString(path) || !/^m(\/\d+')*$/.test(path)) {
+    throw new Error(`Invalid hardened derivation path "${path}"`)
+  }
+
+  const master = hmacSha512(Buffer.from(SEED_KEY, 'utf8'), seed)
+
+  return path.split('/').slice(1).reduce(({ key, chainCode }, segment) => {
+    const index = Number(segment.slice(0, -1))
+    if (index >= HARDENED_OFFSET) {
+      throw new RangeError(`Derivation index ${index} is out of range`)
+    }
+
+    const data = Buffer.alloc(37)
+    key.copy(data, 1)
+    data.writeUInt32BE(index + HARDENED_OFFSET, 33)
+
+    return splitKey(hmacSha512(chainCode, data))
+  }, splitKey(master))
+}
+
+/**
+ * Derives the keypair of the account index by the SEP-0005 path
+ * `m/44'/148'/index'`, so the keys match the ones of the Stellar wallets.
+ *
+ * @param {Buffer} seed Seed of the derivation, see {@link mnemonicToSeed}.
+ * @param {number} index Account index, see {@link HD_KEY_INDEXES}.
+ *
+ * @return {Keypair}
+ */
+export function deriveKeypair (seed, index) {
+  if (!Number.isInteger(index) || index < 0) {
+    throw new RangeError(`Index must be a non-negative integer, got ${index}`)
+  }
+
+  return Keypair.fromRawSeed(derivePath(seed, `m/44'/148'/${index}'`).key)
+}
+
+function normalize (mnemonic) {
+  if (!isString(mnemonic)) {
+    throw new TypeError('Mnemonic must be a string')
+  }
+  return mnemonic.normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ')
+}
+
+function toBits (bytes) {
+  return Array.from(bytes)
+    .map(byte => byte.toString(2).padStart(8, '0'))
+    .join('')
+}
+
+function checksumBits (entropy) {
+  const hash = crypto.createHash('sha256').update(entropy).digest()
+  return toBits(hash).slice(0, entropy.length * 8 / 32)
+}
+
+function hmacSha512 (key, data) {
+  return crypto.createHmac('sha512', key).update(data).digest()
+}
+
+function splitKey (digest) {
+  return { key: digest.slice(0, 32), chainCode: digest.slice(32) }
+}
@@ -0,0 +1,97 @@
+import * as hd from './hd'
+
+describe('wallet/hd', () => {
+  // SEP-0005 test vector 1
+  const mnemonic = 'illness spike retreat truth genius clock brain pass ' +
+    'fit cave bargain toe'
+
+  describe('.entropyToMnemonic', () => {
+    it('Should encode the entropy with the checksum word', () => {
+      expect(hd.entropyToMnemonic(Buffer.alloc(16)))
+        .to.equal(`${'abandon '.repeat(11)}about`)
+      expect(hd.entropyToMnemonic(Buffer.alloc(32, 0xff)))
+        .to.equal(`${'zoo '.repeat(23)}vote`)
+    })
+  })
+
+  describe('.generateMnemonic', () => {
+    it('Should generate 24 valid words by default', () => {
+      const generated = hd.generateMnemonic()
+
+      expect(generated.split(' ')).to.have.lengthOf(24)
+      expect(hd.validateMnemonic(generated)).to.be.true
+      expect(hd.generateMnemonic()).to.not.equal(generated)
+    })
+
+    it('Should throw on an invalid strength', () => {
+      expectThrow(() => hd.generateMnemonic(100))
+    })
+  })
+
+  describe('.mnemonicToEntropy', () => {
+    it('Should decode the mnemonic back', () => {
+      const entropy = Buffer.from('7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f', 'hex')
+
+      expect(hd.mnemonicToEntropy(hd.entropyToMnemonic(entropy)))
+        .to.deep.equal(entropy)
+    })
+
+    it('Should throw on a wrong checksum', () => {
+      expect(() => hd.mnemonicToEntropy(`${'abandon '.repeat(11)}abandon`))
+        .to.throw('Invalid mnemonic checksum')
+    })
+
+    it('Should throw on an unknown word', () => {
+      expect(() => hd.mnemonicToEntropy(`${'abandon '.repeat(11)}bitcoin`))
+        .to.throw('Unknown mnemonic word "bitcoin"')
+    })
+  })
+
+  describe('.mnemonicToSeed', () => {
+    it('Should stretch the mnemonic with the passphrase', () => {
+      const seed = hd.mnemonicToSeed(`${'abandon '.repeat(11)}about`, 'TREZOR')
+
+      expect(seed.toString('hex')).to.equal(
+        'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e5349553' +
+        '1f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+      )
+    })
+
+    it('Should ignore the extra whitespace and the case', () => {
+      expect(hd.mnemonicToSeed(`  ${mnemonic.toUpperCase()}\n`))
+        .to.deep.equal(hd.mnemonicToSeed(mnemonic))
+    })
+  })
+
+  describe('.derivePath', () => {
+    it('Should derive the keys by SLIP-0010', () => {
+      const seed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex')
+
+      expect(hd.derivePath(seed, 'm').key.toString('hex')).to.equal(
+        '2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7'
+      )
+      expect(hd.derivePath(seed, `m/0'`).key.toString('hex')).to.equal(
+        '68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3'
+      )
+    })
+
+    it('Should throw on the non-hardened indexes', () => {
+      expect(() => hd.derivePath(Buffer.alloc(16), `m/44'/0`))
+        .to.throw(`Invalid hardened derivation path "m/44'/0"`)
+    })
+  })
+
+  describe('.deriveKeypair', () => {
+    it('Should derive the keypairs by SEP-0005 paths', () => {
+      const seed = hd.mnemonicToSeed(mnemonic)
+
+      const keypair = hd.deriveKeypair(seed, hd.HD_KEY_INDEXES.signing)
+      expect(keypair.accountId())
+        .to.equal('GDRXE2BQUC3AZNPVFSCEZ76NJ3WWL25FYFK6RGZGIEKWE4SOOHSUJUJ6')
+      expect(keypair.secret())
+        .to.equal('SBGWSG6BTNCKCOB3DIFBGCVMUPQFYPA2G4O34RMTB343OYPXU5DJDVMN')
+      expect(hd.deriveKeypair(seed, 1).accountId())
+        .to.equal('GBAW5XGWORWVFE2XTJYDTLDHXTY2Q2MO73HYCGB3XMFMQ562Q2W2GJQX')
+    })
+  })
+})
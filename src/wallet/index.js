@@ -1,2 +1,17 @@
 export { Wallet } from './wallet'
+export {
+  WalletStore,
+  MemoryWalletStorage,
+  WebWalletStorage
+} from './wallet_store'
 export { decryptSecretSeed, encryptSecretSeed } from './crypto'
+export {
+  HD_KEY_INDEXES,
+  generateMnemonic,
+  validateMnemonic,
+  entropyToMnemonic,
+  mnemonicToEntropy,
+  mnemonicToSeed,
+  derivePath,
+  deriveKeypair
+} from './hd'
@@ -1,6 +1,7 @@
-import { Keypair } from '../base'
+import { Keypair, BaseSigner } from '../base'
 import sjcl from 'sjcl-tokend'
 import * as crypto from './crypto'
+import * as hd from './hd'
 import { isNil, isString } from 'lodash'
 
 /**
@@ -15,12 +16,15 @@ export class Wallet {
    * @constructor
    *
    * @param {string} email User's email.
-   * @param {Keypair|string} signingKeypair User's key pair or a secret seed.
+   * @param {Keypair|string|BaseSigner} signingKeypair User's key pair, a secret
+   * seed or an asynchronous signer keeping the secret key out of the wallet,
+   * e.g. a {@link RemoteSigner}.
    * @param {string} accountId User's account ID.
    * @param {string} [walletId] Wallet ID.
    * @param {string} [sessionId] Session ID.
    * @param {string} [sessionKey] Session key.
    * @param {Array} [keypairs] array of {@link Keypair} or strings(secret seed) which saved in key storage
+   * @param {string} [mnemonic] BIP-0039 mnemonic the keypairs are derived from.
    */
   constructor (
     email,
@@ -29,13 +33,20 @@ export class Wallet {
     walletId,
     sessionId,
     sessionKey,
-    keypairs = []
+    keypairs = [],
+    mnemonic
   ) {
     if (isNil(email)) {
       throw new Error('Email is required.')
     }
 
-    this._checkIfKeypairIsValid(signingKeypair)
+    let signer = null
+    if (signingKeypair instanceof BaseSigner) {
+      signer = signingKeypair
+      signingKeypair = Keypair.fromAccountId(signer.accountId())
+    } else {
+      this._checkIfKeypairIsValid(signingKeypair)
+    }
 
     if (isString(signingKeypair)) {
       signingKeypair = Keypair.fromSecret(signingKeypair)
@@ -57,6 +68,10 @@ export class Wallet {
       throw new Error('Hex encoded session key expected.')
     }
 
+    if (mnemonic && !hd.validateMnemonic(mnemonic)) {
+      throw new Error('Invalid mnemonic.')
+    }
+
     keypairs = keypairs.map(item => {
       this._checkIfKeypairIsValid(item)
       if (isString(item)) {
@@ -66,17 +81,20 @@ export class Wallet {
     })
 
     keypairs = Array.from(new Set([
-      signingKeypair.secret(),
+      ...(signer ? [] : [signingKeypair.secret()]),
       ...keypairs
     ]))
       .map(item => Keypair.fromSecret(item))
     this._email = email
     this._signingKeypair = signingKeypair
+    this._signer = signer
     this._accountId = accountId
     this._id = walletId
     this._sessionId = sessionId
     this._sessionKey = sessionKey
     this._keypairs = keypairs
+    this._mnemonic = mnemonic || null
+    this._hdSeed = null
   }
 
   /**
@@ -106,6 +124,35 @@ export class Wallet {
     )
   }
 
+  /**
+   * Restore a wallet from a BIP-0039 mnemonic. The signing keypair is
+   * derived by the {@link HD_KEY_INDEXES}.signing index.
+   *
+   * @param {string} email User's email.
+   * @param {string} mnemonic BIP-0039 mnemonic, see {@link generateMnemonic}.
+   * @param {string} [accountId] User's account ID, the signing keypair's
+   * account ID by default.
+   *
+   * @return {Wallet} The restored wallet.
+   */
+  static fromMnemonic (email, mnemonic, accountId = null) {
+    const signingKeypair = hd.deriveKeypair(
+      hd.mnemonicToSeed(mnemonic),
+      hd.HD_KEY_INDEXES.signing
+    )
+
+    return new Wallet(
+      email,
+      signingKeypair,
+      accountId || signingKeypair.accountId(),
+      null,
+      null,
+      null,
+      [],
+      mnemonic
+    )
+  }
+
   /**
    * Decrypt a wallet obtained from a wallet server.
    *
@@ -141,7 +188,8 @@ export class Wallet {
       sjcl.codec.hex.fromBits(rawWalletId),
       opts.sessionId,
       opts.sessionKey,
-      allSeeds
+      allSeeds,
+      decryptedKeychain.mnemonic
     )
   }
 
@@ -172,12 +220,13 @@ export class Wallet {
     }
     return new Wallet(
       wallet._email,
-      wallet._signingKeypair,
+      wallet._signer || wallet._signingKeypair,
       wallet._accountId,
       wallet._id,
       wallet._sessionId,
       wallet._sessionKey,
-      wallet._keypairs
+      wallet._keypairs,
+      wallet._mnemonic
     )
   }
 
@@ -231,6 +280,10 @@ export class Wallet {
    * Secret seed.
    */
   get secretSeed () {
+    if (this._signer) {
+      throw new Error('The signer of this wallet has no secret seed.')
+    }
+
     return this._signingKeypair.secret()
   }
 
@@ -242,12 +295,23 @@ export class Wallet {
   }
 
   /**
-   * Get signing keypair.
+   * Get signing keypair. For a wallet of an asynchronous signer it has no
+   * secret key, use {@link Wallet#signer} to sign.
    */
   get keypair () {
     return this._signingKeypair
   }
 
+  /**
+   * Signer of the transactions and requests: the signing keypair or the
+   * asynchronous signer the wallet was created with.
+   *
+   * @return {Keypair|BaseSigner}
+   */
+  get signer () {
+    return this._signer || this._signingKeypair
+  }
+
   /**
    * Get all keypairs.
    */
@@ -260,6 +324,34 @@ export class Wallet {
     return this._keypairs.filter(el => el.accountId() !== curKpId)
   }
 
+  /**
+   * BIP-0039 mnemonic the keypairs are derived from, `null` for the wallets
+   * of random keypairs.
+   */
+  get mnemonic () {
+    return this._mnemonic
+  }
+
+  /**
+   * Derive a keypair from the mnemonic of the wallet. The same index always
+   * gives the same keypair, so the keypairs can be restored offline.
+   *
+   * @param {number} index Index of the keypair, see {@link HD_KEY_INDEXES}.
+   *
+   * @return {Keypair} Derived keypair.
+   */
+  deriveKeypair (index) {
+    if (!this._mnemonic) {
+      throw new Error('This wallet has no mnemonic.')
+    }
+
+    if (!this._hdSeed) {
+      this._hdSeed = hd.mnemonicToSeed(this._mnemonic)
+    }
+
+    return hd.deriveKeypair(this._hdSeed, index)
+  }
+
   /**
    * Get session ID.
    */
@@ -288,6 +380,9 @@ export class Wallet {
     if (!isString(password) || password.length === 0) {
       throw new TypeError('Password must be a non-empty string')
     }
+    if (this._signer) {
+      throw new Error('The secret key of the signer cannot be encrypted.')
+    }
 
     let salt = crypto.randomBytes(16).toString('base64')
     let masterKey = crypto.calculateMasterKey(
@@ -301,7 +396,8 @@ export class Wallet {
     let walletKey = crypto.deriveWalletKey(masterKey)
     let rawKeychainData = {
       accountId: this.accountId,
-      seeds: this.secretSeeds
+      seeds: this.secretSeeds,
+      ...(this._mnemonic ? { mnemonic: this._mnemonic } : {})
     }
     let keychainData = crypto.encryptData(
       JSON.stringify(rawKeychainData),
@@ -363,6 +459,7 @@ export class Wallet {
     } else {
       this._signingKeypair = keypair
     }
+    this._signer = null
   }
 
   _checkIfKeypairIsValid (keypair) {
@@ -1,4 +1,4 @@
-import { Keypair } from '../base'
+import { Keypair, RemoteSigner } from '../base'
 
 import { Wallet } from './wallet'
 
@@ -72,6 +72,50 @@ describe('Wallet', () => {
     })
   })
 
+  describe('.fromMnemonic', () => {
+    const mnemonic = 'illness spike retreat truth genius clock brain pass ' +
+      'fit cave bargain toe'
+
+    it('Should derive the signing keypair from a mnemonic.', () => {
+      let restoredWallet = Wallet.fromMnemonic(email, mnemonic)
+
+      expect(restoredWallet.accountId)
+        .to.equal('GDRXE2BQUC3AZNPVFSCEZ76NJ3WWL25FYFK6RGZGIEKWE4SOOHSUJUJ6')
+      expect(restoredWallet.mnemonic).to.equal(mnemonic)
+    })
+
+    it('Should derive the same keypairs every time.', () => {
+      let first = Wallet.fromMnemonic(email, mnemonic, accountId)
+      let second = Wallet.fromMnemonic(email, mnemonic, accountId)
+
+      expect(first.accountId).to.equal(accountId)
+      expect(first.deriveKeypair(5).secret())
+        .to.equal(second.deriveKeypair(5).secret())
+      expect(first.deriveKeypair(1).accountId())
+        .to.equal('GBAW5XGWORWVFE2XTJYDTLDHXTY2Q2MO73HYCGB3XMFMQ562Q2W2GJQX')
+    })
+
+    it('Should keep the mnemonic in the encrypted keychain.', () => {
+      let encrypted = Wallet.fromMnemonic(email, mnemonic)
+        .encrypt(kdfParams, password)
+      let decryptedWallet = Wallet.fromEncrypted({
+        ...encrypted,
+        kdfParams,
+        password
+      })
+
+      expect(decryptedWallet.mnemonic).to.equal(mnemonic)
+    })
+
+    it('Should throw if the mnemonic is invalid.', () => {
+      expectThrow(() => Wallet.fromMnemonic(email, 'foo bar'))
+    })
+
+    it('Should throw on derivation without a mnemonic.', () => {
+      expectThrow(() => wallet.deriveKeypair(0))
+    })
+  })
+
   describe('.fromEncrypted', () => {
     it('Should decrypt a wallet.', () => {
       let keychainData = 'eyJJViI6IllLa1RKbGgyUE1nVjBxRWYiLCJjaXBoZXJUZXh0IjoidXhRRHN3NXoyeWdZMFo3VmVGTmYzTHI1N0JpMnpoV1FZZThtRVhyWlZtUnJnTGpPU01mQlBmZElEMWtGOVZaOStsaGNTZXBIaTJnbERsbFk1QjZRUndCRmMvR2VwRjcvUlVwZnRwRWRUNVN1ci9HOVQvUnJ1T0E5dk42NUoyWkppYnhjRXVuYVFRenFCYVFwOTNVZ0Z2T3lMVlg3T1NrbVQvdnNJUGxoVk5yN3U2VGNuR2lrbGlqaWVrdlk0ZEp2NmwrVWRHWmkyZGhOeWc9PSIsImNpcGhlck5hbWUiOiJhZXMiLCJtb2RlTmFtZSI6ImdjbSJ9'
@@ -168,4 +212,38 @@ describe('Wallet', () => {
       expect(wallet).to.have.a.property('keypair').deep.equal(keypair)
     })
   })
+
+  describe('.signer', () => {
+    const signer = new RemoteSigner(
+      accountId,
+      async data => keypair.sign(data)
+    )
+
+    it('Should be the keypair by default.', () => {
+      expect(wallet.signer).to.equal(keypair)
+    })
+
+    it('Should be the signer of the wallet without the secret key.', () => {
+      const signerWallet = new Wallet(email, signer, accountId, walletId)
+
+      expect(signerWallet.signer).to.equal(signer)
+      expect(signerWallet.keypair.accountId()).to.equal(accountId)
+      expect(signerWallet.keypair.canSign()).to.be.false
+      expect(signerWallet.secretSeeds).to.be.empty
+      expect(signerWallet.clone().signer).to.equal(signer)
+      expect(() => signerWallet.secretSeed)
+        .to.throw('The signer of this wallet has no secret seed.')
+      expect(() => signerWallet.encrypt(kdfParams, password))
+        .to.throw('The secret key of the signer cannot be encrypted.')
+    })
+
+    it('Should be reset by a signing keypair.', () => {
+      const signerWallet = new Wallet(email, signer, accountId, walletId, null,
+        null, [recoveryKeypair])
+
+      signerWallet.switchSigningKeypair(recoveryKeypair.accountId())
+
+      expect(signerWallet.signer).to.deep.equal(recoveryKeypair)
+    })
+  })
 })
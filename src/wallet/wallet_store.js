@@ -0,0 +1,301 @@
+import { EventEmitter } from 'events'
+import { isString } from 'lodash'
+
+import * as crypto from './crypto'
+import { Wallet } from './wallet'
+
+const STORE_VERSION = 1
+const DEFAULT_KEY = 'wallet'
+const DEFAULT_AUTO_LOCK_TIMEOUT = 5 * 60 * 1000 // ms
+const DEFAULT_KDF_PARAMS = Object.freeze({
+  algorithm: 'scrypt',
+  bits: 256,
+  n: 4096,
+  r: 8,
+  p: 1
+})
+
+/**
+ * Keeps the encrypted wallets in memory, so they are lost when the process
+ * exits. Useful for tests.
+ *
+ * Any object with async `get`, `set` and `delete` methods can be used as the
+ * storage of a {@link WalletStore}.
+ */
+export class MemoryWalletStorage {
+  constructor () {
+    this._items = new Map()
+  }
+
+  async get (key) {
+    return this._items.get(key)
+  }
+
+  async set (key, value) {
+    this._items.set(key, value)
+  }
+
+  async delete (key) {
+    this._items.delete(key)
+  }
+}
+
+/**
+ * Keeps the encrypted wallets in the `localStorage`, `sessionStorage` or any
+ * other object with the same `getItem`, `setItem` and `removeItem` methods.
+ */
+export class WebWalletStorage {
+  /**
+   * @param {Storage} storage `localStorage`-compatible storage.
+   * @param {string} [prefix='tokend:'] Prefix of the storage keys.
+   */
+  constructor (storage, prefix = 'tokend:') {
+    this._storage = storage
+    this._prefix = prefix
+  }
+
+  async get (key) {
+    const value = this._storage.getItem(this._prefix + key)
+    return value === null ? undefined : value
+  }
+
+  async set (key, value) {
+    this._storage.setItem(this._prefix + key, value)
+  }
+
+  async delete (key) {
+    this._storage.removeItem(this._prefix + key)
+  }
+}
+
+/**
+ * Persists the decrypted {@link Wallet} between the sessions encrypted with
+ * a local PIN or passphrase.
+ *
+ * The email, account ID, wallet ID, session ID and key, all the secret seeds
+ * and the mnemonic of the wallet are encrypted with the key derived from the
+ * passphrase by scrypt, the same way the wallet server keychain is.
+ *
+ * The unlocked wallet is kept in memory until {@link WalletStore#lock} is
+ * called or nothing touches the store for the auto-lock timeout.
+ *
+ * Emits `lock` when the wallet is locked.
+ *
+ * @example
+ * const store = new WalletStore({
+ *   storage: new WebWalletStorage(localStorage),
+ *   autoLockTimeout: 10 * 60 * 1000
+ * })
+ * await store.save(wallet, pin)
+ * // next session
+ * const wallet = await store.unlock(pin)
+ * api.useWallet(wallet)
+ * store.on('lock', () => showPinScreen())
+ */
+export class WalletStore extends EventEmitter {
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.storage] Storage of the encrypted wallets, see
+   * {@link MemoryWalletStorage}, {@link WebWalletStorage} and
+   * {@link FileWalletStorage}.
+   * @param {string} [opts.key='wallet'] Key of the wallet in the storage.
+   * @param {number} [opts.autoLockTimeout=300000] Idle time in ms to lock the
+   * wallet after, `0` to never lock it.
+   * @param {object} [opts.kdfParams] Scrypt params to derive the key from
+   * the passphrase.
+   */
+  constructor (opts = {}) {
+    super()
+
+    this.key = opts.key || DEFAULT_KEY
+    this.autoLockTimeout = opts.autoLockTimeout === undefined
+      ? DEFAULT_AUTO_LOCK_TIMEOUT
+      : opts.autoLockTimeout
+    this.kdfParams = opts.kdfParams || DEFAULT_KDF_PARAMS
+
+    this._storage = opts.storage || new MemoryWalletStorage()
+    this._wallet = null
+    this._lockTimer = null
+  }
+
+  /**
+   * Unlocked wallet, `null` if the store is locked. Resets the auto-lock
+   * timer.
+   *
+   * @return {Wallet|null}
+   */
+  get wallet () {
+    if (this._wallet) {
+      this.touch()
+    }
+    return this._wallet
+  }
+
+  /**
+   * Whether the wallet is locked.
+   */
+  get isLocked () {
+    return !this._wallet
+  }
+
+  /**
+   * Checks a wallet is saved in the storage.
+   *
+   * @return {Promise.<boolean>}
+   */
+  async hasWallet () {
+    return Boolean(await this._storage.get(this.key))
+  }
+
+  /**
+   * Encrypts the wallet with the passphrase, saves it and keeps it unlocked.
+   *
+   * @param {Wallet} wallet Wallet to save.
+   * @param {string} passphrase Local PIN or passphrase.
+   */
+  async save (wallet, passphrase) {
+    if (!(wallet instanceof Wallet)) {
+      throw new TypeError('A Wallet instance expected')
+    }
+    if (!isString(passphrase) || passphrase.length === 0) {
+      throw new TypeError('Passphrase must be a non-empty string')
+    }
+
+    const salt = crypto.randomBytes(16).toString('base64')
+    const key = this._deriveKey(salt, passphrase, this.kdfParams)
+    const keychainData = crypto.encryptData(
+      JSON.stringify(serializeWallet(wallet)),
+      key
+    )
+
+    await this._storage.set(this.key, JSON.stringify({
+      version: STORE_VERSION,
+      salt,
+      kdfParams: this.kdfParams,
+      keychainData
+    }))
+    this._unlockWith(wallet)
+  }
+
+  /**
+   * Decrypts the saved wallet and keeps it unlocked.
+   *
+   * @param {string} passphrase Local PIN or passphrase.
+   *
+   * @return {Promise.<Wallet>} Decrypted wallet.
+   */
+  async unlock (passphrase) {
+    const raw = await this._storage.get(this.key)
+    if (!raw) {
+      throw new Error(`No wallet is saved under "${this.key}"`)
+    }
+
+    const record = JSON.parse(raw)
+    if (record.version !== STORE_VERSION) {
+      throw new Error(`Unsupported wallet store version ${record.version}`)
+    }
+
+    const key = this._deriveKey(record.salt, passphrase, record.kdfParams)
+    let data
+    try {
+      data = JSON.parse(crypto.decryptData(record.keychainData, key))
+    } catch (e) {
+      throw new Error('Wrong passphrase or corrupt wallet data')
+    }
+
+    const wallet = deserializeWallet(data)
+    this._unlockWith(wallet)
+
+    return wallet
+  }
+
+  /**
+   * Forgets the decrypted wallet, keeping the encrypted one in the storage.
+   */
+  lock () {
+    this._clearLockTimer()
+
+    if (this._wallet) {
+      this._wallet = null
+      this.emit('lock')
+    }
+  }
+
+  /**
+   * Locks the wallet and deletes it from the storage.
+   */
+  async remove () {
+    this.lock()
+    await this._storage.delete(this.key)
+  }
+
+  /**
+   * Resets the auto-lock timer. Call it on the user activity.
+   */
+  touch () {
+    this._clearLockTimer()
+
+    if (!this._wallet || !this.autoLockTimeout) {
+      return
+    }
+
+    this._lockTimer = setTimeout(() => this.lock(), this.autoLockTimeout)
+    if (this._lockTimer.unref) {
+      // the timer must not keep a Node.js process alive
+      this._lockTimer.unref()
+    }
+  }
+
+  _unlockWith (wallet) {
+    this._wallet = wallet
+    this.touch()
+  }
+
+  _clearLockTimer () {
+    if (this._lockTimer) {
+      clearTimeout(this._lockTimer)
+      this._lockTimer = null
+    }
+  }
+
+  _deriveKey (salt, passphrase, kdfParams) {
+    // the salt is random per save, so the email is not mixed in and is kept
+    // encrypted with the rest of the wallet
+    return crypto.deriveWalletKey(
+      crypto.calculateMasterKey(salt, '', passphrase, kdfParams)
+    )
+  }
+}
+
+function serializeWallet (wallet) {
+  let walletId = null
+  try {
+    walletId = wallet.id
+  } catch (e) {
+    // the wallet is not saved on the wallet server yet
+  }
+
+  return {
+    email: wallet.email,
+    accountId: wallet.accountId,
+    walletId,
+    sessionId: wallet.sessionId || null,
+    sessionKey: wallet.sessionKey || null,
+    seed: wallet.secretSeed,
+    seeds: wallet.secretSeeds,
+    mnemonic: wallet.mnemonic
+  }
+}
+
+function deserializeWallet (data) {
+  return new Wallet(
+    data.email,
+    data.seed,
+    data.accountId,
+    data.walletId || undefined,
+    data.sessionId || undefined,
+    data.sessionKey || undefined,
+    data.seeds,
+    data.mnemonic || undefined
+  )
+}
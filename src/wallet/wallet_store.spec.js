@@ -0,0 +1,163 @@
+import sinon from 'sinon'
+
+import { Keypair } from '../base'
+
+import { Wallet } from './wallet'
+import {
+  WalletStore,
+  MemoryWalletStorage,
+  WebWalletStorage
+} from './wallet_store'
+
+describe('WalletStore', () => {
+  const kdfParams = { bits: 256, n: 8, p: 1, r: 8 }
+  const pin = '1234'
+
+  let wallet
+  let storage
+  let store
+
+  beforeEach(() => {
+    const keypair = Keypair.random()
+    wallet = new Wallet(
+      'foo@bar.com',
+      keypair,
+      keypair.accountId(),
+      'fa4323ab43243234324234232442',
+      'session-id',
+      'session-key',
+      [Keypair.random()]
+    )
+    storage = new MemoryWalletStorage()
+    store = new WalletStore({ storage, kdfParams, autoLockTimeout: 0 })
+  })
+
+  describe('.save', () => {
+    it('should save the wallet encrypted', async () => {
+      await store.save(wallet, pin)
+
+      const raw = await storage.get('wallet')
+      expect(raw).to.not.include(wallet.email)
+      expect(raw).to.not.include(wallet.secretSeed)
+      expect(raw).to.not.include(wallet.sessionKey)
+      expect(await store.hasWallet()).to.be.true
+      expect(store.wallet).to.equal(wallet)
+    })
+
+    it('should reject an empty passphrase', async () => {
+      await expect(store.save(wallet, ''))
+        .to.be.rejectedWith(TypeError, 'Passphrase must be a non-empty string')
+    })
+  })
+
+  describe('.unlock', () => {
+    it('should restore all the data of the wallet', async () => {
+      wallet.switchSigningKeypair(wallet.keypairs[1].accountId())
+      await store.save(wallet, pin)
+      store.lock()
+
+      const restored = await store.unlock(pin)
+
+      expect(restored.email).to.equal(wallet.email)
+      expect(restored.accountId).to.equal(wallet.accountId)
+      expect(restored.id).to.equal(wallet.id)
+      expect(restored.sessionId).to.equal(wallet.sessionId)
+      expect(restored.sessionKey).to.equal(wallet.sessionKey)
+      expect(restored.secretSeed).to.equal(wallet.secretSeed)
+      expect(restored.secretSeeds).to.have.members(wallet.secretSeeds)
+      expect(store.isLocked).to.be.false
+    })
+
+    it('should restore the wallet without a wallet ID', async () => {
+      await store.save(Wallet.generate('foo@bar.com'), pin)
+
+      const restored = await store.unlock(pin)
+
+      expect(() => restored.id).to.throw('This wallet has no wallet ID yet.')
+    })
+
+    it('should restore the mnemonic of the wallet', async () => {
+      const mnemonic = 'illness spike retreat truth genius clock brain pass ' +
+        'fit cave bargain toe'
+      await store.save(Wallet.fromMnemonic('foo@bar.com', mnemonic), pin)
+
+      const restored = await store.unlock(pin)
+
+      expect(restored.mnemonic).to.equal(mnemonic)
+    })
+
+    it('should throw on a wrong passphrase', async () => {
+      await store.save(wallet, pin)
+      store.lock()
+
+      await expect(store.unlock('4321'))
+        .to.be.rejectedWith('Wrong passphrase or corrupt wallet data')
+      expect(store.isLocked).to.be.true
+    })
+
+    it('should throw if no wallet is saved', async () => {
+      await expect(store.unlock(pin))
+        .to.be.rejectedWith('No wallet is saved under "wallet"')
+    })
+  })
+
+  describe('auto-lock', () => {
+    let clock
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers()
+    })
+
+    afterEach(() => {
+      clock.restore()
+    })
+
+    it('should lock the wallet after the idle time', async () => {
+      store = new WalletStore({ storage, kdfParams, autoLockTimeout: 1000 })
+      const onLock = sinon.spy()
+      store.on('lock', onLock)
+      await store.save(wallet, pin)
+
+      clock.tick(900)
+      expect(store.wallet).to.equal(wallet)
+      clock.tick(900)
+      expect(store.isLocked).to.be.false
+
+      clock.tick(100)
+      expect(store.isLocked).to.be.true
+      expect(store.wallet).to.be.null
+      expect(onLock).to.have.been.calledOnce
+      expect(await store.hasWallet()).to.be.true
+    })
+  })
+
+  describe('.remove', () => {
+    it('should lock the wallet and delete it from the storage', async () => {
+      await store.save(wallet, pin)
+
+      await store.remove()
+
+      expect(store.isLocked).to.be.true
+      expect(await store.hasWallet()).to.be.false
+    })
+  })
+})
+
+describe('WebWalletStorage', () => {
+  it('should keep the items in the web storage with the prefix', async () => {
+    const items = {}
+    const webStorage = {
+      getItem: key => key in items ? items[key] : null,
+      setItem: (key, value) => { items[key] = value },
+      removeItem: key => { delete items[key] }
+    }
+    const storage = new WebWalletStorage(webStorage, 'app:')
+
+    await storage.set('wallet', 'data')
+    expect(items).to.deep.equal({ 'app:wallet': 'data' })
+    expect(await storage.get('wallet')).to.equal('data')
+
+    await storage.delete('wallet')
+    expect(await storage.get('wallet')).to.be.undefined
+  })
+})
@@ -0,0 +1,1018 @@
+import { EventEmitter } from 'events'
+import { AxiosInstance, AxiosResponse } from 'axios'
+
+import {
+  BaseSigner,
+  Fee,
+  Keypair,
+  OpenSwapOpts,
+  PaymentFeeData,
+  SaleCreationRequestOpts,
+  Transaction,
+  TransactionBuilderOpts,
+  xdr
+} from './base'
+import { Wallet, KdfParams } from './wallet'
+import { TFARequiredError } from './errors'
+import { AssetPolicyName } from './const'
+import { Document } from './index'
+
+export type Query = Record<string, any>
+
+export declare class JsonapiResponse<T = any> {
+  constructor (rawResponse: AxiosResponse, api?: ApiCaller)
+
+  readonly data: T
+  readonly links: Record<string, string | { href: string }>
+  readonly httpStatus: number
+  readonly headers: Record<string, string>
+
+  /**
+   * Link callers created for every link of the response, e.g. `fetchNext`.
+   */
+  fetchNext?: () => Promise<JsonapiResponse<T>>
+  fetchPrev?: () => Promise<JsonapiResponse<T>>
+  fetchFirst?: () => Promise<JsonapiResponse<T>>
+  fetchLast?: () => Promise<JsonapiResponse<T>>
+  fetchSelf?: () => Promise<JsonapiResponse<T>>
+
+  toJSON (): object
+}
+
+export interface RetryPolicyOpts {
+  maxAttempts?: number
+  minDelay?: number
+  maxDelay?: number
+  factor?: number
+  jitter?: number
+  retryableErrors?: Function[]
+  retryableStatuses?: number[]
+  retryableMethods?: string[]
+  retryNetworkErrors?: boolean
+  retryTransactions?: boolean
+}
+
+export declare class RetryPolicy {
+  constructor (opts?: RetryPolicyOpts)
+
+  maxAttempts: number
+  minDelay: number
+  maxDelay: number
+  factor: number
+  jitter: number
+  retryableErrors: Function[]
+  retryableStatuses: number[]
+  retryableMethods: string[]
+  retryNetworkErrors: boolean
+  retryTransactions: boolean
+
+  run<T> (
+    attemptFn: (attempt: number) => Promise<T>,
+    opts: { method: string, isTransaction?: boolean }
+  ): Promise<T>
+  isRetryableRequest (opts: { method: string, isTransaction?: boolean }): boolean
+  isRetryableError (error: Error): boolean
+  getDelay (attempt: number, error?: Error): number
+}
+
+export interface RequestWatcherOpts {
+  interval?: number
+  timeout?: number
+  signal?: AbortSignal
+  taskFlags?: Record<string, number>
+}
+
+export interface RequestTasks {
+  pendingTasks: Record<string, boolean>
+  allTasks: Record<string, boolean>
+}
+
+export declare class RequestWatcher extends EventEmitter {
+  constructor (apiCaller: ApiCaller, requestId: string, opts?: RequestWatcherOpts)
+
+  static decodeTasks (
+    tasks: number,
+    taskFlags: Record<string, number>
+  ): Record<string, boolean>
+  static loadTaskFlags (
+    apiCaller: ApiCaller,
+    keys: Record<string, string>
+  ): Promise<Record<string, number>>
+
+  readonly requestId: string
+  interval: number
+  timeout: number | null
+  taskFlags: Record<string, number>
+
+  wait (): Promise<any>
+
+  on (
+    event: 'approved' | 'rejected' | 'permanentlyRejected' | 'cancelled',
+    listener: (request: any) => void
+  ): this
+  on (
+    event: 'tasksChanged',
+    listener: (tasks: RequestTasks, request: any) => void
+  ): this
+}
+
+export declare const BATCH_OPERATION_STATUSES: Readonly<{
+  success: 'success'
+  failed: 'failed'
+  notSubmitted: 'not_submitted'
+}>
+
+export interface BatchOpts {
+  maxOpsPerTx?: number
+  concurrency?: number
+  stopOnError?: boolean
+}
+
+export interface BatchOperationReport {
+  status: 'success' | 'failed' | 'not_submitted'
+  txIndex?: number
+  resultCode?: string
+  message?: string
+  error?: Error
+}
+
+export interface ApiCallerOpts {
+  axios?: AxiosInstance
+  baseURL?: string
+  wallet?: Wallet
+  passphrase?: string
+  retryPolicy?: RetryPolicy | RetryPolicyOpts
+}
+
+export interface PaginateOpts {
+  needSign?: boolean
+  maxPages?: number
+  pageSize?: number
+}
+
+export interface CallOpts {
+  endpoint: string
+  method: string
+  data?: object
+  query?: Query
+  contentType?: string
+  needSign?: boolean
+  needRaw?: boolean
+  isEmptyBodyAllowed?: boolean
+}
+
+export type Middleware = (config: object, opts?: object) => object
+
+export declare class ApiCaller {
+  constructor (opts?: ApiCallerOpts)
+
+  static getInstance (baseURL: string): ApiCaller
+  static getInstanceWithPassphrase (baseURL: string): Promise<ApiCaller>
+
+  readonly networkDetails: Record<string, any>
+  readonly wallet: Wallet
+  readonly v3: V3Resources
+
+  withWallet (wallet: Wallet): ApiCaller
+  withBaseURL (baseURL: string): ApiCaller
+
+  get<T = any> (
+    endpoint: string,
+    query?: Query,
+    needSign?: boolean
+  ): Promise<JsonapiResponse<T>>
+  getRaw (endpoint: string, query?: Query): Promise<any>
+  getWithSignature<T = any> (
+    endpoint: string,
+    query?: Query
+  ): Promise<JsonapiResponse<T>>
+  paginate<T = any> (
+    endpoint: string,
+    query?: Query,
+    opts?: PaginateOpts
+  ): AsyncIterableIterator<T>
+  paginatePages<T = any> (
+    endpoint: string,
+    query?: Query,
+    opts?: PaginateOpts
+  ): AsyncIterableIterator<JsonapiResponse<T[]>>
+  watchRequest (requestId: string, opts?: RequestWatcherOpts): RequestWatcher
+  waitForRequest (requestId: string, opts?: RequestWatcherOpts): Promise<any>
+
+  post<T = any> (
+    endpoint: string,
+    data?: object,
+    needSign?: boolean
+  ): Promise<JsonapiResponse<T>>
+  postWithSignature<T = any> (
+    endpoint: string,
+    data?: object
+  ): Promise<JsonapiResponse<T>>
+  patch<T = any> (
+    endpoint: string,
+    data?: object,
+    needSign?: boolean
+  ): Promise<JsonapiResponse<T>>
+  patchWithSignature<T = any> (
+    endpoint: string,
+    data?: object
+  ): Promise<JsonapiResponse<T>>
+  put<T = any> (
+    endpoint: string,
+    data?: object,
+    needSign?: boolean
+  ): Promise<JsonapiResponse<T>>
+  putWithSignature<T = any> (
+    endpoint: string,
+    data?: object
+  ): Promise<JsonapiResponse<T>>
+  delete<T = any> (
+    endpoint: string,
+    data?: object,
+    needSign?: boolean
+  ): Promise<JsonapiResponse<T>>
+  deleteWithSignature<T = any> (
+    endpoint: string,
+    data?: object
+  ): Promise<JsonapiResponse<T>>
+
+  postOperations (...operations: xdr.Operation[]): Promise<{ data: any }>
+  postOperationsBatched (
+    operations: xdr.Operation[],
+    opts?: BatchOpts
+  ): Promise<BatchOperationReport[]>
+  postOperationsToSpecificEndpoint (
+    endpoint: string,
+    ...operations: xdr.Operation[]
+  ): Promise<{ data: any }>
+  /** Resolves asynchronously if the wallet has an asynchronous signer. */
+  getTransaction (...operations: xdr.Operation[]): string | Promise<string>
+  getBuildedTransaction (
+    operations: xdr.Operation[],
+    opts?: TransactionBuilderOpts
+  ): Transaction | Promise<Transaction>
+  signAndSendTransaction (tx: Transaction): Promise<{ data: any }>
+  postTxEnvelope (
+    envelope: string,
+    waitForIngest?: boolean,
+    endpoint?: string
+  ): Promise<{ data: any }>
+  call<T = any> (opts: CallOpts): Promise<JsonapiResponse<T>>
+
+  use (middleware: Middleware): void
+  eject (middleware: Middleware): void
+  useRetryPolicy (retryPolicy: RetryPolicy | RetryPolicyOpts | null): void
+  useWallet (wallet: Wallet): void
+  usePassphrase (networkPassphrase: string): void
+  useBaseURL (baseURL: string): void
+  useNetworkDetails (networkDetails: Record<string, any>): void
+}
+
+export interface ResourceGetOpts {
+  include?: string[]
+  needSign?: boolean
+}
+
+export interface ResourceListOpts extends ResourceGetOpts {
+  page?: {
+    limit?: number
+    order?: 'asc' | 'desc'
+    cursor?: string
+    number?: number
+  }
+}
+
+export declare class Resource<T = any> {
+  constructor (
+    apiCaller: ApiCaller,
+    endpoint: string,
+    opts?: { needSign?: boolean }
+  )
+
+  get (id: string | number, opts?: ResourceGetOpts): Promise<JsonapiResponse<T>>
+  list (
+    filter?: Query,
+    opts?: ResourceListOpts
+  ): Promise<JsonapiResponse<T[]>>
+}
+
+export interface CalculatedFeeParams {
+  asset: string
+  feeType: number
+  subtype?: number
+  amount: string
+}
+
+export declare class AccountsResource extends Resource {
+  getSigners (
+    accountId: string,
+    opts?: { needSign?: boolean }
+  ): Promise<JsonapiResponse<any[]>>
+  getCalculatedFees (
+    accountId: string,
+    params: CalculatedFeeParams,
+    opts?: { needSign?: boolean }
+  ): Promise<JsonapiResponse>
+}
+
+export declare class V3Resources {
+  constructor (apiCaller: ApiCaller)
+
+  readonly apiCaller: ApiCaller
+
+  readonly accounts: AccountsResource
+  readonly balances: Resource
+  readonly requests: Resource
+  readonly offers: Resource
+  readonly transactions: Resource
+  readonly swaps: Resource
+  readonly deferredPayments: Resource
+  readonly assets: Resource
+  readonly assetPairs: Resource
+  readonly sales: Resource
+  readonly polls: Resource
+  readonly fees: Resource
+  readonly keyValues: Resource
+  readonly accountRoles: Resource
+  readonly signerRoles: Resource
+}
+
+export declare class KeyServerCaller {
+  constructor (opts: { axios: AxiosInstance, sdk?: any })
+
+  addWallet (wallet: Wallet): this
+  post (urlSegment: string, data?: object): Promise<any>
+  postWithSignature (
+    urlSegment: string,
+    data: object,
+    wallet: Wallet
+  ): Promise<any>
+  get (urlSegment: string, query?: Query): Promise<any>
+  getWithSignature (
+    urlSegment: string,
+    query: Query,
+    wallet: Wallet
+  ): Promise<any>
+  patch (urlSegment: string, data?: object): Promise<any>
+  patchWithSignature (
+    urlSegment: string,
+    data: object,
+    wallet: Wallet
+  ): Promise<any>
+  delete (urlSegment: string): Promise<any>
+  deleteWithSignature (urlSegment: string, wallet: Wallet): Promise<any>
+}
+
+// Managers
+
+export declare class DocumentsManager {
+  constructor (opts?: { apiCaller?: ApiCaller, storageURL?: string })
+
+  useApi (api: ApiCaller): void
+  useStorageURL (url: string): void
+  getDocumentUrlByKey (key: string): string
+  uploadDocument (opts: {
+    type: string
+    mimeType: string
+    file: ArrayBuffer | Blob | Buffer
+    accountId?: string
+  }): Promise<string>
+  getPrivateUrl (key: string): Promise<string>
+}
+
+export declare class FactorsManager {
+  constructor (apiCaller?: ApiCaller)
+
+  useApi (api: ApiCaller): void
+  verifyPasswordFactor (
+    tfaError: TFARequiredError,
+    password: string
+  ): Promise<JsonapiResponse>
+  verifyPasswordFactorAndRetry (
+    tfaError: TFARequiredError,
+    password: string
+  ): Promise<JsonapiResponse>
+  verifyTotpFactor (
+    tfaError: TFARequiredError,
+    otp: string
+  ): Promise<JsonapiResponse>
+  verifyTotpFactorAndRetry (
+    tfaError: TFARequiredError,
+    otp: string
+  ): Promise<JsonapiResponse>
+}
+
+export interface SignerRecord {
+  id: string
+  weight: number | string
+  identity: number | string
+  role?: { id: string | number }
+  [attribute: string]: any
+}
+
+export type SignersApiCaller = Pick<
+  ApiCaller,
+  'wallet' | 'get' | 'paginate' | 'postOperations' | 'v3'
+>
+
+export declare class SignersManager {
+  constructor (apiCaller?: SignersApiCaller)
+
+  useApi (api: SignersApiCaller): void
+  createChangeSignerTransaction (opts: {
+    newPublicKey: string
+    sourceAccount: string
+    signerToReplace?: string
+    signingKeypair: Keypair | BaseSigner
+  }): Promise<string>
+  getSigners (accountId?: string): Promise<SignerRecord[]>
+
+  static calculateWeight (
+    signers: Array<{ weight: number | string, identity: number | string }>
+  ): number
+
+  getSignersWithRoles (accountId?: string): Promise<SignerWithRole[]>
+  getSignerRole (roleId: string): Promise<SignerRoleRecord>
+  getSignerRoles (): Promise<SignerRoleRecord[]>
+  previewSignerChanges (
+    changes: SignerChange[],
+    accountId?: string
+  ): Promise<SignerChangesPreview>
+  applySignerChanges (
+    changes: SignerChange[],
+    opts?: { force?: boolean }
+  ): Promise<{ data: any }>
+  addSigner (opts: SignerOpts): Promise<{ data: any }>
+  updateSigner (
+    opts: Partial<SignerOpts> & { publicKey: string },
+    settings?: { force?: boolean }
+  ): Promise<{ data: any }>
+  removeSigner (
+    publicKey: string,
+    settings?: { force?: boolean }
+  ): Promise<{ data: any }>
+  createSignerRole (opts: {
+    ruleIds: Array<string | number>
+    details?: object
+    isReadOnly?: boolean
+  }): Promise<{ data: any }>
+  updateSignerRole (opts: {
+    roleId: string
+    ruleIds?: Array<string | number>
+    details?: object
+  }): Promise<{ data: any }>
+  removeSignerRole (roleId: string): Promise<{ data: any }>
+}
+
+export declare const SIGNERS_THRESHOLD: 1000
+
+export declare const SIGNER_CHANGE_ACTIONS: Readonly<{
+  create: 'create'
+  update: 'update'
+  remove: 'remove'
+}>
+
+export type SignerChangeAction =
+  typeof SIGNER_CHANGE_ACTIONS[keyof typeof SIGNER_CHANGE_ACTIONS]
+
+export interface SignerOpts {
+  publicKey: string
+  roleId: string
+  weight?: number
+  identity?: number
+  details?: object
+}
+
+export interface SignerChange extends Partial<SignerOpts> {
+  action: SignerChangeAction
+  publicKey: string
+}
+
+export interface SignerRoleRecord {
+  id: string
+  details?: object
+  rules?: Array<{ id: string, [attribute: string]: any }>
+  [attribute: string]: any
+}
+
+export interface SignerWithRole extends SignerRecord {
+  weight: number
+  identity: number
+  roleId: string
+  role?: SignerRoleRecord
+}
+
+export interface SignerChangesPreview {
+  signers: SignerWithRole[]
+  weight: number
+  threshold: number
+  isThresholdReached: boolean
+  operations: xdr.Operation[]
+}
+
+export declare class Signer {
+  constructor (opts: {
+    id: string
+    roleId: number | string
+    weight?: number
+    identity?: number
+  })
+
+  type: 'signer'
+  id: string
+  attributes: {
+    role_id: number | string
+    weight: number
+    identity: number
+  }
+}
+
+export declare class VerificationManager {
+  constructor (apiCaller?: ApiCaller)
+
+  useApi (api: ApiCaller): void
+  createRequest (blobData: object, opts: {
+    accountRoleToSet: string | number
+    blobType: string
+    accountId: string
+    requestId?: string
+  }): Promise<{ data: any }>
+}
+
+export interface CreatedWallet {
+  wallet: Wallet
+  response: JsonapiResponse
+  recoverySeed?: string
+}
+
+export declare class WalletsManager {
+  constructor (apiCaller?: ApiCaller)
+
+  useApi (api: ApiCaller): void
+  getKdfParams (
+    email?: string,
+    isRecovery?: boolean
+  ): Promise<JsonapiResponse<KdfParams>>
+  getSignerRoleId (): Promise<string>
+  get (email: string, password: string, geocode?: object): Promise<Wallet>
+  createWithSigners (
+    email: string,
+    password: string,
+    signers?: Signer[],
+    additionalKeypairs?: Array<Keypair | string>,
+    geocode?: object
+  ): Promise<CreatedWallet>
+  create (
+    email: string,
+    password: string,
+    recoveryKeypair?: Keypair,
+    referrerId?: string,
+    additionalKeypairs?: Array<Keypair | string>,
+    geocode?: object
+  ): Promise<CreatedWallet & { recoverySeed: string }>
+  verifyEmail (payload: string): Promise<JsonapiResponse>
+  resendEmail (walletId?: string): Promise<JsonapiResponse>
+  recovery (
+    email: string,
+    recoverySeed: string,
+    newPassword: string,
+    newAdditionalKeypairs?: Array<Keypair | string>
+  ): Promise<Wallet>
+  kycRecovery (
+    email: string,
+    newPassword: string,
+    additionalKeypairs?: Array<Keypair | string>
+  ): Promise<Wallet>
+  changePassword (
+    newPassword: string,
+    additionalKeypairs?: Array<Keypair | string>
+  ): Promise<Wallet>
+  changeEmail (opts: {
+    newEmail: string
+    password: string
+    wallet?: Wallet
+  }): Promise<Wallet>
+  isKdfOutdated (email: string): Promise<boolean>
+  upgradeKdf (opts: {
+    password: string
+    wallet?: Wallet
+  }): Promise<{ wallet: Wallet, response: JsonapiResponse | null }>
+}
+
+export declare const PREFLIGHT_FAILURE_CODES: Readonly<{
+  balanceNotFound: 'op_balance_not_found'
+  underfunded: 'op_underfunded'
+  limitsExceeded: 'op_limits_exceeded'
+  insufficientFee: 'op_insufficient_fee'
+  notTransferable: 'op_not_transferable'
+  assetNotWithdrawable: 'op_asset_not_withdrawable'
+  assetPairNotFound: 'op_asset_pair_not_found'
+  assetPairNotTradable: 'op_asset_pair_not_tradable'
+}>
+
+export interface PreflightFailure {
+  code: string
+  message: string
+}
+
+export interface PreflightReport {
+  isSuccessful: boolean
+  operations: Array<{
+    index: number
+    type: string
+    isSimulated: boolean
+    failures: PreflightFailure[]
+  }>
+}
+
+export declare class PreflightManager {
+  constructor (apiCaller?: ApiCaller)
+
+  useApi (api: ApiCaller): void
+  simulate (...operations: xdr.Operation[]): Promise<PreflightReport>
+}
+
+export interface MultisigStatus {
+  signers: Array<{
+    id: string
+    weight: number
+    identity: number
+    roleId: string
+    hasSigned: boolean
+  }>
+  signedWeight: number
+  threshold: number
+  isReady: boolean
+}
+
+export declare class MultisigSession {
+  constructor (
+    apiCaller: ApiCaller,
+    transaction: Transaction | string,
+    opts?: { threshold?: number }
+  )
+
+  static fromOperations (
+    apiCaller: ApiCaller,
+    operations: xdr.Operation[],
+    opts?: { sourceAccount?: string, threshold?: number }
+  ): MultisigSession
+  static fromEnvelope (
+    apiCaller: ApiCaller,
+    envelope: string,
+    opts?: { threshold?: number }
+  ): MultisigSession
+
+  readonly transaction: Transaction
+
+  sign (keypair: Keypair): this
+  sign (signer: BaseSigner): Promise<this>
+  merge (...envelopes: string[]): Promise<this>
+  getStatus (): Promise<MultisigStatus>
+  submit (opts?: { force?: boolean }): Promise<{ data: any }>
+  toEnvelope (): string
+}
+
+export interface FeeLookupOpts {
+  asset: string
+  amount: string
+  accountId?: string
+}
+
+export declare class FeesManager {
+  constructor (apiCaller?: ApiCaller)
+
+  useApi (api: ApiCaller): void
+  getFee (opts: FeeLookupOpts & {
+    feeType: number
+    subtype?: number
+  }): Promise<Fee>
+  getPaymentFeeData (opts: FeeLookupOpts & {
+    destination: string
+    sourcePaysForDest?: boolean
+  }): Promise<PaymentFeeData>
+  getWithdrawalFee (opts: FeeLookupOpts): Promise<Fee>
+  getOfferFee (opts: {
+    quoteAsset: string
+    amount: string
+    price: string
+    accountId?: string
+  }): Promise<string>
+}
+
+export interface SwapSecretStorage {
+  get (secretHash: string): Promise<string | undefined>
+  set (secretHash: string, secret: string): Promise<void>
+  delete (secretHash: string): Promise<void>
+}
+
+export declare class MemorySecretStorage implements SwapSecretStorage {
+  get (secretHash: string): Promise<string | undefined>
+  set (secretHash: string, secret: string): Promise<void>
+  delete (secretHash: string): Promise<void>
+}
+
+export interface SwapRecord {
+  id: string
+  secretHash: string
+  secret?: string
+  lockTime: string
+  amount: string
+  state: { value: number, name?: string }
+  [attribute: string]: any
+}
+
+export declare class SwapsManager {
+  constructor (
+    apiCaller?: ApiCaller,
+    opts?: { secretStorage?: SwapSecretStorage }
+  )
+
+  static generateSecret (): { secret: string, secretHash: string }
+
+  useApi (api: ApiCaller): void
+  useSecretStorage (storage: SwapSecretStorage): void
+  open (
+    opts: Omit<OpenSwapOpts, 'secretHash' | 'details'> & { details?: object }
+  ): Promise<{
+    swapId: string | null
+    secretHash: string
+    response: { data: any }
+  }>
+  getSwap (swapId: string): Promise<SwapRecord>
+  waitForFinish (
+    swapId: string,
+    opts?: { interval?: number, timeout?: number }
+  ): Promise<SwapRecord>
+  close (swapId: string, opts?: { secret?: string }): Promise<{ data: any }>
+  refund (swapId: string): Promise<{ data: any }>
+}
+
+export interface PollConfig {
+  numberOfChoices: number
+  startTime: string
+  endTime: string
+  permissionType: number
+  resultProviderID: string
+  voteConfirmationRequired?: boolean
+  creatorDetails?: object
+  allTasks?: number
+}
+
+export interface PollTally {
+  totalVotes: number
+  choices: Array<{ choice: number, votes: number, share: number }>
+  leaders: number[]
+  turnout: number | null
+  isFinished: boolean
+}
+
+export declare class PollsManager {
+  constructor (apiCaller?: ApiCaller)
+
+  static computeTally (
+    poll: object,
+    votes: object[],
+    opts?: { eligibleVoters?: number }
+  ): PollTally
+
+  useApi (api: ApiCaller): void
+  createPoll (config: PollConfig): Promise<{ data: any }>
+  cancelPoll (pollId: string): Promise<{ data: any }>
+  closePoll (
+    pollId: string,
+    opts: { isPassed: boolean, details?: object }
+  ): Promise<{ data: any }>
+  getPoll (pollId: string): Promise<any>
+  getVotes (pollId: string): Promise<any[]>
+  getVote (pollId: string, voterId?: string): Promise<any>
+  vote (
+    pollId: string,
+    choice: number,
+    opts?: { confirm?: (envelope: string) => Promise<string> }
+  ): Promise<{ data: any }>
+  confirmVote (
+    envelope: string,
+    resultProviderKeypair: Keypair | BaseSigner
+  ): Promise<string>
+  removeVote (pollId: string): Promise<{ data: any }>
+  getResults (
+    pollId: string,
+    opts?: { eligibleVoters?: number }
+  ): Promise<PollTally>
+}
+
+export interface InvestmentOpts {
+  saleId: string
+  quoteAsset: string
+  quoteAmount: string
+  baseBalance: string
+  quoteBalance: string
+  offerId?: string
+}
+
+export interface Investment {
+  price: string
+  baseAmount: string
+  quoteAmount: string
+  isCapped: boolean
+}
+
+export declare class SalesManager {
+  constructor (apiCaller?: ApiCaller)
+
+  static calculateInvestment (
+    sale: object,
+    opts: { quoteAsset: string, quoteAmount: string }
+  ): Investment
+
+  useApi (api: ApiCaller): void
+  createSale (
+    opts: Omit<SaleCreationRequestOpts, 'requestID'> & { requestID?: string }
+  ): Promise<{ data: any }>
+  cancelSaleRequest (requestId: string): Promise<{ data: any }>
+  updateSaleDetails (
+    saleId: string,
+    creatorDetails: object,
+    opts?: { requestId?: string }
+  ): Promise<{ data: any }>
+  cancelSale (saleId: string): Promise<{ data: any }>
+  closeSale (saleId: string): Promise<{ data: any }>
+  allowInvestor (saleId: string, accountId?: string): Promise<{ data: any }>
+  forbidInvestor (saleId: string, accountId?: string): Promise<{ data: any }>
+  removeSaleRule (ruleId: string): Promise<{ data: any }>
+  getSale (saleId: string): Promise<any>
+  buildInvestment (opts: InvestmentOpts): Promise<{
+    operation: xdr.Operation
+    investment: Investment & { fee: string }
+  }>
+  invest (opts: InvestmentOpts): Promise<{ data: any }>
+  cancelInvestment (opts: {
+    saleId: string
+    offerId: string
+    baseBalance: string
+    quoteBalance: string
+  }): Promise<{ data: any }>
+}
+
+export interface DeferredPaymentOpts {
+  sourceBalanceId: string
+  destination: string
+  amount: string
+  creatorDetails?: object
+  allTasks?: number
+}
+
+export interface CloseDeferredPaymentOpts {
+  destination: string
+  amount?: string
+  creatorDetails?: object
+  allTasks?: number
+}
+
+export declare class DeferredPaymentsManager {
+  constructor (apiCaller?: ApiCaller)
+
+  useApi (api: ApiCaller): void
+  create (opts: DeferredPaymentOpts): Promise<{ data: any }>
+  cancelCreation (requestId: string): Promise<{ data: any }>
+  getDeferredPayment (deferredPaymentId: string): Promise<any>
+  getDeferredPayments (
+    filter?: { source?: string, destination?: string }
+  ): Promise<any[]>
+  close (
+    deferredPaymentId: string,
+    opts: CloseDeferredPaymentOpts
+  ): Promise<{ data: any }>
+  cancelClose (requestId: string): Promise<{ data: any }>
+  getCreationRequests (filter?: { state?: number }): Promise<any[]>
+  getCloseRequests (filter?: { state?: number }): Promise<any[]>
+  getRequestState (requestId: string): Promise<number>
+}
+
+export declare const REVIEW_OUTCOMES: Readonly<{
+  reviewed: 'reviewed'
+  failed: 'failed'
+  invalid: 'invalid'
+}>
+
+export interface Review {
+  action: number
+  reason?: string
+  tasksToAdd?: number
+  tasksToRemove?: number
+  externalDetails?: object
+  comment?: string
+  newLimits?: object
+  billPayDetails?: object
+  details?: object
+}
+
+export interface ReviewOutcome {
+  requestId: string
+  outcome: 'reviewed' | 'failed' | 'invalid'
+  errorCode?: string
+  error?: Error
+}
+
+export declare class ReviewsManager {
+  constructor (apiCaller?: ApiCaller)
+
+  static buildReviewOperation (request: object, review: Review): xdr.Operation
+
+  useApi (api: ApiCaller): void
+  getPendingRequests (opts?: { type?: number, reviewer?: string }): Promise<any[]>
+  review (request: object, review: Review): Promise<{ data: any }>
+  reviewBatch (
+    reviews: Array<Review & { request: object }>,
+    opts?: { maxOpsPerTx?: number }
+  ): Promise<ReviewOutcome[]>
+}
+
+export interface IssuanceOpts {
+  asset: string
+  amount: string
+  receiver: string
+  reference?: string
+  creatorDetails?: object
+  source?: string
+}
+
+export interface IssuanceResult {
+  requestId: string | null
+  fulfilled: boolean | null
+  reference: string
+  response: { data: any }
+}
+
+export interface PreIssuanceItem {
+  asset: string
+  amount: string
+  reference?: string
+  creatorDetails?: object
+}
+
+export declare class IssuanceManager {
+  constructor (apiCaller?: ApiCaller)
+
+  static generateReference (): string
+
+  useApi (api: ApiCaller): void
+  getAsset (code: string): Promise<any>
+  checkIssuance (code: string, amount: string): Promise<any>
+  issue (opts: IssuanceOpts): Promise<IssuanceResult>
+  preIssue (
+    items: PreIssuanceItem[],
+    preIssuerKeypair: Keypair,
+    opts?: BatchOpts
+  ): Promise<Array<BatchOperationReport & { reference: string }>>
+  waitForIssuance (requestId: string, opts?: RequestWatcherOpts): Promise<any>
+}
+
+export interface AssetDetails {
+  name: string
+  logo?: Document
+  terms?: Document
+  documents?: Document[]
+  [key: string]: any
+}
+
+export interface AssetCreationOpts {
+  code: string
+  preIssuanceSigner: string
+  maxIssuanceAmount: string
+  assetType: string | number
+  policies?: AssetPolicyName[]
+  details: AssetDetails
+  initialPreissuedAmount?: string
+  trailingDigitsCount?: number
+  allTasks?: number
+  requestId?: string
+}
+
+export interface AssetUpdateOpts {
+  policies?: AssetPolicyName[]
+  details: AssetDetails
+  allTasks?: number
+  requestId?: string
+}
+
+export declare class AssetsManager {
+  constructor (apiCaller?: ApiCaller)
+
+  static encodePolicies (policies?: AssetPolicyName[]): number
+  static decodePolicies (mask?: number): AssetPolicyName[]
+  static validateDetails (details: AssetDetails): void
+
+  useApi (api: ApiCaller): void
+  getAsset (code: string): Promise<any>
+  getAssets (filter?: Query): Promise<any[]>
+  createAsset (opts: AssetCreationOpts): Promise<{ data: any }>
+  updateAsset (code: string, opts: AssetUpdateOpts): Promise<{ data: any }>
+  cancelAssetRequest (requestId: string): Promise<{ data: any }>
+  changePreIssuanceSigner (
+    code: string,
+    accountId: string,
+    signerKeypair: Keypair
+  ): Promise<{ data: any }>
+}
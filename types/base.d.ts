@@ -0,0 +1,939 @@
+/// <reference types="node" />
+
+import { AssetPolicyName, AssetPairPolicyName } from './const'
+
+/**
+ * XDR types generated from the TokenD protocol definitions. Only the types
+ * used across the SDK API are declared, the rest are available as `any`.
+ */
+export declare const xdr: any
+export declare namespace xdr {
+  interface XdrStruct {
+    toXDR (): Buffer
+    toXDR (format: 'raw'): Buffer
+    toXDR (format: 'base64' | 'hex'): string
+    [attribute: string]: any
+  }
+
+  interface Operation extends XdrStruct {}
+  interface TransactionEnvelope extends XdrStruct {}
+  interface TransactionResult extends XdrStruct {}
+  interface DecoratedSignature extends XdrStruct {
+    hint (): Buffer
+    signature (): Buffer
+  }
+  interface Memo extends XdrStruct {}
+  interface PreIssuanceRequest extends XdrStruct {}
+}
+
+export declare class Hyper {
+  constructor (low: number, high: number)
+  static fromString (value: string): Hyper
+  toString (): string
+}
+
+export declare class UnsignedHyper {
+  constructor (low: number, high: number)
+  static fromString (value: string): UnsignedHyper
+  toString (): string
+}
+
+export declare function hash (data: Buffer | string | number[]): Buffer
+export declare function sign (data: Buffer, secretKey: Buffer): Buffer
+export declare function verify (
+  data: Buffer,
+  signature: Buffer,
+  publicKey: Buffer
+): boolean
+export declare const FastSigning: boolean
+
+export declare function encodeCheck (
+  versionByteName: string,
+  data: Buffer
+): string
+export declare function decodeCheck (
+  versionByteName: string,
+  encoded: string
+): Buffer
+
+export declare class Keypair {
+  constructor (keys: { publicKey: Buffer, secretKey?: Buffer })
+
+  static fromSeed (seed: string): Keypair
+  static fromSecret (secretKey: string): Keypair
+  static fromBase58Seed (seed: string): Keypair
+  static fromRawSeed (rawSeed: Buffer): Keypair
+  static master (): Keypair
+  static fromAccountId (accountId: string): Keypair
+  static fromBalanceId (balanceId: string): Keypair
+  static random (): Keypair
+  static isValidPublicKey (publicKey: string): boolean
+  static isValidBalanceKey (balanceId: string): boolean
+  static isValidSecretKey (secretKey: string): boolean
+
+  xdrAccountId (): any
+  xdrBalanceId (): any
+  xdrPublicKey (): any
+  rawPublicKey (): Buffer
+  signatureHint (): Buffer
+  accountId (): string
+  balanceId (): string
+  seed (): string
+  secret (): string
+  rawSeed (): Buffer
+  rawSecretKey (): Buffer
+  canSign (): boolean
+  sign (data: Buffer): Buffer
+  verify (data: Buffer, signature: Buffer): boolean
+  signDecorated (data: Buffer): xdr.DecoratedSignature
+}
+
+export declare class BaseSigner {
+  constructor (accountId: string)
+
+  accountId (): string
+  signatureHint (): Buffer
+  verify (data: Buffer, signature: Buffer): boolean
+  sign (data: Buffer): Promise<Buffer>
+  signDecorated (data: Buffer): Promise<xdr.DecoratedSignature>
+}
+
+export declare class KeypairSigner extends BaseSigner {
+  constructor (keypair: Keypair)
+}
+
+export declare class RemoteSigner extends BaseSigner {
+  constructor (accountId: string, signFn: (data: Buffer) => Promise<Buffer>)
+}
+
+export declare const Networks: {
+  PUBLIC: string
+  TESTNET: string
+}
+
+export declare class Network {
+  constructor (networkPassphrase: string)
+
+  static useDefault (): void
+  static usePublicNetwork (): void
+  static useTestNetwork (): void
+  static use (network: Network): void
+  static current (): Network
+
+  networkPassphrase (): string
+  networkId (): Buffer
+}
+
+export declare class Memo {
+  static none (): xdr.Memo
+  static text (text: string): xdr.Memo
+  static id (id: string): xdr.Memo
+  static hash (hash: Buffer | string): xdr.Memo
+  static returnHash (hash: Buffer | string): xdr.Memo
+}
+
+export interface TimeBounds {
+  minTime: string
+  maxTime: string
+}
+
+/**
+ * Operation decoded by {@link Operation.operationToObject}. The fields depend
+ * on the operation type.
+ */
+export interface OperationObject {
+  type: string
+  source?: string
+  [attribute: string]: any
+}
+
+export interface MemoObject {
+  type: string
+  value?: string
+}
+
+export interface SignatureDescription {
+  hint: string
+  signer: string | null
+}
+
+export interface TransactionDescription {
+  hash: string
+  source: string
+  salt: string
+  timeBounds: TimeBounds
+  memo: MemoObject
+  operations: OperationObject[]
+  signatures: SignatureDescription[]
+}
+
+export interface OperationResultObject {
+  code: string
+  type?: string
+  entryType?: string
+  requirement?: AccountRuleRequirementObject
+}
+
+export interface AccountRuleRequirementObject {
+  resource: string
+  action: string
+  account: string
+}
+
+export interface TransactionResultObject {
+  feeCharged: string
+  code: string
+  operations?: OperationResultObject[]
+  requirement?: AccountRuleRequirementObject
+}
+
+export declare class Transaction {
+  constructor (envelope: string | xdr.TransactionEnvelope)
+
+  static decodeEnvelope (
+    envelope: string | xdr.TransactionEnvelope,
+    opts?: { signers?: string[] }
+  ): TransactionDescription
+  static decodeResult (
+    result: string | xdr.TransactionResult
+  ): TransactionResultObject
+
+  tx: any
+  source: string
+  memo: xdr.Memo
+  salt: string
+  timeBounds: TimeBounds
+  operations: OperationObject[]
+  signatures: xdr.DecoratedSignature[]
+
+  describe (opts?: { signers?: string[] }): TransactionDescription
+  sign (...keypairs: Keypair[]): void
+  sign (...signers: Array<Keypair | BaseSigner>): void | Promise<void>
+  hash (): Buffer
+  signatureBase (): Buffer
+  toEnvelope (): xdr.TransactionEnvelope
+}
+
+export interface TransactionBuilderOpts {
+  timebounds?: {
+    minTime?: string | number
+    maxTime?: string | number
+  }
+  salt?: string
+  memo?: xdr.Memo
+}
+
+/**
+ * `build()` resolves asynchronously once an asynchronous signer is added.
+ */
+export declare class TransactionBuilder<
+  TBuilt extends Transaction | Promise<Transaction> = Transaction
+> {
+  constructor (sourceAccount: string, opts?: TransactionBuilderOpts)
+
+  addOperation (operation: xdr.Operation): this
+  addOperations (operations: xdr.Operation[]): this
+  addMemo (memo: xdr.Memo): this
+  addSigner (signer: Keypair): this
+  addSigner (signer: BaseSigner): TransactionBuilder<Promise<Transaction>>
+  build (): TBuilt
+}
+
+export interface OfflineTransactionBundle {
+  version: number
+  networkId: string
+  envelope: string
+  summary: {
+    source: string
+    salt: string
+    timeBounds: TimeBounds
+    memo: MemoObject
+    operations: OperationObject[]
+  }
+  checksum: string
+}
+
+export declare class OfflineTransaction {
+  constructor (transaction: Transaction, opts?: { networkPassphrase?: string })
+
+  static fromTransaction (
+    transaction: Transaction,
+    opts?: { networkPassphrase?: string }
+  ): OfflineTransaction
+  static fromBundle (
+    bundle: OfflineTransactionBundle | string,
+    opts?: { networkPassphrase?: string }
+  ): OfflineTransaction
+
+  readonly transaction: Transaction
+  readonly checksum: string
+  readonly summary: OfflineTransactionBundle['summary']
+  readonly hash: Buffer
+
+  sign (...keypairs: Keypair[]): this
+  sign (...signers: Array<Keypair | BaseSigner>): this | Promise<this>
+  toBundle (): OfflineTransactionBundle
+  toEnvelope (): string
+}
+
+// Operation builders
+
+/** Decimal amount, e.g. `'10.5'` */
+export type Amount = string
+export type Id = string | number
+
+export interface SourceOpts {
+  /** The source account. Defaults to the transaction's source account. */
+  source?: string
+}
+
+export interface Fee {
+  fixed: Amount | number
+  percent: Amount | number
+}
+
+export interface PaymentFeeData {
+  sourceFee: Fee
+  destinationFee: Fee
+  sourcePaysForDest: boolean
+}
+
+export interface SignerData {
+  publicKey: string
+  roleID: Id
+  weight: Id
+  identity: Id
+  details: object
+}
+
+export interface QuoteAsset {
+  asset: string
+  price: Amount
+}
+
+export declare class BaseOperation {
+  static isValidAsset (value: string): boolean
+  static isValidString (value: string, minSize: number, maxSize: number): boolean
+  static isValidSubject (value: string): boolean
+  static isValidArray (value: any[], minSize: number): boolean
+  static isValidPeriod (value: string, allowZero?: boolean): boolean
+  static isValidAmount (
+    value: string,
+    allowZero?: boolean,
+    min?: string | number,
+    max?: string | number
+  ): boolean
+  static calcPercentFee (amount: Amount, percent: Amount): string
+  static isFeeValid (fee: Fee): boolean
+  static feeToXdr (fee: Fee): any
+  static accountIdtoAddress (accountId: any): string
+  static balanceIdtoString (balanceId: any): string
+}
+
+export interface LegacyPaymentOpts extends SourceOpts {
+  sourceBalanceId: string
+  destinationBalanceId: string
+  amount: Amount
+  feeData: PaymentFeeData
+  subject?: string
+  reference?: string
+}
+
+export interface SetFeesOpts extends SourceOpts {
+  fee?: {
+    feeType: any
+    asset: string
+    fixedFee: Amount
+    percentFee: Amount
+    subtype?: string
+    period?: string
+    lowerBound?: Amount
+    upperBound?: Amount
+    accountId?: string
+    accountRole?: string
+  }
+  isDelete?: boolean
+}
+
+export interface ManageBalanceOpts extends SourceOpts {
+  destination: string
+  asset: string
+  action: any
+}
+
+export interface ManageAssetPairOpts extends SourceOpts {
+  base: string
+  quote: string
+  policies: number | string | AssetPairPolicyName[]
+  physicalPriceCorrection: Amount
+  maxPriceStep: Amount
+  physicalPrice?: Amount
+  action?: any
+}
+
+export declare class Operation extends BaseOperation {
+  static payment (opts: LegacyPaymentOpts): xdr.Operation
+  static setFees (opts: SetFeesOpts): xdr.Operation
+  static manageBalance (opts: ManageBalanceOpts): xdr.Operation
+  static manageAssetPair (opts: ManageAssetPairOpts): xdr.Operation
+  static operationToObject (operation: xdr.Operation): OperationObject
+}
+
+export interface PreIssuanceRequestOpts {
+  amount: Amount
+  reference: string
+  asset: string
+  creatorDetails: object
+  keyPair: Keypair
+}
+
+export declare class PreIssuanceRequest {
+  static build (opts: PreIssuanceRequestOpts): xdr.PreIssuanceRequest
+  static xdrFromData (data: object): xdr.PreIssuanceRequest
+  static dataFromXdr (request: xdr.PreIssuanceRequest): object
+}
+
+export interface AssetCreationRequestOpts extends SourceOpts {
+  requestID: Id
+  code: string
+  preissuedAssetSigner: string
+  maxIssuanceAmount: Amount
+  policies: number | AssetPolicyName[]
+  assetType: Id
+  initialPreissuedAmount?: Amount
+  trailingDigitsCount: number
+  allTasks?: number
+  sequenceNumber?: number
+  creatorDetails: object
+}
+
+export interface AssetUpdateRequestOpts extends SourceOpts {
+  requestID: Id
+  code: string
+  policies: number | AssetPolicyName[]
+  allTasks?: number
+  sequenceNumber?: number
+  creatorDetails: object
+}
+
+export declare class ManageAssetBuilder {
+  static assetCreationRequest (opts: AssetCreationRequestOpts): xdr.Operation
+  static assetUpdateRequest (opts: AssetUpdateRequestOpts): xdr.Operation
+  static cancelAssetRequest (
+    opts: SourceOpts & { requestID: Id }
+  ): xdr.Operation
+  static changeAssetPreIssuer (opts: SourceOpts & {
+    accountID: string
+    code: string
+    keyPair: Keypair
+  }): xdr.Operation
+}
+
+export declare class CreateManageLimitsRequestBuilder {
+  static createManageLimitsRequest (opts: SourceOpts & {
+    creatorDetails: object
+    allTasks?: number
+    requestID: Id
+  }): xdr.Operation
+}
+
+export interface ReviewRequestOpts extends SourceOpts {
+  requestID: Id
+  requestHash: string
+  action: number
+  reason?: string
+  reviewDetails?: {
+    tasksToAdd?: number | string
+    tasksToRemove?: number | string
+    externalDetails?: string | object
+  }
+}
+
+export interface NewLimitsData {
+  id: string
+  accountID?: string
+  accountRole?: string
+  statsOpType: number
+  assetCode: string
+  isConvertNeeded: boolean
+  dailyOut: Amount
+  weeklyOut: Amount
+  monthlyOut: Amount
+  annualOut: Amount
+}
+
+export declare class ReviewRequestBuilder {
+  static reviewRequest (
+    opts: ReviewRequestOpts & { requestType: number }
+  ): xdr.Operation
+  static reviewWithdrawRequest (opts: ReviewRequestOpts): xdr.Operation
+  static reviewAmlAlertRequest (
+    opts: ReviewRequestOpts & { comment: string }
+  ): xdr.Operation
+  static reviewLimitsUpdateRequest (
+    opts: ReviewRequestOpts & { newLimits: NewLimitsData }
+  ): xdr.Operation
+  static reviewInvoiceRequest (
+    opts: ReviewRequestOpts & { billPayDetails: object }
+  ): xdr.Operation
+  static reviewContractRequest (
+    opts: ReviewRequestOpts & { details: object }
+  ): xdr.Operation
+}
+
+export declare class PreIssuanceRequestOpBuilder {
+  static createPreIssuanceRequestOp (opts: SourceOpts & {
+    request: xdr.PreIssuanceRequest
+    allTasks?: number
+  }): xdr.Operation
+}
+
+export declare class RemoveAssetOpBuilder {
+  static removeAssetOp (opts: SourceOpts & { code: string }): xdr.Operation
+}
+
+export interface CreateIssuanceRequestOpts extends SourceOpts {
+  asset: string
+  amount: Amount
+  receiver: string
+  reference: string
+  creatorDetails: object
+  allTasks?: number
+}
+
+export declare class CreateIssuanceRequestBuilder {
+  static createIssuanceRequest (opts: CreateIssuanceRequestOpts): xdr.Operation
+}
+
+export interface CreateWithdrawRequestOpts extends SourceOpts {
+  balance: string
+  amount: Amount
+  fee: Fee
+  creatorDetails: object
+  allTasks?: number | string
+}
+
+export declare class CreateWithdrawRequestBuilder {
+  static createWithdrawWithAutoConversion (
+    opts: CreateWithdrawRequestOpts
+  ): xdr.Operation
+}
+
+export interface SaleCreationRequestOpts extends SourceOpts {
+  requestID: Id
+  baseAsset: string
+  saleType: Id
+  defaultQuoteAsset: string
+  startTime: string
+  endTime: string
+  softCap: Amount
+  hardCap: Amount
+  requiredBaseAssetForHardCap: Amount
+  creatorDetails: object
+  quoteAssets: QuoteAsset[]
+  saleEnumType?: number
+  saleRules?: Array<{ accountID?: string, forbids: boolean }>
+  allTasks?: number
+  sequenceNumber?: number
+}
+
+export declare class SaleRequestBuilder {
+  static createSaleCreationRequest (
+    opts: SaleCreationRequestOpts
+  ): xdr.Operation
+  static cancelSaleCreationRequest (
+    opts: SourceOpts & { requestID: Id }
+  ): xdr.Operation
+  static checkSaleState (opts: SourceOpts & { saleID: Id }): xdr.Operation
+}
+
+export interface ManageOfferOpts extends SourceOpts {
+  baseBalance: string
+  quoteBalance: string
+  isBuy: boolean
+  amount: Amount
+  price: Amount
+  fee: Amount
+  orderBookID: Id
+  offerID?: Id
+}
+
+export declare class ManageOfferBuilder {
+  static manageOffer (opts: ManageOfferOpts): xdr.Operation
+  static cancelOffer (opts: SourceOpts & {
+    baseBalance: string
+    quoteBalance: string
+    price?: Amount
+    offerID: Id
+    orderBookID?: Id
+  }): xdr.Operation
+}
+
+export declare class ManageSaleBuilder {
+  static createUpdateSaleDetailsRequest (opts: SourceOpts & {
+    requestID: Id
+    saleID: Id
+    creatorDetails: object
+    allTasks?: number
+  }): xdr.Operation
+  static cancelSale (opts: SourceOpts & { saleID: Id }): xdr.Operation
+}
+
+export interface CreateAccountOpts extends SourceOpts {
+  destination: string
+  roleID: Id
+  signersData: SignerData[]
+  referrer?: string
+}
+
+export declare class CreateAccountBuilder {
+  static createAccount (opts: CreateAccountOpts): xdr.Operation
+}
+
+export declare class ManageSignerBuilder {
+  static createSigner (opts: SourceOpts & SignerData): xdr.Operation
+  static updateSigner (opts: SourceOpts & SignerData): xdr.Operation
+  static deleteSigner (opts: SourceOpts & { publicKey: string }): xdr.Operation
+}
+
+export declare class CreateAMLRequestBuilder {
+  static createAMLAlert (opts: SourceOpts & {
+    balanceID: string
+    amount: Amount
+    creatorDetails: object
+    reference: string
+    allTasks?: number
+  }): xdr.Operation
+}
+
+export interface CreateChangeRoleRequestOpts extends SourceOpts {
+  requestID: Id
+  destinationAccount: string
+  accountRoleToSet: Id
+  creatorDetails: object
+  allTasks?: number | string
+}
+
+export declare class CreateChangeRoleRequestBuilder {
+  static createChangeRoleRequest (
+    opts: CreateChangeRoleRequestOpts
+  ): xdr.Operation
+}
+
+export declare class CreateReferenceBuilder {
+  static createReference (opts: SourceOpts & {
+    reference: string
+    meta: {
+      file_name: string
+      document_type: string
+      creator: string
+      counterparty: string
+    }
+  }): xdr.Operation
+}
+
+export interface CreateLimitsOpts extends SourceOpts {
+  accountID?: string
+  accountRole?: string
+  statsOpType: number
+  assetCode: string
+  isConvertNeeded: boolean
+  dailyOut: Amount
+  weeklyOut: Amount
+  monthlyOut: Amount
+  annualOut: Amount
+}
+
+export declare class ManageLimitsBuilder {
+  static createLimits (opts: CreateLimitsOpts): xdr.Operation
+  static removeLimits (opts: SourceOpts & { id: Id }): xdr.Operation
+}
+
+export declare class ManageKeyValueBuilder {
+  static putKeyValue (opts: SourceOpts & {
+    key: string
+    value: string | number
+    entryType: number
+  }): xdr.Operation
+  static deleteKeyValue (opts: SourceOpts & { key: string }): xdr.Operation
+}
+
+export interface PaymentOpts extends SourceOpts {
+  sourceBalanceId: string
+  /** Account ID or balance ID of the receiver */
+  destination: string
+  amount: Amount
+  feeData: PaymentFeeData
+  subject: string
+  reference: string
+}
+
+export declare class PaymentBuilder {
+  static payment (
+    opts: PaymentOpts,
+    needSetSourceAccount?: boolean
+  ): xdr.Operation
+}
+
+export declare class BindExternalSystemAccountIdBuilder {
+  static createBindExternalSystemAccountIdOp (opts: SourceOpts & {
+    externalSystemType: string | number
+  }): xdr.Operation
+}
+
+export declare class CreateAtomicSwapAskRequestBuilder {
+  static createAtomicSwapAskRequest (opts: SourceOpts & {
+    balanceID: string
+    amount: Amount
+    creatorDetails: object
+    quoteAssets: QuoteAsset[]
+    allTasks?: number | string
+  }): xdr.Operation
+}
+
+export declare class CreateAtomicSwapBidRequestBuilder {
+  static createAtomicSwapBidRequest (opts: SourceOpts & {
+    askID: Id
+    baseAmount: Amount
+    quoteAsset: string
+    creatorDetails: object
+    allTasks?: number | string
+  }): xdr.Operation
+}
+
+export declare class CancelAtomicSwapAskBuilder {
+  static cancelAtomicSwapAsk (opts: SourceOpts & { askID: Id }): xdr.Operation
+}
+
+export declare class StampBuilder {
+  static stamp (opts?: SourceOpts): xdr.Operation
+}
+
+export interface LicenseOpts extends SourceOpts {
+  adminCount: number | string
+  dueDate: number | string
+  prevLicenseHash: string
+  ledgerHash: string
+  signatures?: xdr.DecoratedSignature[]
+}
+
+export declare class LicenseBuilder {
+  static licenseOp (opts: LicenseOpts): xdr.Operation
+  static signLicense (
+    opts: LicenseOpts,
+    keys: Keypair[]
+  ): xdr.DecoratedSignature[]
+  static buildAndSign (opts: LicenseOpts, keys: Keypair[]): xdr.Operation
+}
+
+export interface CreatePollRequestOpts extends SourceOpts {
+  requestID?: Id
+  permissionType: number
+  voteConfirmationRequired: boolean
+  resultProviderID: string
+  numberOfChoices: number
+  pollType: number
+  startTime: string
+  endTime: string
+  creatorDetails: object
+  allTasks?: number
+}
+
+export declare class ManageCreatePollRequestBuilder {
+  static createPollRequest (opts: CreatePollRequestOpts): xdr.Operation
+  static cancelPollRequest (opts: SourceOpts & { requestID: Id }): xdr.Operation
+}
+
+export declare class ManagePollBuilder {
+  static closePoll (opts: SourceOpts & {
+    pollID: Id
+    result: number
+    details: object
+  }): xdr.Operation
+  static cancelPoll (opts: SourceOpts & { pollID: Id }): xdr.Operation
+  static updatePollEndTime (opts: SourceOpts & {
+    pollID: Id
+    newEndTime: string
+  }): xdr.Operation
+}
+
+export declare class ManageVoteBuilder {
+  static createSingleChoiceVote (opts: SourceOpts & {
+    pollID: Id
+    choice: number
+  }): xdr.Operation
+  static removeVote (opts: SourceOpts & { pollID: Id }): xdr.Operation
+}
+
+export declare class ManageAccountSpecificRuleBuilder {
+  static createSaleRule (opts: SourceOpts & {
+    saleID: Id
+    forbids: boolean
+    accountID?: string
+  }): xdr.Operation
+  static removeRule (opts: SourceOpts & { ruleID: Id }): xdr.Operation
+}
+
+export declare class RemoveAssetPairOpBuilder {
+  static removeAssetPairOp (opts: SourceOpts & {
+    base: string
+    quote: string
+  }): xdr.Operation
+}
+
+export interface KycRecoveryRequestOpts extends SourceOpts {
+  targetAccount: string
+  signers: SignerData[]
+  creatorDetails: object
+  allTasks?: number | string
+}
+
+export declare class CreateKYCRecoveryRequestBuilder {
+  static create (opts: KycRecoveryRequestOpts): xdr.Operation
+  static update (opts: KycRecoveryRequestOpts, requestID: Id): xdr.Operation
+}
+
+export declare class CreateManageOfferRequestBuilder {
+  static createManageOfferRequest (opts: ManageOfferOpts & {
+    offerID: Id
+    creatorDetails: object
+    allTasks?: number
+  }): xdr.Operation
+}
+
+export declare class CreatePaymentRequestBuilder {
+  static createPaymentRequest (opts: PaymentOpts & {
+    creatorDetails: object
+    allTasks?: number
+  }): xdr.Operation
+}
+
+export interface OpenSwapOpts extends SourceOpts {
+  sourceBalance: string
+  destination: string
+  amount: Amount
+  feeData: PaymentFeeData
+  secretHash: string
+  lockTime: string
+  details: object
+}
+
+export declare class OpenSwapBuilder {
+  static openSwap (opts: OpenSwapOpts): xdr.Operation
+}
+
+export declare class CloseSwapBuilder {
+  static closeSwap (opts: SourceOpts & {
+    swapId: Id
+    secret?: string
+  }): xdr.Operation
+}
+
+export declare class RedemptionRequestBuilder {
+  static redemptionRequest (opts: SourceOpts & {
+    sourceBalanceId: string
+    destination: string
+    amount: Amount
+    creatorDetails: object
+    reference?: string
+    allTasks?: number
+  }): xdr.Operation
+}
+
+export declare class CreateDataBuilder {
+  static createData (opts: SourceOpts & {
+    type: Id
+    value: object
+  }): xdr.Operation
+}
+
+export declare class UpdateDataBuilder {
+  static updateData (opts: SourceOpts & {
+    dataId: Id
+    value: object
+  }): xdr.Operation
+}
+
+export declare class RemoveDataBuilder {
+  static removeData (opts: SourceOpts & { dataId: Id }): xdr.Operation
+}
+
+export interface RoleOpts extends SourceOpts {
+  details?: object
+  ruleIDs?: string[]
+}
+
+export declare class ManageAccountRoleBuilder {
+  static create (opts: RoleOpts): xdr.Operation
+  static update (opts: RoleOpts & { roleId: Id }): xdr.Operation
+  static remove (opts: SourceOpts & { roleId: Id }): xdr.Operation
+}
+
+export declare class ManageSignerRoleBuilder {
+  static create (opts: RoleOpts & { isReadOnly?: boolean }): xdr.Operation
+  static update (opts: RoleOpts & { roleId: Id }): xdr.Operation
+  static remove (opts: SourceOpts & { roleId: Id }): xdr.Operation
+}
+
+export interface DeferredPaymentRequestOpts extends SourceOpts {
+  requestID: Id
+  destination: string
+  amount: Amount | number
+  sequenceNumber?: number
+  creatorDetails: object
+  allTasks?: number | string
+}
+
+export declare class CreateDeferredPaymentCreationRequestBuilder {
+  static createDeferredPaymentCreationRequest (
+    opts: DeferredPaymentRequestOpts & { sourceBalanceId: string }
+  ): xdr.Operation
+  static cancelDeferredPaymentCreationRequest (
+    opts: SourceOpts & { requestID: Id }
+  ): xdr.Operation
+}
+
+export declare class CreateCloseDeferredPaymentRequestBuilder {
+  static createCloseDeferredPaymentRequest (
+    opts: DeferredPaymentRequestOpts & { deferredPaymentID: Id }
+  ): xdr.Operation
+  static cancelCloseDeferredPaymentRequest (
+    opts: SourceOpts & { requestID: Id }
+  ): xdr.Operation
+}
+
+export interface DataRequestOpts extends SourceOpts {
+  requestID: Id
+  creatorDetails: object
+  allTasks?: number | string
+  sequenceNumber?: number
+}
+
+export declare class DataRequestBuilder {
+  static createDataCreationRequest (opts: DataRequestOpts & {
+    type: Id
+    value: object
+    owner: string
+  }): xdr.Operation
+  static createMassOperationsRequest (opts: DataRequestOpts & {
+    type: Id
+    value: { blobs: string[] }
+    owner: string
+  }): xdr.Operation
+  static cancelDataCreationRequest (
+    opts: SourceOpts & { requestID: Id }
+  ): xdr.Operation
+  static createDataUpdateRequest (opts: DataRequestOpts & {
+    id: Id
+    value: object
+  }): xdr.Operation
+  static cancelDataUpdateRequest (
+    opts: SourceOpts & { requestID: Id }
+  ): xdr.Operation
+  static createDataRemoveRequest (
+    opts: DataRequestOpts & { id: Id }
+  ): xdr.Operation
+  static cancelDataRemoveRequest (
+    opts: SourceOpts & { requestID: Id }
+  ): xdr.Operation
+}
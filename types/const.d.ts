@@ -0,0 +1,255 @@
+export declare const OP_TYPES: Readonly<{
+  createAccount: 1
+  createIssuanceRequest: 3
+  setFee: 5
+  createWithdrawalRequest: 7
+  manageBalance: 9
+  manageAsset: 11
+  createPreissuanceRequest: 12
+  manageLimit: 13
+  manageAssetPair: 15
+  manageOffer: 16
+  manageInvoiceRequest: 17
+  reviewRequest: 18
+  createSaleRequest: 19
+  checkSaleState: 20
+  createAmlAlert: 21
+  createChangeRoleRequest: 22
+  payment: 23
+  manageExternalSystemAccountIdPoolEntry: 24
+  bindExternalSystemAccountId: 25
+  manageSale: 26
+  manageKeyValue: 27
+  createManageLimitsRequest: 28
+  manageContractRequest: 29
+  manageContract: 30
+  cancelSaleRequest: 31
+  payout: 32
+  manageAccountRole: 33
+  manageAccountRule: 34
+  createAtomicSwapAskRequest: 35
+  cancelAtomicSwapAsk: 36
+  createAtomicSwapBidRequest: 37
+  manageSigner: 38
+  manageSignerRole: 39
+  manageSignerRule: 40
+  stamp: 41
+  license: 42
+  manageCreatePollRequest: 43
+  managePoll: 44
+  manageVote: 45
+  manageAccountSpecificRule: 46
+  cancelChangeRoleRequest: 47
+  initiateKycRecovery: 48
+  createKycRecoveryRequest: 49
+  removeAssetPair: 50
+  createManageOfferRequest: 51
+  createPaymentRequest: 52
+  removeAsset: 53
+  openSwap: 54
+  closeSwap: 55
+  createRedemptionRequest: 56
+  createDatum: 57
+  updateDatum: 58
+  removeDatum: 59
+  createDataCreationRequest: 60
+  cancelDataCreationRequest: 61
+  createDataUpdateRequest: 62
+  createDataRemoveRequest: 63
+  cancelDataUpdateRequest: 64
+  cancelDataRemoveRequest: 65
+  createDeferredPaymentCreationRequest: 66
+  cancelDeferredPaymentCreationRequest: 67
+  createCloseDeferredPaymentRequest: 68
+  cancelCloseDeferredPaymentRequest: 69
+}>
+
+export declare const FEE_TYPES: Readonly<{
+  paymentFee: 0
+  offerFee: 1
+  withdrawalFee: 2
+  issuanceFee: 3
+  investFee: 4
+  capitalDeploymentFee: 5
+  operationFee: 6
+  payoutFee: 7
+  atomicSwapSaleFee: 8
+  atomicSwapPurchaseFee: 9
+  swapFee: 10
+}>
+
+export declare const REQUEST_TYPES: Readonly<{
+  none: 0
+  any: 1
+  createPreIssuance: 2
+  createIssuance: 3
+  createWithdraw: 4
+  createSale: 5
+  updateLimit: 6
+  createAmlAlert: 7
+  changeRole: 8
+  updateSaleDetail: 9
+  createAsset: 10
+  createInvoice: 11
+  manageContract: 12
+  updateAsset: 13
+  createPoll: 14
+  createAtomicSwapAsk: 16
+  createAtomicSwapBid: 17
+  kycRecovery: 18
+  manageOffer: 19
+  createPayment: 20
+  performRedemption: 21
+  dataCreation: 22
+  dataUpdate: 23
+  dataRemove: 24
+  createDeferredPayment: 25
+  closeDeferredPayment: 26
+}>
+
+export declare const ASSET_POLICIES: Readonly<{
+  transferable: 1
+  baseAsset: 2
+  statsQuoteAsset: 4
+  withdrawable: 8
+  issuanceManualReviewRequired: 16
+  canBeBaseInAtomicSwap: 32
+  canBeQuoteInAtomicSwap: 64
+  swappable: 128
+}>
+
+export declare const ASSET_PAIR_POLICIES: Readonly<{
+  tradeableSecondaryMarket: 1
+  physicalPriceRestriction: 2
+  currentPriceRestriction: 4
+}>
+
+export type AssetPolicyName = keyof typeof ASSET_POLICIES
+export type AssetPairPolicyName = keyof typeof ASSET_PAIR_POLICIES
+
+/**
+ * Name→value map of the flags, e.g. `ASSET_POLICIES`, or the XDR enum.
+ */
+export type Flags = Readonly<Record<string, number>>
+
+export declare function encodeFlags<T extends Flags> (
+  flags: T,
+  names?: Array<keyof T & string> | number
+): number
+export declare function decodeFlags<T extends Flags> (
+  flags: T,
+  mask?: number,
+  opts?: { strict?: boolean }
+): Array<keyof T & string>
+export declare function hasFlags<T extends Flags> (
+  flags: T,
+  mask: number,
+  names: Array<keyof T & string>
+): boolean
+export declare function validateFlags (flags: Flags, mask: number): void
+
+export declare const PAYMENT_FEE_SUBTYPES: Readonly<{
+  outgoing: 1
+  incoming: 2
+}>
+
+export declare const STATS_OPERATION_TYPES: Readonly<{
+  paymentOut: 1
+  withdraw: 2
+  spend: 3
+  deposit: 4
+  payout: 5
+}>
+
+export declare const SALE_TYPES: Readonly<{
+  basicSale: 1
+  crowdFunding: 2
+  fixedPrice: 3
+  immediate: 4
+}>
+
+export declare const KEY_VALUE_ENTRY_TYPES: Readonly<{
+  uint32: 1
+  string: 2
+  uint64: 3
+}>
+
+export declare const REVIEW_REQUEST_OP_ACTION: Readonly<{
+  approve: 1
+  reject: 2
+  permanentReject: 3
+}>
+
+export declare const CHECK_SALE_STATE_EFFECTS: Readonly<{
+  canceled: 1
+  closed: 2
+  updated: 3
+}>
+
+export declare const REQUEST_STATES: Readonly<{
+  pending: 1
+  cancelled: 2
+  approved: 3
+  rejected: 4
+  permanentlyRejected: 5
+}>
+
+export declare const REQUEST_STATES_STR: Readonly<{
+  pending: 'pending'
+  cancelled: 'cancelled'
+  approved: 'approved'
+  rejected: 'rejected'
+  permanentlyRejected: 'permanently_rejected'
+}>
+
+export declare const MIMES: {
+  jsonApi: 'application/vnd.api+json'
+}
+
+export declare const SALE_STATES: Readonly<{
+  open: 1
+  closed: 2
+  canceled: 4
+}>
+
+export declare const SWAP_STATES: Readonly<{
+  open: 1
+  closed: 2
+  cancelled: 3
+}>
+
+export declare const POLL_STATES: Readonly<{
+  open: 1
+  passed: 2
+  failed: 3
+  canceled: 4
+}>
+
+export declare const KEY_VALUE_KEYS: Readonly<{
+  issuanceTasks: 'issuance_tasks'
+  preIssuanceTasks: 'preissuance_tasks'
+  assetCreateTasks: 'asset_create_tasks'
+  saleCreateTasks: 'sale_create_tasks:*'
+  withdrawalTasks: 'withdrawal_tasks'
+  amlAlertTasks: 'aml_alert_tasks'
+  atomicSwapBidTasks: 'atomic_swap_bid_tasks:*'
+  atomicSwapAskTasks: 'atomic_swap_ask_tasks'
+  paymentCreateTasks: 'payment_tasks:*'
+  createPollTasks: 'create_poll_tasks:*'
+  change_role_tasks: 'change_role_tasks:*:*'
+  kycRecoveryEnabled: 'kyc_recovery_enabled'
+  kycRecoverySignerRole: 'kyc_recovery_signer_role'
+  createKycRecoveryTasks: 'create_kyc_recovery_tasks'
+  createOfferTasks: 'create_offer_tasks'
+  removeOfferTasks: 'remove_offer_tasks'
+  redemptionTasks: 'redemption_tasks'
+}>
+
+export declare const BLOB_TYPES: Readonly<{
+  assetDescription: 'asset_description'
+  saleOverview: 'fund_overview'
+  saleDocument: 'fund_document'
+  kycCorporate: 'alpha'
+  kycGeneral: 'kyc_form'
+  bravo: 'bravo'
+}>
@@ -0,0 +1,73 @@
+import { AxiosError, AxiosInstance, AxiosResponse } from 'axios'
+
+export declare class NetworkError extends Error {
+  constructor (message?: string, data?: any)
+  data: any
+}
+
+export declare class TimeoutError extends Error {
+  constructor (message?: string, data?: any)
+  data: any
+}
+
+export declare class AbortError extends Error {}
+
+/**
+ * Base class for server errors.
+ */
+export declare class ServerErrorBase extends Error {
+  constructor (originalError: AxiosError, axiosInstance?: AxiosInstance)
+
+  originalError: AxiosError
+  readonly httpStatus: number
+  readonly meta: Record<string, any> | undefined
+  readonly title: string | undefined
+  readonly detail: string | undefined
+  readonly requestPath: string
+
+  /**
+   * Retry the failed request. Use it to retry requests after 2FA.
+   */
+  retryRequest (): Promise<AxiosResponse>
+}
+
+export declare class StorageServerError extends ServerErrorBase {}
+
+export declare class ServerError extends ServerErrorBase {}
+
+export interface NestedError {
+  title: string
+  detail: string
+  meta: Record<string, any>
+}
+
+export declare class BadRequestError extends ServerError {
+  readonly nestedErrors: NestedError[] | undefined
+}
+
+export interface TransactionResultCodes {
+  transaction: string
+  operations?: string[]
+  messages?: string[]
+}
+
+export interface TransactionErrorResult {
+  errorCode: string
+  message: string
+}
+
+export declare class TransactionError extends ServerError {
+  includesOpCode (opCode: string): boolean
+  readonly errorResults: TransactionErrorResult[]
+  readonly resultCodes: TransactionResultCodes
+}
+
+export declare class NotAllowedError extends ServerError {}
+export declare class ForbiddenRequestError extends ServerError {}
+export declare class WrongLocationError extends ServerError {}
+export declare class TFARequiredError extends ServerError {}
+export declare class VerificationRequiredError extends ServerError {}
+export declare class NotFoundError extends ServerError {}
+export declare class ConflictError extends ServerError {}
+export declare class InternalServerError extends ServerError {}
+export declare class UnauthorizedError extends ServerError {}
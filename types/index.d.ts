@@ -0,0 +1,118 @@
+import * as base from './base'
+import * as commonErrors from './errors'
+import { DocumentsManager } from './api2'
+import { Wallet } from './wallet'
+
+export * from './const'
+export {
+  Wallet,
+  WalletStore,
+  MemoryWalletStorage,
+  WebWalletStorage,
+  HD_KEY_INDEXES,
+  generateMnemonic,
+  validateMnemonic,
+  entropyToMnemonic,
+  mnemonicToEntropy,
+  mnemonicToSeed,
+  derivePath,
+  deriveKeypair,
+  encryptSecretSeed,
+  decryptSecretSeed
+} from './wallet'
+export {
+  ApiCaller,
+  BATCH_OPERATION_STATUSES,
+  RetryPolicy,
+  RequestWatcher,
+  V3Resources,
+  DocumentsManager,
+  FactorsManager,
+  SignersManager,
+  SignersApiCaller,
+  SIGNERS_THRESHOLD,
+  SIGNER_CHANGE_ACTIONS,
+  VerificationManager,
+  Signer,
+  WalletsManager,
+  PreflightManager,
+  PREFLIGHT_FAILURE_CODES,
+  MultisigSession,
+  FeesManager,
+  SwapsManager,
+  MemorySecretStorage,
+  PollsManager,
+  SalesManager,
+  DeferredPaymentsManager,
+  ReviewsManager,
+  REVIEW_OUTCOMES,
+  IssuanceManager,
+  AssetsManager,
+  JsonapiResponse,
+  KeyServerCaller
+} from './api2'
+
+export { base }
+
+export declare const errors: typeof commonErrors
+
+export declare class Document {
+  constructor (
+    opts?: { file?: any, name?: string, mimeType?: string, key?: string },
+    type?: string
+  )
+
+  static useDocumentsManager (instance: DocumentsManager): void
+  static uploadDocuments (documents: Document[]): Promise<void>
+  static uploadDocumentsDeep (obj: object): Promise<void>
+
+  readonly file: any
+  readonly name: string
+  readonly mimeType: string
+  readonly key: string
+  readonly type: string
+  readonly publicUrl: string
+  readonly isEmpty: boolean
+  readonly isUploaded: boolean
+
+  setFile (val: any): this
+  setName (val: string): this
+  setMimeType (val: string): this
+  setKey (val: string): this
+  setType (val: string): this
+  toJSON (): object
+  uploadSelf (): Promise<this>
+  getPrivateUrl (): Promise<string>
+}
+
+/**
+ * Legacy SDK entry point, superseded by {@link ApiCaller}.
+ */
+export declare class TokenD {
+  constructor (url: string, opts?: { legacySignatures?: boolean })
+
+  static create (
+    url: string,
+    opts?: { legacySignatures?: boolean }
+  ): Promise<TokenD>
+
+  readonly horizon: any
+  readonly api: any
+  readonly wallet: Wallet
+  readonly clockDiff: number
+  readonly networkDetails: Record<string, any>
+  readonly legacySignatures: boolean
+
+  useWallet (wallet: Wallet): void
+  ejectWallet (): void
+}
+
+export declare class HorizonResponse {
+  constructor (rawResponse: any, sdk: TokenD)
+  readonly data: any
+}
+
+export declare class ApiResponse {
+  constructor (rawResponse: any, sdk: TokenD)
+  readonly data: any
+}
@@ -0,0 +1,361 @@
+// Sample usages compiled against the declarations by `yarn test:types`.
+// Keep them in sync with the JS API: a removed or renamed member breaks
+// the build.
+
+import {
+  ApiCaller,
+  BATCH_OPERATION_STATUSES,
+  RetryPolicy,
+  RequestWatcher,
+  WalletsManager,
+  SignersManager,
+  SIGNERS_THRESHOLD,
+  SIGNER_CHANGE_ACTIONS,
+  FactorsManager,
+  DocumentsManager,
+  VerificationManager,
+  PreflightManager,
+  PREFLIGHT_FAILURE_CODES,
+  MultisigSession,
+  FeesManager,
+  SwapsManager,
+  PollsManager,
+  SalesManager,
+  DeferredPaymentsManager,
+  ReviewsManager,
+  REVIEW_OUTCOMES,
+  IssuanceManager,
+  AssetsManager,
+  Signer,
+  Wallet,
+  WalletStore,
+  MemoryWalletStorage,
+  HD_KEY_INDEXES,
+  generateMnemonic,
+  validateMnemonic,
+  Document,
+  base,
+  errors,
+  OP_TYPES,
+  FEE_TYPES,
+  REQUEST_STATES,
+  BLOB_TYPES,
+  SWAP_STATES,
+  KEY_VALUE_KEYS,
+  ASSET_POLICIES,
+  encodeFlags,
+  decodeFlags
+} from '@tokend/js-sdk'
+
+async function main (): Promise<void> {
+  const api = new ApiCaller({
+    baseURL: 'https://api.your.tokend.io',
+    retryPolicy: { maxAttempts: 5, retryableMethods: ['GET'] }
+  })
+  api.useRetryPolicy(new RetryPolicy({ maxDelay: 5000 }))
+
+  const walletsManager = new WalletsManager(api)
+  const wallet: Wallet = await walletsManager.get('foo@bar.com', 'qwe123')
+  api.useWallet(wallet)
+  if (await walletsManager.isKdfOutdated(wallet.email)) {
+    const { wallet: upgraded } = await walletsManager
+      .upgradeKdf({ password: 'qwe123' })
+    api.useWallet(upgraded)
+  }
+
+  const walletStore = new WalletStore({
+    storage: new MemoryWalletStorage(),
+    autoLockTimeout: 10 * 60 * 1000
+  })
+  await walletStore.save(wallet, '1234')
+  walletStore.on('lock', () => console.log('locked'))
+  walletStore.lock()
+  const unlocked: Wallet = await walletStore.unlock('1234')
+  console.log(unlocked.accountId, walletStore.isLocked)
+
+  const mnemonic = generateMnemonic()
+  const hdWallet = Wallet.fromMnemonic('foo@bar.com', mnemonic)
+  const recoveryKeypair = hdWallet.deriveKeypair(HD_KEY_INDEXES.recovery)
+  console.log(validateMnemonic(mnemonic), hdWallet.mnemonic, recoveryKeypair)
+
+  const { wallet: created, recoverySeed } = await walletsManager
+    .create('bar@foo.com', 'qwe123')
+  const copy: ApiCaller = api.withWallet(created)
+  const seed: string = recoverySeed
+
+  const { data: account } = await api.v3.accounts.get(wallet.accountId, {
+    include: ['balances']
+  })
+  const { data: requests } = await api.v3.requests.list(
+    { requestor: wallet.accountId },
+    { page: { limit: 10, order: 'desc' } }
+  )
+  await api.v3.accounts.getCalculatedFees(wallet.accountId, {
+    asset: 'BTC',
+    feeType: FEE_TYPES.paymentFee,
+    amount: '10'
+  })
+
+  for await (const balance of api.paginate('/v3/balances', {}, {
+    pageSize: 100,
+    needSign: true
+  })) {
+    console.log(balance.id)
+  }
+
+  const watcher = api.watchRequest('9', {
+    timeout: 60000,
+    signal: new AbortController().signal,
+    taskFlags: await RequestWatcher.loadTaskFlags(api, {
+      issuance: KEY_VALUE_KEYS.issuanceTasks
+    })
+  })
+  watcher.on('tasksChanged', ({ pendingTasks }) => {
+    console.log(pendingTasks.issuance)
+  })
+  const reviewed = await watcher.wait()
+  await api.waitForRequest('10', { interval: 1000 })
+  console.log(reviewed.stateI === REQUEST_STATES.approved)
+
+  const report = await api.postOperationsBatched([], {
+    maxOpsPerTx: 50,
+    concurrency: 2,
+    stopOnError: true
+  })
+  console.log(report.filter(item => {
+    return item.status === BATCH_OPERATION_STATUSES.failed
+  }).map(item => item.resultCode))
+
+  const feesManager = new FeesManager(api)
+  const receiver = base.Keypair.random().accountId()
+  const paymentOp = base.PaymentBuilder.payment({
+    sourceBalanceId: account.balances[0].id,
+    destination: receiver,
+    amount: '10.5',
+    feeData: await feesManager.getPaymentFeeData({
+      asset: 'BTC',
+      amount: '10.5',
+      destination: receiver
+    }),
+    subject: 'Lunch',
+    reference: 'ref'
+  })
+  const offerFee: string = await feesManager.getOfferFee({
+    quoteAsset: 'USD',
+    amount: '1',
+    price: '10'
+  })
+  const issuanceOp = base.CreateIssuanceRequestBuilder.createIssuanceRequest({
+    asset: 'BTC',
+    amount: '100',
+    receiver: account.balances[0].id,
+    reference: 'ref',
+    creatorDetails: {}
+  })
+  const reviewOp = base.ReviewRequestBuilder.reviewRequest({
+    requestID: requests[0].id,
+    requestHash: requests[0].hash,
+    requestType: requests[0].requestDetails.requestTypeI,
+    action: base.xdr.ReviewRequestOpAction.approve().value,
+    reviewDetails: { tasksToAdd: 0, tasksToRemove: 1 }
+  })
+
+  const { isSuccessful, operations } = await new PreflightManager(api)
+    .simulate(paymentOp, issuanceOp)
+  if (!isSuccessful) {
+    const codes: string[] = operations[0].failures.map(f => f.code)
+    console.log(codes.includes(PREFLIGHT_FAILURE_CODES.underfunded))
+  }
+
+  try {
+    await api.postOperations(paymentOp, reviewOp)
+  } catch (e) {
+    if (e instanceof errors.TransactionError) {
+      console.log(e.resultCodes.operations, e.includesOpCode('op_underfunded'))
+    } else if (e instanceof errors.TFARequiredError) {
+      await new FactorsManager(api).verifyPasswordFactorAndRetry(e, 'qwe123')
+    }
+  }
+
+  const tx = new base.TransactionBuilder(wallet.accountId, {
+    memo: base.Memo.text('hello')
+  })
+    .addOperation(paymentOp)
+    .build()
+  tx.sign(wallet.keypair)
+  const description = base.Transaction.decodeEnvelope(
+    tx.toEnvelope().toXDR('base64'),
+    { signers: [wallet.accountId] }
+  )
+  console.log(description.signatures[0].signer)
+
+  const keypair = base.Keypair.random()
+  const remoteSigner = new base.RemoteSigner(
+    keypair.accountId(),
+    async (data: Buffer) => keypair.sign(data)
+  )
+  const remotelySigned: base.Transaction = await new base.TransactionBuilder(
+    keypair.accountId()
+  )
+    .addOperation(paymentOp)
+    .addSigner(remoteSigner)
+    .build()
+  await remotelySigned.sign(new base.KeypairSigner(base.Keypair.random()))
+  const signerWallet = new Wallet('foo@bar.com', remoteSigner, keypair.accountId())
+  console.log(signerWallet.signer.accountId())
+
+  const bundle = base.OfflineTransaction.fromTransaction(tx).toBundle()
+  const envelope: string = base.OfflineTransaction.fromBundle(bundle)
+    .sign(base.Keypair.random())
+    .toEnvelope()
+
+  const session = MultisigSession.fromEnvelope(api, envelope, {
+    threshold: 2000
+  })
+  const { isReady } = await session.sign(wallet.keypair).getStatus()
+  await (await session.sign(remoteSigner)).getStatus()
+  await session.merge(envelope)
+  const remotelySignedBundle = (await base.OfflineTransaction.fromBundle(bundle)
+    .sign(remoteSigner)).toBundle()
+  console.log(remotelySignedBundle.checksum)
+  if (isReady) {
+    await session.submit()
+  }
+
+  const changeSignerTx: string = await new SignersManager(api)
+    .createChangeSignerTransaction({
+      newPublicKey: base.Keypair.random().accountId(),
+      sourceAccount: wallet.accountId,
+      signingKeypair: wallet.keypair
+    })
+  await api.postTxEnvelope(changeSignerTx, false)
+
+  const signersManager = new SignersManager(api)
+  const deviceKeypair = base.Keypair.random()
+  const { isThresholdReached, signers } = await signersManager
+    .previewSignerChanges([{
+      action: SIGNER_CHANGE_ACTIONS.remove,
+      publicKey: wallet.accountId
+    }])
+  console.log(signers.map(signer => signer.roleId), SIGNERS_THRESHOLD)
+  if (isThresholdReached) {
+    await signersManager.removeSigner(wallet.accountId)
+  }
+  await signersManager.addSigner({
+    publicKey: deviceKeypair.accountId(),
+    roleId: '2',
+    weight: 500
+  })
+  await signersManager.updateSignerRole({ roleId: '2', ruleIds: ['1', '3'] })
+
+  await walletsManager.createWithSigners('foo@bar.com', 'qwe123', [
+    new Signer({ id: wallet.accountId, roleId: 1 })
+  ])
+
+  const documentsManager = new DocumentsManager({
+    apiCaller: api,
+    storageURL: 'https://storage.your.tokend.io'
+  })
+  Document.useDocumentsManager(documentsManager)
+  await new VerificationManager(api).createRequest({ name: 'John' }, {
+    accountRoleToSet: 2,
+    blobType: BLOB_TYPES.kycGeneral,
+    accountId: wallet.accountId
+  })
+
+  const swapsManager = new SwapsManager(api)
+  const { swapId } = await swapsManager.open({
+    sourceBalance: account.balances[0].id,
+    destination: receiver,
+    amount: '1',
+    lockTime: '1600000000',
+    feeData: await feesManager.getPaymentFeeData({
+      asset: 'BTC',
+      amount: '1',
+      destination: receiver
+    })
+  })
+  const swap = await swapsManager.waitForFinish(String(swapId), {
+    timeout: 60000
+  })
+  if (swap.state.value === SWAP_STATES.open) {
+    await swapsManager.refund(swap.id)
+  }
+
+  const pollsManager = new PollsManager(api)
+  await pollsManager.vote('7', 1, {
+    confirm: envelope => pollsManager.confirmVote(envelope, wallet.keypair)
+  })
+  const { leaders, turnout } = await pollsManager.getResults('7', {
+    eligibleVoters: 100
+  })
+  console.log(leaders[0], turnout)
+
+  const salesManager = new SalesManager(api)
+  const { investment } = await salesManager.buildInvestment({
+    saleId: '12',
+    quoteAsset: 'USD',
+    quoteAmount: '100',
+    baseBalance: 'BBASE',
+    quoteBalance: 'BQUOTE'
+  })
+  const isCapped: boolean = investment.isCapped
+  await salesManager.allowInvestor('12', wallet.accountId)
+  console.log(investment.baseAmount, investment.fee, isCapped)
+
+  const deferredPaymentsManager = new DeferredPaymentsManager(api)
+  const [deferredPayment] = await deferredPaymentsManager.getDeferredPayments()
+  await deferredPaymentsManager.close(deferredPayment.id, {
+    destination: wallet.accountId,
+    amount: '10'
+  })
+  const closeState = await deferredPaymentsManager.getRequestState('11')
+  console.log(closeState === REQUEST_STATES.pending)
+
+  const reviewsManager = new ReviewsManager(api)
+  const pendingRequests = await reviewsManager.getPendingRequests({ type: 4 })
+  const outcomes = await reviewsManager.reviewBatch(
+    pendingRequests.map(request => ({ request, action: 1 })),
+    { maxOpsPerTx: 50 }
+  )
+  console.log(outcomes.filter(item => item.outcome === REVIEW_OUTCOMES.failed))
+
+  const issuanceManager = new IssuanceManager(api)
+  await issuanceManager.preIssue(
+    [{ asset: 'BTC', amount: '1000' }],
+    base.Keypair.random(),
+    { maxOpsPerTx: 50 }
+  )
+  const issuance = await issuanceManager.issue({
+    asset: 'BTC',
+    amount: '10',
+    receiver: base.Keypair.random().balanceId(),
+    reference: IssuanceManager.generateReference()
+  })
+  if (issuance.requestId && !issuance.fulfilled) {
+    await issuanceManager.waitForIssuance(issuance.requestId, { timeout: 60000 })
+  }
+
+  const assetsManager = new AssetsManager(api)
+  await assetsManager.createAsset({
+    code: 'BTC',
+    preIssuanceSigner: base.Keypair.random().accountId(),
+    maxIssuanceAmount: '21000000',
+    assetType: 1,
+    policies: ['transferable', 'withdrawable'],
+    details: { name: 'Bitcoin', logo: new Document({ key: 'logo-key' }) }
+  })
+  const btc = await assetsManager.getAsset('BTC')
+  console.log(btc.policyFlags, AssetsManager.encodePolicies(['swappable']))
+
+  const policiesMask = encodeFlags(ASSET_POLICIES, ['transferable', 'swappable'])
+  const policyNames: Array<keyof typeof ASSET_POLICIES> =
+    decodeFlags(ASSET_POLICIES, policiesMask)
+  console.log(policyNames)
+
+  const opType: number = OP_TYPES.payment
+  const pending: 1 = REQUEST_STATES.pending
+  console.log(copy, seed, opType, pending, offerFee)
+}
+
+main()
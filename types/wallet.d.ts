@@ -0,0 +1,175 @@
+/// <reference types="node" />
+
+import { EventEmitter } from 'events'
+
+import { Keypair, BaseSigner } from './base'
+
+export interface KdfParams {
+  id?: number
+  algorithm: string
+  bits: number
+  n: number
+  r: number
+  p: number
+  salt?: string
+}
+
+export interface EncryptedWallet {
+  id: string
+  accountId: string
+  email: string
+  salt: string
+  keychainData: string
+}
+
+export interface EncryptedWalletOpts {
+  keychainData: string
+  kdfParams: KdfParams
+  salt: string
+  email: string
+  password: string
+  sessionId?: string
+  sessionKey?: string
+  accountId?: string
+}
+
+export declare class Wallet {
+  constructor (
+    email: string,
+    signingKeypair: Keypair | string | BaseSigner,
+    accountId: string,
+    walletId?: string,
+    sessionId?: string,
+    sessionKey?: string,
+    keypairs?: Array<Keypair | string>,
+    mnemonic?: string
+  )
+
+  static generate (
+    email: string,
+    accountId?: string | null,
+    keypairs?: Array<Keypair | string>
+  ): Wallet
+
+  static fromEncrypted (opts: EncryptedWalletOpts): Wallet
+  static fromRecoverySeed (
+    kdfParams: KdfParams,
+    salt: string,
+    email: string,
+    recoverySeed: string
+  ): Wallet
+
+  static fromMnemonic (
+    email: string,
+    mnemonic: string,
+    accountId?: string | null
+  ): Wallet
+
+  static clone (wallet: Wallet): Wallet
+  static deriveId (
+    email: string,
+    password: string,
+    kdfParams: KdfParams,
+    salt: string
+  ): string
+
+  readonly id: string
+  readonly accountId: string
+  readonly email: string
+  readonly secretSeed: string
+  readonly secretSeeds: string[]
+  readonly keypair: Keypair
+  readonly signer: Keypair | BaseSigner
+  readonly keypairs: Keypair[]
+  readonly nonSigningKeypairs: Keypair[]
+  readonly sessionId: string | undefined
+  readonly sessionKey: string | undefined
+  readonly mnemonic: string | null
+
+  clone (): Wallet
+  encrypt (kdfParams: KdfParams, password: string): EncryptedWallet
+  encryptRecoveryData (
+    kdfParams: KdfParams,
+    recoveryKeypair: Keypair
+  ): EncryptedWallet
+
+  deriveKeypair (index: number): Keypair
+  switchSigningKeypair (publicKey: string): this
+  useSigningKeypair (keypair: Keypair | string): void
+}
+
+export declare function encryptSecretSeed (seed: string, key: string): string
+export declare function decryptSecretSeed (seed: string, key: string): string
+
+export interface WalletStorage {
+  get (key: string): Promise<string | undefined>
+  set (key: string, value: string): Promise<void>
+  delete (key: string): Promise<void>
+}
+
+export declare class MemoryWalletStorage implements WalletStorage {
+  get (key: string): Promise<string | undefined>
+  set (key: string, value: string): Promise<void>
+  delete (key: string): Promise<void>
+}
+
+export interface WebStorageLike {
+  getItem (key: string): string | null
+  setItem (key: string, value: string): void
+  removeItem (key: string): void
+}
+
+export declare class WebWalletStorage implements WalletStorage {
+  constructor (storage: WebStorageLike, prefix?: string)
+
+  get (key: string): Promise<string | undefined>
+  set (key: string, value: string): Promise<void>
+  delete (key: string): Promise<void>
+}
+
+export interface WalletStoreOpts {
+  storage?: WalletStorage
+  key?: string
+  autoLockTimeout?: number
+  kdfParams?: KdfParams
+}
+
+export declare class WalletStore extends EventEmitter {
+  constructor (opts?: WalletStoreOpts)
+
+  readonly key: string
+  autoLockTimeout: number
+  kdfParams: KdfParams
+  readonly wallet: Wallet | null
+  readonly isLocked: boolean
+
+  hasWallet (): Promise<boolean>
+  save (wallet: Wallet, passphrase: string): Promise<void>
+  unlock (passphrase: string): Promise<Wallet>
+  lock (): void
+  remove (): Promise<void>
+  touch (): void
+
+  on (event: 'lock', listener: () => void): this
+}
+
+export declare const HD_KEY_INDEXES: Readonly<{
+  signing: 0
+  recovery: 1
+  secondFactor: 2
+  additional: 3
+}>
+
+export declare function generateMnemonic (strength?: number): string
+export declare function validateMnemonic (mnemonic: string): boolean
+export declare function entropyToMnemonic (entropy: Buffer): string
+export declare function mnemonicToEntropy (mnemonic: string): Buffer
+export declare function mnemonicToSeed (
+  mnemonic: string,
+  passphrase?: string
+): Buffer
+export declare function derivePath (
+  seed: Buffer,
+  path: string
+): { key: Buffer, chainCode: Buffer }
+export declare function deriveKeypair (seed: Buffer, index: number): Keypair